@@ -0,0 +1,69 @@
+// Caches the app shell so the dashboard still opens without a connection.
+// Product data isn't cached here; the app keeps its own snapshot in
+// IndexedDB (see src/api/offlineSource.js).
+//   - page loads: network first, falling back to the cached index.html
+//   - built assets (hashed file names): cache first
+//   - anything else from this origin (e.g. currency-rates.json): network
+//     first, falling back to the cache
+const CACHE_NAME = 'product-dash-shell-v1';
+const SCOPE = new URL(self.registration.scope);
+const INDEX_URL = new URL('index.html', SCOPE).href;
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.add(INDEX_URL))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+const putInCache = async (key, response) => {
+    if (!response.ok) return;
+    const cache = await caches.open(CACHE_NAME);
+    await cache.put(key, response);
+};
+
+const networkFirst = async (request, cacheKey = request) => {
+    try {
+        const response = await fetch(request);
+        putInCache(cacheKey, response.clone());
+        return response;
+    } catch (err) {
+        const cached = await caches.match(cacheKey);
+        if (cached) return cached;
+        throw err;
+    }
+};
+
+const cacheFirst = async (request) => {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+    const response = await fetch(request);
+    putInCache(request, response.clone());
+    return response;
+};
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+    // Every route is the same single page
+    if (request.mode === 'navigate') {
+        event.respondWith(networkFirst(request, INDEX_URL));
+        return;
+    }
+    if (url.pathname.startsWith(new URL('assets/', SCOPE).pathname)) {
+        event.respondWith(cacheFirst(request));
+        return;
+    }
+    event.respondWith(networkFirst(request));
+});
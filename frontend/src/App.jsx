@@ -1,16 +1,12 @@
-import { useState } from 'react'
- 
 import './App.css'
-// import Page1 from './components/Page1'
-import Page1 from './components/Page1'
+import AppShell from './components/AppShell'
+import I18nProvider from './components/I18nProvider'
 
 function App() {
-  const [count, setCount] = useState(0)
-
   return (
-    <>
-      <Page1/>
-    </>
+    <I18nProvider>
+      <AppShell />
+    </I18nProvider>
   )
 }
 
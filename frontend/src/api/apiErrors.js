@@ -0,0 +1,86 @@
+// Typed errors for data-source calls, so the UI can tell a dropped connection
+// from a timeout, a rejected request or a failing server
+
+export const ERROR_TYPES = {
+    NETWORK: 'network',
+    TIMEOUT: 'timeout',
+    CLIENT: 'client',
+    SERVER: 'server',
+    UNKNOWN: 'unknown'
+};
+
+// 408 Request Timeout and 429 Too Many Requests are worth another try
+const RETRYABLE_STATUSES = [408, 429];
+
+export const createApiError = (message, { type = ERROR_TYPES.UNKNOWN, status = null, cause } = {}) =>
+    Object.assign(new Error(message, { cause }), { name: 'ApiError', type, status });
+
+export const createAbortError = () => new DOMException('The request was aborted.', 'AbortError');
+
+// True for our own aborts and axios cancellations
+export const isAbortError = (err) =>
+    err?.name === 'AbortError' || err?.name === 'CanceledError' || err?.code === 'ERR_CANCELED';
+
+const typeForStatus = (status) => (status >= 500 ? ERROR_TYPES.SERVER : ERROR_TYPES.CLIENT);
+
+// Normalizes axios/fetch failures into ApiErrors; aborts pass through as-is
+export const toApiError = (err) => {
+    if (err?.name === 'ApiError' || isAbortError(err)) return err;
+
+    const status = err?.response?.status ?? err?.status ?? null;
+    if (status) {
+        // Prefer the server's own explanation (e.g. "Product with id '999' not found")
+        const message = err.response?.data?.message || err.message || `Request failed with status ${status}`;
+        return createApiError(message, {
+            type: typeForStatus(status),
+            status,
+            cause: err
+        });
+    }
+    if (err?.code === 'ECONNABORTED' || err?.code === 'ETIMEDOUT') {
+        return createApiError('The request timed out.', { type: ERROR_TYPES.TIMEOUT, cause: err });
+    }
+    if (err?.code === 'ERR_NETWORK' || err?.request) {
+        return createApiError('The server could not be reached.', { type: ERROR_TYPES.NETWORK, cause: err });
+    }
+    return createApiError(err?.message || 'Unexpected error.', { cause: err });
+};
+
+// Transient failures that may succeed if tried again
+export const isRetryableError = (err) => {
+    if (!err || isAbortError(err)) return false;
+    if (RETRYABLE_STATUSES.includes(err.status)) return true;
+    return [ERROR_TYPES.NETWORK, ERROR_TYPES.TIMEOUT, ERROR_TYPES.SERVER].includes(err.type);
+};
+
+export const isNotFoundError = (err) => err?.status === 404;
+
+// The server couldn't be reached at all (offline, DNS, CORS...)
+export const isNetworkError = (err) => err?.type === ERROR_TYPES.NETWORK;
+
+export const ERROR_KINDS = {
+    NETWORK: 'network',
+    TIMEOUT: 'timeout',
+    NOT_FOUND: 'notFound',
+    RATE_LIMITED: 'rateLimited',
+    REJECTED: 'rejected',
+    SERVER: 'server',
+    UNKNOWN: 'unknown'
+};
+
+// Finer-grained than `type`, for picking a message (e.g. a translated one)
+export const getErrorKind = (err) => {
+    switch (err?.type) {
+        case ERROR_TYPES.NETWORK:
+            return ERROR_KINDS.NETWORK;
+        case ERROR_TYPES.TIMEOUT:
+            return ERROR_KINDS.TIMEOUT;
+        case ERROR_TYPES.CLIENT:
+            if (isNotFoundError(err)) return ERROR_KINDS.NOT_FOUND;
+            return err.status === 429 ? ERROR_KINDS.RATE_LIMITED : ERROR_KINDS.REJECTED;
+        case ERROR_TYPES.SERVER:
+            return ERROR_KINDS.SERVER;
+        default:
+            return ERROR_KINDS.UNKNOWN;
+    }
+};
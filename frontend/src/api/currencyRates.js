@@ -0,0 +1,20 @@
+import axios from 'axios';
+import { toApiError } from './apiErrors';
+import { normalizeCurrencyRates } from '../utils/currency';
+
+// Served from public/ by default; point VITE_CURRENCY_RATES_URL at another
+// file (same shape) to use different rates
+export const DEFAULT_CURRENCY_RATES_URL = `${import.meta.env.BASE_URL}currency-rates.json`;
+
+export const fetchCurrencyRates = async ({
+    url = import.meta.env.VITE_CURRENCY_RATES_URL || DEFAULT_CURRENCY_RATES_URL,
+    signal
+} = {}) => {
+    let data;
+    try {
+        data = (await axios.get(url, { signal })).data;
+    } catch (err) {
+        throw toApiError(err);
+    }
+    return normalizeCurrencyRates(data);
+};
@@ -0,0 +1,45 @@
+import axios from 'axios';
+import { toApiError } from './apiErrors';
+
+export const DEFAULT_DUMMYJSON_URL = 'https://dummyjson.com/products';
+
+export const DEFAULT_TIMEOUT_MS = 10000;
+
+// API returns array of category objects with slug and name (older versions
+// returned plain slugs)
+const toCategorySlugs = (categories) =>
+    categories.map(cat => (typeof cat === 'string' ? cat : cat.slug));
+
+// Adapter for DummyJSON and any backend exposing the same REST shape.
+// Set `supportsSorting` to false for backends that ignore `sortBy`/`order`.
+// Read methods take an optional `{ signal }` to cancel the request. Failures
+// are thrown as ApiErrors (see apiErrors.js).
+export const createDummyJsonSource = ({
+    baseUrl = DEFAULT_DUMMYJSON_URL,
+    supportsSorting = true,
+    timeout = DEFAULT_TIMEOUT_MS
+} = {}) => {
+    const request = async (method, path, { params, data, signal } = {}) => {
+        try {
+            const response = await axios.request({ method, url: `${baseUrl}${path}`, params, data, signal, timeout });
+            return response.data;
+        } catch (err) {
+            throw toApiError(err);
+        }
+    };
+
+    const get = (path, params, { signal } = {}) => request('get', path, { params, signal });
+
+    return {
+        name: 'dummyjson',
+        supportsSorting,
+        getProducts: (params, options) => get('', params, options),
+        getProductsByCategory: (category, params, options) =>
+            get(`/category/${encodeURIComponent(category)}`, params, options),
+        getCategories: async (options) => toCategorySlugs(await get('/categories', undefined, options)),
+        getProductById: (id, options) => get(`/${encodeURIComponent(id)}`, undefined, options),
+        updateProduct: (id, changes) => request('put', `/${encodeURIComponent(id)}`, { data: changes }),
+        addProduct: (product) => request('post', '/add', { data: product }),
+        deleteProduct: (id) => request('delete', `/${encodeURIComponent(id)}`),
+    };
+};
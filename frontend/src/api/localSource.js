@@ -0,0 +1,80 @@
+import fixture from './fixtures/products.json';
+import { createAbortError, createApiError, ERROR_TYPES } from './apiErrors';
+import { wait } from './retry';
+import { withNewProductDefaults } from '../utils/productValidation';
+import { compareFieldValues } from '../utils/sortProducts';
+
+const DEFAULT_LIMIT = 30;
+
+const notFoundError = (message) => createApiError(message, { type: ERROR_TYPES.CLIENT, status: 404 });
+
+const sortByField = (items, field, order) =>
+    [...items].sort((a, b) => compareFieldValues(a[field], b[field], order) || a.id - b.id);
+
+// Same semantics as DummyJSON: limit=0 returns every item, `sortBy`/`order`
+// sort before paginating, and values compare and tie like compareBySorting
+const paginate = (items, { limit = DEFAULT_LIMIT, skip = 0, sortBy, order } = {}) => {
+    const sorted = sortBy ? sortByField(items, sortBy, order) : items;
+    const start = Number(skip) || 0;
+    const size = Number(limit) === 0 ? sorted.length : Number(limit) || DEFAULT_LIMIT;
+    const page = sorted.slice(start, start + size);
+
+    return {
+        products: page,
+        total: sorted.length,
+        skip: start,
+        limit: page.length
+    };
+};
+
+// In-memory adapter backed by the bundled fixture, so the dashboard runs
+// with no network. `latency` simulates a round trip in milliseconds.
+// Mutations are kept for the lifetime of the page. Read methods take an
+// optional `{ signal }` like the HTTP adapter.
+export const createLocalSource = ({ data = fixture, latency = 0 } = {}) => {
+    let products = structuredClone(data.products);
+    let nextId = Math.max(0, ...products.map(p => p.id)) + 1;
+    const categories = data.categories.map(cat => (typeof cat === 'string' ? cat : cat.slug));
+
+    // Hand out copies so callers can't mutate the store
+    const respond = async (value, { signal } = {}) => {
+        if (latency > 0) await wait(latency, signal);
+        if (signal?.aborted) throw createAbortError();
+        return structuredClone(value);
+    };
+
+    const findOrThrow = async (id, { signal } = {}) => {
+        const product = products.find(p => String(p.id) === String(id));
+        if (!product) {
+            if (latency > 0) await wait(latency, signal);
+            throw notFoundError(`Product with id '${id}' not found`);
+        }
+        return product;
+    };
+
+    return {
+        name: 'local',
+        supportsSorting: true,
+        getProducts: (params, options) => respond(paginate(products, params), options),
+        getProductsByCategory: (category, params, options) =>
+            respond(paginate(products.filter(p => p.category === category), params), options),
+        getCategories: (options) => respond(categories, options),
+        getProductById: async (id, options) => respond(await findOrThrow(id, options), options),
+        updateProduct: async (id, changes) => {
+            const product = await findOrThrow(id);
+            const updated = { ...product, ...changes, id: product.id };
+            products = products.map(p => (p === product ? updated : p));
+            return respond(updated);
+        },
+        addProduct: async (product) => {
+            const created = { ...withNewProductDefaults(product), id: nextId++ };
+            products = [...products, created];
+            return respond(created);
+        },
+        deleteProduct: async (id) => {
+            const product = await findOrThrow(id);
+            products = products.filter(p => p !== product);
+            return respond({ ...product, isDeleted: true, deletedOn: new Date().toISOString() });
+        },
+    };
+};
@@ -0,0 +1,236 @@
+import { createApiError, ERROR_TYPES, isNetworkError } from './apiErrors';
+import { createLocalSource } from './localSource';
+import * as offlineStore from './offlineStore';
+import { withNewProductDefaults } from '../utils/productValidation';
+
+export const MUTATION_TYPES = {
+    UPDATE: 'update',
+    ADD: 'add',
+    DELETE: 'delete'
+};
+
+// Temporary (negative) ids for products not created on the server yet.
+// Seeded from the clock so they don't clash with ones still queued offline
+// from an earlier visit.
+let lastTempId = -Date.now();
+
+export const nextTempId = () => {
+    lastTempId -= 1;
+    return lastTempId;
+};
+
+const READ_METHODS = ['getProducts', 'getProductsByCategory', 'getCategories', 'getProductById'];
+
+const isBrowserOffline = () => typeof navigator !== 'undefined' && navigator.onLine === false;
+
+const offlineError = () =>
+    createApiError("You're offline.", { type: ERROR_TYPES.NETWORK });
+
+const sameId = (a, b) => String(a) === String(b);
+
+// Applies one queued edit to a product list. Adds carry the placeholder to
+// show (`product`) under their temporary id.
+const applyMutation = (products, mutation) => {
+    switch (mutation.type) {
+        case MUTATION_TYPES.UPDATE:
+            return products.map(p => (sameId(p.id, mutation.productId) ? { ...p, ...mutation.changes } : p));
+        case MUTATION_TYPES.ADD:
+            return [...products, mutation.product];
+        case MUTATION_TYPES.DELETE:
+            return products.filter(p => !sameId(p.id, mutation.productId));
+        default:
+            return products;
+    }
+};
+
+// Only the plain full catalog (limit=0, no paging or sorting) is kept
+const isFullCatalogRead = (method, args) =>
+    method === 'getProducts' && Number(args[0]?.limit) === 0 && !Number(args[0]?.skip) && !args[0]?.sortBy;
+
+// Wraps a data source for offline use:
+// - the full product list and the categories are persisted whenever they're
+//   fetched, and reads are answered from that snapshot while the browser is
+//   offline or the server can't be reached;
+// - edits made while offline are queued (`queueMutation`), applied to the
+//   snapshot right away and sent in order by `syncPendingMutations` once
+//   the connection is back. Products added offline have temporary
+//   (negative) ids until then.
+// `getOfflineState`/`subscribeToOfflineState` expose
+// { isServingSnapshot, savedAt, pendingCount, isSyncing, syncFailures }.
+export const createOfflineSource = (source, { store = offlineStore } = {}) => {
+    let snapshot = null;
+    let snapshotSource = null;
+    let pending = [];
+    let initPromise = null;
+    let state = { isServingSnapshot: false, savedAt: null, pendingCount: 0, isSyncing: false, syncFailures: [] };
+    const listeners = new Set();
+
+    const setState = (changes) => {
+        const next = { ...state, ...changes };
+        if (Object.keys(next).every(key => next[key] === state[key])) return;
+        state = next;
+        listeners.forEach(listener => listener());
+    };
+
+    const init = () => {
+        initPromise ??= Promise.all([store.loadSnapshot(source.name), store.loadPendingMutations(source.name)])
+            .then(([savedSnapshot, savedMutations]) => {
+                snapshot = savedSnapshot;
+                pending = savedMutations;
+                setState({ savedAt: snapshot?.savedAt ?? null, pendingCount: pending.length });
+            });
+        return initPromise;
+    };
+
+    const writeSnapshot = (changes) => {
+        snapshot = { ...snapshot, ...changes, source: source.name };
+        snapshotSource = null;
+        return store.saveSnapshot(snapshot);
+    };
+
+    // Fresh server data; queued edits stay applied on top of it
+    const rememberRead = async (method, args, data) => {
+        if (method !== 'getCategories' && !isFullCatalogRead(method, args)) return;
+        await init();
+        const savedAt = Date.now();
+        await writeSnapshot(method === 'getCategories'
+            ? { categories: data, savedAt }
+            : { products: pending.reduce(applyMutation, data.products), savedAt });
+        setState({ savedAt });
+    };
+
+    const updateSnapshotProducts = async (update) => {
+        await init();
+        if (snapshot?.products) await writeSnapshot({ products: update(snapshot.products) });
+    };
+
+    const getSnapshotSource = () => {
+        if (!snapshot?.products) return null;
+        snapshotSource ??= createLocalSource({
+            data: {
+                products: snapshot.products,
+                categories: snapshot.categories ?? [...new Set(snapshot.products.map(p => p.category))]
+            }
+        });
+        return snapshotSource;
+    };
+
+    // Answers a read from the snapshot; without one (or if it doesn't have
+    // the product asked for) the original network error stands
+    const readSnapshot = async (method, args, networkError) => {
+        await init();
+        const local = getSnapshotSource();
+        if (!local) throw networkError;
+        let data;
+        try {
+            data = await local[method](...args);
+        } catch {
+            throw networkError;
+        }
+        setState({ isServingSnapshot: true });
+        return data;
+    };
+
+    const read = method => async (...args) => {
+        if (isBrowserOffline()) return readSnapshot(method, args, offlineError());
+
+        let data;
+        try {
+            data = await source[method](...args);
+        } catch (err) {
+            if (!isNetworkError(err)) throw err;
+            return readSnapshot(method, args, err);
+        }
+        setState({ isServingSnapshot: false });
+        rememberRead(method, args, data).catch(err => console.error('Error saving offline snapshot:', err));
+        return data;
+    };
+
+    // Successful writes are mirrored into the snapshot so it stays current
+    const write = (request, update) => async (...args) => {
+        if (isBrowserOffline()) throw offlineError();
+        const result = await request(...args);
+        updateSnapshotProducts(products => update(products, result, ...args))
+            .catch(err => console.error('Error saving offline snapshot:', err));
+        return result;
+    };
+
+    // Stores an edit to send later and applies it to the snapshot.
+    // `mutation` is { type, productId, title, changes, product } - for adds,
+    // `productId` is the temporary id and `product` the placeholder.
+    const queueMutation = async (mutation) => {
+        await init();
+        const record = { ...mutation, source: source.name, queuedAt: Date.now() };
+        const id = await store.addPendingMutation(record);
+        pending = [...pending, { ...record, id }];
+        setState({ pendingCount: pending.length });
+        await updateSnapshotProducts(products => applyMutation(products, record));
+    };
+
+    const removePending = async (mutation) => {
+        pending = pending.filter(item => item !== mutation);
+        if (mutation.id != null) await store.deletePendingMutation(mutation.id);
+        setState({ pendingCount: pending.length });
+    };
+
+    // Sends queued edits in order. Stops at the first network error (still
+    // offline; the rest stay queued); edits the server rejects are dropped
+    // and reported in `syncFailures`. Resolves to the number sent.
+    const syncPendingMutations = async () => {
+        await init();
+        if (state.isSyncing || pending.length === 0 || isBrowserOffline()) return 0;
+
+        setState({ isSyncing: true });
+        const createdIds = new Map();
+        const failures = [];
+        let synced = 0;
+
+        for (const mutation of [...pending]) {
+            const productId = createdIds.get(mutation.productId) ?? mutation.productId;
+            try {
+                if (mutation.type === MUTATION_TYPES.ADD) {
+                    const created = await source.addProduct(mutation.changes);
+                    createdIds.set(mutation.productId, created.id);
+                    await updateSnapshotProducts(products =>
+                        products.map(p => (sameId(p.id, mutation.productId) ? { ...p, ...created, isPending: false } : p)));
+                } else if (mutation.type === MUTATION_TYPES.UPDATE) {
+                    await source.updateProduct(productId, mutation.changes);
+                } else {
+                    await source.deleteProduct(productId);
+                }
+                synced += 1;
+            } catch (err) {
+                if (isNetworkError(err)) break;
+                console.error('Error syncing offline change:', err);
+                failures.push({ title: mutation.title, message: err.message });
+            }
+            await removePending(mutation);
+        }
+
+        setState({ isSyncing: false, syncFailures: [...state.syncFailures, ...failures] });
+        return synced;
+    };
+
+    const wrapped = Object.fromEntries(READ_METHODS.map(method => [method, read(method)]));
+
+    return {
+        ...source,
+        ...wrapped,
+        updateProduct: write(source.updateProduct, (products, updated, id) =>
+            products.map(p => (sameId(p.id, id) ? { ...p, ...updated } : p))),
+        addProduct: write(source.addProduct, (products, created) => [...products, withNewProductDefaults(created)]),
+        deleteProduct: write(source.deleteProduct, (products, deleted, id) =>
+            products.filter(p => !sameId(p.id, id))),
+        queueMutation,
+        syncPendingMutations,
+        // Loads the persisted snapshot and queue, e.g. to show how many
+        // edits are waiting right after a reload
+        loadOfflineState: init,
+        dismissSyncFailures: () => setState({ syncFailures: [] }),
+        getOfflineState: () => state,
+        subscribeToOfflineState: (listener) => {
+            listeners.add(listener);
+            return () => listeners.delete(listener);
+        }
+    };
+};
@@ -0,0 +1,72 @@
+// IndexedDB persistence for offline mode: the last fetched catalog per data
+// source, and edits made while offline that still have to be sent. Every
+// call fails soft (resolves empty) when IndexedDB isn't available, e.g. in
+// private browsing, so offline support is simply off there.
+
+const DB_NAME = 'product-dash';
+const DB_VERSION = 1;
+const SNAPSHOTS = 'snapshots';
+const PENDING_MUTATIONS = 'pendingMutations';
+
+let dbPromise = null;
+
+const promisify = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+const openDatabase = () => {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB is not available'));
+                return;
+            }
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(SNAPSHOTS)) {
+                    db.createObjectStore(SNAPSHOTS, { keyPath: 'source' });
+                }
+                if (!db.objectStoreNames.contains(PENDING_MUTATIONS)) {
+                    db.createObjectStore(PENDING_MUTATIONS, { keyPath: 'id', autoIncrement: true });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return dbPromise;
+};
+
+// Runs `operation(store)` in a transaction; resolves to `fallback` if
+// IndexedDB fails
+const withStore = async (name, mode, operation, fallback) => {
+    try {
+        const db = await openDatabase();
+        const store = db.transaction(name, mode).objectStore(name);
+        return await promisify(operation(store));
+    } catch (err) {
+        console.error('Error accessing offline storage:', err);
+        return fallback;
+    }
+};
+
+// { source, products, categories, savedAt } or null
+export const loadSnapshot = (sourceName) =>
+    withStore(SNAPSHOTS, 'readonly', store => store.get(sourceName), undefined).then(snapshot => snapshot ?? null);
+
+export const saveSnapshot = (snapshot) =>
+    withStore(SNAPSHOTS, 'readwrite', store => store.put(snapshot), undefined);
+
+// Oldest first; each has the `id` it was stored under
+export const loadPendingMutations = (sourceName) =>
+    withStore(PENDING_MUTATIONS, 'readonly', store => store.getAll(), [])
+        .then(mutations => mutations.filter(mutation => mutation.source === sourceName));
+
+// Resolves to the stored mutation's id (null if it couldn't be stored)
+export const addPendingMutation = (mutation) =>
+    withStore(PENDING_MUTATIONS, 'readwrite', store => store.add(mutation), null);
+
+export const deletePendingMutation = (id) =>
+    withStore(PENDING_MUTATIONS, 'readwrite', store => store.delete(id), undefined);
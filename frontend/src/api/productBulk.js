@@ -0,0 +1,89 @@
+import { isNetworkError } from './apiErrors';
+import { MUTATION_TYPES } from './offlineSource';
+import { invalidateProductQueries } from './productQueries';
+
+const DEFAULT_BATCH_SIZE = 10;
+
+export const BULK_ACTIONS = {
+    DISCOUNT: 'discount',
+    STOCK: 'stock',
+    CATEGORY: 'category',
+    DELETE: 'delete',
+    // Client-side only: downloads the selection, no requests
+    EXPORT: 'export'
+};
+
+export const STOCK_ADJUST_MODES = {
+    SET: 'set',
+    ADD: 'add'
+};
+
+// Field changes one bulk action makes to `product`; `value` is the action's
+// input (a discount, { mode, amount } for stock, or a category slug)
+export const getBulkChanges = (action, product, value) => {
+    switch (action) {
+        case BULK_ACTIONS.DISCOUNT:
+            return { discountPercentage: value };
+        case BULK_ACTIONS.STOCK:
+            return {
+                stock: value.mode === STOCK_ADJUST_MODES.SET
+                    ? value.amount
+                    : Math.max(0, product.stock + value.amount)
+            };
+        case BULK_ACTIONS.CATEGORY:
+            return { category: value };
+        default:
+            return {};
+    }
+};
+
+// Runs a bulk action over `products` in batches. `onProgress(done, total)`
+// fires after each batch. Resolves to
+// { succeeded: [{ id, title, product }], failed: [{ id, title, error }] }
+// where `product` is the updated product (or the deleted one) and `error` the
+// request's error (see describeApiError). Changes that
+// fail for lack of a connection count as succeeded when the source can queue
+// them for later (see createOfflineSource).
+export const runBulkAction = async (source, products, action, value, {
+    batchSize = DEFAULT_BATCH_SIZE,
+    onProgress
+} = {}) => {
+    const succeeded = [];
+    const failed = [];
+
+    for (let start = 0; start < products.length; start += batchSize) {
+        const batch = products.slice(start, start + batchSize);
+        const changes = batch.map(product => getBulkChanges(action, product, value));
+        const results = await Promise.allSettled(batch.map((product, index) =>
+            action === BULK_ACTIONS.DELETE
+                ? source.deleteProduct(product.id)
+                : source.updateProduct(product.id, changes[index])
+        ));
+
+        for (const [index, result] of results.entries()) {
+            const product = batch[index];
+            const { id, title } = product;
+            if (result.status === 'fulfilled') {
+                succeeded.push({ id, title, product: result.value });
+                continue;
+            }
+            if (isNetworkError(result.reason) && source.queueMutation) {
+                const isDelete = action === BULK_ACTIONS.DELETE;
+                await source.queueMutation({
+                    type: isDelete ? MUTATION_TYPES.DELETE : MUTATION_TYPES.UPDATE,
+                    productId: id,
+                    title,
+                    changes: isDelete ? undefined : changes[index]
+                });
+                succeeded.push({ id, title, product: isDelete ? product : { ...product, ...changes[index] } });
+                continue;
+            }
+            failed.push({ id, title, error: result.reason });
+        }
+
+        onProgress?.(Math.min(start + batchSize, products.length), products.length);
+    }
+
+    if (succeeded.length > 0) invalidateProductQueries();
+    return { succeeded, failed };
+};
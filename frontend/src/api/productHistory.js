@@ -0,0 +1,91 @@
+import { addHistoryPoint, normalizeHistory } from '../utils/productHistory';
+
+const STORAGE_PREFIX = 'product-dash:history:';
+// Kept per tab so a reload doesn't start a new visit
+const VISIT_KEY = 'product-dash:visit-started-at';
+
+const EMPTY_POINTS = [];
+
+const readVisitStart = (now) => {
+    try {
+        const stored = Number(sessionStorage.getItem(VISIT_KEY));
+        if (stored > 0) return stored;
+        sessionStorage.setItem(VISIT_KEY, String(now));
+    } catch {
+        // No session storage: every page load is a visit
+    }
+    return now;
+};
+
+// Price, discount and stock history for a data source's products, saved in
+// localStorage (see utils/productHistory.js for the points). `record` takes
+// products fresh from the server. `visitStartedAt` is when this visit began,
+// to tell what changed since the previous one.
+// `getState`/`subscribe` expose { products: { id: points }, visitStartedAt }.
+export const createProductHistory = (sourceName, { now = Date.now } = {}) => {
+    const storageKey = `${STORAGE_PREFIX}${sourceName}`;
+    const listeners = new Set();
+
+    const load = () => {
+        try {
+            return normalizeHistory(JSON.parse(localStorage.getItem(storageKey)));
+        } catch {
+            return {};
+        }
+    };
+
+    let state = { products: load(), visitStartedAt: readVisitStart(now()) };
+
+    const record = (products) => {
+        const at = now();
+        let changed = false;
+        const next = { ...state.products };
+        products.forEach(product => {
+            if (product?.id == null) return;
+            const points = next[product.id] ?? EMPTY_POINTS;
+            const updated = addHistoryPoint(points, product, at);
+            if (updated === points) return;
+            next[product.id] = updated;
+            changed = true;
+        });
+        if (!changed) return;
+
+        state = { ...state, products: next };
+        try {
+            localStorage.setItem(storageKey, JSON.stringify(next));
+        } catch (err) {
+            console.error('Error saving product history:', err);
+        }
+        listeners.forEach(listener => listener());
+    };
+
+    return {
+        record,
+        getState: () => state,
+        subscribe: (listener) => {
+            listeners.add(listener);
+            return () => listeners.delete(listener);
+        }
+    };
+};
+
+const LIST_READS = ['getProducts', 'getProductsByCategory'];
+
+// Wraps a data source so every product it returns is recorded in `history`
+export const withProductHistory = (source, history) => {
+    const recordList = method => async (...args) => {
+        const data = await source[method](...args);
+        history.record(data.products);
+        return data;
+    };
+
+    return {
+        ...source,
+        ...Object.fromEntries(LIST_READS.map(method => [method, recordList(method)])),
+        getProductById: async (...args) => {
+            const product = await source.getProductById(...args);
+            history.record([product]);
+            return product;
+        }
+    };
+};
@@ -0,0 +1,65 @@
+import { withNewProductDefaults } from '../utils/productValidation';
+import { isNetworkError } from './apiErrors';
+import { MUTATION_TYPES, nextTempId } from './offlineSource';
+import { invalidateProductQueries } from './productQueries';
+
+const DEFAULT_BATCH_SIZE = 10;
+
+// Queues a row for when the connection is back, like runBulkAction does.
+// Added rows show up under a temporary id until then.
+const queueImportRow = (source, row) => {
+    if (row.isUpdate) {
+        return source.queueMutation({
+            type: MUTATION_TYPES.UPDATE,
+            productId: row.id,
+            title: row.product.title ?? `#${row.id}`,
+            changes: row.product
+        });
+    }
+    const tempId = nextTempId();
+    return source.queueMutation({
+        type: MUTATION_TYPES.ADD,
+        productId: tempId,
+        title: row.product.title,
+        changes: row.product,
+        product: { ...withNewProductDefaults(row.product), id: tempId, isPending: true }
+    });
+};
+
+// Submits validated import rows in batches: rows with an id update that
+// product, the rest are added. `onProgress(done, total)` fires after each
+// batch. Resolves to { succeeded, failed: [{ rowNumber, error }] }, `error`
+// being the request's error (see describeApiError). Rows that fail for lack
+// of a connection count as succeeded when the source can queue them (see
+// createOfflineSource).
+export const submitImportRows = async (source, rows, { batchSize = DEFAULT_BATCH_SIZE, onProgress } = {}) => {
+    const failed = [];
+    let succeeded = 0;
+
+    for (let start = 0; start < rows.length; start += batchSize) {
+        const batch = rows.slice(start, start + batchSize);
+        const results = await Promise.allSettled(batch.map(row =>
+            row.isUpdate
+                ? source.updateProduct(row.id, row.product)
+                : source.addProduct(row.product)
+        ));
+
+        for (const [index, result] of results.entries()) {
+            if (result.status === 'fulfilled') {
+                succeeded++;
+                continue;
+            }
+            if (isNetworkError(result.reason) && source.queueMutation) {
+                await queueImportRow(source, batch[index]);
+                succeeded++;
+                continue;
+            }
+            failed.push({ rowNumber: batch[index].rowNumber, error: result.reason });
+        }
+
+        onProgress?.(Math.min(start + batchSize, rows.length), rows.length);
+    }
+
+    if (succeeded > 0) invalidateProductQueries();
+    return { succeeded, failed };
+};
@@ -0,0 +1,184 @@
+import { SERVER_SORT_OPTIONS, SORT_FIELDS } from '../constants/products';
+import { sortProducts } from '../utils/sortProducts';
+import { applyAdvancedFilters, hasAdvancedFilters } from '../utils/productFilters';
+import { applySearch, isEmptySearchQuery, parseSearchQuery } from '../utils/productSearch';
+import queryCache from './queryCache';
+import { isAbortError } from './apiErrors';
+import { withRetry } from './retry';
+
+// Every source read goes through the query cache, keyed by endpoint + params,
+// so identical requests share one round trip and cancel together. Transient
+// failures are retried with backoff before the error reaches the UI.
+const sourceQuery = (source, method, args, signal) =>
+    queryCache.fetchQuery(
+        ['source', source.name, method, ...args],
+        ({ signal: requestSignal }) => withRetry(
+            ({ signal: attemptSignal }) => source[method](...args, { signal: attemptSignal }),
+            { signal: requestSignal }
+        ),
+        { signal }
+    );
+
+// Every product in the given categories (limit=0 asks the API for all of
+// them); search is applied client-side over this set. The API's own search
+// only matches plain text, so a search downloads the whole catalog once - it's
+// cached and shared with the brand options, analytics and the search box.
+const fetchFullSet = async (source, { categories, signal }) => {
+    if (categories.length === 1) {
+        return (await sourceQuery(source, 'getProductsByCategory', [categories[0], { limit: 0 }], signal)).products;
+    }
+    if (categories.length > 1) {
+        const results = await Promise.all(
+            categories.map(category => sourceQuery(source, 'getProductsByCategory', [category, { limit: 0 }], signal))
+        );
+        // Keep the API's default id order across categories
+        return results.flatMap(data => data.products).sort((a, b) => a.id - b.id);
+    }
+    return (await sourceQuery(source, 'getProducts', [{ limit: 0 }], signal)).products;
+};
+
+// Marks cached results stale, e.g. after a product was added, edited or
+// deleted; they're refetched the next time they're read
+export const invalidateProductQueries = () => {
+    queryCache.invalidateQueries();
+};
+
+// Only the full result sets (limit=0), e.g. for a manual inventory check
+export const invalidateFullSetQueries = () => {
+    queryCache.invalidateQueries(key => key[0] === 'source' && key[key.length - 1]?.limit === 0);
+};
+
+export const fetchCategories = (source, { signal } = {}) =>
+    sourceQuery(source, 'getCategories', [], signal);
+
+export const fetchProductById = (source, id, { signal } = {}) =>
+    sourceQuery(source, 'getProductById', [String(id)], signal);
+
+// Several products by id, e.g. for the comparison view; one that fails to
+// load doesn't fail the rest. Resolves to [{ id, product, error }].
+export const fetchProductsById = async (source, ids, { signal } = {}) => {
+    const results = await Promise.allSettled(ids.map(id => fetchProductById(source, id, { signal })));
+    const aborted = results.find(result => result.status === 'rejected' && isAbortError(result.reason));
+    if (aborted) throw aborted.reason;
+
+    return results.map((result, index) => ({
+        id: ids[index],
+        product: result.status === 'fulfilled' ? result.value : null,
+        error: result.status === 'rejected' ? result.reason : null
+    }));
+};
+
+// Brand names for the brand filter, limited to the given categories
+export const fetchBrandOptions = async (source, categories = [], { signal } = {}) => {
+    const products = await fetchFullSet(source, { categories, signal });
+    const brands = new Set(products.map(p => p.brand).filter(Boolean));
+    return [...brands].sort((a, b) => a.localeCompare(b));
+};
+
+// Every product matching the filters, in display order (e.g. for exports)
+export const fetchAllProducts = async (source, { search, categories, filters, sorting = [], signal }) => {
+    const found = applySearch(await fetchFullSet(source, { categories, signal }), parseSearchQuery(search));
+    return sortProducts(applyAdvancedFilters(found, filters), sorting);
+};
+
+// Loads one page of products for the given filters. Sorting applies to the
+// whole result set: a single sort key is delegated to the source when it
+// supports `sortBy`/`order` and the key is one of SERVER_SORT_OPTIONS; other
+// sorts are done client-side over the full (cached) set.
+// Filters the API can't express (several categories, search syntax and fuzzy
+// matching, advanced filters) also go through the full set. Searches without
+// a sort are ordered by relevance.
+// Resolves to { products, total }.
+export const fetchProductPage = async (source, {
+    search,
+    categories,
+    filters,
+    sorting = [],
+    page,
+    pageSize,
+    signal
+}) => {
+    const skip = (page - 1) * pageSize;
+    const isSorted = sorting.length > 0;
+    const query = parseSearchQuery(search);
+    const needsFullSet =
+        categories.length > 1 ||
+        !isEmptySearchQuery(query) ||
+        hasAdvancedFilters(filters) ||
+        sorting.length > 1 ||
+        (isSorted && (!source.supportsSorting || !SERVER_SORT_OPTIONS.includes(sorting[0].key)));
+
+    if (needsFullSet) {
+        const found = applySearch(await fetchFullSet(source, { categories, signal }), query);
+        const products = sortProducts(applyAdvancedFilters(found, filters), sorting);
+        return {
+            products: products.slice(skip, skip + pageSize),
+            total: products.length
+        };
+    }
+
+    const params = { limit: pageSize, skip };
+    if (isSorted) {
+        params.sortBy = SORT_FIELDS[sorting[0].key];
+        params.order = sorting[0].order;
+    }
+
+    const data = categories.length === 1
+        ? await sourceQuery(source, 'getProductsByCategory', [categories[0], params], signal)
+        : await sourceQuery(source, 'getProducts', [params], signal);
+
+    return { products: data.products, total: data.total };
+};
+
+// Cache key for one page of results; `params` are fetchProductPage's options
+export const productPageQueryKey = (source, params) => ['productPage', source.name, params];
+
+// Loads a page into the cache ahead of time (e.g. the next page)
+export const prefetchProductPage = (source, params) => {
+    queryCache.prefetchQuery(
+        productPageQueryKey(source, params),
+        ({ signal }) => fetchProductPage(source, { ...params, signal })
+    );
+};
+
+// Cache key for the first `pageCount` pages as one list (infinite scrolling);
+// `params` are fetchProductPage's options without `page`
+export const productRangeQueryKey = (source, params, pageCount) =>
+    ['productRange', source.name, params, pageCount];
+
+const fetchCachedPage = (source, params, signal) =>
+    queryCache.fetchQuery(
+        productPageQueryKey(source, params),
+        ({ signal: requestSignal }) => fetchProductPage(source, { ...params, signal: requestSignal }),
+        { signal }
+    );
+
+// Loads the first `pageCount` pages as one list. When the list one page
+// shorter is cached and fresh it's extended, so loading more only requests
+// the newest page and keeps optimistic edits to rows already shown.
+// Resolves to { products, total }.
+export const fetchProductRange = async (source, { pageCount, signal, ...params }) => {
+    const previous = pageCount > 1
+        ? queryCache.getQueryData(productRangeQueryKey(source, params, pageCount - 1))
+        : undefined;
+    const canExtend = previous && !previous.isStale;
+    const firstPage = canExtend ? pageCount : 1;
+
+    const pages = await Promise.all(
+        Array.from({ length: pageCount - firstPage + 1 }, (_, i) =>
+            fetchCachedPage(source, { ...params, page: firstPage + i }, signal))
+    );
+
+    // Rows can shift between pages if the data changed in between - drop repeats
+    const products = canExtend ? [...previous.data.products] : [];
+    const seen = new Set(products.map(product => product.id));
+    pages.forEach((page) => {
+        page.products.forEach((product) => {
+            if (seen.has(product.id)) return;
+            seen.add(product.id);
+            products.push(product);
+        });
+    });
+
+    return { products, total: pages[pages.length - 1].total };
+};
@@ -0,0 +1,46 @@
+import { createDummyJsonSource, DEFAULT_DUMMYJSON_URL, DEFAULT_TIMEOUT_MS } from './dummyJsonSource';
+import { createLocalSource } from './localSource';
+import { createOfflineSource } from './offlineSource';
+import { createProductHistory, withProductHistory } from './productHistory';
+
+export const SOURCE_TYPES = {
+    DUMMYJSON: 'dummyjson',
+    LOCAL: 'local'
+};
+
+// Picks the product data source from Vite env config:
+//   VITE_PRODUCT_SOURCE      dummyjson (default) | local
+//   VITE_PRODUCT_API_URL     base URL for a DummyJSON-compatible backend
+//   VITE_PRODUCT_API_SORTING set to "false" if that backend can't sort
+//   VITE_PRODUCT_API_TIMEOUT_MS request timeout in milliseconds
+//   VITE_MOCK_LATENCY_MS     simulated latency for the local source
+export const createProductSource = (env = import.meta.env) => {
+    const type = env.VITE_PRODUCT_SOURCE || SOURCE_TYPES.DUMMYJSON;
+
+    switch (type) {
+        case SOURCE_TYPES.DUMMYJSON:
+            return createDummyJsonSource({
+                baseUrl: env.VITE_PRODUCT_API_URL || DEFAULT_DUMMYJSON_URL,
+                supportsSorting: env.VITE_PRODUCT_API_SORTING !== 'false',
+                timeout: Number(env.VITE_PRODUCT_API_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS
+            });
+        case SOURCE_TYPES.LOCAL:
+            return createLocalSource({
+                latency: Number(env.VITE_MOCK_LATENCY_MS) || 0
+            });
+        default:
+            throw new Error(
+                `Unknown VITE_PRODUCT_SOURCE "${type}". Expected one of: ${Object.values(SOURCE_TYPES).join(', ')}`
+            );
+    }
+};
+
+const serverSource = createProductSource();
+
+// Price and stock history of what the server returned (not offline snapshots)
+export const productHistory = createProductHistory(serverSource.name);
+
+// The app's source keeps a local snapshot so it keeps working offline
+const productSource = createOfflineSource(withProductHistory(serverSource, productHistory));
+
+export default productSource;
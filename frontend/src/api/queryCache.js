@@ -0,0 +1,158 @@
+// Small query cache: results keyed by endpoint + params with a staleness
+// window, shared in-flight requests, and AbortController-based cancellation
+// that only aborts a request once nobody is waiting for it.
+
+import { createAbortError } from './apiErrors';
+
+const DEFAULT_STALE_TIME_MS = 30 * 1000;
+const DEFAULT_MAX_ENTRIES = 200;
+
+export const hashQueryKey = (key) => JSON.stringify(key);
+
+export const createQueryCache = ({
+    staleTime: defaultStaleTime = DEFAULT_STALE_TIME_MS,
+    maxEntries = DEFAULT_MAX_ENTRIES
+} = {}) => {
+    // hash -> { key, data, updatedAt, isInvalidated, inFlight }
+    const entries = new Map();
+
+    const getEntry = (key) => {
+        const hash = hashQueryKey(key);
+        let entry = entries.get(hash);
+        if (entry) {
+            // Re-insert to keep Map order least-recently-used first
+            entries.delete(hash);
+        } else {
+            entry = { key, data: undefined, updatedAt: 0, isInvalidated: false, inFlight: null };
+        }
+        entries.set(hash, entry);
+
+        if (entries.size > maxEntries) {
+            const [oldestHash, oldest] = entries.entries().next().value;
+            if (!oldest.inFlight) entries.delete(oldestHash);
+        }
+        return entry;
+    };
+
+    const isStale = (entry, staleTime) =>
+        entry.isInvalidated || Date.now() - entry.updatedAt > staleTime;
+
+    const startRequest = (entry, fetcher) => {
+        const controller = new AbortController();
+        const inFlight = { controller, consumers: 0 };
+
+        inFlight.promise = fetcher({ signal: controller.signal }).then(
+            (data) => {
+                if (entry.inFlight === inFlight) {
+                    entry.data = data;
+                    entry.updatedAt = Date.now();
+                    entry.isInvalidated = false;
+                    entry.inFlight = null;
+                }
+                return data;
+            },
+            (err) => {
+                if (entry.inFlight === inFlight) entry.inFlight = null;
+                throw err;
+            }
+        );
+        // Consumers handle rejections; this keeps an abandoned request quiet
+        inFlight.promise.catch(() => {});
+
+        entry.inFlight = inFlight;
+        return inFlight;
+    };
+
+    // Waits on a shared request. Aborting `signal` detaches only this caller;
+    // the request itself is aborted when its last consumer leaves.
+    const join = (entry, inFlight, signal) => new Promise((resolve, reject) => {
+        let settled = false;
+        inFlight.consumers++;
+
+        const leave = () => {
+            settled = true;
+            inFlight.consumers--;
+            signal?.removeEventListener('abort', handleAbort);
+        };
+
+        function handleAbort() {
+            if (settled) return;
+            leave();
+            if (inFlight.consumers === 0) {
+                if (entry.inFlight === inFlight) entry.inFlight = null;
+                inFlight.controller.abort();
+            }
+            reject(createAbortError());
+        }
+
+        if (signal?.aborted) {
+            handleAbort();
+            return;
+        }
+        signal?.addEventListener('abort', handleAbort);
+
+        inFlight.promise.then(
+            (data) => {
+                if (settled) return;
+                leave();
+                resolve(data);
+            },
+            (err) => {
+                if (settled) return;
+                leave();
+                reject(err);
+            }
+        );
+    });
+
+    // Resolves with cached data while it's fresh, otherwise joins or starts a
+    // request. `force` skips the freshness check.
+    const fetchQuery = (key, fetcher, { signal, staleTime = defaultStaleTime, force = false } = {}) => {
+        const entry = getEntry(key);
+        if (!force && entry.updatedAt && !isStale(entry, staleTime)) {
+            return Promise.resolve(entry.data);
+        }
+        const inFlight = entry.inFlight ?? startRequest(entry, fetcher);
+        return join(entry, inFlight, signal);
+    };
+
+    // Warms the cache in the background; failures are ignored
+    const prefetchQuery = (key, fetcher, options) => {
+        fetchQuery(key, fetcher, options).catch(() => {});
+    };
+
+    // { data, updatedAt, isStale } for cached keys, undefined otherwise
+    const getQueryData = (key, { staleTime = defaultStaleTime } = {}) => {
+        const entry = entries.get(hashQueryKey(key));
+        if (!entry || !entry.updatedAt) return undefined;
+        return { data: entry.data, updatedAt: entry.updatedAt, isStale: isStale(entry, staleTime) };
+    };
+
+    // Replaces cached data (e.g. optimistic updates); returns the new value
+    const setQueryData = (key, updater) => {
+        const entry = entries.get(hashQueryKey(key));
+        if (!entry || !entry.updatedAt) return undefined;
+        entry.data = typeof updater === 'function' ? updater(entry.data) : updater;
+        return entry.data;
+    };
+
+    // Marks matching entries stale so their next read refetches. Requests
+    // already running may carry outdated data, so they're detached too.
+    const invalidateQueries = (predicate = () => true) => {
+        entries.forEach((entry) => {
+            if (!predicate(entry.key)) return;
+            entry.isInvalidated = true;
+            entry.inFlight = null;
+        });
+    };
+
+    const clear = () => {
+        entries.clear();
+    };
+
+    return { fetchQuery, prefetchQuery, getQueryData, setQueryData, invalidateQueries, clear };
+};
+
+const queryCache = createQueryCache();
+
+export default queryCache;
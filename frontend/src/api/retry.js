@@ -0,0 +1,47 @@
+import { createAbortError, isRetryableError } from './apiErrors';
+
+const DEFAULT_RETRIES = 3;
+const DEFAULT_BASE_DELAY_MS = 500;
+const DEFAULT_MAX_DELAY_MS = 8000;
+
+// Resolves after `ms`, or rejects with an AbortError as soon as `signal` aborts
+export const wait = (ms, signal) => new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+        reject(createAbortError());
+        return;
+    }
+
+    const handleAbort = () => {
+        clearTimeout(timer);
+        reject(createAbortError());
+    };
+    const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', handleAbort);
+        resolve();
+    }, ms);
+    signal?.addEventListener('abort', handleAbort, { once: true });
+});
+
+// Exponential backoff with jitter: ~base, ~2x base, ~4x base... capped at max
+export const getBackoffDelay = (attempt, { baseDelay = DEFAULT_BASE_DELAY_MS, maxDelay = DEFAULT_MAX_DELAY_MS } = {}) => {
+    const delay = Math.min(maxDelay, baseDelay * 2 ** attempt);
+    return Math.round(delay / 2 + Math.random() * (delay / 2));
+};
+
+// Runs `task({ signal })`, retrying transient failures with backoff. Aborting
+// `signal` stops waiting between attempts.
+export const withRetry = async (task, {
+    signal,
+    retries = DEFAULT_RETRIES,
+    shouldRetry = isRetryableError,
+    ...backoff
+} = {}) => {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await task({ signal });
+        } catch (err) {
+            if (attempt >= retries || signal?.aborted || !shouldRetry(err)) throw err;
+            await wait(getBackoffDelay(attempt, backoff), signal);
+        }
+    }
+};
@@ -0,0 +1,189 @@
+import React, { useEffect, useState } from 'react';
+import { useI18n } from '../hooks/useI18n';
+import { BASE_CURRENCY } from '../utils/currency';
+import { formatCategory } from '../utils/productDisplay';
+import { parseProductFieldInput, validateProduct } from '../utils/productValidation';
+
+const EMPTY_FORM = {
+    title: '',
+    description: '',
+    category: '',
+    brand: '',
+    price: '',
+    discountPercentage: '0',
+    stock: ''
+};
+
+const inputClass = (hasError) =>
+    `w-full px-3 py-2 border rounded-lg outline-none focus:ring-2 ${
+        hasError ? 'border-danger focus:ring-danger/40' : 'border-line-strong focus:ring-accent'
+    }`;
+
+const FormField = ({ id, label, error, children }) => (
+    <div>
+        <label htmlFor={id} className="block text-sm font-medium text-fg-muted mb-1">{label}</label>
+        {children}
+        {error && <p className="mt-1 text-xs text-danger">{error}</p>}
+    </div>
+);
+
+const AddProductModal = ({ categories, onSubmit, onClose }) => {
+    const { t } = useI18n();
+    const [form, setForm] = useState(EMPTY_FORM);
+    const [errors, setErrors] = useState({});
+
+    useEffect(() => {
+        const handleKeyDown = (e) => {
+            if (e.key === 'Escape') onClose();
+        };
+
+        document.addEventListener('keydown', handleKeyDown);
+        return () => document.removeEventListener('keydown', handleKeyDown);
+    }, [onClose]);
+
+    const handleChange = (e) => {
+        const { name, value } = e.target;
+        setForm((current) => ({ ...current, [name]: value }));
+    };
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+
+        const product = Object.fromEntries(
+            Object.entries(form).map(([field, value]) => [field, parseProductFieldInput(field, value)])
+        );
+        const validationErrors = validateProduct(product, { t });
+        setErrors(validationErrors);
+        if (Object.keys(validationErrors).length > 0) return;
+
+        if (!product.brand) delete product.brand;
+        onSubmit(product);
+    };
+
+    return (
+        <div className="fixed inset-0 z-40 flex items-center justify-center p-4">
+            <div className="absolute inset-0 bg-black/40" onClick={onClose} aria-hidden="true"></div>
+            <form
+                role="dialog"
+                aria-modal="true"
+                aria-labelledby="add-product-title"
+                onSubmit={handleSubmit}
+                noValidate
+                className="relative w-full max-w-lg bg-surface rounded-lg shadow-xl p-6 space-y-4"
+            >
+                <h2 id="add-product-title" className="text-xl font-bold text-fg">{t('addProduct.title')}</h2>
+
+                <FormField id="new-title" label={t('columns.title')} error={errors.title}>
+                    <input
+                        id="new-title"
+                        name="title"
+                        value={form.title}
+                        onChange={handleChange}
+                        className={inputClass(errors.title)}
+                        autoFocus
+                    />
+                </FormField>
+
+                <FormField id="new-description" label={t('addProduct.description')} error={errors.description}>
+                    <textarea
+                        id="new-description"
+                        name="description"
+                        rows={3}
+                        value={form.description}
+                        onChange={handleChange}
+                        className={inputClass(errors.description)}
+                    />
+                </FormField>
+
+                <div className="grid grid-cols-2 gap-4">
+                    <FormField id="new-category" label={t('columns.category')} error={errors.category}>
+                        <select
+                            id="new-category"
+                            name="category"
+                            value={form.category}
+                            onChange={handleChange}
+                            className={`${inputClass(errors.category)} bg-surface`}
+                        >
+                            <option value="">{t('addProduct.chooseCategory')}</option>
+                            {categories.map((category) => (
+                                <option key={category} value={category}>
+                                    {formatCategory(category)}
+                                </option>
+                            ))}
+                        </select>
+                    </FormField>
+
+                    <FormField id="new-brand" label={t('columns.brand')} error={errors.brand}>
+                        <input
+                            id="new-brand"
+                            name="brand"
+                            value={form.brand}
+                            onChange={handleChange}
+                            className={inputClass(errors.brand)}
+                        />
+                    </FormField>
+                </div>
+
+                <div className="grid grid-cols-3 gap-4">
+                    <FormField id="new-price" label={t('table.editPrice', { currency: BASE_CURRENCY })} error={errors.price}>
+                        <input
+                            id="new-price"
+                            name="price"
+                            type="number"
+                            min="0"
+                            step="0.01"
+                            value={form.price}
+                            onChange={handleChange}
+                            className={inputClass(errors.price)}
+                        />
+                    </FormField>
+
+                    <FormField id="new-discount" label={t('addProduct.discount')} error={errors.discountPercentage}>
+                        <input
+                            id="new-discount"
+                            name="discountPercentage"
+                            type="number"
+                            min="0"
+                            max="100"
+                            step="0.01"
+                            value={form.discountPercentage}
+                            onChange={handleChange}
+                            className={inputClass(errors.discountPercentage)}
+                        />
+                    </FormField>
+
+                    <FormField id="new-stock" label={t('columns.stock')} error={errors.stock}>
+                        <input
+                            id="new-stock"
+                            name="stock"
+                            type="number"
+                            min="0"
+                            step="1"
+                            value={form.stock}
+                            onChange={handleChange}
+                            className={inputClass(errors.stock)}
+                        />
+                    </FormField>
+                </div>
+
+                <div className="flex justify-end gap-2 pt-2">
+                    <button
+                        type="button"
+                        onClick={onClose}
+                        className="px-4 py-2 bg-surface-strong text-fg-muted rounded-lg hover:bg-surface-stronger transition-colors"
+                    >
+                        {t('actions.cancel')}
+                    </button>
+                    <button
+                        type="submit"
+                        className="px-4 py-2 bg-accent text-on-accent rounded-lg hover:bg-accent-hover transition-colors"
+                    >
+                        {t('actions.addProduct')}
+                    </button>
+                </div>
+            </form>
+        </div>
+    );
+};
+
+export default AddProductModal;
@@ -0,0 +1,155 @@
+import React, { useState } from 'react';
+import {
+    AVAILABILITY_STATUSES,
+    MIN_RATING_OPTIONS,
+    STOCK_LEVELS
+} from '../constants/products';
+import { getStockLevelLabel } from '../utils/productFilters';
+import { BASE_CURRENCY } from '../utils/currency';
+import { useI18n } from '../hooks/useI18n';
+import MultiSelect from './MultiSelect';
+
+const labelClass = 'block text-sm font-medium text-fg-muted mb-1';
+const inputClass = 'w-full h-[42px] px-3 py-2 border border-line-strong rounded-lg focus:ring-2 focus:ring-accent focus:border-transparent outline-none bg-surface';
+
+const STOCK_LEVEL_ORDER = [STOCK_LEVELS.LOW, STOCK_LEVELS.MEDIUM, STOCK_LEVELS.HIGH];
+
+const toBound = (input) => {
+    const trimmed = input.trim();
+    if (trimmed === '') return null;
+    const number = Number(trimmed);
+    return Number.isFinite(number) && number >= 0 ? number : undefined;
+};
+
+// Edits a local draft and only applies it on blur or Enter, so typing
+// "150" doesn't run three queries. Remount (via key) to pick up outside changes.
+// Bounds are in the base currency, whatever currency prices are shown in.
+const PriceRangeFilter = ({ minPrice, maxPrice, onChange }) => {
+    const { t } = useI18n();
+    const [minDraft, setMinDraft] = useState(minPrice === null ? '' : String(minPrice));
+    const [maxDraft, setMaxDraft] = useState(maxPrice === null ? '' : String(maxPrice));
+
+    const min = toBound(minDraft);
+    const max = toBound(maxDraft);
+    const isInvalid = min === undefined || max === undefined || (min !== null && max !== null && min > max);
+
+    const commit = () => {
+        if (isInvalid || (min === minPrice && max === maxPrice)) return;
+        onChange({ minPrice: min, maxPrice: max });
+    };
+
+    const handleKeyDown = (e) => {
+        if (e.key === 'Enter') commit();
+    };
+
+    return (
+        <fieldset>
+            <legend className={labelClass}>{t('filters.priceRange', { currency: BASE_CURRENCY })}</legend>
+            <div className="flex items-center gap-2">
+                <input
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    placeholder={t('filters.min')}
+                    value={minDraft}
+                    onChange={(e) => setMinDraft(e.target.value)}
+                    onBlur={commit}
+                    onKeyDown={handleKeyDown}
+                    className={inputClass}
+                    aria-label={t('filters.minPrice')}
+                    aria-invalid={isInvalid}
+                />
+                <span className="text-fg-faint">–</span>
+                <input
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    placeholder={t('filters.max')}
+                    value={maxDraft}
+                    onChange={(e) => setMaxDraft(e.target.value)}
+                    onBlur={commit}
+                    onKeyDown={handleKeyDown}
+                    className={inputClass}
+                    aria-label={t('filters.maxPrice')}
+                    aria-invalid={isInvalid}
+                />
+            </div>
+            {isInvalid && (
+                <p className="mt-1 text-xs text-danger">{t('filters.invalidRange')}</p>
+            )}
+        </fieldset>
+    );
+};
+
+const AdvancedFilters = ({ filters, brandOptions, onChange }) => {
+    const { t } = useI18n();
+    const update = (changes) => onChange({ ...filters, ...changes });
+    // Keep selected brands listed even when the loaded options don't include them
+    const brandChoices = [...new Set([...brandOptions, ...filters.brands])];
+    const stockLevelOptions = STOCK_LEVEL_ORDER.map(level => ({ value: level, label: getStockLevelLabel(level, t) }));
+    const availabilityOptions = AVAILABILITY_STATUSES.map(status => ({
+        value: status,
+        label: t(`availability.${status}`, { defaultValue: status })
+    }));
+
+    return (
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-5 gap-4 mt-4 pt-4 border-t border-line-soft">
+            <PriceRangeFilter
+                key={`${filters.minPrice}-${filters.maxPrice}`}
+                minPrice={filters.minPrice}
+                maxPrice={filters.maxPrice}
+                onChange={update}
+            />
+
+            <div>
+                <label htmlFor="min-rating" className={labelClass}>{t('filters.minRating')}</label>
+                <select
+                    id="min-rating"
+                    value={filters.minRating ?? ''}
+                    onChange={(e) => update({ minRating: e.target.value === '' ? null : Number(e.target.value) })}
+                    className={inputClass}
+                >
+                    <option value="">{t('filters.anyRating')}</option>
+                    {MIN_RATING_OPTIONS.map(rating => (
+                        <option key={rating} value={rating}>{t('filters.ratingOption', { rating })}</option>
+                    ))}
+                </select>
+            </div>
+
+            <div>
+                <label htmlFor="stock-levels" className={labelClass}>{t('filters.stockLevel')}</label>
+                <MultiSelect
+                    id="stock-levels"
+                    options={stockLevelOptions}
+                    selected={filters.stockLevels}
+                    onChange={(stockLevels) => update({ stockLevels })}
+                    placeholder={t('filters.anyStock')}
+                />
+            </div>
+
+            <div>
+                <label htmlFor="brands" className={labelClass}>{t('filters.brands')}</label>
+                <MultiSelect
+                    id="brands"
+                    options={brandChoices.map(brand => ({ value: brand, label: brand }))}
+                    selected={filters.brands}
+                    onChange={(brands) => update({ brands })}
+                    placeholder={t('filters.allBrands')}
+                />
+            </div>
+
+            <div>
+                <label htmlFor="availability" className={labelClass}>{t('filters.availability')}</label>
+                <MultiSelect
+                    id="availability"
+                    options={availabilityOptions}
+                    selected={filters.availability}
+                    onChange={(availability) => update({ availability })}
+                    placeholder={t('filters.anyStatus')}
+                />
+            </div>
+        </div>
+    );
+};
+
+export default AdvancedFilters;
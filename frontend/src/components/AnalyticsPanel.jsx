@@ -0,0 +1,219 @@
+import React, { useMemo } from 'react';
+import { STOCK_LEVELS } from '../constants/products';
+import { useI18n } from '../hooks/useI18n';
+import { computeAnalytics } from '../utils/productAnalytics';
+import { getStockLevelLabel } from '../utils/productFilters';
+import { formatCategory } from '../utils/productDisplay';
+
+const WHOLE_AMOUNT = { maximumFractionDigits: 0 };
+const COMPACT_AMOUNT = { notation: 'compact' };
+const TWO_DECIMALS = { minimumFractionDigits: 2, maximumFractionDigits: 2 };
+
+// Scatter plot geometry (SVG user units)
+const PLOT = { width: 480, height: 260, padding: 36 };
+
+// Sub-components
+const ChartCard = ({ title, children, className = '' }) => (
+    <figure className={`bg-surface rounded-lg shadow-md p-4 ${className}`}>
+        <figcaption className="text-sm font-semibold text-fg-muted mb-3">{title}</figcaption>
+        {children}
+    </figure>
+);
+
+const SummaryCard = ({ label, value, colorClass = 'text-fg' }) => (
+    <div className="bg-surface rounded-lg shadow-md p-4">
+        <p className="text-sm text-fg-muted">{label}</p>
+        <p className={`text-2xl font-bold ${colorClass}`}>{value}</p>
+    </div>
+);
+
+const Histogram = ({ bins }) => {
+    const { t, formatPrice, formatNumber } = useI18n();
+    const maxCount = Math.max(1, ...bins.map(bin => bin.count));
+    const formatBinLabel = (bin) =>
+        t('analytics.priceBin', { min: formatPrice(bin.min, WHOLE_AMOUNT), max: formatPrice(bin.max, WHOLE_AMOUNT) });
+
+    return (
+        <div className="flex items-end gap-1 h-48" role="img" aria-label={t('analytics.histogramLabel')}>
+            {bins.map((bin) => (
+                <div key={bin.min} className="flex-1 flex flex-col items-center justify-end h-full min-w-0">
+                    <span className="text-xs text-fg-muted">{bin.count ? formatNumber(bin.count) : ''}</span>
+                    <div
+                        className="w-full bg-accent rounded-t"
+                        style={{ height: `${(bin.count / maxCount) * 80}%` }}
+                        title={t('analytics.binCount', { range: formatBinLabel(bin), count: bin.count })}
+                    ></div>
+                    <span className="mt-1 text-[10px] text-fg-subtle truncate w-full text-center">
+                        {formatBinLabel(bin)}
+                    </span>
+                </div>
+            ))}
+        </div>
+    );
+};
+
+// One horizontal bar per row; `format` renders the value label
+const BarList = ({ rows, colorClass, format }) => {
+    const maxValue = Math.max(1, ...rows.map(row => row.value));
+
+    return (
+        <ul className="space-y-2">
+            {rows.map((row) => (
+                <li key={row.label} className="flex items-center gap-2 text-sm">
+                    <span className="w-28 shrink-0 truncate text-fg-muted" title={row.label}>{row.label}</span>
+                    <div className="flex-1 h-4 bg-surface-sunken rounded">
+                        <div
+                            className={`h-full rounded ${colorClass}`}
+                            style={{ width: `${(row.value / maxValue) * 100}%` }}
+                        ></div>
+                    </div>
+                    <span className="w-16 shrink-0 text-end text-fg-muted">{format(row.value)}</span>
+                </li>
+            ))}
+        </ul>
+    );
+};
+
+const ScatterPlot = ({ points }) => {
+    const { t, formatPercent, formatNumber } = useI18n();
+    const { width, height, padding } = PLOT;
+    const maxDiscount = Math.max(10, ...points.map(point => point.discount));
+    const x = (discount) => padding + (discount / maxDiscount) * (width - padding * 2);
+    const y = (rating) => height - padding - (rating / 5) * (height - padding * 2);
+
+    return (
+        <svg
+            viewBox={`0 0 ${width} ${height}`}
+            className="w-full h-auto"
+            role="img"
+            aria-label={t('analytics.scatterLabel')}
+        >
+            {/* Axes */}
+            <line x1={padding} y1={height - padding} x2={width - padding} y2={height - padding} className="stroke-line-strong" />
+            <line x1={padding} y1={padding} x2={padding} y2={height - padding} className="stroke-line-strong" />
+            {[0, 1, 2, 3, 4, 5].map((rating) => (
+                <text key={rating} x={padding - 8} y={y(rating) + 4} textAnchor="end" className="fill-fg-subtle text-[10px]">
+                    {rating}
+                </text>
+            ))}
+            {[0, 0.25, 0.5, 0.75, 1].map((fraction) => (
+                <text
+                    key={fraction}
+                    x={x(fraction * maxDiscount)}
+                    y={height - padding + 14}
+                    textAnchor="middle"
+                    className="fill-fg-subtle text-[10px]"
+                >
+                    {formatPercent(fraction * maxDiscount)}
+                </text>
+            ))}
+            <text x={width / 2} y={height - 4} textAnchor="middle" className="fill-fg-muted text-[11px]">{t('columns.discount')}</text>
+            <text x={10} y={padding - 12} className="fill-fg-muted text-[11px]">{t('columns.rating')}</text>
+
+            {points.map((point) => (
+                <circle
+                    key={point.id}
+                    cx={x(point.discount)}
+                    cy={y(point.rating)}
+                    r="4"
+                    className="fill-accent/60 stroke-accent-strong"
+                >
+                    <title>
+                        {t('analytics.point', {
+                            title: point.title,
+                            discount: formatPercent(point.discount),
+                            rating: formatNumber(point.rating, { minimumFractionDigits: 1, maximumFractionDigits: 1 })
+                        })}
+                    </title>
+                </circle>
+            ))}
+        </svg>
+    );
+};
+
+const AnalyticsPanel = ({ products, isLoading, error }) => {
+    const { t, formatPrice, formatNumber } = useI18n();
+    const analytics = useMemo(() => computeAnalytics(products), [products]);
+
+    if (isLoading) {
+        return <p className="py-6 text-center text-fg-subtle">{t('analytics.loading')}</p>;
+    }
+    if (error) {
+        return <p className="py-6 text-center text-danger">{error}</p>;
+    }
+    if (analytics.count === 0) {
+        return <p className="py-6 text-center text-fg-subtle">{t('analytics.empty')}</p>;
+    }
+
+    const categoryLabel = (summary) => formatCategory(summary.category);
+
+    return (
+        <div className="space-y-4">
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                <SummaryCard
+                    label={t('analytics.inventoryValue')}
+                    value={formatPrice(analytics.inventoryValue, WHOLE_AMOUNT)}
+                    colorClass="text-accent"
+                />
+                <SummaryCard
+                    label={t('category.averageRating')}
+                    value={`★ ${formatNumber(analytics.averageRating, TWO_DECIMALS)}`}
+                    colorClass="text-rating"
+                />
+                <SummaryCard label={t('category.lowStock')} value={formatNumber(analytics.lowStockCount)} colorClass="text-danger" />
+                <SummaryCard
+                    label={t('availability.Out of Stock')}
+                    value={formatNumber(analytics.outOfStockCount)}
+                    colorClass="text-warning"
+                />
+            </div>
+
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+                <ChartCard title={t('analytics.priceDistribution', { count: analytics.count })}>
+                    <Histogram bins={analytics.priceHistogram} />
+                </ChartCard>
+
+                <ChartCard title={t('analytics.discountVsRating')}>
+                    <ScatterPlot points={analytics.discountVsRating} />
+                </ChartCard>
+
+                <ChartCard title={t('analytics.ratingByCategory')}>
+                    <BarList
+                        rows={analytics.categories.map(summary => ({ label: categoryLabel(summary), value: summary.averageRating }))}
+                        colorClass="bg-rating"
+                        format={value => formatNumber(value, TWO_DECIMALS)}
+                    />
+                </ChartCard>
+
+                <ChartCard title={t('analytics.stockByCategory')}>
+                    <BarList
+                        rows={analytics.categories.map(summary => ({ label: categoryLabel(summary), value: summary.averageStock }))}
+                        colorClass="bg-success"
+                        format={value => formatNumber(value, WHOLE_AMOUNT)}
+                    />
+                </ChartCard>
+
+                <ChartCard title={t('analytics.valueByCategory')}>
+                    <BarList
+                        rows={analytics.categories.map(summary => ({ label: categoryLabel(summary), value: summary.inventoryValue }))}
+                        colorClass="bg-accent"
+                        format={value => formatPrice(value, COMPACT_AMOUNT)}
+                    />
+                </ChartCard>
+
+                <ChartCard title={t('analytics.byStockLevel')}>
+                    <BarList
+                        rows={[STOCK_LEVELS.LOW, STOCK_LEVELS.MEDIUM, STOCK_LEVELS.HIGH].map(level => ({
+                            label: getStockLevelLabel(level, t),
+                            value: analytics.stockLevelCounts[level]
+                        }))}
+                        colorClass="bg-danger"
+                        format={value => formatNumber(value)}
+                    />
+                </ChartCard>
+            </div>
+        </div>
+    );
+};
+
+export default AnalyticsPanel;
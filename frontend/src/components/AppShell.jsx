@@ -0,0 +1,105 @@
+import React from 'react';
+import { getSharedFilterQuery } from '../utils/filterParams';
+import { ROUTES, buildPath } from '../utils/routes';
+import { useRoute } from '../hooks/useRoute';
+import { useOfflineSync } from '../hooks/useOfflineSync';
+import { useI18n } from '../hooks/useI18n';
+import CategoriesPage from './CategoriesPage';
+import CategoryPage from './CategoryPage';
+import Link from './Link';
+import LocaleSettings from './LocaleSettings';
+import NotFoundPage from './NotFoundPage';
+import OfflineBanner from './OfflineBanner';
+import Page1 from './Page1';
+import ProductDetailPage from './ProductDetailPage';
+import ProductGridPage from './ProductGridPage';
+import ThemeSelect from './ThemeSelect';
+
+// Top-level navigation; `activeOn` lists the routes that highlight the item
+const NAV_ITEMS = [
+    { name: ROUTES.TABLE, labelKey: 'nav.table', activeOn: [ROUTES.TABLE] },
+    { name: ROUTES.GRID, labelKey: 'nav.grid', activeOn: [ROUTES.GRID] },
+    { name: ROUTES.CATEGORIES, labelKey: 'nav.categories', activeOn: [ROUTES.CATEGORIES, ROUTES.CATEGORY] }
+];
+
+// Sub-components
+const NavBar = ({ route, filterQuery }) => {
+    const { t } = useI18n();
+    // The current view's own link keeps everything as it is (page, open drawer)
+    const hrefFor = name => (name === route.name ? `${route.pathname}${route.search}` : buildPath(name, {}, filterQuery));
+
+    return (
+        <nav className="bg-surface border-b border-line" aria-label={t('nav.label')}>
+            <div className="max-w-7xl mx-auto px-6 py-3 flex flex-wrap items-center justify-between gap-4">
+                <div className="flex flex-wrap items-center gap-6">
+                    <Link to={hrefFor(ROUTES.TABLE)} className="text-lg font-bold text-fg">
+                        {t('nav.brand')}
+                    </Link>
+                    <ul className="flex gap-1">
+                        {NAV_ITEMS.map(({ name, labelKey, activeOn }) => {
+                            const isActive = activeOn.includes(route.name);
+                            return (
+                                <li key={name}>
+                                    <Link
+                                        to={hrefFor(name)}
+                                        aria-current={isActive ? 'page' : undefined}
+                                        className={`px-3 py-2 rounded-lg text-sm font-medium transition-colors ${
+                                            isActive ? 'bg-accent-soft/50 text-accent-strong' : 'text-fg-muted hover:bg-surface-sunken hover:text-fg'
+                                        }`}
+                                    >
+                                        {t(labelKey)}
+                                    </Link>
+                                </li>
+                            );
+                        })}
+                    </ul>
+                </div>
+                <div className="flex items-center gap-2">
+                    <ThemeSelect />
+                    <LocaleSettings />
+                </div>
+            </div>
+        </nav>
+    );
+};
+
+// Navigation plus the page for the current URL. Filters live in the query
+// string, so every link between views carries the shared ones along (see
+// getSharedFilterQuery). Edits made offline are sent from here, whichever
+// view is open when the connection returns.
+const AppShell = () => {
+    const route = useRoute();
+    useOfflineSync();
+    const filterQuery = getSharedFilterQuery(route.search);
+
+    let page;
+    switch (route.name) {
+        case ROUTES.TABLE:
+            page = <Page1 />;
+            break;
+        case ROUTES.GRID:
+            page = <ProductGridPage />;
+            break;
+        case ROUTES.CATEGORIES:
+            page = <CategoriesPage filterQuery={filterQuery} />;
+            break;
+        case ROUTES.CATEGORY:
+            page = <CategoryPage key={route.params.category} category={route.params.category} search={route.search} />;
+            break;
+        case ROUTES.PRODUCT:
+            page = <ProductDetailPage key={route.params.id} productId={route.params.id} search={route.search} />;
+            break;
+        default:
+            page = <NotFoundPage />;
+    }
+
+    return (
+        <>
+            <NavBar route={route} filterQuery={filterQuery} />
+            <OfflineBanner />
+            <main>{page}</main>
+        </>
+    );
+};
+
+export default AppShell;
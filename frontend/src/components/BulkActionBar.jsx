@@ -0,0 +1,68 @@
+import React from 'react';
+import { BULK_ACTIONS } from '../api/productBulk';
+import { useI18n } from '../hooks/useI18n';
+import { PAGE_SELECTION } from '../hooks/useProductSelection';
+
+const ACTION_BUTTONS = [BULK_ACTIONS.DISCOUNT, BULK_ACTIONS.STOCK, BULK_ACTIONS.CATEGORY, BULK_ACTIONS.EXPORT];
+
+// Selection summary, "select all matching" and the bulk actions
+const BulkActionBar = ({
+    selectedCount,
+    totalCount,
+    pageSelection,
+    isSelectingAll,
+    onSelectAllMatching,
+    onClear,
+    onAction
+}) => {
+    const { t } = useI18n();
+    const allMatchingSelected = selectedCount >= totalCount;
+
+    return (
+        <div
+            className="mb-4 flex flex-col lg:flex-row lg:items-center justify-between gap-3 px-4 py-3 bg-accent-subtle border border-accent-line rounded-lg"
+            role="region"
+            aria-label={t('bulk.label')}
+        >
+            <div className="text-sm text-accent-strong" aria-live="polite">
+                <span className="font-medium">{t('bulk.selected', { count: selectedCount })}</span>
+                {pageSelection === PAGE_SELECTION.ALL && !allMatchingSelected && (
+                    <>
+                        {' · '}
+                        <button
+                            onClick={onSelectAllMatching}
+                            disabled={isSelectingAll}
+                            className="font-medium underline hover:text-accent-strong disabled:opacity-50"
+                        >
+                            {isSelectingAll ? t('bulk.selecting') : t('bulk.selectAllMatching', { count: totalCount })}
+                        </button>
+                    </>
+                )}
+                {' · '}
+                <button onClick={onClear} className="underline hover:text-accent-strong">
+                    {t('bulk.clear')}
+                </button>
+            </div>
+
+            <div className="flex flex-wrap items-center gap-2">
+                {ACTION_BUTTONS.map(action => (
+                    <button
+                        key={action}
+                        onClick={() => onAction(action)}
+                        className="px-3 py-1.5 text-sm bg-surface border border-line-strong text-fg-muted rounded-lg hover:bg-surface-sunken transition-colors"
+                    >
+                        {t(`bulk.action.${action}`)}
+                    </button>
+                ))}
+                <button
+                    onClick={() => onAction(BULK_ACTIONS.DELETE)}
+                    className="px-3 py-1.5 text-sm bg-danger text-on-danger rounded-lg hover:bg-danger-hover transition-colors"
+                >
+                    {t('bulk.action.delete')}
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default BulkActionBar;
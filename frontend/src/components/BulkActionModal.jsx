@@ -0,0 +1,399 @@
+import React, { useEffect, useState } from 'react';
+import productSource from '../api/productSource';
+import {
+    BULK_ACTIONS,
+    STOCK_ADJUST_MODES,
+    getBulkChanges,
+    runBulkAction
+} from '../api/productBulk';
+import { useI18n } from '../hooks/useI18n';
+import { describeApiError } from '../utils/i18n';
+import { EXPORT_FORMATS, EXPORT_FORMAT_LABELS, exportProducts } from '../utils/productExport';
+import { formatCategory } from '../utils/productDisplay';
+import { validateProductField } from '../utils/productValidation';
+
+const STEPS = {
+    INPUT: 'input',
+    CONFIRM: 'confirm',
+    RUNNING: 'running',
+    DONE: 'done'
+};
+
+// Rows listed in the confirmation preview
+const PREVIEW_LIMIT = 50;
+
+// Before -> after for one product in the preview; `i18n` is useI18n()'s result
+const formatChange = (action, product, value, { t, formatNumber, formatPercent }) => {
+    const changes = getBulkChanges(action, product, value);
+    switch (action) {
+        case BULK_ACTIONS.DISCOUNT:
+            return t('bulk.change', {
+                from: formatPercent(product.discountPercentage ?? 0),
+                to: formatPercent(changes.discountPercentage)
+            });
+        case BULK_ACTIONS.STOCK:
+            return t('bulk.change', { from: formatNumber(product.stock), to: formatNumber(changes.stock) });
+        case BULK_ACTIONS.CATEGORY:
+            return t('bulk.change', {
+                from: formatCategory(product.category),
+                to: formatCategory(changes.category)
+            });
+        default:
+            return '';
+    }
+};
+
+// Parses and validates the form for the chosen action:
+// { value } when valid, { error } otherwise
+const readActionValue = (action, form, t) => {
+    switch (action) {
+        case BULK_ACTIONS.DISCOUNT: {
+            const discount = form.discount.trim() === '' ? NaN : Number(form.discount);
+            const error = validateProductField('discountPercentage', discount, t);
+            return error ? { error } : { value: discount };
+        }
+        case BULK_ACTIONS.STOCK: {
+            const amount = form.stockAmount.trim() === '' ? NaN : Number(form.stockAmount);
+            if (form.stockMode === STOCK_ADJUST_MODES.SET) {
+                const error = validateProductField('stock', amount, t);
+                return error ? { error } : { value: { mode: form.stockMode, amount } };
+            }
+            return Number.isInteger(amount) && amount !== 0
+                ? { value: { mode: form.stockMode, amount } }
+                : { error: t('bulk.stockAmountInvalid') };
+        }
+        case BULK_ACTIONS.CATEGORY:
+            return form.category ? { value: form.category } : { error: t('bulk.categoryRequired') };
+        case BULK_ACTIONS.EXPORT:
+            return { value: form.format };
+        default:
+            return { value: null };
+    }
+};
+
+const describeAction = (action, value, count, t) => {
+    switch (action) {
+        case BULK_ACTIONS.DISCOUNT:
+            return t('bulk.confirm.discount', { count, discount: value });
+        case BULK_ACTIONS.STOCK:
+            if (value.mode === STOCK_ADJUST_MODES.SET) return t('bulk.confirm.setStock', { count, stock: value.amount });
+            return t(value.amount > 0 ? 'bulk.confirm.addStock' : 'bulk.confirm.removeStock', {
+                count,
+                units: Math.abs(value.amount)
+            });
+        case BULK_ACTIONS.CATEGORY:
+            return t('bulk.confirm.category', { count, category: formatCategory(value) });
+        case BULK_ACTIONS.DELETE:
+            return t('bulk.confirm.delete', { count });
+        case BULK_ACTIONS.EXPORT:
+            return t('bulk.confirm.export', { count, format: EXPORT_FORMAT_LABELS[value] });
+        default:
+            return '';
+    }
+};
+
+// Sub-components
+const ActionForm = ({ action, form, categories, onChange }) => {
+    const { t } = useI18n();
+    const inputClass = 'w-full px-3 py-2 border border-line-strong rounded-lg outline-none focus:ring-2 focus:ring-accent';
+
+    switch (action) {
+        case BULK_ACTIONS.DISCOUNT:
+            return (
+                <label className="block text-sm text-fg-muted">
+                    {t('bulk.newDiscount')}
+                    <input
+                        type="number"
+                        min="0"
+                        max="100"
+                        step="0.01"
+                        value={form.discount}
+                        onChange={(e) => onChange('discount', e.target.value)}
+                        className={`mt-1 ${inputClass}`}
+                        autoFocus
+                    />
+                </label>
+            );
+        case BULK_ACTIONS.STOCK:
+            return (
+                <div className="space-y-3">
+                    <fieldset className="flex gap-4 text-sm text-fg-muted">
+                        <legend className="sr-only">{t('bulk.stockMode')}</legend>
+                        <label className="flex items-center gap-2">
+                            <input
+                                type="radio"
+                                name="stock-mode"
+                                checked={form.stockMode === STOCK_ADJUST_MODES.ADD}
+                                onChange={() => onChange('stockMode', STOCK_ADJUST_MODES.ADD)}
+                            />
+                            {t('bulk.stockMode.add')}
+                        </label>
+                        <label className="flex items-center gap-2">
+                            <input
+                                type="radio"
+                                name="stock-mode"
+                                checked={form.stockMode === STOCK_ADJUST_MODES.SET}
+                                onChange={() => onChange('stockMode', STOCK_ADJUST_MODES.SET)}
+                            />
+                            {t('bulk.stockMode.set')}
+                        </label>
+                    </fieldset>
+                    <label className="block text-sm text-fg-muted">
+                        {t(form.stockMode === STOCK_ADJUST_MODES.SET ? 'bulk.newStock' : 'bulk.stockAmount')}
+                        <input
+                            type="number"
+                            step="1"
+                            value={form.stockAmount}
+                            onChange={(e) => onChange('stockAmount', e.target.value)}
+                            className={`mt-1 ${inputClass}`}
+                            autoFocus
+                        />
+                    </label>
+                </div>
+            );
+        case BULK_ACTIONS.CATEGORY:
+            return (
+                <label className="block text-sm text-fg-muted">
+                    {t('bulk.newCategory')}
+                    <select
+                        value={form.category}
+                        onChange={(e) => onChange('category', e.target.value)}
+                        className={`mt-1 bg-surface ${inputClass}`}
+                    >
+                        <option value="">{t('bulk.chooseCategory')}</option>
+                        {categories.map((category) => (
+                            <option key={category} value={category}>{formatCategory(category)}</option>
+                        ))}
+                    </select>
+                </label>
+            );
+        case BULK_ACTIONS.EXPORT:
+            return (
+                <fieldset className="space-y-1 text-sm text-fg-muted">
+                    <legend className="mb-1">{t('bulk.format')}</legend>
+                    {Object.values(EXPORT_FORMATS).map((format) => (
+                        <label key={format} className="flex items-center gap-2">
+                            <input
+                                type="radio"
+                                name="bulk-export-format"
+                                checked={form.format === format}
+                                onChange={() => onChange('format', format)}
+                            />
+                            {EXPORT_FORMAT_LABELS[format]}
+                        </label>
+                    ))}
+                </fieldset>
+            );
+        default:
+            return null;
+    }
+};
+
+const ResultList = ({ title, items, className, renderItem }) => (
+    <details open={items.length <= 10} className="text-sm">
+        <summary className="cursor-pointer font-medium text-fg-muted">{title} ({items.length})</summary>
+        <ul className={`mt-2 max-h-48 overflow-y-auto rounded-lg border p-3 space-y-1 ${className}`}>
+            {items.map((item) => (
+                <li key={item.id}>{renderItem(item)}</li>
+            ))}
+        </ul>
+    </details>
+);
+
+// Input -> confirm -> run -> per-item results for one bulk action
+const BulkActionModal = ({ action, products, categories, onClose, onComplete }) => {
+    const i18n = useI18n();
+    const { t } = i18n;
+    const hasInput = action !== BULK_ACTIONS.DELETE;
+    const [step, setStep] = useState(hasInput ? STEPS.INPUT : STEPS.CONFIRM);
+    const [form, setForm] = useState({
+        discount: '',
+        stockMode: STOCK_ADJUST_MODES.ADD,
+        stockAmount: '',
+        category: '',
+        format: EXPORT_FORMATS.CSV
+    });
+    const [formError, setFormError] = useState(null);
+    const [value, setValue] = useState(null);
+    const [progress, setProgress] = useState({ done: 0, total: products.length });
+    const [result, setResult] = useState(null);
+
+    const isRunning = step === STEPS.RUNNING;
+
+    // Escape closes, except mid-run
+    useEffect(() => {
+        const handleKeyDown = (e) => {
+            if (e.key === 'Escape' && !isRunning) onClose();
+        };
+
+        document.addEventListener('keydown', handleKeyDown);
+        return () => document.removeEventListener('keydown', handleKeyDown);
+    }, [isRunning, onClose]);
+
+    const handleFormChange = (field, fieldValue) => {
+        setForm((current) => ({ ...current, [field]: fieldValue }));
+        setFormError(null);
+    };
+
+    const handleReview = (e) => {
+        e.preventDefault();
+        const parsed = readActionValue(action, form, t);
+        if (parsed.error) {
+            setFormError(parsed.error);
+            return;
+        }
+        setValue(parsed.value);
+        setStep(STEPS.CONFIRM);
+    };
+
+    const handleConfirm = async () => {
+        setStep(STEPS.RUNNING);
+
+        if (action === BULK_ACTIONS.EXPORT) {
+            try {
+                await exportProducts(products, value, 'products-selected');
+                setResult({ succeeded: products.map(({ id, title }) => ({ id, title })), failed: [] });
+            } catch (err) {
+                console.error('Error exporting products:', err);
+                setResult({ succeeded: [], failed: [{ id: 'export', title: t('bulk.title.export'), error: err }] });
+            }
+            setStep(STEPS.DONE);
+            return;
+        }
+
+        const summary = await runBulkAction(productSource, products, action, value, {
+            onProgress: (done, total) => setProgress({ done, total })
+        });
+        setResult(summary);
+        setStep(STEPS.DONE);
+        onComplete(action, summary);
+    };
+
+    const percent = progress.total ? Math.round((progress.done / progress.total) * 100) : 0;
+    const preview = products.slice(0, PREVIEW_LIMIT);
+
+    return (
+        <div className="fixed inset-0 z-40 flex items-center justify-center p-4">
+            <div
+                className="absolute inset-0 bg-black/40"
+                onClick={isRunning ? undefined : onClose}
+                aria-hidden="true"
+            ></div>
+            <div
+                role="dialog"
+                aria-modal="true"
+                aria-labelledby="bulk-action-title"
+                className="relative w-full max-w-2xl max-h-[90vh] overflow-y-auto bg-surface rounded-lg shadow-xl p-6 space-y-4"
+            >
+                <h2 id="bulk-action-title" className="text-xl font-bold text-fg">
+                    {t(`bulk.title.${action}`)}
+                    <span className="ms-2 text-sm font-normal text-fg-subtle">
+                        {t('bulk.selected', { count: products.length })}
+                    </span>
+                </h2>
+
+                {step === STEPS.INPUT && (
+                    <form id="bulk-action-form" onSubmit={handleReview} noValidate className="space-y-2">
+                        <ActionForm action={action} form={form} categories={categories} onChange={handleFormChange} />
+                        {formError && <p className="text-sm text-danger" role="alert">{formError}</p>}
+                    </form>
+                )}
+
+                {step === STEPS.CONFIRM && (
+                    <section className="space-y-3">
+                        <p className={`font-medium ${action === BULK_ACTIONS.DELETE ? 'text-danger-strong' : 'text-fg'}`}>
+                            {describeAction(action, value, products.length, t)}
+                        </p>
+                        <ul className="max-h-64 overflow-y-auto border border-line rounded-lg divide-y divide-line-soft text-sm">
+                            {preview.map((product) => (
+                                <li key={product.id} className="flex justify-between gap-4 px-3 py-2">
+                                    <span className="truncate text-fg-muted">{product.title}</span>
+                                    <span className="shrink-0 text-fg-subtle">{formatChange(action, product, value, i18n)}</span>
+                                </li>
+                            ))}
+                        </ul>
+                        {products.length > preview.length && (
+                            <p className="text-xs text-fg-subtle">{t('bulk.more', { count: products.length - preview.length })}</p>
+                        )}
+                    </section>
+                )}
+
+                {isRunning && (
+                    <div aria-live="polite">
+                        <p className="text-sm text-fg-muted mb-2">
+                            {t('bulk.processing', { done: progress.done, count: progress.total })}
+                        </p>
+                        <div
+                            className="w-full h-3 bg-surface-strong rounded-full overflow-hidden"
+                            role="progressbar"
+                            aria-valuemin={0}
+                            aria-valuemax={100}
+                            aria-valuenow={percent}
+                        >
+                            <div className="h-full bg-accent transition-all" style={{ width: `${percent}%` }}></div>
+                        </div>
+                    </div>
+                )}
+
+                {step === STEPS.DONE && result && (
+                    <div className="space-y-3" aria-live="polite">
+                        <p className="text-sm text-fg-muted">
+                            <span className="font-medium text-success-strong">{t('bulk.succeeded', { count: result.succeeded.length })}</span>
+                            {' • '}
+                            <span className="font-medium text-danger-strong">{t('bulk.failed', { count: result.failed.length })}</span>
+                        </p>
+                        {result.failed.length > 0 && (
+                            <ResultList
+                                title={t('bulk.failedList')}
+                                items={result.failed}
+                                className="border-danger-line bg-danger-subtle text-danger-strong"
+                                renderItem={(item) => `${item.title}: ${describeApiError(item.error, t)}`}
+                            />
+                        )}
+                        {result.succeeded.length > 0 && (
+                            <ResultList
+                                title={t('bulk.succeededList')}
+                                items={result.succeeded}
+                                className="border-success-line bg-success-subtle text-success-strong"
+                                renderItem={(item) => item.title}
+                            />
+                        )}
+                    </div>
+                )}
+
+                <div className="flex justify-end gap-2 pt-2">
+                    <button
+                        type="button"
+                        onClick={step === STEPS.CONFIRM && hasInput ? () => setStep(STEPS.INPUT) : onClose}
+                        disabled={isRunning}
+                        className="px-4 py-2 bg-surface-strong text-fg-muted rounded-lg hover:bg-surface-stronger transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                        {t(step === STEPS.DONE ? 'actions.close' : step === STEPS.CONFIRM && hasInput ? 'actions.back' : 'actions.cancel')}
+                    </button>
+                    {step === STEPS.INPUT && (
+                        <button
+                            type="submit"
+                            form="bulk-action-form"
+                            className="px-4 py-2 bg-accent text-on-accent rounded-lg hover:bg-accent-hover transition-colors"
+                        >
+                            {t('bulk.review')}
+                        </button>
+                    )}
+                    {step === STEPS.CONFIRM && (
+                        <button
+                            type="button"
+                            onClick={handleConfirm}
+                            className={`px-4 py-2 rounded-lg transition-colors ${
+                                action === BULK_ACTIONS.DELETE ? 'bg-danger text-on-danger hover:bg-danger-hover' : 'bg-accent text-on-accent hover:bg-accent-hover'
+                            }`}
+                        >
+                            {t(action === BULK_ACTIONS.DELETE ? 'bulk.delete' : 'bulk.confirm')}
+                        </button>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default BulkActionModal;
@@ -0,0 +1,124 @@
+import React, { useMemo } from 'react';
+import { computeAnalytics } from '../utils/productAnalytics';
+import { formatCategory } from '../utils/productDisplay';
+import { describeApiError } from '../utils/i18n';
+import { ROUTES, buildPath } from '../utils/routes';
+import { useCategories } from '../hooks/useCategories';
+import { useProductCatalog } from '../hooks/useProductCatalog';
+import { useI18n } from '../hooks/useI18n';
+import ErrorNotice from './ErrorNotice';
+import Link from './Link';
+import LoadingSpinner from './LoadingSpinner';
+
+const EMPTY_CATALOG = [];
+
+// Sub-components
+const CategoryTile = ({ category, summary, image, to }) => {
+    const { t, formatNumber } = useI18n();
+
+    return (
+        <Link
+            to={to}
+            className="group flex h-full bg-surface rounded-lg shadow-md overflow-hidden hover:shadow-lg transition-shadow"
+        >
+            <div className="w-28 shrink-0 bg-surface-sunken">
+                {image && <img src={image} alt="" className="w-full h-full object-contain" loading="lazy" />}
+            </div>
+            <div className="p-4 min-w-0">
+                <h2 className="font-semibold text-fg group-hover:text-accent truncate">
+                    {formatCategory(category)}
+                </h2>
+                <p className="mt-1 text-sm text-fg-muted">{t('categories.products', { count: summary?.count ?? 0 })}</p>
+                {summary && (
+                    <p className="mt-1 text-xs text-fg-subtle">
+                        <span className="text-rating" aria-hidden="true">★</span>{' '}
+                        {t('categories.averageRating', {
+                            rating: formatNumber(summary.averageRating, { maximumFractionDigits: 1, minimumFractionDigits: 1 })
+                        })}
+                        {' · '}
+                        {t('categories.totalStock', { count: summary.totalStock })}
+                    </p>
+                )}
+            </div>
+        </Link>
+    );
+};
+
+// Every category with its key figures, linking to the category pages.
+// `filterQuery` carries the shared filters along.
+const CategoriesPage = ({ filterQuery }) => {
+    const { t } = useI18n();
+    const {
+        categories,
+        error: categoriesError,
+        isLoading: isLoadingCategories,
+        isFetching: isFetchingCategories,
+        refetch: refetchCategories
+    } = useCategories();
+    const {
+        products: catalog = EMPTY_CATALOG,
+        error: catalogError,
+        isFetching: isFetchingCatalog,
+        refetch: refetchCatalog
+    } = useProductCatalog();
+
+    const summaries = useMemo(
+        () => new Map(computeAnalytics(catalog).categories.map(summary => [summary.category, summary])),
+        [catalog]
+    );
+
+    // First product with an image stands in for the category
+    const images = useMemo(() => {
+        const byCategory = new Map();
+        catalog.forEach((product) => {
+            if (!byCategory.has(product.category) && product.thumbnail) byCategory.set(product.category, product.thumbnail);
+        });
+        return byCategory;
+    }, [catalog]);
+
+    return (
+        <div className="min-h-screen bg-surface-muted p-6">
+            <div className="max-w-7xl mx-auto">
+                <header className="mb-6">
+                    <h1 className="text-3xl font-bold text-fg">{t('categories.title')}</h1>
+                    <p className="text-sm text-fg-subtle mt-1">{t('categories.subtitle')}</p>
+                </header>
+
+                {categoriesError && (
+                    <ErrorNotice
+                        title={t('filters.categoriesError')}
+                        message={describeApiError(categoriesError, t)}
+                        onRetry={refetchCategories}
+                        isRetrying={isFetchingCategories}
+                    />
+                )}
+                {catalogError && (
+                    <ErrorNotice
+                        title={t('categories.catalogFailed')}
+                        message={describeApiError(catalogError, t)}
+                        onRetry={refetchCatalog}
+                        isRetrying={isFetchingCatalog}
+                    />
+                )}
+
+                {isLoadingCategories && <LoadingSpinner label={t('categories.loading')} />}
+                {categories.length > 0 && (
+                    <ul className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4" aria-label={t('categories.title')}>
+                        {categories.map(category => (
+                            <li key={category}>
+                                <CategoryTile
+                                    category={category}
+                                    summary={summaries.get(category)}
+                                    image={images.get(category)}
+                                    to={buildPath(ROUTES.CATEGORY, { category }, filterQuery)}
+                                />
+                            </li>
+                        ))}
+                    </ul>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default CategoriesPage;
@@ -0,0 +1,188 @@
+import React, { useCallback, useEffect, useMemo } from 'react';
+import productSource from '../api/productSource';
+import { fetchAllProducts } from '../api/productQueries';
+import { SORT_OPTIONS, SORT_ORDER } from '../constants/products';
+import { getSharedFilterQuery } from '../utils/filterParams';
+import { DEFAULT_ADVANCED_FILTERS } from '../utils/productFilters';
+import { computeAnalytics, countByBrand } from '../utils/productAnalytics';
+import { formatCategory } from '../utils/productDisplay';
+import { sortProducts } from '../utils/sortProducts';
+import { describeApiError } from '../utils/i18n';
+import { ROUTES, buildPath } from '../utils/routes';
+import { useCategories } from '../hooks/useCategories';
+import { useInventorySettings } from '../hooks/useInventorySettings';
+import { useQuery } from '../hooks/useQuery';
+import { useI18n } from '../hooks/useI18n';
+import AnalyticsPanel from './AnalyticsPanel';
+import ErrorNotice from './ErrorNotice';
+import Link from './Link';
+import LoadingSpinner from './LoadingSpinner';
+import NotFoundPage from './NotFoundPage';
+import ProductCard from './ProductCard';
+import StatCard from './StatCard';
+
+const TOP_RATED_COUNT = 4;
+const TOP_BRAND_COUNT = 12;
+const BY_RATING = [{ key: SORT_OPTIONS.RATING, order: SORT_ORDER.DESC }];
+const EMPTY_PRODUCTS = [];
+
+// Landing page for one category: key figures, top-rated products, brands and
+// charts, with links into the table and grid filtered to the category.
+// `search` is the current query string; its shared filters carry over.
+const CategoryPage = ({ category, search }) => {
+    const { t, formatNumber, formatPrice } = useI18n();
+    const { getStockThresholds } = useInventorySettings();
+    const { categories, isLoading: isLoadingCategories } = useCategories();
+
+    const fetchCategoryProducts = useCallback(({ signal }) => fetchAllProducts(productSource, {
+        search: '',
+        categories: [category],
+        filters: DEFAULT_ADVANCED_FILTERS,
+        signal
+    }), [category]);
+
+    const {
+        data: products = EMPTY_PRODUCTS,
+        error,
+        isLoading,
+        isFetching,
+        refetch
+    } = useQuery(['categoryProducts', productSource.name, category], fetchCategoryProducts);
+
+    useEffect(() => {
+        if (error) console.error('Error fetching category products:', error);
+    }, [error]);
+
+    const analytics = useMemo(() => computeAnalytics(products), [products]);
+    const topRated = useMemo(() => sortProducts(products, BY_RATING).slice(0, TOP_RATED_COUNT), [products]);
+    const brands = useMemo(() => countByBrand(products), [products]);
+
+    // Unknown slug - only decidable once the category list has loaded
+    if (!isLoadingCategories && categories.length > 0 && !categories.includes(category)) {
+        return <NotFoundPage message={t('category.notFound', { category })} />;
+    }
+
+    const title = formatCategory(category);
+    const inCategory = (overrides = {}) => getSharedFilterQuery(search, { categoryFilters: [category], ...overrides });
+    const productQuery = inCategory();
+
+    return (
+        <div className="min-h-screen bg-surface-muted p-6">
+            <div className="max-w-7xl mx-auto">
+                <nav className="mb-2 text-sm" aria-label={t('nav.breadcrumb')}>
+                    <Link to={buildPath(ROUTES.CATEGORIES, {}, getSharedFilterQuery(search))} className="text-accent hover:underline">
+                        {t('nav.categories')}
+                    </Link>
+                    <span className="mx-2 text-fg-faint" aria-hidden="true">/</span>
+                    <span className="text-fg-muted" aria-current="page">{title}</span>
+                </nav>
+
+                <header className="mb-6 flex flex-col sm:flex-row sm:items-end justify-between gap-4">
+                    <div>
+                        <h1 className="text-3xl font-bold text-fg">{title}</h1>
+                        {!isLoading && (
+                            <p className="text-sm text-fg-subtle mt-1">
+                                {t('category.summary', { count: analytics.count, brands: brands.length })}
+                            </p>
+                        )}
+                    </div>
+                    <div className="flex gap-2">
+                        <Link
+                            to={buildPath(ROUTES.TABLE, {}, productQuery)}
+                            className="px-4 py-2 bg-accent text-on-accent rounded-lg hover:bg-accent-hover transition-colors"
+                        >
+                            {t('category.openTable')}
+                        </Link>
+                        <Link
+                            to={buildPath(ROUTES.GRID, {}, productQuery)}
+                            className="px-4 py-2 bg-surface border border-line-strong text-fg-muted rounded-lg hover:bg-surface-sunken transition-colors"
+                        >
+                            {t('category.openGrid')}
+                        </Link>
+                    </div>
+                </header>
+
+                {error && (
+                    <ErrorNotice
+                        title={t('category.loadFailed')}
+                        message={describeApiError(error, t)}
+                        onRetry={refetch}
+                        isRetrying={isFetching}
+                    />
+                )}
+
+                {isLoading && <LoadingSpinner />}
+
+                {!isLoading && !error && products.length === 0 && (
+                    <p className="py-12 text-center text-fg-subtle text-lg">{t('category.empty')}</p>
+                )}
+
+                {products.length > 0 && (
+                    <>
+                        {/* Key figures */}
+                        <section className="grid grid-cols-2 md:grid-cols-4 gap-4" aria-label={t('stats.label')}>
+                            <StatCard label={t('stats.total')} value={formatNumber(analytics.count)} colorClass="text-accent" />
+                            <StatCard label={t('category.averagePrice')} value={formatPrice(analytics.averagePrice)} />
+                            <StatCard
+                                label={t('category.averageRating')}
+                                value={`★ ${formatNumber(analytics.averageRating, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`}
+                                colorClass="text-warning"
+                            />
+                            <StatCard
+                                label={t('category.lowStock')}
+                                value={formatNumber(analytics.lowStockCount)}
+                                colorClass="text-danger"
+                            />
+                        </section>
+
+                        {/* Top rated */}
+                        <section className="mt-8" aria-labelledby="category-top-rated">
+                            <h2 id="category-top-rated" className="text-xl font-bold text-fg mb-4">{t('category.topRated')}</h2>
+                            <ul className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-6">
+                                {topRated.map(product => (
+                                    <li key={product.id}>
+                                        <ProductCard
+                                            product={product}
+                                            to={buildPath(ROUTES.PRODUCT, { id: product.id }, productQuery)}
+                                            stockThresholds={getStockThresholds(product.category)}
+                                        />
+                                    </li>
+                                ))}
+                            </ul>
+                        </section>
+
+                        {/* Brands */}
+                        {brands.length > 0 && (
+                            <section className="mt-8" aria-labelledby="category-brands">
+                                <h2 id="category-brands" className="text-xl font-bold text-fg mb-4">{t('category.brands')}</h2>
+                                <ul className="flex flex-wrap gap-2">
+                                    {brands.slice(0, TOP_BRAND_COUNT).map(({ brand, count }) => (
+                                        <li key={brand}>
+                                            <Link
+                                                to={buildPath(ROUTES.GRID, {}, inCategory({
+                                                    advancedFilters: { ...DEFAULT_ADVANCED_FILTERS, brands: [brand] }
+                                                }))}
+                                                className="inline-flex items-center gap-2 px-3 py-1 bg-surface border border-line-strong rounded-full text-sm text-fg-muted hover:bg-surface-sunken"
+                                            >
+                                                {brand}
+                                                <span className="text-xs text-fg-subtle">{formatNumber(count)}</span>
+                                            </Link>
+                                        </li>
+                                    ))}
+                                </ul>
+                            </section>
+                        )}
+
+                        {/* Analytics */}
+                        <section className="mt-8" aria-labelledby="category-analytics">
+                            <h2 id="category-analytics" className="text-xl font-bold text-fg mb-4">{t('category.analytics')}</h2>
+                            <AnalyticsPanel products={products} isLoading={false} error={null} />
+                        </section>
+                    </>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default CategoryPage;
@@ -0,0 +1,99 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useI18n } from '../hooks/useI18n';
+import { getColumn, isColumnHideable } from '../utils/productColumns';
+
+// Dropdown to show/hide table columns and change their order
+const ColumnChooser = ({ layout, onToggle, onShift, onReset }) => {
+    const { t } = useI18n();
+    const [isOpen, setIsOpen] = useState(false);
+    const containerRef = useRef(null);
+
+    useEffect(() => {
+        if (!isOpen) return undefined;
+
+        const handlePointerDown = (e) => {
+            if (!containerRef.current?.contains(e.target)) setIsOpen(false);
+        };
+        const handleKeyDown = (e) => {
+            if (e.key === 'Escape') setIsOpen(false);
+        };
+
+        document.addEventListener('mousedown', handlePointerDown);
+        document.addEventListener('keydown', handleKeyDown);
+        return () => {
+            document.removeEventListener('mousedown', handlePointerDown);
+            document.removeEventListener('keydown', handleKeyDown);
+        };
+    }, [isOpen]);
+
+    const visibleCount = layout.order.length - layout.hidden.length;
+
+    return (
+        <div className="relative" ref={containerRef}>
+            <button
+                onClick={() => setIsOpen(open => !open)}
+                className="px-4 py-2 bg-surface border border-line-strong text-fg-muted rounded-lg hover:bg-surface-sunken transition-colors"
+                aria-haspopup="dialog"
+                aria-expanded={isOpen}
+            >
+                {t('columnChooser.button', { count: visibleCount })}
+            </button>
+
+            {isOpen && (
+                <div
+                    role="dialog"
+                    aria-label={t('columnChooser.label')}
+                    className="absolute end-0 z-20 mt-1 w-72 bg-surface border border-line rounded-lg shadow-lg p-3"
+                >
+                    <p className="text-xs text-fg-subtle mb-2">{t('columnChooser.help')}</p>
+                    <ul className="max-h-80 overflow-y-auto space-y-1">
+                        {layout.order.map((id, index) => {
+                            const label = t(`columns.${id}`, { defaultValue: getColumn(id).label });
+                            const hideable = isColumnHideable(id);
+                            return (
+                                <li key={id} className="flex items-center gap-2 text-sm text-fg-muted">
+                                    <label className="flex flex-1 items-center gap-2">
+                                        <input
+                                            type="checkbox"
+                                            checked={!layout.hidden.includes(id)}
+                                            disabled={!hideable}
+                                            onChange={() => onToggle(id)}
+                                        />
+                                        {label}
+                                        {!hideable && <span className="text-xs text-fg-faint">{t('columnChooser.alwaysShown')}</span>}
+                                    </label>
+                                    <button
+                                        onClick={() => onShift(id, -1)}
+                                        disabled={index === 0}
+                                        className="px-1 text-fg-subtle rounded hover:bg-surface-sunken disabled:opacity-30"
+                                        aria-label={t('columnChooser.moveUp', { column: label })}
+                                    >
+                                        ↑
+                                    </button>
+                                    <button
+                                        onClick={() => onShift(id, 1)}
+                                        disabled={index === layout.order.length - 1}
+                                        className="px-1 text-fg-subtle rounded hover:bg-surface-sunken disabled:opacity-30"
+                                        aria-label={t('columnChooser.moveDown', { column: label })}
+                                    >
+                                        ↓
+                                    </button>
+                                </li>
+                            );
+                        })}
+                    </ul>
+                    <div className="mt-3 pt-3 border-t border-line-soft">
+                        <button
+                            onClick={onReset}
+                            className="px-3 py-1 text-sm text-fg-muted rounded-lg hover:bg-surface-sunken"
+                        >
+                            {t('columnChooser.reset')}
+                        </button>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default ColumnChooser;
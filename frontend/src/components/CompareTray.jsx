@@ -0,0 +1,57 @@
+import React from 'react';
+import { MAX_COMPARE_PRODUCTS } from '../constants/products';
+import { useI18n } from '../hooks/useI18n';
+
+// Bar pinned to the bottom of the page listing the products picked for
+// comparison; `items` are { id, title } (title is null until loaded)
+const CompareTray = ({ items, onRemove, onClear, onOpen }) => {
+    const { t } = useI18n();
+    return (
+        <div
+            className="fixed bottom-0 inset-x-0 z-30 bg-surface border-t border-line shadow-lg"
+            role="region"
+            aria-label={t('compareTray.label')}
+        >
+            <div className="max-w-7xl mx-auto px-6 py-3 flex flex-col md:flex-row md:items-center gap-3">
+                <span className="text-sm font-medium text-fg-muted shrink-0">
+                    {t('compareTray.count', { count: items.length, max: MAX_COMPARE_PRODUCTS })}
+                </span>
+                <ul className="flex flex-1 flex-wrap gap-2 min-w-0">
+                    {items.map(item => (
+                        <li
+                            key={item.id}
+                            className="flex items-center gap-1 max-w-60 ps-3 pe-1 py-1 bg-accent-subtle text-accent-strong text-sm rounded-full"
+                        >
+                            <span className="truncate">{item.title ?? t('compareTray.product', { id: item.id })}</span>
+                            <button
+                                onClick={() => onRemove(item.id)}
+                                className="px-1.5 rounded-full hover:bg-accent-soft"
+                                aria-label={t('table.uncompareLabel', { title: item.title ?? t('compareTray.product', { id: item.id }) })}
+                            >
+                                ✕
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+                <div className="flex items-center gap-2 shrink-0">
+                    <button
+                        onClick={onClear}
+                        className="px-3 py-1.5 text-sm text-fg-muted rounded-lg hover:bg-surface-sunken"
+                    >
+                        {t('compareTray.clear')}
+                    </button>
+                    <button
+                        onClick={onOpen}
+                        disabled={items.length < 2}
+                        className="px-4 py-1.5 text-sm bg-accent text-on-accent rounded-lg hover:bg-accent-hover transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                        title={items.length < 2 ? t('compareTray.pickTwo') : undefined}
+                    >
+                        {t('compareTray.open')}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default CompareTray;
@@ -0,0 +1,84 @@
+import React, { useState } from 'react';
+import { parseProductFieldInput, validateProductField } from '../utils/productValidation';
+import { useI18n } from '../hooks/useI18n';
+
+// Click-to-edit table cell. Enter or blur saves, Escape cancels; invalid
+// input stays in edit mode with the validation message.
+const EditableCell = ({ field, value, label, onSave, inputType = 'text', step, disabled = false, children }) => {
+    const { t } = useI18n();
+    const [isEditing, setIsEditing] = useState(false);
+    const [draft, setDraft] = useState('');
+    const [error, setError] = useState(null);
+
+    const startEditing = (e) => {
+        e.stopPropagation();
+        setDraft(String(value));
+        setError(null);
+        setIsEditing(true);
+    };
+
+    const cancel = () => {
+        setIsEditing(false);
+        setError(null);
+    };
+
+    const commit = () => {
+        const parsed = parseProductFieldInput(field, draft);
+        const validationError = validateProductField(field, parsed, t);
+        if (validationError) {
+            setError(validationError);
+            return;
+        }
+
+        setIsEditing(false);
+        if (parsed !== value) onSave(field, parsed);
+    };
+
+    const handleKeyDown = (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            commit();
+        } else if (e.key === 'Escape') {
+            // Keep Escape from also closing surrounding dialogs
+            e.stopPropagation();
+            cancel();
+        }
+    };
+
+    if (disabled) return children;
+
+    if (!isEditing) {
+        return (
+            <button
+                type="button"
+                onClick={startEditing}
+                className="max-w-full text-start rounded px-1 -mx-1 hover:bg-warning-soft/50 hover:ring-1 hover:ring-warning"
+                title={t('table.clickToEdit', { field: label.toLowerCase() })}
+            >
+                {children}
+            </button>
+        );
+    }
+
+    return (
+        <div onClick={(e) => e.stopPropagation()}>
+            <input
+                type={inputType}
+                step={step}
+                value={draft}
+                onChange={(e) => setDraft(e.target.value)}
+                onKeyDown={handleKeyDown}
+                onBlur={commit}
+                autoFocus
+                className={`w-full min-w-20 px-2 py-1 text-sm border rounded outline-none focus:ring-2 ${
+                    error ? 'border-danger focus:ring-danger' : 'border-line-strong focus:ring-accent'
+                }`}
+                aria-label={label}
+                aria-invalid={Boolean(error)}
+            />
+            {error && <p className="mt-1 text-xs text-danger" role="alert">{error}</p>}
+        </div>
+    );
+};
+
+export default EditableCell;
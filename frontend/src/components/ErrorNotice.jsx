@@ -0,0 +1,24 @@
+import React from 'react';
+import { useI18n } from '../hooks/useI18n';
+
+// Failed load with an in-place retry
+const ErrorNotice = ({ title, message, onRetry, isRetrying }) => {
+    const { t } = useI18n();
+    return (
+        <div className="mb-6 flex flex-col sm:flex-row sm:items-center justify-between gap-3 px-4 py-3 bg-danger-subtle border border-danger-line rounded-lg" role="alert">
+            <div>
+                <p className="font-medium text-danger-strong">{title}</p>
+                <p className="text-sm text-danger">{message}</p>
+            </div>
+            <button
+                onClick={onRetry}
+                disabled={isRetrying}
+                className="px-4 py-2 bg-accent text-on-accent rounded-lg hover:bg-accent-hover transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+                {t(isRetrying ? 'actions.retrying' : 'actions.retry')}
+            </button>
+        </div>
+    );
+};
+
+export default ErrorNotice;
@@ -0,0 +1,91 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useI18n } from '../hooks/useI18n';
+import { EXPORT_FORMATS, EXPORT_FORMAT_LABELS, EXPORT_SCOPES } from '../utils/productExport';
+
+const ExportMenu = ({ pageCount, totalCount, isExporting, onExport }) => {
+    const { t } = useI18n();
+    const [isOpen, setIsOpen] = useState(false);
+    const [scope, setScope] = useState(EXPORT_SCOPES.PAGE);
+    const containerRef = useRef(null);
+
+    useEffect(() => {
+        if (!isOpen) return undefined;
+
+        const handlePointerDown = (e) => {
+            if (!containerRef.current?.contains(e.target)) setIsOpen(false);
+        };
+        const handleKeyDown = (e) => {
+            if (e.key === 'Escape') setIsOpen(false);
+        };
+
+        document.addEventListener('mousedown', handlePointerDown);
+        document.addEventListener('keydown', handleKeyDown);
+        return () => {
+            document.removeEventListener('mousedown', handlePointerDown);
+            document.removeEventListener('keydown', handleKeyDown);
+        };
+    }, [isOpen]);
+
+    const handleExport = (format) => {
+        setIsOpen(false);
+        onExport(format, scope);
+    };
+
+    return (
+        <div className="relative" ref={containerRef}>
+            <button
+                onClick={() => setIsOpen(open => !open)}
+                disabled={isExporting || totalCount === 0}
+                className="px-4 py-2 bg-surface border border-line-strong text-fg-muted rounded-lg hover:bg-surface-sunken transition-colors disabled:cursor-not-allowed disabled:opacity-50"
+                aria-haspopup="menu"
+                aria-expanded={isOpen}
+            >
+                {isExporting ? t('export.exporting') : t('export.button')}
+            </button>
+
+            {isOpen && (
+                <div
+                    role="menu"
+                    className="absolute end-0 z-20 mt-1 w-64 bg-surface border border-line rounded-lg shadow-lg p-3"
+                >
+                    <fieldset className="space-y-1">
+                        <legend className="text-xs font-semibold text-fg-subtle uppercase tracking-wide mb-1">{t('export.rows')}</legend>
+                        <label className="flex items-center gap-2 text-sm text-fg-muted">
+                            <input
+                                type="radio"
+                                name="export-scope"
+                                checked={scope === EXPORT_SCOPES.PAGE}
+                                onChange={() => setScope(EXPORT_SCOPES.PAGE)}
+                            />
+                            {t('export.currentPage', { count: pageCount })}
+                        </label>
+                        <label className="flex items-center gap-2 text-sm text-fg-muted">
+                            <input
+                                type="radio"
+                                name="export-scope"
+                                checked={scope === EXPORT_SCOPES.ALL}
+                                onChange={() => setScope(EXPORT_SCOPES.ALL)}
+                            />
+                            {t('export.allResults', { count: totalCount })}
+                        </label>
+                    </fieldset>
+
+                    <div className="mt-3 pt-3 border-t border-line-soft flex flex-col gap-1">
+                        {Object.values(EXPORT_FORMATS).map(format => (
+                            <button
+                                key={format}
+                                role="menuitem"
+                                onClick={() => handleExport(format)}
+                                className="px-3 py-2 text-start text-sm text-fg-muted rounded-lg hover:bg-surface-sunken"
+                            >
+                                {t('export.download', { format: EXPORT_FORMAT_LABELS[format] })}
+                            </button>
+                        ))}
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default ExportMenu;
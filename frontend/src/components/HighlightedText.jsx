@@ -0,0 +1,26 @@
+import React from 'react';
+import { getHighlightRanges } from '../utils/productSearch';
+
+// `text` with the parts matching the parsed search `query` marked; `field`
+// picks up field terms such as title:"..."
+const HighlightedText = ({ text, query, field }) => {
+    const ranges = getHighlightRanges(text, query, field);
+    if (ranges.length === 0) return text;
+
+    const parts = [];
+    let position = 0;
+    ranges.forEach(([start, end]) => {
+        if (start > position) parts.push(text.slice(position, start));
+        parts.push(
+            <mark key={start} className="bg-highlight text-inherit rounded-sm">
+                {text.slice(start, end)}
+            </mark>
+        );
+        position = end;
+    });
+    if (position < text.length) parts.push(text.slice(position));
+
+    return <>{parts}</>;
+};
+
+export default HighlightedText;
@@ -0,0 +1,45 @@
+import React, { useCallback, useEffect, useMemo } from 'react';
+import { fetchCurrencyRates } from '../api/currencyRates';
+import { DEFAULT_CURRENCY_RATES } from '../utils/currency';
+import { createLocaleValue } from '../utils/i18n';
+import { I18nContext } from '../hooks/useI18n';
+import { useLocaleSettings } from '../hooks/useLocaleSettings';
+import { useQuery } from '../hooks/useQuery';
+
+// Provides the chosen language and currency (see hooks/useI18n.js) and keeps
+// the document's lang/dir in step. Prices stay in the base currency until
+// the rates file loads, or if it can't.
+const I18nProvider = ({ children }) => {
+    const [settings, setSettings] = useLocaleSettings();
+
+    const fetchRates = useCallback(({ signal }) => fetchCurrencyRates({ signal }), []);
+    const { data: rates = DEFAULT_CURRENCY_RATES, error: ratesError } = useQuery(['currencyRates'], fetchRates, {
+        staleTime: Infinity,
+        revalidateOnFocus: false
+    });
+
+    useEffect(() => {
+        if (ratesError) console.error('Error loading currency rates:', ratesError);
+    }, [ratesError]);
+
+    const value = useMemo(() => {
+        const [base, ...others] = Object.keys(rates.rates);
+        return {
+            ...createLocaleValue({ language: settings.language, currency: settings.currency, rates }),
+            currencies: [base, ...others.sort()],
+            rates,
+            ratesError,
+            setLanguage: language => setSettings(current => ({ ...current, language })),
+            setCurrency: currency => setSettings(current => ({ ...current, currency }))
+        };
+    }, [settings, rates, ratesError, setSettings]);
+
+    useEffect(() => {
+        document.documentElement.lang = value.language;
+        document.documentElement.dir = value.dir;
+    }, [value.language, value.dir]);
+
+    return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+};
+
+export default I18nProvider;
@@ -0,0 +1,294 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import productSource from '../api/productSource';
+import { submitImportRows } from '../api/productImport';
+import { useI18n } from '../hooks/useI18n';
+import { describeApiError } from '../utils/i18n';
+import {
+    IMPORT_FIELDS,
+    buildImportRows,
+    guessColumnMapping,
+    readImportFile
+} from '../utils/productImport';
+
+const STEPS = {
+    SELECT: 'select',
+    PREVIEW: 'preview',
+    SUBMITTING: 'submitting',
+    DONE: 'done'
+};
+
+const PREVIEW_FIELDS = ['title', 'category', 'price', 'discountPercentage', 'stock'];
+
+const formatPreviewValue = (value) => {
+    if (value === undefined) return '';
+    if (typeof value === 'number' && Number.isNaN(value)) return '?';
+    return String(value);
+};
+
+// Sub-components
+const ColumnMapping = ({ columns, mapping, onChange }) => {
+    const { t } = useI18n();
+    return (
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+            {columns.map((column) => (
+                <label key={column} className="flex items-center gap-2 text-sm">
+                    <span className="w-1/2 truncate text-fg-muted" title={column}>{column}</span>
+                    <select
+                        value={mapping[column]}
+                        onChange={(e) => onChange(column, e.target.value)}
+                        className="w-1/2 px-2 py-1 border border-line-strong rounded-lg bg-surface outline-none focus:ring-2 focus:ring-accent"
+                        aria-label={t('import.fieldFor', { column })}
+                    >
+                        <option value="">{t('import.ignore')}</option>
+                        {IMPORT_FIELDS.map((field) => (
+                            <option
+                                key={field.key}
+                                value={field.key}
+                                // One column per field
+                                disabled={mapping[column] !== field.key && Object.values(mapping).includes(field.key)}
+                            >
+                                {t(`import.field.${field.key}`, { defaultValue: field.label })}
+                            </option>
+                        ))}
+                    </select>
+                </label>
+            ))}
+        </div>
+    );
+};
+
+const PreviewTable = ({ rows }) => {
+    const { t } = useI18n();
+    return (
+        <div className="max-h-72 overflow-auto border border-line rounded-lg">
+            <table className="min-w-full text-sm">
+                <thead className="bg-surface-sunken text-fg-muted sticky top-0">
+                    <tr>
+                        <th className="px-3 py-2 text-start font-semibold">{t('import.row')}</th>
+                        <th className="px-3 py-2 text-start font-semibold">{t('import.action')}</th>
+                        {PREVIEW_FIELDS.map((field) => (
+                            <th key={field} className="px-3 py-2 text-start font-semibold">
+                                {t(`import.field.${field}`)}
+                            </th>
+                        ))}
+                        <th className="px-3 py-2 text-start font-semibold">{t('import.problems')}</th>
+                    </tr>
+                </thead>
+                <tbody className="divide-y divide-line-soft">
+                    {rows.map((row) => (
+                        <tr key={row.rowNumber} className={row.errors.length ? 'bg-danger-subtle' : 'bg-surface'}>
+                            <td className="px-3 py-2 text-fg-subtle">{row.rowNumber}</td>
+                            <td className="px-3 py-2">{row.isUpdate ? t('import.update', { id: row.id }) : t('import.add')}</td>
+                            {PREVIEW_FIELDS.map((field) => (
+                                <td key={field} className="px-3 py-2 max-w-40 truncate">
+                                    {formatPreviewValue(row.product[field])}
+                                </td>
+                            ))}
+                            <td className="px-3 py-2 text-danger-strong">
+                                {row.errors.length ? row.errors.join('; ') : <span className="text-success-strong">{t('import.ok')}</span>}
+                            </td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    );
+};
+
+const ImportProductsModal = ({ categories, onClose, onImported }) => {
+    const { t } = useI18n();
+    const [step, setStep] = useState(STEPS.SELECT);
+    const [fileName, setFileName] = useState('');
+    const [fileError, setFileError] = useState(null);
+    const [parsed, setParsed] = useState(null);
+    const [mapping, setMapping] = useState({});
+    const [showErrorsOnly, setShowErrorsOnly] = useState(false);
+    const [progress, setProgress] = useState({ done: 0, total: 0 });
+    const [result, setResult] = useState(null);
+
+    const isSubmitting = step === STEPS.SUBMITTING;
+
+    // Escape closes, except mid-submit
+    useEffect(() => {
+        const handleKeyDown = (e) => {
+            if (e.key === 'Escape' && !isSubmitting) onClose();
+        };
+
+        document.addEventListener('keydown', handleKeyDown);
+        return () => document.removeEventListener('keydown', handleKeyDown);
+    }, [isSubmitting, onClose]);
+
+    const rows = useMemo(
+        () => (parsed
+            ? buildImportRows(parsed.records, mapping, { categories, firstRowNumber: parsed.firstRowNumber, t })
+            : []),
+        [parsed, mapping, categories, t]
+    );
+    const validRows = rows.filter((row) => row.errors.length === 0);
+    const invalidCount = rows.length - validRows.length;
+    const visibleRows = showErrorsOnly ? rows.filter((row) => row.errors.length > 0) : rows;
+
+    const handleFileChange = async (e) => {
+        const file = e.target.files?.[0];
+        if (!file) return;
+
+        setFileName(file.name);
+        setFileError(null);
+        try {
+            const data = await readImportFile(file);
+            setParsed(data);
+            setMapping(guessColumnMapping(data.columns));
+            setStep(STEPS.PREVIEW);
+        } catch (err) {
+            setParsed(null);
+            setFileError(err.messageKey ? t(err.messageKey, err.messageValues) : err.message);
+        }
+    };
+
+    const handleMappingChange = (column, field) => {
+        setMapping((current) => ({ ...current, [column]: field }));
+    };
+
+    const handleSubmit = async () => {
+        setStep(STEPS.SUBMITTING);
+        setProgress({ done: 0, total: validRows.length });
+
+        const summary = await submitImportRows(productSource, validRows, {
+            onProgress: (done, total) => setProgress({ done, total })
+        });
+
+        setResult({ ...summary, skipped: invalidCount });
+        setStep(STEPS.DONE);
+        if (summary.succeeded > 0) onImported();
+    };
+
+    const percent = progress.total ? Math.round((progress.done / progress.total) * 100) : 0;
+
+    return (
+        <div className="fixed inset-0 z-40 flex items-center justify-center p-4">
+            <div
+                className="absolute inset-0 bg-black/40"
+                onClick={isSubmitting ? undefined : onClose}
+                aria-hidden="true"
+            ></div>
+            <div
+                role="dialog"
+                aria-modal="true"
+                aria-labelledby="import-products-title"
+                className="relative w-full max-w-4xl max-h-[90vh] overflow-y-auto bg-surface rounded-lg shadow-xl p-6 space-y-4"
+            >
+                <h2 id="import-products-title" className="text-xl font-bold text-fg">{t('import.title')}</h2>
+
+                {(step === STEPS.SELECT || step === STEPS.PREVIEW) && (
+                    <div>
+                        <label htmlFor="import-file" className="block text-sm font-medium text-fg-muted mb-1">
+                            {t('import.file')}
+                        </label>
+                        <input
+                            id="import-file"
+                            type="file"
+                            accept=".csv,.json,text/csv,application/json"
+                            onChange={handleFileChange}
+                            className="block w-full text-sm text-fg-muted file:me-4 file:px-4 file:py-2 file:rounded-lg file:border-0 file:bg-surface-strong file:text-fg-muted hover:file:bg-surface-stronger"
+                        />
+                        <p className="mt-1 text-xs text-fg-subtle">
+                            {t('import.fileHelp')}
+                        </p>
+                        {fileError && <p className="mt-2 text-sm text-danger" role="alert">{fileError}</p>}
+                    </div>
+                )}
+
+                {step === STEPS.PREVIEW && (
+                    <>
+                        <section>
+                            <h3 className="text-sm font-semibold text-fg-subtle uppercase tracking-wide mb-2">
+                                {t('import.mapColumns', { file: fileName })}
+                            </h3>
+                            <ColumnMapping columns={parsed.columns} mapping={mapping} onChange={handleMappingChange} />
+                        </section>
+
+                        <section>
+                            <div className="flex items-center justify-between mb-2">
+                                <p className="text-sm text-fg-muted">
+                                    <span className="font-medium text-success-strong">{t('import.ready', { count: validRows.length })}</span>
+                                    {' • '}
+                                    <span className={`font-medium ${invalidCount ? 'text-danger-strong' : 'text-fg-subtle'}`}>
+                                        {t('import.invalid', { count: invalidCount })}
+                                    </span>
+                                </p>
+                                <label className="flex items-center gap-2 text-sm text-fg-muted">
+                                    <input
+                                        type="checkbox"
+                                        checked={showErrorsOnly}
+                                        onChange={(e) => setShowErrorsOnly(e.target.checked)}
+                                    />
+                                    {t('import.errorsOnly')}
+                                </label>
+                            </div>
+                            <PreviewTable rows={visibleRows} />
+                        </section>
+                    </>
+                )}
+
+                {step === STEPS.SUBMITTING && (
+                    <div aria-live="polite">
+                        <p className="text-sm text-fg-muted mb-2">
+                            {t('import.progress', { done: progress.done, count: progress.total })}
+                        </p>
+                        <div
+                            className="w-full h-3 bg-surface-strong rounded-full overflow-hidden"
+                            role="progressbar"
+                            aria-valuemin={0}
+                            aria-valuemax={100}
+                            aria-valuenow={percent}
+                        >
+                            <div className="h-full bg-accent transition-all" style={{ width: `${percent}%` }}></div>
+                        </div>
+                    </div>
+                )}
+
+                {step === STEPS.DONE && result && (
+                    <div className="space-y-2" aria-live="polite">
+                        <p className="text-sm text-fg-muted">
+                            <span className="font-medium text-success-strong">{t('import.imported', { count: result.succeeded })}</span>
+                            {' • '}
+                            <span className="font-medium text-danger-strong">{t('bulk.failed', { count: result.failed.length })}</span>
+                            {' • '}
+                            <span className="text-fg-subtle">{t('import.skipped', { count: result.skipped })}</span>
+                        </p>
+                        {result.failed.length > 0 && (
+                            <ul className="max-h-48 overflow-y-auto text-sm text-danger-strong border border-danger-line bg-danger-subtle rounded-lg p-3 space-y-1">
+                                {result.failed.map((failure) => (
+                                    <li key={failure.rowNumber}>{t('import.rowError', { row: failure.rowNumber, message: describeApiError(failure.error, t) })}</li>
+                                ))}
+                            </ul>
+                        )}
+                    </div>
+                )}
+
+                <div className="flex justify-end gap-2 pt-2">
+                    <button
+                        type="button"
+                        onClick={onClose}
+                        disabled={isSubmitting}
+                        className="px-4 py-2 bg-surface-strong text-fg-muted rounded-lg hover:bg-surface-stronger transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                        {t(step === STEPS.DONE ? 'actions.close' : 'actions.cancel')}
+                    </button>
+                    {step === STEPS.PREVIEW && (
+                        <button
+                            type="button"
+                            onClick={handleSubmit}
+                            disabled={validRows.length === 0}
+                            className="px-4 py-2 bg-accent text-on-accent rounded-lg hover:bg-accent-hover transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                        >
+                            {t('import.submit', { count: validRows.length })}
+                        </button>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ImportProductsModal;
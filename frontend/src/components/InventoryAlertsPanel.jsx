@@ -0,0 +1,285 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useI18n } from '../hooks/useI18n';
+import { describeApiError } from '../utils/i18n';
+import { formatCategory, getStockColorClass } from '../utils/productDisplay';
+import { ALERT_LEVELS, DEFAULT_STOCK_THRESHOLDS, validateStockThresholds } from '../utils/inventoryAlerts';
+
+// Empty inputs are invalid rather than 0
+const toCount = (value) => (value.trim() === '' ? NaN : Number(value));
+
+// Sub-components
+const AlertItem = ({ alert, onSelect }) => {
+    const { t } = useI18n();
+    const { product, thresholds } = alert;
+    return (
+        <li>
+            <button
+                onClick={() => onSelect(product.id)}
+                className="w-full flex items-center justify-between gap-3 px-3 py-2 text-start rounded-lg hover:bg-surface-muted"
+            >
+                <span className="min-w-0">
+                    <span className="block text-sm font-medium text-fg truncate">{product.title}</span>
+                    <span className="block text-xs text-fg-subtle">{formatCategory(product.category)}</span>
+                </span>
+                <span className="text-end shrink-0">
+                    <span className={`block text-sm font-medium ${getStockColorClass(product.stock, thresholds)}`}>
+                        {t('alerts.left', { count: product.stock })}
+                    </span>
+                    <span className="block text-xs text-fg-subtle">{t('alerts.lowAt', { count: thresholds.medium })}</span>
+                </span>
+            </button>
+        </li>
+    );
+};
+
+const ThresholdRow = ({ category, thresholds, isCustom, onChange }) => {
+    const { t } = useI18n();
+    const [draft, setDraft] = useState(null);
+    const values = draft ?? { medium: String(thresholds.medium), high: String(thresholds.high) };
+    const parsed = { medium: toCount(values.medium), high: toCount(values.high) };
+    const error = draft ? validateStockThresholds(parsed, t) : null;
+    const isChanged = draft !== null && (parsed.medium !== thresholds.medium || parsed.high !== thresholds.high);
+
+    const handleFieldChange = (field, value) => {
+        setDraft({ ...values, [field]: value });
+    };
+
+    const handleSave = (e) => {
+        e.preventDefault();
+        if (error || !isChanged) return;
+        onChange(category, parsed);
+        setDraft(null);
+    };
+
+    const handleReset = () => {
+        onChange(category, null);
+        setDraft(null);
+    };
+
+    return (
+        <li>
+            <form onSubmit={handleSave} className="flex items-center gap-2 text-sm">
+                <span className={`flex-1 min-w-0 truncate ${isCustom ? 'font-medium text-fg' : 'text-fg-muted'}`}>
+                    {formatCategory(category)}
+                </span>
+                <input
+                    type="number"
+                    min="0"
+                    step="1"
+                    value={values.medium}
+                    onChange={(e) => handleFieldChange('medium', e.target.value)}
+                    className="w-16 px-2 py-1 border border-line-strong rounded"
+                    aria-label={t('alerts.lowThreshold', { category: formatCategory(category) })}
+                    aria-invalid={Boolean(error)}
+                />
+                <input
+                    type="number"
+                    min="0"
+                    step="1"
+                    value={values.high}
+                    onChange={(e) => handleFieldChange('high', e.target.value)}
+                    className="w-16 px-2 py-1 border border-line-strong rounded"
+                    aria-label={t('alerts.highThreshold', { category: formatCategory(category) })}
+                    aria-invalid={Boolean(error)}
+                />
+                <button
+                    type="submit"
+                    disabled={Boolean(error) || !isChanged}
+                    className="px-2 py-1 text-accent rounded hover:bg-accent-subtle disabled:opacity-40"
+                >
+                    {t('actions.save')}
+                </button>
+                <button
+                    type="button"
+                    onClick={handleReset}
+                    disabled={!isCustom && draft === null}
+                    className="px-2 py-1 text-fg-muted rounded hover:bg-surface-sunken disabled:opacity-40"
+                >
+                    {t('actions.reset')}
+                </button>
+            </form>
+            {error && <p className="mt-1 text-xs text-danger">{error}</p>}
+        </li>
+    );
+};
+
+// Side panel listing out-of-stock and low-stock products across the whole
+// catalog, with the per-category thresholds and notification settings
+const InventoryAlertsPanel = ({
+    alerts,
+    categories,
+    customThresholds,
+    getStockThresholds,
+    lastCheckedAt,
+    isChecking,
+    error,
+    browserNotifications,
+    onToggleNotifications,
+    onChangeThresholds,
+    onCheckNow,
+    onSelectProduct,
+    onClose
+}) => {
+    const { t, formatDate } = useI18n();
+    const [level, setLevel] = useState(ALERT_LEVELS.OUT_OF_STOCK);
+    const [notificationNote, setNotificationNote] = useState(null);
+    const closeButtonRef = useRef(null);
+
+    // Close on Escape and move focus into the panel
+    useEffect(() => {
+        const handleKeyDown = (e) => {
+            if (e.key === 'Escape') onClose();
+        };
+
+        closeButtonRef.current?.focus();
+        document.addEventListener('keydown', handleKeyDown);
+        return () => document.removeEventListener('keydown', handleKeyDown);
+    }, [onClose]);
+
+    const counts = {
+        [ALERT_LEVELS.OUT_OF_STOCK]: alerts.filter(alert => alert.level === ALERT_LEVELS.OUT_OF_STOCK).length,
+        [ALERT_LEVELS.LOW_STOCK]: alerts.filter(alert => alert.level === ALERT_LEVELS.LOW_STOCK).length
+    };
+    const visibleAlerts = alerts.filter(alert => alert.level === level);
+
+    const handleNotificationsChange = async (e) => {
+        setNotificationNote(null);
+        if (!e.target.checked) {
+            onToggleNotifications(false);
+            return;
+        }
+        if (!('Notification' in window)) {
+            setNotificationNote(t('alerts.notificationsUnsupported'));
+            return;
+        }
+
+        const permission = Notification.permission === 'default'
+            ? await Notification.requestPermission()
+            : Notification.permission;
+        if (permission === 'granted') {
+            onToggleNotifications(true);
+        } else {
+            setNotificationNote(t('alerts.notificationsBlocked'));
+        }
+    };
+
+    const handleSelect = (id) => {
+        onClose();
+        onSelectProduct(id);
+    };
+
+    return (
+        <div className="fixed inset-0 z-40 flex justify-end">
+            <div className="absolute inset-0 bg-black/40" onClick={onClose} aria-hidden="true"></div>
+            <aside
+                role="dialog"
+                aria-modal="true"
+                aria-labelledby="inventory-alerts-title"
+                className="relative w-full max-w-lg h-full bg-surface shadow-xl overflow-y-auto p-6"
+            >
+                <div className="flex items-start justify-between gap-4">
+                    <h2 id="inventory-alerts-title" className="text-2xl font-bold text-fg">{t('alerts.title')}</h2>
+                    <button
+                        ref={closeButtonRef}
+                        onClick={onClose}
+                        className="px-3 py-1 text-fg-subtle rounded-lg hover:bg-surface-sunken hover:text-fg-muted"
+                        aria-label={t('alerts.close')}
+                    >
+                        ✕
+                    </button>
+                </div>
+
+                <div className="mt-2 flex items-center justify-between gap-3 text-sm text-fg-subtle">
+                    <span aria-live="polite">
+                        {lastCheckedAt
+                            ? t('alerts.lastChecked', { time: formatDate(lastCheckedAt, { timeStyle: 'medium' }) })
+                            : t('alerts.checking')}
+                    </span>
+                    <button
+                        onClick={onCheckNow}
+                        disabled={isChecking}
+                        className="px-3 py-1 text-accent rounded-lg hover:bg-accent-subtle disabled:opacity-50"
+                    >
+                        {t(isChecking ? 'alerts.checkingNow' : 'alerts.checkNow')}
+                    </button>
+                </div>
+
+                {error && (
+                    <p className="mt-3 px-3 py-2 text-sm text-danger-strong bg-danger-subtle rounded-lg" role="alert">
+                        {t('alerts.checkFailed', { reason: describeApiError(error, t) })}
+                    </p>
+                )}
+
+                <div className="mt-4 flex gap-2" role="group" aria-label={t('alerts.level')}>
+                    {[ALERT_LEVELS.OUT_OF_STOCK, ALERT_LEVELS.LOW_STOCK].map(value => (
+                        <button
+                            key={value}
+                            onClick={() => setLevel(value)}
+                            aria-pressed={level === value}
+                            className={`px-3 py-1 text-sm rounded-lg border ${
+                                level === value
+                                    ? 'bg-inverse text-on-inverse border-inverse'
+                                    : 'bg-surface text-fg-muted border-line-strong hover:bg-surface-sunken'
+                            }`}
+                        >
+                            {t(`alerts.level.${value}`, { count: counts[value] })}
+                        </button>
+                    ))}
+                </div>
+
+                {visibleAlerts.length === 0 ? (
+                    <p className="mt-4 text-sm text-fg-subtle">
+                        {t(lastCheckedAt ? 'alerts.empty' : 'results.loading')}
+                    </p>
+                ) : (
+                    <ul className="mt-3 divide-y divide-line-soft">
+                        {visibleAlerts.map(alert => (
+                            <AlertItem key={alert.product.id} alert={alert} onSelect={handleSelect} />
+                        ))}
+                    </ul>
+                )}
+
+                <section className="mt-6 pt-4 border-t border-line" aria-label={t('alerts.settings')}>
+                    <label className="flex items-center gap-2 text-sm text-fg-muted">
+                        <input
+                            type="checkbox"
+                            checked={browserNotifications}
+                            onChange={handleNotificationsChange}
+                        />
+                        {t('alerts.browserNotifications')}
+                    </label>
+                    {notificationNote && <p className="mt-1 text-xs text-warning-strong">{notificationNote}</p>}
+
+                    <details className="mt-4">
+                        <summary className="cursor-pointer text-sm font-medium text-fg-muted">
+                            {t('alerts.thresholds')}
+                        </summary>
+                        <p className="mt-2 text-xs text-fg-subtle">
+                            {t('alerts.thresholdsHelp', {
+                                medium: DEFAULT_STOCK_THRESHOLDS.medium,
+                                high: DEFAULT_STOCK_THRESHOLDS.high
+                            })}
+                        </p>
+                        {categories.length === 0 ? (
+                            <p className="mt-2 text-sm text-fg-subtle">{t('alerts.noCategories')}</p>
+                        ) : (
+                            <ul className="mt-2 space-y-2">
+                                {categories.map(category => (
+                                    <ThresholdRow
+                                        key={category}
+                                        category={category}
+                                        thresholds={getStockThresholds(category)}
+                                        isCustom={Boolean(customThresholds[category])}
+                                        onChange={onChangeThresholds}
+                                    />
+                                ))}
+                            </ul>
+                        )}
+                    </details>
+                </section>
+            </aside>
+        </div>
+    );
+};
+
+export default InventoryAlertsPanel;
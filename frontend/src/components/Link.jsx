@@ -0,0 +1,24 @@
+import React from 'react';
+import { navigate } from '../hooks/useRoute';
+
+// Anchor that navigates within the app without a page load. Clicks that
+// should open a new tab or window keep the browser's default behaviour.
+const Link = ({ to, replace = false, onClick, children, ...props }) => {
+    const handleClick = (e) => {
+        onClick?.(e);
+        if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey || props.target) {
+            return;
+        }
+        e.preventDefault();
+        navigate(to, { replace });
+        window.scrollTo(0, 0);
+    };
+
+    return (
+        <a href={to} onClick={handleClick} {...props}>
+            {children}
+        </a>
+    );
+};
+
+export default Link;
@@ -0,0 +1,16 @@
+import React from 'react';
+import { useI18n } from '../hooks/useI18n';
+
+// Full-width spinner for a view that has nothing to show yet; `label`
+// defaults to the products message
+const LoadingSpinner = ({ label }) => {
+    const { t } = useI18n();
+    return (
+        <div className="text-center py-12">
+            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-accent mx-auto"></div>
+            <p className="mt-4 text-fg-subtle">{label ?? t('table.loading')}</p>
+        </div>
+    );
+};
+
+export default LoadingSpinner;
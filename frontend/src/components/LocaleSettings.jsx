@@ -0,0 +1,49 @@
+import React from 'react';
+import { useI18n } from '../hooks/useI18n';
+import { LANGUAGES } from '../utils/i18n';
+
+// Date-only values ("2026-10-01") are local dates, not UTC midnight
+const toLocalDate = (value) => (/^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T00:00:00` : value);
+
+const selectClass = 'h-[42px] px-2 py-2 border border-line-strong rounded-lg bg-surface text-sm text-fg-muted';
+
+// Language and currency pickers for the page header
+const LocaleSettings = () => {
+    const { t, locale, language, currency, currencies, rates, ratesError, setLanguage, setCurrency, formatDate } = useI18n();
+    const currencyNames = new Intl.DisplayNames(locale, { type: 'currency' });
+
+    let currencyNote;
+    if (ratesError) currencyNote = t('settings.ratesUnavailable', { currency });
+    else if (rates.updatedAt) currencyNote = t('settings.ratesAsOf', { date: formatDate(toLocalDate(rates.updatedAt)) });
+
+    return (
+        <div className="flex items-center gap-2">
+            <label className="sr-only" htmlFor="language">{t('settings.language')}</label>
+            <select
+                id="language"
+                value={language}
+                onChange={(e) => setLanguage(e.target.value)}
+                className={selectClass}
+            >
+                {Object.entries(LANGUAGES).map(([code, { label }]) => (
+                    <option key={code} value={code} lang={code}>{label}</option>
+                ))}
+            </select>
+
+            <label className="sr-only" htmlFor="currency">{t('settings.currency')}</label>
+            <select
+                id="currency"
+                value={currency}
+                onChange={(e) => setCurrency(e.target.value)}
+                className={`${selectClass} ${ratesError ? 'border-warning' : ''}`}
+                title={currencyNote}
+            >
+                {currencies.map(code => (
+                    <option key={code} value={code}>{code} · {currencyNames.of(code)}</option>
+                ))}
+            </select>
+        </div>
+    );
+};
+
+export default LocaleSettings;
@@ -0,0 +1,103 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useI18n } from '../hooks/useI18n';
+
+// Dropdown of checkboxes. `options` are { value, label } pairs; an empty
+// selection means "any".
+const MultiSelect = ({ id, options, selected, onChange, placeholder, disabled = false }) => {
+    const { t } = useI18n();
+    const [isOpen, setIsOpen] = useState(false);
+    const containerRef = useRef(null);
+
+    // Close when clicking outside or pressing Escape
+    useEffect(() => {
+        if (!isOpen) return undefined;
+
+        const handlePointerDown = (e) => {
+            if (!containerRef.current?.contains(e.target)) setIsOpen(false);
+        };
+        const handleKeyDown = (e) => {
+            if (e.key === 'Escape') setIsOpen(false);
+        };
+
+        document.addEventListener('mousedown', handlePointerDown);
+        document.addEventListener('keydown', handleKeyDown);
+        return () => {
+            document.removeEventListener('mousedown', handlePointerDown);
+            document.removeEventListener('keydown', handleKeyDown);
+        };
+    }, [isOpen]);
+
+    const toggleValue = (value) => {
+        onChange(
+            selected.includes(value)
+                ? selected.filter(item => item !== value)
+                : [...selected, value]
+        );
+    };
+
+    const selectedLabels = options
+        .filter(option => selected.includes(option.value))
+        .map(option => option.label);
+    const summary = selectedLabels.length === 0
+        ? placeholder ?? t('multiSelect.any')
+        : selectedLabels.length <= 2
+            ? selectedLabels.join(', ')
+            : t('multiSelect.selected', { count: selectedLabels.length });
+
+    return (
+        <div className="relative" ref={containerRef}>
+            <button
+                id={id}
+                type="button"
+                onClick={() => setIsOpen(open => !open)}
+                disabled={disabled}
+                className="w-full h-[42px] px-4 py-2 border border-line-strong rounded-lg focus:ring-2 focus:ring-accent focus:border-transparent outline-none bg-surface text-start flex items-center justify-between disabled:bg-surface-sunken disabled:text-fg-faint"
+                aria-haspopup="listbox"
+                aria-expanded={isOpen}
+            >
+                <span className={`truncate ${selectedLabels.length ? 'text-fg' : 'text-fg-subtle'}`}>
+                    {summary}
+                </span>
+                <span className="ms-2 text-fg-faint">▾</span>
+            </button>
+
+            {isOpen && (
+                <div
+                    role="listbox"
+                    aria-multiselectable="true"
+                    aria-labelledby={id}
+                    className="absolute z-20 mt-1 w-full max-h-64 overflow-y-auto bg-surface border border-line rounded-lg shadow-lg py-1"
+                >
+                    {options.length === 0 && (
+                        <p className="px-3 py-2 text-sm text-fg-subtle">{t('multiSelect.noOptions')}</p>
+                    )}
+                    {options.map(option => (
+                        <label
+                            key={option.value}
+                            className="flex items-center gap-2 px-3 py-2 text-sm text-fg-muted hover:bg-surface-muted cursor-pointer"
+                        >
+                            <input
+                                type="checkbox"
+                                checked={selected.includes(option.value)}
+                                onChange={() => toggleValue(option.value)}
+                                className="rounded"
+                            />
+                            {option.label}
+                        </label>
+                    ))}
+                    {selected.length > 0 && (
+                        <button
+                            type="button"
+                            onClick={() => onChange([])}
+                            className="w-full px-3 py-2 text-start text-sm text-accent hover:bg-surface-muted border-t border-line-soft"
+                        >
+                            {t('multiSelect.clear')}
+                        </button>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default MultiSelect;
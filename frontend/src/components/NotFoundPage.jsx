@@ -0,0 +1,27 @@
+import React from 'react';
+import { ROUTES, buildPath } from '../utils/routes';
+import { useI18n } from '../hooks/useI18n';
+import Link from './Link';
+
+// Shown for unknown URLs, and by routes whose category or product doesn't exist
+const NotFoundPage = ({ message }) => {
+    const { t } = useI18n();
+
+    return (
+        <div className="min-h-screen bg-surface-muted p-6">
+            <div className="max-w-xl mx-auto mt-16 text-center">
+                <p className="text-6xl font-bold text-fg-faint" aria-hidden="true">404</p>
+                <h1 className="mt-4 text-3xl font-bold text-fg">{t('notFound.title')}</h1>
+                <p className="mt-2 text-fg-muted">{message ?? t('notFound.message')}</p>
+                <Link
+                    to={buildPath(ROUTES.TABLE)}
+                    className="inline-block mt-6 px-4 py-2 bg-accent text-on-accent rounded-lg hover:bg-accent-hover transition-colors"
+                >
+                    {t('notFound.home')}
+                </Link>
+            </div>
+        </div>
+    );
+};
+
+export default NotFoundPage;
@@ -0,0 +1,61 @@
+import React from 'react';
+import productSource from '../api/productSource';
+import { useOfflineState } from '../hooks/useOfflineSync';
+import { useOnlineStatus } from '../hooks/useOnlineStatus';
+import { useI18n } from '../hooks/useI18n';
+
+const SAVED_AT_FORMAT = { dateStyle: 'medium', timeStyle: 'short' };
+
+// Connection status for every view: whether the data on screen comes from
+// the offline snapshot, and how many edits are waiting to be sent
+const OfflineBanner = () => {
+    const { t, formatDate } = useI18n();
+    const isOnline = useOnlineStatus();
+    const { isServingSnapshot, savedAt, pendingCount, isSyncing, syncFailures } = useOfflineState();
+
+    const messages = [];
+    if (!isOnline || isServingSnapshot) {
+        const reason = isOnline ? t('offline.unreachable') : t('offline.offline');
+        messages.push(isServingSnapshot && savedAt
+            ? `${reason} ${t('offline.showingCached', { time: formatDate(savedAt, SAVED_AT_FORMAT) })}`
+            : `${reason} ${t('offline.noCache')}`);
+    }
+    if (isSyncing) {
+        messages.push(t('offline.syncing', { count: pendingCount }));
+    } else if (pendingCount > 0) {
+        messages.push(t('offline.pending', { count: pendingCount }));
+    }
+
+    if (messages.length === 0 && syncFailures.length === 0) return null;
+
+    return (
+        <div className="max-w-7xl mx-auto px-6 pt-4 space-y-2">
+            {messages.length > 0 && (
+                <div className="px-4 py-3 bg-warning-subtle border border-warning-line text-warning-strong rounded-lg text-sm" role="status">
+                    {messages.join(' ')}
+                </div>
+            )}
+            {syncFailures.length > 0 && (
+                <div
+                    className="px-4 py-3 bg-danger-subtle border border-danger-line text-danger-strong rounded-lg text-sm flex items-start justify-between gap-4"
+                    role="alert"
+                >
+                    <span>
+                        {t('offline.syncFailed', {
+                            count: syncFailures.length,
+                            titles: t.formatList(syncFailures.map(failure => failure.title))
+                        })}
+                    </span>
+                    <button
+                        onClick={productSource.dismissSyncFailures}
+                        className="font-medium text-danger-strong hover:text-fg"
+                    >
+                        {t('offline.dismiss')}
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default OfflineBanner;
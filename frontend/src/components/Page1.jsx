@@ -1,594 +1,978 @@
-import React, { useEffect, useState, useMemo, useCallback } from 'react';
-import axios from 'axios';
-
- 
-const API_BASE_URL = 'https://dummyjson.com/products';
-const ITEMS_PER_PAGE = 10;
-
-const SORT_OPTIONS = {
-    DEFAULT: 'default',
-    PRICE: 'price',
-    RATING: 'rating',
-    STOCK: 'stock',
-    TITLE: 'title',
-    DISCOUNT: 'discount'
-};
-
-const SORT_ORDER = {
-    ASC: 'asc',
-    DESC: 'desc'
-};
-
-// Utility functions
-const capitalizeFirst = (str) => str.charAt(0).toUpperCase() + str.slice(1);
+import React, { useEffect, useState, useCallback, useMemo, useRef } from 'react';
+import productSource from '../api/productSource';
+import {
+    fetchAllProducts,
+    fetchProductPage,
+    fetchProductRange,
+    fetchProductsById,
+    invalidateProductQueries,
+    productPageQueryKey,
+    productRangeQueryKey
+} from '../api/productQueries';
+import { hashQueryKey } from '../api/queryCache';
+import { LIST_MODES, MAX_COMPARE_PRODUCTS, PAGE_SIZE_OPTIONS } from '../constants/products';
+import { parseFilterParams } from '../utils/filterParams';
+import { toggleSortKey } from '../utils/sortProducts';
+import { getViewFilters, normalizeViewName, toViewQuery } from '../utils/savedViews';
+import { describeApiError } from '../utils/i18n';
+import { EXPORT_SCOPES, exportProducts } from '../utils/productExport';
+import { useQuery } from '../hooks/useQuery';
+import { usePrefetchNextPage, useProductListFilters } from '../hooks/useProductListFilters';
+import { useColumnLayout } from '../hooks/useColumnLayout';
+import { useSavedViews } from '../hooks/useSavedViews';
+import { useListMode } from '../hooks/useListMode';
+import { useLoadedPageCount } from '../hooks/useLoadedPageCount';
+import { useScrollRestoration } from '../hooks/useScrollRestoration';
+import { useInventorySettings } from '../hooks/useInventorySettings';
+import { useInventoryAlerts } from '../hooks/useInventoryAlerts';
+import { useI18n } from '../hooks/useI18n';
+import { describeCrossings } from '../utils/inventoryAlerts';
+import { BULK_ACTIONS } from '../api/productBulk';
+import { PAGE_SELECTION, useProductSelection } from '../hooks/useProductSelection';
+import { TOAST_TYPES, useToasts } from '../hooks/useToasts';
+import { useProductMutations } from '../hooks/useProductMutations';
+import { useKeyboardShortcuts } from '../hooks/useKeyboardShortcuts';
+import { useProductHistory } from '../hooks/useProductHistory';
+import ProductDetailDrawer from './ProductDetailDrawer';
+import AddProductModal from './AddProductModal';
+import ToastStack from './ToastStack';
+import ExportMenu from './ExportMenu';
+import ImportProductsModal from './ImportProductsModal';
+import AnalyticsPanel from './AnalyticsPanel';
+import ProductTable from './ProductTable';
+import ProductFilterBar from './ProductFilterBar';
+import ColumnChooser from './ColumnChooser';
+import SavedViewsMenu from './SavedViewsMenu';
+import InventoryAlertsPanel from './InventoryAlertsPanel';
+import CompareTray from './CompareTray';
+import ProductComparison from './ProductComparison';
+import BulkActionBar from './BulkActionBar';
+import BulkActionModal from './BulkActionModal';
+import LoadingSpinner from './LoadingSpinner';
+import ErrorNotice from './ErrorNotice';
+import StatCard from './StatCard';
 
-const getStockColorClass = (stock) => {
-    if (stock > 50) return 'text-green-600';
-    if (stock > 20) return 'text-yellow-600';
-    return 'text-red-600';
+// Sub-components
+const NoResults = () => {
+    const { t } = useI18n();
+    return (
+        <div className="text-center py-12">
+            <p className="text-fg-subtle text-lg">{t('table.noResults')}</p>
+        </div>
+    );
 };
 
-const getStatusColorClass = (status) => {
-    return status === 'In Stock'
-        ? 'bg-green-100 text-green-700'
-        : 'bg-orange-100 text-orange-700';
+const LIST_MODE_LABEL_KEYS = {
+    [LIST_MODES.PAGES]: 'listMode.pages',
+    [LIST_MODES.INFINITE]: 'listMode.infinite'
 };
 
-// Sub-components
-const SortIcon = ({ column, sortBy, sortOrder }) => {
-    if (sortBy !== column) {
-        return <span className="text-gray-400 ml-1">↕</span>;
-    }
+const ListModeToggle = ({ mode, onChange }) => {
+    const { t } = useI18n();
     return (
-        <span className="ml-1 text-yellow-300">
-            {sortOrder === SORT_ORDER.ASC ? '↑' : '↓'}
-        </span>
+        <div className="inline-flex rounded-lg border border-line-strong overflow-hidden" role="group" aria-label={t('listMode.label')}>
+            {Object.values(LIST_MODES).map(value => (
+                <button
+                    key={value}
+                    onClick={() => onChange(value)}
+                    aria-pressed={mode === value}
+                    className={`px-3 py-1 text-sm transition-colors ${
+                        mode === value ? 'bg-accent text-on-accent' : 'bg-surface text-fg-muted hover:bg-surface-sunken'
+                    }`}
+                >
+                    {t(LIST_MODE_LABEL_KEYS[value])}
+                </button>
+            ))}
+        </div>
     );
 };
 
-const LoadingSpinner = () => (
-    <div className="text-center py-12">
-        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto"></div>
-        <p className="mt-4 text-gray-500">Loading products...</p>
-    </div>
-);
-
-const NoResults = () => (
-    <div className="text-center py-12">
-        <p className="text-gray-500 text-lg">No products found matching your criteria.</p>
-    </div>
-);
-
-const StatCard = ({ label, value, colorClass = 'text-gray-800' }) => (
-    <div className="bg-white rounded-lg shadow-md p-4">
-        <p className="text-sm text-gray-600">{label}</p>
-        <p className={`text-2xl font-bold ${colorClass}`}>{value}</p>
-    </div>
-);
-
-const TableHeader = ({ children, sortable = false, column, sortBy, sortOrder, onSort }) => {
-    const baseClass = 'px-4 py-3 text-left text-sm font-semibold';
-    const sortableClass = sortable ? 'cursor-pointer hover:bg-gray-700' : '';
+// Loads the next page once the end of the list scrolls near the viewport;
+// the button is a fallback for when the observer can't fire (e.g. no scrolling)
+const InfiniteScrollFooter = ({ loadedCount, totalCount, isLoadingMore, hasError, onLoadMore, onRetry }) => {
+    const { t } = useI18n();
+    const sentinelRef = useRef(null);
+    const hasMore = loadedCount < totalCount;
+    const canLoadMore = hasMore && !isLoadingMore && !hasError;
+
+    useEffect(() => {
+        if (!canLoadMore) return undefined;
+
+        const observer = new IntersectionObserver(([entry]) => {
+            if (entry.isIntersecting) onLoadMore();
+        }, { rootMargin: '800px 0px' });
+        observer.observe(sentinelRef.current);
+        return () => observer.disconnect();
+    }, [canLoadMore, onLoadMore]);
+
+    let content;
+    if (hasError) {
+        content = (
+            <>
+                {t('table.loadMoreFailed')}{' '}
+                <button onClick={onRetry} className="font-medium text-accent underline hover:text-accent-strong">
+                    {t('actions.retry')}
+                </button>
+            </>
+        );
+    } else if (isLoadingMore && hasMore) {
+        content = t('table.loadingMore');
+    } else if (hasMore) {
+        content = (
+            <button onClick={onLoadMore} className="font-medium text-accent underline hover:text-accent-strong">
+                {t('table.loadMore')}
+            </button>
+        );
+    } else {
+        content = t('table.allLoaded', { count: totalCount });
+    }
 
     return (
-        <th
-            className={`${baseClass} ${sortableClass}`}
-            onClick={sortable ? () => onSort(column) : undefined}
-        >
-            {children}
-            {sortable && <SortIcon column={column} sortBy={sortBy} sortOrder={sortOrder} />}
-        </th>
+        <div ref={sentinelRef} className="px-4 py-4 text-center text-sm text-fg-subtle border-t border-line" aria-live="polite">
+            {content}
+        </div>
     );
 };
 
-const ProductRow = ({ product, index }) => {
-    const rowClass = `hover:bg-blue-50 transition-colors ${index % 2 === 0 ? 'bg-white' : 'bg-gray-50'}`;
-
+const AlertsButton = ({ count, onClick }) => {
+    const { t, formatNumber } = useI18n();
     return (
-        <tr className={rowClass}>
-            <td className="px-4 py-3">
-                <img
-                    src={product.thumbnail}
-                    alt={product.title}
-                    className="w-12 h-12 object-cover rounded-lg"
-                    loading="lazy"
-                />
-            </td>
-            <td className="px-4 py-3">
-                <div className="max-w-xs">
-                    <p className="font-medium text-gray-800 truncate">{product.title}</p>
-                    <p className="text-xs text-gray-500 truncate">{product.description}</p>
-                </div>
-            </td>
-            <td className="px-4 py-3">
-                <span className="px-2 py-1 bg-blue-100 text-blue-700 text-xs font-medium rounded-full">
-                    {product.category}
-                </span>
-            </td>
-            <td className="px-4 py-3 text-gray-600">{product.brand || '-'}</td>
-            <td className="px-4 py-3">
-                <span className="font-semibold text-gray-800">${product.price.toFixed(2)}</span>
-            </td>
-            <td className="px-4 py-3">
-                {product.discountPercentage > 0 ? (
-                    <span className="px-2 py-1 bg-red-100 text-red-700 text-xs font-medium rounded-full">
-                        -{Math.round(product.discountPercentage)}%
-                    </span>
-                ) : (
-                    <span className="text-gray-400">-</span>
-                )}
-            </td>
-            <td className="px-4 py-3">
-                <div className="flex items-center">
-                    <span className="text-yellow-500">★</span>
-                    <span className="ml-1 text-gray-700">{product.rating.toFixed(1)}</span>
-                </div>
-            </td>
-            <td className="px-4 py-3">
-                <span className={`font-medium ${getStockColorClass(product.stock)}`}>
-                    {product.stock}
-                </span>
-            </td>
-            <td className="px-4 py-3">
-                <span className={`px-2 py-1 text-xs font-medium rounded-full ${getStatusColorClass(product.availabilityStatus)}`}>
-                    {product.availabilityStatus}
+        <button
+            onClick={onClick}
+            className="relative px-4 py-2 bg-surface border border-line-strong text-fg-muted rounded-lg hover:bg-surface-sunken transition-colors"
+            aria-label={t('alerts.buttonLabel', { count })}
+        >
+            {t('alerts.button')}
+            {count > 0 && (
+                <span className="absolute -top-2 -end-2 min-w-5 h-5 px-1 flex items-center justify-center bg-danger text-on-danger text-xs font-bold rounded-full">
+                    {count > 99 ? `${formatNumber(99)}+` : formatNumber(count)}
                 </span>
-            </td>
-        </tr>
+            )}
+        </button>
     );
 };
 
- 
+// Stable fallbacks while the first page loads
+const EMPTY_PRODUCTS = [];
+const EMPTY_COMPARISON = [];
+
 const Page1 = () => {
-    // Data state
-    const [products, setProducts] = useState([]);
-    const [totalProducts, setTotalProducts] = useState(0);
-    const [categories, setCategories] = useState([]);
-    
+    const { t, formatNumber } = useI18n();
+
     // UI state
-    const [isLoading, setIsLoading] = useState(true);
-    const [error, setError] = useState(null);
+    const [isAddingProduct, setIsAddingProduct] = useState(false);
+    const [isExporting, setIsExporting] = useState(false);
+    const [isImportOpen, setIsImportOpen] = useState(false);
+    const [bulkAction, setBulkAction] = useState(null);
+    const [isSelectingAll, setIsSelectingAll] = useState(false);
+    const [isAlertsOpen, setIsAlertsOpen] = useState(false);
+    const [isCompareOpen, setIsCompareOpen] = useState(false);
+    // Bumped to reload analytics after out-of-band changes (e.g. imports)
+    const [reloadKey, setReloadKey] = useState(0);
+
+    // Analytics state - computed over every matching product, loaded on demand
+    const [showAnalytics, setShowAnalytics] = useState(false);
+    const [analyticsProducts, setAnalyticsProducts] = useState([]);
+    const [isAnalyticsLoading, setIsAnalyticsLoading] = useState(false);
+    const [analyticsError, setAnalyticsError] = useState(null);
+    const { toasts, showToast, dismissToast } = useToasts();
+    const [listMode, setListMode] = useListMode();
+    const {
+        thresholds: customStockThresholds,
+        browserNotifications,
+        getStockThresholds,
+        setCategoryThresholds,
+        setBrowserNotifications
+    } = useInventorySettings();
+    const isInfinite = listMode === LIST_MODES.INFINITE;
+    const { getHistory, hasChangedSinceLastVisit } = useProductHistory();
+    const { layout, columns, toggleColumn, moveColumn, shiftColumn, resizeColumn, resetLayout } = useColumnLayout();
+    const {
+        selectedProducts,
+        selectedCount,
+        isSelected,
+        getPageSelection,
+        toggleProduct,
+        setProductsSelected,
+        updateSelected,
+        clearSelection
+    } = useProductSelection();
+    const {
+        views,
+        defaultView,
+        saveView,
+        renameView,
+        deleteView,
+        toggleDefaultView,
+        importViews,
+        exportViews
+    } = useSavedViews();
     
-    // Filter state
-    const [searchTerm, setSearchTerm] = useState('');
-    const [debouncedSearchTerm, setDebouncedSearchTerm] = useState('');
-    const [categoryFilter, setCategoryFilter] = useState('');
-    const [sortBy, setSortBy] = useState(SORT_OPTIONS.DEFAULT);
-    const [sortOrder, setSortOrder] = useState(SORT_ORDER.ASC);
-    const [currentPage, setCurrentPage] = useState(1);
-
-    // Debounce search term to avoid too many API calls
-    useEffect(() => {
-        const timer = setTimeout(() => {
-            setDebouncedSearchTerm(searchTerm);
-        }, 300);
+    // Filter state, initialized from the URL so links are shareable; a link
+    // without filters opens the default saved view
+    const listFilters = useProductListFilters({
+        getInitialFilters: () => (
+            !window.location.search && defaultView
+                ? getViewFilters(defaultView)
+                : parseFilterParams(window.location.search)
+        )
+    });
+    const { filters, setFilters, setFilter, applyFilters, searchQuery, categories, listParams, pageParams, handlePageLoaded } = listFilters;
+    const {
+        searchTerm: debouncedSearchTerm,
+        categoryFilters,
+        advancedFilters,
+        sorting,
+        currentPage,
+        pageSize,
+        selectedProductId,
+        compareIds
+    } = filters;
+
+    // Fetch the current page, or in infinite-scroll mode every page loaded so
+    // far; sorting is applied across the whole result set. Pages are cached,
+    // so revisits render instantly and refresh in the background, and the
+    // previous rows stay visible while new ones load.
+    const listKey = hashQueryKey(listParams);
+    const { pageCount, loadMorePages } = useLoadedPageCount(listKey);
+
+    const fetchPage = useCallback(
+        ({ signal }) => (isInfinite
+            ? fetchProductRange(productSource, { ...listParams, pageCount, signal })
+            : fetchProductPage(productSource, { ...pageParams, signal })),
+        [isInfinite, listParams, pageCount, pageParams]
+    );
+
+    const pageQueryKey = useMemo(() => (isInfinite
+        ? productRangeQueryKey(productSource, listParams, pageCount)
+        : productPageQueryKey(productSource, pageParams)), [isInfinite, listParams, pageCount, pageParams]);
+    const {
+        data: pageData,
+        error: pageError,
+        isLoading,
+        isFetching,
+        refetch: refetchPage,
+        setData: setPageData
+    } = useQuery(
+        pageQueryKey,
+        fetchPage,
+        {
+            keepPreviousData: true,
+            // Only numbered pages can be out of range
+            onSuccess: isInfinite ? undefined : handlePageLoaded
+        }
+    );
 
-        return () => clearTimeout(timer);
-    }, [searchTerm]);
+    const products = pageData?.products ?? EMPTY_PRODUCTS;
+    const totalProducts = pageData?.total ?? 0;
+
+    // Background stock monitoring across the whole catalog
+    const handleStockCrossings = useCallback((crossings) => {
+        const message = describeCrossings(crossings, t);
+        showToast(message, { type: TOAST_TYPES.ERROR, duration: 10000 });
+        if (browserNotifications && 'Notification' in window && Notification.permission === 'granted') {
+            new Notification(t('alerts.notificationTitle'), { body: message, tag: 'inventory-alert' });
+        }
+    }, [browserNotifications, showToast, t]);
+
+    const {
+        alerts: stockAlerts,
+        error: stockAlertsError,
+        isChecking: isCheckingStock,
+        lastCheckedAt: stockCheckedAt,
+        checkNow: checkStockNow
+    } = useInventoryAlerts({ getStockThresholds, onCrossings: handleStockCrossings });
+
+    // Rows still being saved can't be selected
+    const selectableProducts = useMemo(() => products.filter(product => !product.isPending), [products]);
+    const pageSelection = selectableProducts.length > 0
+        ? getPageSelection(selectableProducts)
+        : PAGE_SELECTION.NONE;
 
-    // Fetch categories on mount
     useEffect(() => {
-        const fetchCategories = async () => {
-            try {
-                const response = await axios.get(`${API_BASE_URL}/categories`);
-                // API returns array of category objects with slug and name
-                const categoryList = response.data.map(cat => 
-                    typeof cat === 'string' ? cat : cat.slug
-                );
-                setCategories(categoryList);
-            } catch (err) {
-                console.error('Error fetching categories:', err);
-            }
-        };
+        if (pageError) console.error('Error fetching products:', pageError);
+    }, [pageError]);
 
-        fetchCategories();
-    }, []);
+    usePrefetchNextPage(pageData, listParams, isInfinite ? pageCount : currentPage);
+
+    // Land back where the user was when returning to the list
+    useScrollRestoration(
+        isInfinite ? `${listMode}:${listKey}` : `${listMode}:${hashQueryKey(pageParams)}`,
+        Boolean(pageData) && !isLoading
+    );
 
-    // Fetch products with server-side pagination
+    // Load the full filtered set for analytics while the section is open
     useEffect(() => {
-        const fetchProducts = async () => {
+        if (!showAnalytics) return undefined;
+        let ignore = false;
+
+        const fetchAnalyticsProducts = async () => {
             try {
-                setIsLoading(true);
-                setError(null);
-
-                const skip = (currentPage - 1) * ITEMS_PER_PAGE;
-                let url = '';
-                let params = {
-                    limit: ITEMS_PER_PAGE,
-                    skip: skip
-                };
-
-                // Determine which API endpoint to use
-                if (debouncedSearchTerm && !categoryFilter) {
-                    // Search endpoint
-                    url = `${API_BASE_URL}/search`;
-                    params.q = debouncedSearchTerm;
-                } else if (categoryFilter && !debouncedSearchTerm) {
-                    // Category endpoint
-                    url = `${API_BASE_URL}/category/${categoryFilter}`;
-                } else if (debouncedSearchTerm && categoryFilter) {
-                    // Both search and category - use search and filter client-side
-                    url = `${API_BASE_URL}/search`;
-                    params.q = debouncedSearchTerm;
-                    params.limit = 100; // Fetch more to filter
-                    params.skip = 0;
-                } else {
-                    // Default - all products
-                    url = API_BASE_URL;
-                }
-
-                const response = await axios.get(url, { params });
-                let fetchedProducts = response.data.products;
-                let total = response.data.total;
-
-                // If both search and category, filter client-side
-                if (debouncedSearchTerm && categoryFilter) {
-                    fetchedProducts = fetchedProducts.filter(
-                        p => p.category === categoryFilter
-                    );
-                    total = fetchedProducts.length;
-                    // Apply pagination client-side
-                    fetchedProducts = fetchedProducts.slice(skip, skip + ITEMS_PER_PAGE);
-                }
-
-                // Apply sorting client-side (API doesn't support sorting)
-                if (sortBy !== SORT_OPTIONS.DEFAULT) {
-                    fetchedProducts = [...fetchedProducts].sort((a, b) => {
-                        let comparison = 0;
-                        switch (sortBy) {
-                            case SORT_OPTIONS.PRICE:
-                                comparison = a.price - b.price;
-                                break;
-                            case SORT_OPTIONS.RATING:
-                                comparison = a.rating - b.rating;
-                                break;
-                            case SORT_OPTIONS.STOCK:
-                                comparison = a.stock - b.stock;
-                                break;
-                            case SORT_OPTIONS.TITLE:
-                                comparison = a.title.localeCompare(b.title);
-                                break;
-                            case SORT_OPTIONS.DISCOUNT:
-                                comparison = a.discountPercentage - b.discountPercentage;
-                                break;
-                            default:
-                                comparison = 0;
-                        }
-                        return sortOrder === SORT_ORDER.ASC ? comparison : -comparison;
-                    });
-                }
-
-                setProducts(fetchedProducts);
-                setTotalProducts(total);
+                setIsAnalyticsLoading(true);
+                setAnalyticsError(null);
+                const allProducts = await fetchAllProducts(productSource, {
+                    search: debouncedSearchTerm,
+                    categories: categoryFilters,
+                    filters: advancedFilters
+                });
+                if (!ignore) setAnalyticsProducts(allProducts);
             } catch (err) {
-                setError('Failed to fetch products. Please try again later.');
-                console.error('Error fetching products:', err);
+                if (!ignore) setAnalyticsError(err);
+                console.error('Error fetching analytics data:', err);
             } finally {
-                setIsLoading(false);
+                if (!ignore) setIsAnalyticsLoading(false);
             }
         };
 
-        fetchProducts();
-    }, [currentPage, debouncedSearchTerm, categoryFilter, sortBy, sortOrder]);
+        fetchAnalyticsProducts();
+        return () => {
+            ignore = true;
+        };
+    }, [showAnalytics, debouncedSearchTerm, categoryFilters, advancedFilters, reloadKey]);
+
+    // Products pinned for comparison, loaded by id since they may be on other pages
+    const fetchCompared = useCallback(
+        ({ signal }) => fetchProductsById(productSource, compareIds, { signal }),
+        [compareIds]
+    );
+
+    const {
+        data: comparedEntries = EMPTY_COMPARISON,
+        error: compareError,
+        isLoading: isLoadingCompared,
+        refetch: refetchCompared
+    } = useQuery(['compare', productSource.name, compareIds], fetchCompared, {
+        enabled: compareIds.length > 0,
+        keepPreviousData: true
+    });
+
+    // The previous result stays up while a changed set loads - drop unpinned ones
+    const pinnedEntries = comparedEntries.filter(entry => compareIds.includes(String(entry.id)));
+    const compareItems = compareIds.map((id) => {
+        const product = pinnedEntries.find(entry => String(entry.id) === id)?.product ??
+            products.find(p => String(p.id) === id);
+        return { id, title: product?.title ?? null };
+    });
+
 
-    // Reset to page 1 when filters change
-    useEffect(() => {
-        setCurrentPage(1);
-    }, [debouncedSearchTerm, categoryFilter]);
 
     // Pagination calculations
-    const totalPages = Math.ceil(totalProducts / ITEMS_PER_PAGE);
-    const startIndex = (currentPage - 1) * ITEMS_PER_PAGE;
-    const endIndex = Math.min(startIndex + ITEMS_PER_PAGE, totalProducts);
+    const totalPages = Math.ceil(totalProducts / pageSize);
+    const startIndex = isInfinite ? 0 : (currentPage - 1) * pageSize;
+    const endIndex = isInfinite ? products.length : Math.min(startIndex + pageSize, totalProducts);
+
+    // The saved view matching the current filters, if any
+    const currentViewQuery = toViewQuery({
+        searchTerm: debouncedSearchTerm,
+        categoryFilters,
+        sorting,
+        pageSize,
+        advancedFilters
+    });
+    const activeViewId = views.find(view => view.query === currentViewQuery)?.id ?? null;
 
     // Handlers
-    const handleSort = useCallback((column) => {
-        if (sortBy !== column) {
-            setSortBy(column);
-            setSortOrder(SORT_ORDER.ASC);
-        } else if (sortOrder === SORT_ORDER.ASC) {
-            setSortOrder(SORT_ORDER.DESC);
-        } else {
-            setSortBy(SORT_OPTIONS.DEFAULT);
-            setSortOrder(SORT_ORDER.ASC);
+    // Shift-click (`multi`) adds secondary sort keys
+    const handleSort = useCallback((column, { multi = false } = {}) => {
+        setFilter('sorting', (current) => toggleSortKey(current, column, { multi }));
+    }, [setFilter]);
+
+    const handleSelectProduct = useCallback((id) => {
+        setFilter('selectedProductId', String(id));
+    }, [setFilter]);
+
+    const handleCloseDetails = useCallback(() => {
+        setFilter('selectedProductId', '');
+    }, [setFilter]);
+
+    // Comparison
+    const isCompared = useCallback((id) => compareIds.includes(String(id)), [compareIds]);
+
+    const handleToggleCompare = useCallback((product) => {
+        const id = String(product.id);
+        setFilter('compareIds', (current) => {
+            if (current.includes(id)) return current.filter(compareId => compareId !== id);
+            return current.length < MAX_COMPARE_PRODUCTS ? [...current, id] : current;
+        });
+    }, [setFilter]);
+
+    const handleRemoveCompared = useCallback((id) => {
+        setFilter('compareIds', (current) => current.filter(compareId => compareId !== String(id)));
+    }, [setFilter]);
+
+    const handleClearCompared = useCallback(() => {
+        setFilter('compareIds', []);
+        setIsCompareOpen(false);
+    }, [setFilter]);
+
+    const handleOpenCompare = useCallback(() => {
+        setIsCompareOpen(true);
+    }, []);
+
+    const handleCloseCompare = useCallback(() => {
+        setIsCompareOpen(false);
+    }, []);
+
+    const handleOpenAlerts = useCallback(() => {
+        setIsAlertsOpen(true);
+    }, []);
+
+    const handleCloseAlerts = useCallback(() => {
+        setIsAlertsOpen(false);
+    }, []);
+
+    // Optimistic edits write through to the cached page, or to `queryKey`
+    // (the page an edit started on) when given
+    const setProducts = useCallback((update, queryKey) => {
+        setPageData((page) => ({ ...page, products: update(page.products) }), queryKey);
+    }, [setPageData]);
+
+    const setTotalProducts = useCallback((update, queryKey) => {
+        setPageData((page) => ({ ...page, total: update(page.total) }), queryKey);
+    }, [setPageData]);
+
+    const { updateProduct, addProduct, deleteProduct } = useProductMutations({
+        queryKey: pageQueryKey,
+        products,
+        setProducts,
+        setTotalProducts,
+        showToast
+    });
+
+    const handleDeleteProduct = useCallback((product) => {
+        if (window.confirm(t('confirm.delete', { title: product.title }))) {
+            deleteProduct(product.id);
         }
-    }, [sortBy, sortOrder]);
-
-    const handleClearFilters = useCallback(() => {
-        setSearchTerm('');
-        setCategoryFilter('');
-        setSortBy(SORT_OPTIONS.DEFAULT);
-        setSortOrder(SORT_ORDER.ASC);
-        setCurrentPage(1);
+    }, [deleteProduct, t]);
+
+    const handleOpenAddProduct = useCallback(() => {
+        setIsAddingProduct(true);
+    }, []);
+
+    const handleCloseAddProduct = useCallback(() => {
+        setIsAddingProduct(false);
     }, []);
 
-    const handleSearchChange = useCallback((e) => {
-        setSearchTerm(e.target.value);
+    const handleAddProduct = useCallback((product) => {
+        setIsAddingProduct(false);
+        addProduct(product);
+    }, [addProduct]);
+
+    const handleOpenImport = useCallback(() => {
+        setIsImportOpen(true);
+    }, []);
+
+    const handleCloseImport = useCallback(() => {
+        setIsImportOpen(false);
     }, []);
 
-    const handleCategoryChange = useCallback((e) => {
-        setCategoryFilter(e.target.value);
+    const handleImported = useCallback(() => {
+        invalidateProductQueries();
+        refetchPage();
+        setReloadKey((key) => key + 1);
+    }, [refetchPage]);
+
+    const handleExport = useCallback(async (format, scope) => {
+        try {
+            setIsExporting(true);
+            const rows = scope === EXPORT_SCOPES.ALL
+                ? await fetchAllProducts(productSource, {
+                    search: debouncedSearchTerm,
+                    categories: categoryFilters,
+                    filters: advancedFilters,
+                    sorting
+                })
+                : products;
+            await exportProducts(rows, format, scope === EXPORT_SCOPES.ALL ? 'products' : `products-page-${currentPage}`);
+        } catch (err) {
+            showToast(t('toast.exportFailed'), { type: TOAST_TYPES.ERROR });
+            console.error('Error exporting products:', err);
+        } finally {
+            setIsExporting(false);
+        }
+    }, [products, debouncedSearchTerm, categoryFilters, advancedFilters, sorting, currentPage, showToast, t]);
+
+    // Selection
+    const handleTogglePage = useCallback((checked) => {
+        setProductsSelected(selectableProducts, checked);
+    }, [selectableProducts, setProductsSelected]);
+
+    const handleSelectAllMatching = useCallback(async () => {
+        try {
+            setIsSelectingAll(true);
+            const allProducts = await fetchAllProducts(productSource, {
+                search: debouncedSearchTerm,
+                categories: categoryFilters,
+                filters: advancedFilters,
+                sorting
+            });
+            setProductsSelected(allProducts, true);
+        } catch (err) {
+            showToast(t('toast.selectAllFailed', { reason: describeApiError(err, t) }), { type: TOAST_TYPES.ERROR });
+            console.error('Error selecting all products:', err);
+        } finally {
+            setIsSelectingAll(false);
+        }
+    }, [debouncedSearchTerm, categoryFilters, advancedFilters, sorting, setProductsSelected, showToast, t]);
+
+    const handleCloseBulkAction = useCallback(() => {
+        setBulkAction(null);
     }, []);
 
+    // Apply bulk results to the visible page and the selection; failed items
+    // stay selected so they can be retried
+    const handleBulkComplete = useCallback((action, { succeeded, failed }) => {
+        if (succeeded.length > 0) {
+            const changed = new Map(succeeded.map(item => [item.id, item.product]));
+
+            if (action === BULK_ACTIONS.DELETE) {
+                setProducts((current) => current.filter(product => !changed.has(product.id)));
+                setTotalProducts((total) => Math.max(total - succeeded.length, 0));
+            } else {
+                setProducts((current) => current.map(product => (
+                    changed.has(product.id) ? { ...product, ...changed.get(product.id) } : product
+                )));
+            }
+
+            updateSelected(succeeded.map(item => ({ ...item.product, id: item.id })), {
+                remove: action === BULK_ACTIONS.DELETE
+            });
+            setReloadKey((key) => key + 1);
+        }
+
+        const isDelete = action === BULK_ACTIONS.DELETE;
+        showToast(
+            failed.length > 0
+                ? t(isDelete ? 'toast.partiallyDeleted' : 'toast.partiallyUpdated', {
+                    done: succeeded.length,
+                    count: succeeded.length + failed.length,
+                    failed: failed.length
+                })
+                : t(isDelete ? 'toast.deleted' : 'toast.updated', { count: succeeded.length }),
+            { type: failed.length > 0 ? TOAST_TYPES.ERROR : TOAST_TYPES.SUCCESS }
+        );
+    }, [setProducts, setTotalProducts, updateSelected, showToast, t]);
+
+    // Keeps the first visible row on screen when the page size changes
+    const handlePageSizeChange = useCallback((e) => {
+        const size = Number(e.target.value);
+        setFilters(current => ({ ...current, currentPage: Math.floor(startIndex / size) + 1, pageSize: size }));
+    }, [setFilters, startIndex]);
+
+    const handleListModeChange = useCallback((mode) => {
+        setListMode(mode);
+        setFilter('currentPage', 1);
+    }, [setListMode, setFilter]);
+
+    const handleLoadMore = useCallback(() => {
+        if (!isFetching) loadMorePages();
+    }, [isFetching, loadMorePages]);
+
+    // Saved views
+    const handleLoadView = useCallback((view) => {
+        applyFilters({ ...getViewFilters(view), compareIds });
+    }, [applyFilters, compareIds]);
+
+    const handleSaveView = useCallback((name) => {
+        saveView(name, {
+            searchTerm: debouncedSearchTerm,
+            categoryFilters,
+            sorting,
+            pageSize,
+            advancedFilters
+        });
+        showToast(t('toast.viewSaved', { name: normalizeViewName(name) }), { type: TOAST_TYPES.SUCCESS });
+    }, [saveView, debouncedSearchTerm, categoryFilters, sorting, pageSize, advancedFilters, showToast, t]);
+
     const handlePageChange = useCallback((page) => {
-        setCurrentPage(page);
+        setFilter('currentPage', page);
         window.scrollTo({ top: 0, behavior: 'smooth' });
-    }, []);
+    }, [setFilter]);
 
     const handlePrevPage = useCallback(() => {
-        setCurrentPage((prev) => Math.max(prev - 1, 1));
+        setFilter('currentPage', (prev) => Math.max(prev - 1, 1));
         window.scrollTo({ top: 0, behavior: 'smooth' });
-    }, []);
+    }, [setFilter]);
 
     const handleNextPage = useCallback(() => {
-        setCurrentPage((prev) => Math.min(prev + 1, totalPages));
+        setFilter('currentPage', (prev) => Math.min(prev + 1, totalPages));
         window.scrollTo({ top: 0, behavior: 'smooth' });
-    }, [totalPages]);
-
-    // Render error state
-    if (error) {
-        return (
-            <div className="min-h-screen bg-gray-50 p-6 flex items-center justify-center">
-                <div className="text-center">
-                    <p className="text-red-500 text-lg mb-4">{error}</p>
-                    <button
-                        onClick={() => window.location.reload()}
-                        className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
-                    >
-                        Retry
-                    </button>
-                </div>
-            </div>
-        );
-    }
+    }, [setFilter, totalPages]);
+
+    // Page-wide keys; the table handles its own (arrows, Enter) while focused
+    const canPage = !isInfinite && !isLoading;
+    useKeyboardShortcuts({
+        '/': () => document.getElementById('search')?.focus(),
+        n: () => {
+            if (canPage && currentPage < totalPages) handleNextPage();
+        },
+        p: () => {
+            if (canPage && currentPage > 1) handlePrevPage();
+        }
+    });
+
+    // Read out by screen readers when sorting or the page changes
+    const sortAnnouncement = sorting.length > 0
+        ? t('announce.sortedBy', {
+            keys: t.formatList(sorting.map(({ key, order }) => t('announce.sortKey', {
+                column: t(`columns.${key}`),
+                order: t(`table.sortOrder.${order}`)
+            })))
+        })
+        : t('announce.defaultOrder');
+    const pageAnnouncement = !isInfinite && totalPages > 0
+        ? t('announce.page', { page: currentPage, pages: totalPages })
+        : '';
 
     return (
-        <div className="min-h-screen bg-gray-50 p-6">
+        <div className={`min-h-screen bg-surface-muted p-6 ${compareIds.length > 0 ? 'pb-32' : ''}`}>
             <div className="max-w-7xl mx-auto">
+                <div className="sr-only" role="status" aria-live="polite">{sortAnnouncement}</div>
+                <div className="sr-only" role="status" aria-live="polite">{pageAnnouncement}</div>
+
                 {/* Header */}
-                <header className="mb-6">
-                    <h1 className="text-3xl font-bold text-gray-800">Products Table View</h1>
-                    <p className="text-sm text-gray-500 mt-1">
-                        Server-side pagination • Data fetched per page
-                    </p>
+                <header className="mb-6 flex items-start justify-between gap-4">
+                    <div>
+                        <h1 className="text-3xl font-bold text-fg">{t('app.title')}</h1>
+                        <p className="text-sm text-fg-subtle mt-1">{t('app.subtitle')}</p>
+                    </div>
+                    <div className="flex flex-wrap items-center justify-end gap-2">
+                        <button
+                            onClick={handleOpenImport}
+                            className="px-4 py-2 bg-surface border border-line-strong text-fg-muted rounded-lg hover:bg-surface-sunken transition-colors"
+                        >
+                            {t('actions.import')}
+                        </button>
+                        <AlertsButton count={stockAlerts.length} onClick={handleOpenAlerts} />
+                        <SavedViewsMenu
+                            views={views}
+                            defaultViewId={defaultView?.id ?? null}
+                            activeViewId={activeViewId}
+                            onLoad={handleLoadView}
+                            onSave={handleSaveView}
+                            onRename={renameView}
+                            onDelete={deleteView}
+                            onToggleDefault={toggleDefaultView}
+                            onImport={importViews}
+                            onExport={exportViews}
+                        />
+                        <ColumnChooser
+                            layout={layout}
+                            onToggle={toggleColumn}
+                            onShift={shiftColumn}
+                            onReset={resetLayout}
+                        />
+                        <ExportMenu
+                            pageCount={products.length}
+                            totalCount={totalProducts}
+                            isExporting={isExporting}
+                            onExport={handleExport}
+                        />
+                        <button
+                            onClick={handleOpenAddProduct}
+                            className="px-4 py-2 bg-accent text-on-accent rounded-lg hover:bg-accent-hover transition-colors"
+                        >
+                            {t('actions.addProduct')}
+                        </button>
+                    </div>
                 </header>
 
                 {/* Search and Filters */}
-                <section className="bg-white rounded-lg shadow-md p-4 mb-6" aria-label="Filters">
-                    <div className="flex flex-col md:flex-row gap-4">
-                        {/* Search Input */}
-                        <div className="flex-1">
-                            <label
-                                htmlFor="search"
-                                className="block text-sm font-medium text-gray-700 mb-1"
-                            >
-                                Search
-                            </label>
-                            <input
-                                id="search"
-                                type="text"
-                                placeholder="Search products..."
-                                value={searchTerm}
-                                onChange={handleSearchChange}
-                                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none"
-                                aria-label="Search products"
-                            />
-                        </div>
-
-                        {/* Category Filter */}
-                        <div className="flex-1">
-                            <label
-                                htmlFor="category"
-                                className="block text-sm font-medium text-gray-700 mb-1"
-                            >
-                                Category
-                            </label>
-                            <select
-                                id="category"
-                                value={categoryFilter}
-                                onChange={handleCategoryChange}
-                                className="w-full h-[42px] px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none bg-white"
-                                aria-label="Filter by category"
-                            >
-                                <option value="">All Categories</option>
-                                {categories.map((category) => (
-                                    <option key={category} value={category}>
-                                        {capitalizeFirst(category.replace(/-/g, ' '))}
-                                    </option>
-                                ))}
-                            </select>
-                        </div>
+                <ProductFilterBar
+                    listFilters={listFilters}
+                    results={{
+                        isLoading,
+                        isFetching,
+                        start: products.length > 0 ? startIndex + 1 : 0,
+                        end: endIndex,
+                        total: totalProducts
+                    }}
+                    aside={<ListModeToggle mode={listMode} onChange={handleListModeChange} />}
+                />
 
-                        {/* Clear Filters Button */}
-                        <div className="flex items-end">
-                            <button
-                                onClick={handleClearFilters}
-                                className="px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-colors"
-                                aria-label="Clear all filters"
-                            >
-                                Clear Filters
-                            </button>
-                        </div>
-                    </div>
+                {/* Error State - retry keeps the current filters */}
+                {pageError && (
+                    <ErrorNotice
+                        title={t(pageData ? 'errors.refreshFailed' : 'errors.loadFailed')}
+                        message={describeApiError(pageError, t)}
+                        onRetry={refetchPage}
+                        isRetrying={isFetching}
+                    />
+                )}
 
-                    {/* Results Count */}
-                    <div className="mt-4 text-sm text-gray-600" aria-live="polite">
-                        {isLoading ? (
-                            'Loading...'
-                        ) : (
-                            <>
-                                Showing {products.length > 0 ? startIndex + 1 : 0} - {endIndex} of {totalProducts} products
-                                {debouncedSearchTerm && ` for "${debouncedSearchTerm}"`}
-                                {categoryFilter && ` in ${capitalizeFirst(categoryFilter.replace(/-/g, ' '))}`}
-                            </>
-                        )}
-                    </div>
-                </section>
+                {/* Bulk Actions */}
+                {selectedCount > 0 && (
+                    <BulkActionBar
+                        selectedCount={selectedCount}
+                        totalCount={totalProducts}
+                        pageSelection={pageSelection}
+                        isSelectingAll={isSelectingAll}
+                        onSelectAllMatching={handleSelectAllMatching}
+                        onClear={clearSelection}
+                        onAction={setBulkAction}
+                    />
+                )}
 
                 {/* Loading State */}
                 {isLoading && <LoadingSpinner />}
 
                 {/* Products Table */}
-                {!isLoading && (
-                    <section className="bg-white rounded-lg shadow-md overflow-hidden" aria-label="Products table">
+                {!isLoading && pageData && (
+                    <section
+                        className={`bg-surface rounded-lg shadow-md overflow-hidden transition-opacity ${isFetching ? 'opacity-60' : ''}`}
+                        aria-label={t('table.label')}
+                        aria-busy={isFetching}
+                    >
                         <div className="overflow-x-auto">
-                            <table className="min-w-full">
-                                <thead className="bg-gray-800 text-white">
-                                    <tr>
-                                        <TableHeader>Image</TableHeader>
-                                        <TableHeader
-                                            sortable
-                                            column={SORT_OPTIONS.TITLE}
-                                            sortBy={sortBy}
-                                            sortOrder={sortOrder}
-                                            onSort={handleSort}
-                                        >
-                                            Title
-                                        </TableHeader>
-                                        <TableHeader>Category</TableHeader>
-                                        <TableHeader>Brand</TableHeader>
-                                        <TableHeader
-                                            sortable
-                                            column={SORT_OPTIONS.PRICE}
-                                            sortBy={sortBy}
-                                            sortOrder={sortOrder}
-                                            onSort={handleSort}
-                                        >
-                                            Price
-                                        </TableHeader>
-                                        <TableHeader
-                                            sortable
-                                            column={SORT_OPTIONS.DISCOUNT}
-                                            sortBy={sortBy}
-                                            sortOrder={sortOrder}
-                                            onSort={handleSort}
-                                        >
-                                            Discount
-                                        </TableHeader>
-                                        <TableHeader
-                                            sortable
-                                            column={SORT_OPTIONS.RATING}
-                                            sortBy={sortBy}
-                                            sortOrder={sortOrder}
-                                            onSort={handleSort}
-                                        >
-                                            Rating
-                                        </TableHeader>
-                                        <TableHeader
-                                            sortable
-                                            column={SORT_OPTIONS.STOCK}
-                                            sortBy={sortBy}
-                                            sortOrder={sortOrder}
-                                            onSort={handleSort}
-                                        >
-                                            Stock
-                                        </TableHeader>
-                                        <TableHeader>Status</TableHeader>
-                                    </tr>
-                                </thead>
-                                <tbody className="divide-y divide-gray-200">
-                                    {products.map((product, index) => (
-                                        <ProductRow
-                                            key={product.id}
-                                            product={product}
-                                            index={index}
-                                        />
-                                    ))}
-                                </tbody>
-                            </table>
+                            <ProductTable
+                                products={products}
+                                columns={columns}
+                                sorting={sorting}
+                                onSort={handleSort}
+                                onSelect={handleSelectProduct}
+                                onUpdate={updateProduct}
+                                onDelete={handleDeleteProduct}
+                                onMoveColumn={moveColumn}
+                                onResizeColumn={resizeColumn}
+                                isRowSelected={isSelected}
+                                onToggleRow={toggleProduct}
+                                pageSelection={pageSelection}
+                                onTogglePage={handleTogglePage}
+                                virtualized={isInfinite}
+                                getStockThresholds={getStockThresholds}
+                                getHistory={getHistory}
+                                hasChangedSinceLastVisit={hasChangedSinceLastVisit}
+                                isCompared={isCompared}
+                                canCompare={compareIds.length < MAX_COMPARE_PRODUCTS}
+                                onToggleCompare={handleToggleCompare}
+                                searchQuery={searchQuery}
+                                describedBy="table-shortcuts"
+                            />
                         </div>
 
                         {/* No Results Message */}
                         {products.length === 0 && <NoResults />}
 
+                        {isInfinite && products.length > 0 && (
+                            <InfiniteScrollFooter
+                                loadedCount={products.length}
+                                totalCount={totalProducts}
+                                isLoadingMore={isFetching}
+                                hasError={Boolean(pageError)}
+                                onLoadMore={handleLoadMore}
+                                onRetry={refetchPage}
+                            />
+                        )}
+
                         {/* Pagination */}
-                        {totalProducts > 0 && totalPages > 1 && (
-                            <div className="flex flex-col sm:flex-row items-center justify-between px-4 py-3 bg-gray-50 border-t border-gray-200 gap-3">
-                                <div className="text-sm text-gray-700">
-                                    Page <span className="font-medium">{currentPage}</span> of{' '}
-                                    <span className="font-medium">{totalPages}</span>
-                                    {' '}({totalProducts} total products)
+                        {totalProducts > 0 && (
+                            <div className="flex flex-col sm:flex-row items-center justify-between px-4 py-3 bg-surface-muted border-t border-line gap-3">
+                                <div className="flex flex-wrap items-center gap-4 text-sm text-fg-muted">
+                                    <span>
+                                        {isInfinite
+                                            ? t('pagination.loaded', { loaded: products.length, count: totalProducts })
+                                            : t('pagination.page', { page: currentPage, pages: totalPages, count: totalProducts })}
+                                    </span>
+                                    <label className="flex items-center gap-2">
+                                        {t(isInfinite ? 'pagination.rowsPerBatch' : 'pagination.rowsPerPage')}
+                                        <select
+                                            value={pageSize}
+                                            onChange={handlePageSizeChange}
+                                            className="px-2 py-1 border border-line-strong rounded-lg bg-surface"
+                                        >
+                                            {PAGE_SIZE_OPTIONS.map(size => (
+                                                <option key={size} value={size}>{formatNumber(size)}</option>
+                                            ))}
+                                        </select>
+                                    </label>
                                 </div>
-                                <div className="flex items-center space-x-2">
-                                    <button
-                                        onClick={handlePrevPage}
-                                        disabled={currentPage === 1 || isLoading}
-                                        className={`px-3 py-1 rounded-lg border ${
-                                            currentPage === 1 || isLoading
-                                                ? 'bg-gray-100 text-gray-400 cursor-not-allowed'
-                                                : 'bg-white text-gray-700 hover:bg-gray-100'
-                                        }`}
-                                    >
-                                        Previous
-                                    </button>
+                                {!isInfinite && totalPages > 1 && (
+                                    <div className="flex items-center space-x-2">
+                                        <button
+                                            onClick={handlePrevPage}
+                                            disabled={currentPage === 1 || isLoading}
+                                            className={`px-3 py-1 rounded-lg border ${
+                                                currentPage === 1 || isLoading
+                                                    ? 'bg-surface-sunken text-fg-faint cursor-not-allowed'
+                                                    : 'bg-surface text-fg-muted hover:bg-surface-sunken'
+                                            }`}
+                                        >
+                                            {t('pagination.previous')}
+                                        </button>
                                     
-                                    {/* Page Numbers */}
-                                    <div className="flex space-x-1">
-                                        {Array.from({ length: totalPages }, (_, i) => i + 1)
-                                            .filter((page) => {
-                                                return (
-                                                    page === 1 ||
-                                                    page === totalPages ||
-                                                    Math.abs(page - currentPage) <= 1
-                                                );
-                                            })
-                                            .map((page, index, array) => (
-                                                <React.Fragment key={page}>
-                                                    {index > 0 && array[index - 1] !== page - 1 && (
-                                                        <span className="px-2 py-1 text-gray-500">...</span>
-                                                    )}
-                                                    <button
-                                                        onClick={() => handlePageChange(page)}
-                                                        disabled={isLoading}
-                                                        className={`px-3 py-1 rounded-lg border ${
-                                                            currentPage === page
-                                                                ? 'bg-blue-600 text-white border-blue-600'
-                                                                : 'bg-white text-gray-700 hover:bg-gray-100'
-                                                        } ${isLoading ? 'cursor-not-allowed opacity-50' : ''}`}
-                                                    >
-                                                        {page}
-                                                    </button>
-                                                </React.Fragment>
-                                            ))}
+                                        {/* Page Numbers */}
+                                        <div className="flex space-x-1">
+                                            {Array.from({ length: totalPages }, (_, i) => i + 1)
+                                                .filter((page) => {
+                                                    return (
+                                                        page === 1 ||
+                                                        page === totalPages ||
+                                                        Math.abs(page - currentPage) <= 1
+                                                    );
+                                                })
+                                                .map((page, index, array) => (
+                                                    <React.Fragment key={page}>
+                                                        {index > 0 && array[index - 1] !== page - 1 && (
+                                                            <span className="px-2 py-1 text-fg-subtle">...</span>
+                                                        )}
+                                                        <button
+                                                            onClick={() => handlePageChange(page)}
+                                                            disabled={isLoading}
+                                                            className={`px-3 py-1 rounded-lg border ${
+                                                                currentPage === page
+                                                                    ? 'bg-accent text-on-accent border-accent'
+                                                                    : 'bg-surface text-fg-muted hover:bg-surface-sunken'
+                                                            } ${isLoading ? 'cursor-not-allowed opacity-50' : ''}`}
+                                                        >
+                                                            {formatNumber(page)}
+                                                        </button>
+                                                    </React.Fragment>
+                                                ))}
+                                        </div>
+
+                                        <button
+                                            onClick={handleNextPage}
+                                            disabled={currentPage === totalPages || isLoading}
+                                            className={`px-3 py-1 rounded-lg border ${
+                                                currentPage === totalPages || isLoading
+                                                    ? 'bg-surface-sunken text-fg-faint cursor-not-allowed'
+                                                    : 'bg-surface text-fg-muted hover:bg-surface-sunken'
+                                            }`}
+                                        >
+                                            {t('pagination.next')}
+                                        </button>
                                     </div>
-
-                                    <button
-                                        onClick={handleNextPage}
-                                        disabled={currentPage === totalPages || isLoading}
-                                        className={`px-3 py-1 rounded-lg border ${
-                                            currentPage === totalPages || isLoading
-                                                ? 'bg-gray-100 text-gray-400 cursor-not-allowed'
-                                                : 'bg-white text-gray-700 hover:bg-gray-100'
-                                        }`}
-                                    >
-                                        Next
-                                    </button>
-                                </div>
+                                )}
                             </div>
                         )}
+
+                        <p id="table-shortcuts" className="px-4 py-2 text-xs text-fg-subtle border-t border-line">
+                            {t('table.shortcuts')}
+                        </p>
                     </section>
                 )}
 
                 {/* Info Card */}
-                {!isLoading && (
-                    <section className="mt-6 grid grid-cols-1 md:grid-cols-3 gap-4" aria-label="Statistics">
+                {!isLoading && pageData && (
+                    <section className="mt-6 grid grid-cols-1 md:grid-cols-3 gap-4" aria-label={t('stats.label')}>
                         <StatCard 
-                            label="Current Page Products" 
-                            value={products.length} 
+                            label={t(isInfinite ? 'stats.loaded' : 'stats.currentPage')}
+                            value={formatNumber(products.length)} 
                         />
                         <StatCard
-                            label="Total Products"
-                            value={totalProducts}
-                            colorClass="text-blue-600"
+                            label={t('stats.total')}
+                            value={formatNumber(totalProducts)}
+                            colorClass="text-accent"
                         />
                         <StatCard
-                            label="Total Pages"
-                            value={totalPages}
-                            colorClass="text-green-600"
+                            label={t('stats.pages')}
+                            value={formatNumber(totalPages)}
+                            colorClass="text-success"
                         />
                     </section>
                 )}
+
+                {/* Catalog Analytics */}
+                <section className="mt-6" aria-label={t('analytics.label')}>
+                    <div className="flex items-center justify-between mb-4">
+                        <h2 className="text-xl font-bold text-fg">{t('analytics.title')}</h2>
+                        <button
+                            onClick={() => setShowAnalytics((shown) => !shown)}
+                            className="px-4 py-2 bg-surface-strong text-fg-muted rounded-lg hover:bg-surface-stronger transition-colors"
+                            aria-expanded={showAnalytics}
+                        >
+                            {t(showAnalytics ? 'actions.hideAnalytics' : 'actions.showAnalytics')}
+                        </button>
+                    </div>
+                    {showAnalytics && (
+                        <AnalyticsPanel
+                            products={analyticsProducts}
+                            isLoading={isAnalyticsLoading}
+                            error={analyticsError && t('analytics.loadFailed')}
+                        />
+                    )}
+                </section>
             </div>
+
+            {/* Product Detail Drawer */}
+            {selectedProductId && (
+                <ProductDetailDrawer
+                    productId={selectedProductId}
+                    getStockThresholds={getStockThresholds}
+                    onClose={handleCloseDetails}
+                />
+            )}
+
+            {/* Comparison */}
+            {compareIds.length > 0 && (
+                <CompareTray
+                    items={compareItems}
+                    onRemove={handleRemoveCompared}
+                    onClear={handleClearCompared}
+                    onOpen={handleOpenCompare}
+                />
+            )}
+            {isCompareOpen && compareIds.length > 0 && (
+                <ProductComparison
+                    entries={pinnedEntries}
+                    isLoading={isLoadingCompared}
+                    error={compareError}
+                    onRetry={refetchCompared}
+                    onRemove={handleRemoveCompared}
+                    onSelectProduct={handleSelectProduct}
+                    onClose={handleCloseCompare}
+                />
+            )}
+
+            {/* Inventory Alerts */}
+            {isAlertsOpen && (
+                <InventoryAlertsPanel
+                    alerts={stockAlerts}
+                    categories={categories}
+                    customThresholds={customStockThresholds}
+                    getStockThresholds={getStockThresholds}
+                    lastCheckedAt={stockCheckedAt}
+                    isChecking={isCheckingStock}
+                    error={stockAlertsError}
+                    browserNotifications={browserNotifications}
+                    onToggleNotifications={setBrowserNotifications}
+                    onChangeThresholds={setCategoryThresholds}
+                    onCheckNow={checkStockNow}
+                    onSelectProduct={handleSelectProduct}
+                    onClose={handleCloseAlerts}
+                />
+            )}
+
+            {/* Add Product Modal */}
+            {isAddingProduct && (
+                <AddProductModal
+                    categories={categories}
+                    onSubmit={handleAddProduct}
+                    onClose={handleCloseAddProduct}
+                />
+            )}
+
+            {/* Import Modal */}
+            {isImportOpen && (
+                <ImportProductsModal
+                    categories={categories}
+                    onClose={handleCloseImport}
+                    onImported={handleImported}
+                />
+            )}
+
+            {/* Bulk Action Modal */}
+            {bulkAction && (
+                <BulkActionModal
+                    action={bulkAction}
+                    products={selectedProducts}
+                    categories={categories}
+                    onClose={handleCloseBulkAction}
+                    onComplete={handleBulkComplete}
+                />
+            )}
+
+            <ToastStack toasts={toasts} onDismiss={dismissToast} />
         </div>
     );
 };
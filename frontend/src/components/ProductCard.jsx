@@ -0,0 +1,65 @@
+import React from 'react';
+import { useI18n } from '../hooks/useI18n';
+import { formatCategory, getStatusColorClass, getStockColorClass } from '../utils/productDisplay';
+import HighlightedText from './HighlightedText';
+import Link from './Link';
+import ProductPrice from './ProductPrice';
+
+// Product tile with a large image, linking to the product page. `searchQuery`
+// highlights matches in the title and brand.
+const ProductCard = ({ product, to, searchQuery, stockThresholds }) => {
+    const { t, formatNumber } = useI18n();
+    const image = product.images?.[0] ?? product.thumbnail;
+
+    return (
+        <Link
+            to={to}
+            className="group flex flex-col h-full bg-surface rounded-lg shadow-md overflow-hidden hover:shadow-lg transition-shadow"
+        >
+            <div className="relative bg-surface-sunken">
+                {image && (
+                    <img
+                        src={image}
+                        alt=""
+                        className="w-full h-56 object-contain group-hover:scale-105 transition-transform"
+                        loading="lazy"
+                    />
+                )}
+                {product.discountPercentage > 0 && (
+                    <span className="absolute top-2 start-2 px-2 py-1 bg-danger-soft text-danger-strong text-xs font-medium rounded-full">
+                        -{formatNumber(Math.round(product.discountPercentage))}%
+                    </span>
+                )}
+            </div>
+            <div className="flex flex-col flex-1 p-4">
+                <p className="text-xs text-fg-subtle">
+                    {product.brand
+                        ? <HighlightedText text={product.brand} query={searchQuery} field="brand" />
+                        : formatCategory(product.category)}
+                </p>
+                <h3 className="mt-1 font-semibold text-fg group-hover:text-accent line-clamp-2">
+                    <HighlightedText text={product.title} query={searchQuery} field="title" />
+                </h3>
+                <div className="mt-auto pt-3 flex items-end justify-between gap-2">
+                    <div>
+                        <ProductPrice product={product} className="text-lg font-bold text-fg" />
+                    </div>
+                    <span className="text-sm text-fg-muted">
+                        <span className="text-rating" aria-hidden="true">★</span>{' '}
+                        {formatNumber(product.rating, { minimumFractionDigits: 1, maximumFractionDigits: 1 })}
+                    </span>
+                </div>
+                <div className="mt-2 flex items-center justify-between gap-2 text-xs">
+                    <span className={`px-2 py-1 font-medium rounded-full ${getStatusColorClass(product.availabilityStatus)}`}>
+                        {t(`availability.${product.availabilityStatus}`, { defaultValue: product.availabilityStatus })}
+                    </span>
+                    <span className={getStockColorClass(product.stock, stockThresholds)}>
+                        {t('grid.inStock', { count: product.stock })}
+                    </span>
+                </div>
+            </div>
+        </Link>
+    );
+};
+
+export default ProductCard;
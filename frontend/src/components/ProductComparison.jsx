@@ -0,0 +1,165 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { isNotFoundError } from '../api/apiErrors';
+import { useI18n } from '../hooks/useI18n';
+import { describeApiError } from '../utils/i18n';
+import { buildComparisonRows } from '../utils/productComparison';
+
+// Side-by-side comparison of the pinned products. `entries` are
+// { id, product, error } in pin order; rows whose values differ are
+// highlighted and the best price/rating/stock in them is marked.
+const ProductComparison = ({ entries, isLoading, error, onRetry, onRemove, onSelectProduct, onClose }) => {
+    const i18n = useI18n();
+    const { t } = i18n;
+    const [differencesOnly, setDifferencesOnly] = useState(false);
+    const closeButtonRef = useRef(null);
+
+    // Close on Escape and move focus into the dialog
+    useEffect(() => {
+        const handleKeyDown = (e) => {
+            if (e.key === 'Escape') onClose();
+        };
+
+        closeButtonRef.current?.focus();
+        document.addEventListener('keydown', handleKeyDown);
+        return () => document.removeEventListener('keydown', handleKeyDown);
+    }, [onClose]);
+
+    const loaded = entries.filter(entry => entry.product);
+    const failed = entries.filter(entry => !entry.product);
+    const rows = buildComparisonRows(loaded.map(entry => entry.product), i18n);
+    const visibleRows = differencesOnly ? rows.filter(row => row.differs) : rows;
+
+    const handleSelect = (id) => {
+        onClose();
+        onSelectProduct(id);
+    };
+
+    return (
+        <div className="fixed inset-0 z-40 flex items-center justify-center p-4">
+            <div className="absolute inset-0 bg-black/40" onClick={onClose} aria-hidden="true"></div>
+            <div
+                role="dialog"
+                aria-modal="true"
+                aria-labelledby="comparison-title"
+                className="relative w-full max-w-6xl max-h-[90vh] overflow-y-auto bg-surface rounded-lg shadow-xl p-6 space-y-4"
+            >
+                <div className="flex items-start justify-between gap-4">
+                    <h2 id="comparison-title" className="text-xl font-bold text-fg">{t('compare.title')}</h2>
+                    <div className="flex items-center gap-4">
+                        <label className="flex items-center gap-2 text-sm text-fg-muted">
+                            <input
+                                type="checkbox"
+                                checked={differencesOnly}
+                                onChange={(e) => setDifferencesOnly(e.target.checked)}
+                            />
+                            {t('compare.differencesOnly')}
+                        </label>
+                        <button
+                            ref={closeButtonRef}
+                            onClick={onClose}
+                            className="px-3 py-1 text-fg-subtle rounded-lg hover:bg-surface-sunken hover:text-fg-muted"
+                            aria-label={t('compare.close')}
+                        >
+                            ✕
+                        </button>
+                    </div>
+                </div>
+
+                {isLoading && <p className="py-8 text-center text-fg-subtle">{t('table.loading')}</p>}
+
+                {error && (
+                    <div className="px-4 py-3 bg-danger-subtle border border-danger-line rounded-lg text-sm text-danger-strong" role="alert">
+                        {t('compare.loadFailed', { reason: describeApiError(error, t) })}{' '}
+                        <button onClick={onRetry} className="font-medium underline">{t('actions.retry')}</button>
+                    </div>
+                )}
+
+                {failed.length > 0 && (
+                    <ul className="space-y-1 text-sm text-warning-strong" role="status">
+                        {failed.map(entry => (
+                            <li key={entry.id}>
+                                {isNotFoundError(entry.error)
+                                    ? t('compare.productGone', { id: entry.id })
+                                    : t('compare.productFailed', { id: entry.id, reason: describeApiError(entry.error, t) })}{' '}
+                                <button onClick={() => onRemove(entry.id)} className="font-medium underline">
+                                    {t('compare.remove')}
+                                </button>
+                            </li>
+                        ))}
+                    </ul>
+                )}
+
+                {loaded.length > 0 && (
+                    <div className="overflow-x-auto">
+                        <table className="w-full table-fixed text-sm">
+                            <caption className="sr-only">{t('compare.caption')}</caption>
+                            <colgroup>
+                                <col className="w-44" />
+                                {loaded.map(entry => <col key={entry.id} />)}
+                            </colgroup>
+                            <thead>
+                                <tr>
+                                    <td></td>
+                                    {loaded.map(({ id, product }) => (
+                                        <th key={id} scope="col" className="px-3 pb-3 align-top text-start font-normal">
+                                            <img
+                                                src={product.thumbnail}
+                                                alt=""
+                                                className="w-20 h-20 object-cover rounded-lg"
+                                            />
+                                            <button
+                                                onClick={() => handleSelect(id)}
+                                                className="mt-2 block text-start font-semibold text-fg hover:text-accent"
+                                            >
+                                                {product.title}
+                                            </button>
+                                            <button
+                                                onClick={() => onRemove(id)}
+                                                className="mt-1 text-xs text-fg-subtle hover:text-danger"
+                                                aria-label={t('table.uncompareLabel', { title: product.title })}
+                                            >
+                                                {t('compare.remove')}
+                                            </button>
+                                        </th>
+                                    ))}
+                                </tr>
+                            </thead>
+                            <tbody className="divide-y divide-line">
+                                {visibleRows.map(({ field, label, differs, cells }) => (
+                                    <tr key={field.id} className={differs ? 'bg-warning-subtle' : undefined}>
+                                        <th scope="row" className="px-3 py-2 text-start font-medium text-fg-muted">
+                                            {label}
+                                            {differs && <span className="sr-only"> {t('compare.differs')}</span>}
+                                        </th>
+                                        {cells.map((cell, index) => (
+                                            <td
+                                                key={loaded[index].id}
+                                                className={`px-3 py-2 ${cell.isBest ? 'font-semibold text-success-strong' : 'text-fg'}`}
+                                            >
+                                                {cell.text}
+                                                {cell.isBest && <span className="ms-1" aria-label={t('compare.best')}>★</span>}
+                                            </td>
+                                        ))}
+                                    </tr>
+                                ))}
+                                {visibleRows.length === 0 && (
+                                    <tr>
+                                        <td colSpan={loaded.length + 1} className="px-3 py-6 text-center text-fg-subtle">
+                                            {t('compare.noDifferences')}
+                                        </td>
+                                    </tr>
+                                )}
+                            </tbody>
+                        </table>
+                    </div>
+                )}
+
+                {!isLoading && !error && loaded.length < 2 && (
+                    <p className="text-sm text-fg-subtle">{t('compare.pickTwo')}</p>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default ProductComparison;
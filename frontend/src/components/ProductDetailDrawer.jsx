@@ -0,0 +1,110 @@
+import React, { useCallback, useEffect, useRef } from 'react';
+import productSource from '../api/productSource';
+import { fetchProductById } from '../api/productQueries';
+import { isNotFoundError } from '../api/apiErrors';
+import { getSharedFilterQuery } from '../utils/filterParams';
+import { describeApiError } from '../utils/i18n';
+import { ROUTES, buildPath } from '../utils/routes';
+import { useFocusTrap } from '../hooks/useFocusTrap';
+import { useI18n } from '../hooks/useI18n';
+import { useQuery } from '../hooks/useQuery';
+import Link from './Link';
+import ProductDetails from './ProductDetails';
+
+const ProductDetailDrawer = ({ productId, getStockThresholds, onClose }) => {
+    const { t } = useI18n();
+    const drawerRef = useRef(null);
+    const closeButtonRef = useRef(null);
+
+    // Load the product whenever the selected id changes
+    const fetchProduct = useCallback(
+        ({ signal }) => fetchProductById(productSource, productId, { signal }),
+        [productId]
+    );
+    const { data: product, error: fetchError, isLoading, isFetching, refetch } = useQuery(['product', productSource.name, productId], fetchProduct);
+
+    const error = fetchError && (isNotFoundError(fetchError)
+        ? t('product.notFound')
+        : `${t('product.loadFailed')} ${describeApiError(fetchError, t)}`);
+
+    useEffect(() => {
+        if (fetchError) console.error('Error fetching product:', fetchError);
+    }, [fetchError]);
+
+    // Keep focus inside while open and give it back to the opener on close
+    useFocusTrap(drawerRef);
+
+    // Close on Escape and move focus into the drawer
+    useEffect(() => {
+        const handleKeyDown = (e) => {
+            if (e.key === 'Escape') onClose();
+        };
+
+        closeButtonRef.current?.focus();
+        document.addEventListener('keydown', handleKeyDown);
+        return () => document.removeEventListener('keydown', handleKeyDown);
+    }, [onClose]);
+
+    return (
+        <div className="fixed inset-0 z-40 flex justify-end">
+            <div className="absolute inset-0 bg-black/40" onClick={onClose} aria-hidden="true"></div>
+            <aside
+                ref={drawerRef}
+                role="dialog"
+                aria-modal="true"
+                aria-labelledby="product-detail-title"
+                className="relative w-full max-w-xl h-full bg-surface shadow-xl overflow-y-auto p-6"
+            >
+                <div className="flex items-start justify-between gap-4">
+                    <div>
+                        <h2 id="product-detail-title" className="text-2xl font-bold text-fg">
+                            {product && !isLoading ? product.title : t('drawer.title')}
+                        </h2>
+                        <Link
+                            to={buildPath(ROUTES.PRODUCT, { id: productId }, getSharedFilterQuery(window.location.search))}
+                            className="text-sm text-accent hover:underline"
+                        >
+                            {t('drawer.openPage')}
+                        </Link>
+                    </div>
+                    <button
+                        ref={closeButtonRef}
+                        onClick={onClose}
+                        className="px-3 py-1 text-fg-subtle rounded-lg hover:bg-surface-sunken hover:text-fg-muted"
+                        aria-label={t('drawer.close')}
+                    >
+                        ✕
+                    </button>
+                </div>
+
+                <div className="mt-4">
+                    {isLoading && (
+                        <div className="text-center py-12">
+                            <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-accent mx-auto"></div>
+                            <p className="mt-4 text-fg-subtle">{t('product.loading')}</p>
+                        </div>
+                    )}
+                    {!isLoading && error && (
+                        <div role="alert">
+                            <p className="text-danger">{error}</p>
+                            {!isNotFoundError(fetchError) && (
+                                <button
+                                    onClick={refetch}
+                                    disabled={isFetching}
+                                    className="mt-3 px-4 py-2 bg-accent text-on-accent rounded-lg hover:bg-accent-hover transition-colors disabled:opacity-50"
+                                >
+                                    {t(isFetching ? 'actions.retrying' : 'actions.retry')}
+                                </button>
+                            )}
+                        </div>
+                    )}
+                    {!isLoading && !error && product && (
+                        <ProductDetails product={product} stockThresholds={getStockThresholds?.(product.category)} />
+                    )}
+                </div>
+            </aside>
+        </div>
+    );
+};
+
+export default ProductDetailDrawer;
@@ -0,0 +1,88 @@
+import React, { useCallback, useEffect } from 'react';
+import productSource from '../api/productSource';
+import { fetchProductById } from '../api/productQueries';
+import { isNotFoundError } from '../api/apiErrors';
+import { getSharedFilterQuery } from '../utils/filterParams';
+import { formatCategory } from '../utils/productDisplay';
+import { describeApiError } from '../utils/i18n';
+import { ROUTES, buildPath } from '../utils/routes';
+import { useInventorySettings } from '../hooks/useInventorySettings';
+import { useQuery } from '../hooks/useQuery';
+import { useI18n } from '../hooks/useI18n';
+import ErrorNotice from './ErrorNotice';
+import Link from './Link';
+import LoadingSpinner from './LoadingSpinner';
+import NotFoundPage from './NotFoundPage';
+import ProductDetails from './ProductDetails';
+
+// Full page for one product, reachable by link. `search` is the current
+// query string; its shared filters carry over to the links back.
+const ProductDetailPage = ({ productId, search }) => {
+    const { t } = useI18n();
+    const { getStockThresholds } = useInventorySettings();
+
+    // Same cache entry as the table's detail drawer
+    const fetchProduct = useCallback(
+        ({ signal }) => fetchProductById(productSource, productId, { signal }),
+        [productId]
+    );
+    const { data: product, error, isLoading, isFetching, refetch } = useQuery(
+        ['product', productSource.name, productId],
+        fetchProduct
+    );
+
+    useEffect(() => {
+        if (error) console.error('Error fetching product:', error);
+    }, [error]);
+
+    if (isNotFoundError(error)) {
+        return <NotFoundPage message={t('product.notFound')} />;
+    }
+
+    const filterQuery = getSharedFilterQuery(search);
+
+    return (
+        <div className="min-h-screen bg-surface-muted p-6">
+            <div className="max-w-4xl mx-auto">
+                <nav className="mb-4 text-sm" aria-label={t('nav.breadcrumb')}>
+                    <Link to={buildPath(ROUTES.TABLE, {}, filterQuery)} className="text-accent hover:underline">
+                        {t('nav.products')}
+                    </Link>
+                    {product && (
+                        <>
+                            <span className="mx-2 text-fg-faint" aria-hidden="true">/</span>
+                            <Link
+                                to={buildPath(ROUTES.CATEGORY, { category: product.category }, filterQuery)}
+                                className="text-accent hover:underline"
+                            >
+                                {formatCategory(product.category)}
+                            </Link>
+                            <span className="mx-2 text-fg-faint" aria-hidden="true">/</span>
+                            <span className="text-fg-muted" aria-current="page">{product.title}</span>
+                        </>
+                    )}
+                </nav>
+
+                {error && (
+                    <ErrorNotice
+                        title={t('product.loadFailed')}
+                        message={describeApiError(error, t)}
+                        onRetry={refetch}
+                        isRetrying={isFetching}
+                    />
+                )}
+
+                {isLoading && <LoadingSpinner label={t('product.loading')} />}
+
+                {product && (
+                    <article className="bg-surface rounded-lg shadow-md p-6">
+                        <h1 className="text-3xl font-bold text-fg mb-4">{product.title}</h1>
+                        <ProductDetails product={product} stockThresholds={getStockThresholds(product.category)} />
+                    </article>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default ProductDetailPage;
@@ -0,0 +1,167 @@
+import React, { useState } from 'react';
+import { useI18n } from '../hooks/useI18n';
+import { formatCategory, getStatusColorClass, getStockColorClass } from '../utils/productDisplay';
+import ProductHistory from './ProductHistory';
+import ProductPrice from './ProductPrice';
+
+const ONE_DECIMAL = { minimumFractionDigits: 1, maximumFractionDigits: 1 };
+
+// Sub-components
+const Stars = ({ rating }) => {
+    const { t } = useI18n();
+    return (
+        <span className="text-rating" aria-label={t('details.stars', { rating })}>
+            {'★'.repeat(Math.round(rating))}
+            <span className="text-fg-faint">{'★'.repeat(5 - Math.round(rating))}</span>
+        </span>
+    );
+};
+
+const DetailSection = ({ title, children }) => (
+    <section className="mt-6">
+        <h3 className="text-sm font-semibold text-fg-subtle uppercase tracking-wide mb-2">{title}</h3>
+        {children}
+    </section>
+);
+
+const DetailItem = ({ label, value }) => (
+    <div>
+        <dt className="text-xs text-fg-subtle">{label}</dt>
+        <dd className="text-sm font-medium text-fg">{value ?? '-'}</dd>
+    </div>
+);
+
+const Gallery = ({ images, title }) => {
+    const { t } = useI18n();
+    const [activeIndex, setActiveIndex] = useState(0);
+    const activeImage = images[activeIndex] ?? images[0];
+
+    if (images.length === 0) return null;
+
+    return (
+        <div>
+            <img
+                src={activeImage}
+                alt={title}
+                className="w-full h-64 object-contain bg-surface-sunken rounded-lg"
+            />
+            {images.length > 1 && (
+                <div className="flex gap-2 mt-2 overflow-x-auto">
+                    {images.map((image, index) => (
+                        <button
+                            key={image}
+                            onClick={() => setActiveIndex(index)}
+                            className={`shrink-0 rounded-lg border-2 ${
+                                index === activeIndex ? 'border-accent' : 'border-transparent'
+                            }`}
+                            aria-label={t('details.showImage', { index: index + 1, count: images.length })}
+                            aria-pressed={index === activeIndex}
+                        >
+                            <img src={image} alt="" className="w-16 h-16 object-cover rounded-md" loading="lazy" />
+                        </button>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+// Full product information, shared by the detail drawer and the product page
+const ProductDetails = ({ product, stockThresholds }) => {
+    const { t, formatNumber, formatPercent, formatDate } = useI18n();
+    const { dimensions } = product;
+    const images = product.images?.length ? product.images : [product.thumbnail].filter(Boolean);
+
+    return (
+        <>
+            {/* Gallery keyed by product so it resets to the first image */}
+            <Gallery key={product.id} images={images} title={product.title} />
+
+            <div className="mt-4 flex flex-wrap items-center gap-2">
+                <span className="px-2 py-1 bg-accent-soft text-accent-strong text-xs font-medium rounded-full">
+                    {formatCategory(product.category)}
+                </span>
+                <span className={`px-2 py-1 text-xs font-medium rounded-full ${getStatusColorClass(product.availabilityStatus)}`}>
+                    {t(`availability.${product.availabilityStatus}`, { defaultValue: product.availabilityStatus })}
+                </span>
+                {product.discountPercentage > 0 && (
+                    <span className="px-2 py-1 bg-danger-soft text-danger-strong text-xs font-medium rounded-full">
+                        -{formatPercent(product.discountPercentage)}
+                    </span>
+                )}
+            </div>
+
+            <div className="mt-4 flex items-baseline gap-4">
+                <span>
+                    <ProductPrice product={product} className="text-2xl font-bold text-fg" originalClassName="text-sm text-fg-faint" />
+                </span>
+                <span className="flex items-center text-fg-muted">
+                    <span className="text-rating">★</span>
+                    <span className="ms-1">{formatNumber(product.rating, ONE_DECIMAL)}</span>
+                </span>
+                <span className={`font-medium ${getStockColorClass(product.stock, stockThresholds)}`}>
+                    {t('grid.inStock', { count: product.stock })}
+                </span>
+            </div>
+
+            <p className="mt-4 text-fg-muted whitespace-pre-line">{product.description}</p>
+
+            <DetailSection title={t('details.details')}>
+                <dl className="grid grid-cols-2 gap-4">
+                    <DetailItem label={t('columns.brand')} value={product.brand} />
+                    <DetailItem label={t('columns.sku')} value={product.sku} />
+                    <DetailItem label={t('columns.weight')} value={product.weight} />
+                    <DetailItem
+                        label={t('compare.field.dimensions')}
+                        value={dimensions && `${dimensions.width} × ${dimensions.height} × ${dimensions.depth}`}
+                    />
+                    <DetailItem label={t('compare.field.minimumOrder')} value={product.minimumOrderQuantity} />
+                    <DetailItem label={t('details.barcode')} value={product.meta?.barcode} />
+                </dl>
+            </DetailSection>
+
+            <DetailSection title={t('details.policies')}>
+                <dl className="grid grid-cols-1 gap-3">
+                    <DetailItem label={t('compare.field.warranty')} value={product.warrantyInformation} />
+                    <DetailItem label={t('compare.field.shipping')} value={product.shippingInformation} />
+                    <DetailItem label={t('compare.field.returns')} value={product.returnPolicy} />
+                </dl>
+            </DetailSection>
+
+            {product.tags?.length > 0 && (
+                <DetailSection title={t('columns.tags')}>
+                    <ul className="flex flex-wrap gap-2">
+                        {product.tags.map((tag) => (
+                            <li key={tag} className="px-2 py-1 bg-surface-sunken text-fg-muted text-xs rounded-full">
+                                {tag}
+                            </li>
+                        ))}
+                    </ul>
+                </DetailSection>
+            )}
+
+            <ProductHistory productId={product.id} />
+
+            <DetailSection title={t('details.reviews', { count: product.reviews?.length ?? 0 })}>
+                {product.reviews?.length ? (
+                    <ul className="space-y-3">
+                        {product.reviews.map((review, index) => (
+                            <li key={`${review.reviewerEmail}-${index}`} className="border border-line rounded-lg p-3">
+                                <div className="flex items-center justify-between">
+                                    <span className="font-medium text-fg">{review.reviewerName}</span>
+                                    <Stars rating={review.rating} />
+                                </div>
+                                <p className="mt-1 text-sm text-fg-muted">{review.comment}</p>
+                                <p className="mt-1 text-xs text-fg-subtle">{formatDate(review.date)}</p>
+                            </li>
+                        ))}
+                    </ul>
+                ) : (
+                    <p className="text-sm text-fg-subtle">{t('details.noReviews')}</p>
+                )}
+            </DetailSection>
+        </>
+    );
+};
+
+export default ProductDetails;
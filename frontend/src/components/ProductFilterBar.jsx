@@ -0,0 +1,151 @@
+import React, { useCallback, useMemo } from 'react';
+import { formatCategory } from '../utils/productDisplay';
+import { describeAdvancedFilters } from '../utils/productFilters';
+import { describeApiError } from '../utils/i18n';
+import { useProductCatalog } from '../hooks/useProductCatalog';
+import { useRecentSearches } from '../hooks/useRecentSearches';
+import { useI18n } from '../hooks/useI18n';
+import AdvancedFilters from './AdvancedFilters';
+import MultiSelect from './MultiSelect';
+import SearchBox from './SearchBox';
+
+// Search, category and advanced filters above a product list, with the count
+// of what's shown. `listFilters` comes from useProductListFilters; `results`
+// is { isLoading, isFetching, start, end, total }. `controls` go before the
+// Clear button (e.g. the grid's sort menu), `aside` next to the count.
+const ProductFilterBar = ({ listFilters, results, controls, aside }) => {
+    const { t } = useI18n();
+    const { products: searchCatalog } = useProductCatalog();
+    const { recentSearches, addRecentSearch, removeRecentSearch, clearRecentSearches } = useRecentSearches();
+    const {
+        filters: { searchTerm: debouncedSearchTerm, categoryFilters, advancedFilters },
+        searchTerm,
+        setSearchTerm,
+        commitSearch,
+        searchQuery,
+        updateFilters,
+        clearFilters,
+        categories,
+        categoriesError,
+        isFetchingCategories,
+        refetchCategories,
+        brandOptions
+    } = listFilters;
+
+    // Runs the search without waiting for the debounce and remembers it
+    const handleSearchCommit = useCallback((value) => {
+        commitSearch(value);
+        addRecentSearch(value);
+    }, [commitSearch, addRecentSearch]);
+
+    const handleCategoryChange = useCallback((selected) => {
+        updateFilters({ categoryFilters: selected });
+    }, [updateFilters]);
+
+    const handleAdvancedFiltersChange = useCallback((next) => {
+        updateFilters({ advancedFilters: next });
+    }, [updateFilters]);
+
+    const categoryOptions = useMemo(
+        () => categories.map(category => ({ value: category, label: formatCategory(category) })),
+        [categories]
+    );
+    const advancedFilterSummary = describeAdvancedFilters(advancedFilters, t);
+
+    return (
+        <section className="bg-surface rounded-lg shadow-md p-4 mb-6" aria-label={t('filters.label')}>
+            <div className="flex flex-col md:flex-row gap-4">
+                {/* Search Input */}
+                <div className="flex-1">
+                    <label htmlFor="search" className="block text-sm font-medium text-fg-muted mb-1">
+                        {t('filters.search')}
+                    </label>
+                    <SearchBox
+                        id="search"
+                        value={searchTerm}
+                        onChange={setSearchTerm}
+                        onCommit={handleSearchCommit}
+                        catalog={searchCatalog}
+                        recentSearches={recentSearches}
+                        onRemoveRecent={removeRecentSearch}
+                        onClearRecent={clearRecentSearches}
+                    />
+                    {searchQuery.invalid.length > 0 && (
+                        <p className="mt-1 text-xs text-warning-strong" role="status">
+                            {t('filters.ignoredTerms', { terms: t.formatList(searchQuery.invalid) })}
+                        </p>
+                    )}
+                </div>
+
+                {/* Category Filter */}
+                <div className="flex-1">
+                    <label htmlFor="category" className="block text-sm font-medium text-fg-muted mb-1">
+                        {t('filters.category')}
+                    </label>
+                    <MultiSelect
+                        id="category"
+                        options={categoryOptions}
+                        selected={categoryFilters}
+                        onChange={handleCategoryChange}
+                        placeholder={t(categoriesError ? 'filters.categoriesUnavailable' : 'filters.allCategories')}
+                        disabled={Boolean(categoriesError)}
+                    />
+                    {categoriesError && (
+                        <p className="mt-1 text-xs text-warning-strong" role="status">
+                            {t('filters.categoriesError')} {describeApiError(categoriesError, t)}{' '}
+                            <button
+                                onClick={refetchCategories}
+                                disabled={isFetchingCategories}
+                                className="font-medium underline hover:text-fg disabled:opacity-50"
+                            >
+                                {t(isFetchingCategories ? 'actions.retrying' : 'actions.retry')}
+                            </button>
+                        </p>
+                    )}
+                </div>
+
+                {controls}
+
+                {/* Clear Filters Button */}
+                <div className="flex items-end">
+                    <button
+                        onClick={clearFilters}
+                        className="px-4 py-2 bg-surface-strong text-fg-muted rounded-lg hover:bg-surface-stronger transition-colors"
+                        aria-label={t('actions.clearFiltersLabel')}
+                    >
+                        {t('actions.clearFilters')}
+                    </button>
+                </div>
+            </div>
+
+            {/* Advanced Filters */}
+            <AdvancedFilters
+                filters={advancedFilters}
+                brandOptions={brandOptions}
+                onChange={handleAdvancedFiltersChange}
+            />
+
+            {/* Results Count */}
+            <div className="mt-4 flex flex-col sm:flex-row sm:items-center justify-between gap-3">
+                <div className="text-sm text-fg-muted" aria-live="polite">
+                    {results.isLoading ? (
+                        t('results.loading')
+                    ) : (
+                        <>
+                            {t('results.showing', { start: results.start, end: results.end, count: results.total })}
+                            {debouncedSearchTerm && t('results.forSearch', { term: debouncedSearchTerm })}
+                            {categoryFilters.length > 0 && t('results.inCategories', {
+                                categories: t.formatList(categoryFilters.map(formatCategory))
+                            })}
+                            {advancedFilterSummary.length > 0 && ` · ${advancedFilterSummary.join(' · ')}`}
+                            {results.isFetching && <span className="ms-2 text-accent">{t('results.updating')}</span>}
+                        </>
+                    )}
+                </div>
+                {aside}
+            </div>
+        </section>
+    );
+};
+
+export default ProductFilterBar;
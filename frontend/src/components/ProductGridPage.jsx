@@ -0,0 +1,192 @@
+import React, { useCallback, useEffect } from 'react';
+import productSource from '../api/productSource';
+import { fetchProductPage, productPageQueryKey } from '../api/productQueries';
+import { SORT_OPTIONS, SORT_ORDER } from '../constants/products';
+import { DEFAULT_FILTERS, serializeFilterParams } from '../utils/filterParams';
+import { describeApiError } from '../utils/i18n';
+import { ROUTES, buildPath } from '../utils/routes';
+import { useQuery } from '../hooks/useQuery';
+import { usePrefetchNextPage, useProductListFilters } from '../hooks/useProductListFilters';
+import { useInventorySettings } from '../hooks/useInventorySettings';
+import { useI18n } from '../hooks/useI18n';
+import ErrorNotice from './ErrorNotice';
+import LoadingSpinner from './LoadingSpinner';
+import ProductCard from './ProductCard';
+import ProductFilterBar from './ProductFilterBar';
+
+// Orderings offered above the grid; the table can combine several sort
+// keys, which shows up here as "custom"
+const GRID_SORTS = [
+    { value: '', sorting: [], labelKey: 'grid.sort.featured' },
+    { value: 'price:asc', sorting: [{ key: SORT_OPTIONS.PRICE, order: SORT_ORDER.ASC }], labelKey: 'grid.sort.priceAsc' },
+    { value: 'price:desc', sorting: [{ key: SORT_OPTIONS.PRICE, order: SORT_ORDER.DESC }], labelKey: 'grid.sort.priceDesc' },
+    { value: 'rating:desc', sorting: [{ key: SORT_OPTIONS.RATING, order: SORT_ORDER.DESC }], labelKey: 'grid.sort.ratingDesc' },
+    { value: 'discount:desc', sorting: [{ key: SORT_OPTIONS.DISCOUNT, order: SORT_ORDER.DESC }], labelKey: 'grid.sort.discountDesc' },
+    { value: 'title:asc', sorting: [{ key: SORT_OPTIONS.TITLE, order: SORT_ORDER.ASC }], labelKey: 'grid.sort.titleAsc' }
+];
+
+const CUSTOM_SORT = 'custom';
+
+const getSortValue = (sorting) => {
+    if (sorting.length === 0) return '';
+    const value = `${sorting[0].key}:${sorting[0].order}`;
+    return sorting.length === 1 && GRID_SORTS.some(option => option.value === value) ? value : CUSTOM_SORT;
+};
+
+// The grid only shows pages; the detail drawer belongs to the table
+const toGridFilters = (filters) => ({ ...filters, selectedProductId: DEFAULT_FILTERS.selectedProductId });
+
+const EMPTY_PRODUCTS = [];
+
+// Card view of the same filtered, sorted results as the table. Filters live
+// in the query string, so they carry over when switching views.
+const ProductGridPage = () => {
+    const { t } = useI18n();
+    const { getStockThresholds } = useInventorySettings();
+
+    const listFilters = useProductListFilters({ normalize: toGridFilters });
+    const { filters, setFilter, updateFilters, searchQuery, listParams, pageParams, handlePageLoaded } = listFilters;
+    const { sorting, currentPage, pageSize } = filters;
+
+    // Same query (and cache entries) as the table's paged mode
+    const fetchPage = useCallback(
+        ({ signal }) => fetchProductPage(productSource, { ...pageParams, signal }),
+        [pageParams]
+    );
+
+    const {
+        data: pageData,
+        error: pageError,
+        isLoading,
+        isFetching,
+        refetch: refetchPage
+    } = useQuery(productPageQueryKey(productSource, pageParams), fetchPage, {
+        keepPreviousData: true,
+        onSuccess: handlePageLoaded
+    });
+
+    const products = pageData?.products ?? EMPTY_PRODUCTS;
+    const totalProducts = pageData?.total ?? 0;
+    const totalPages = Math.ceil(totalProducts / pageSize);
+    const startIndex = (currentPage - 1) * pageSize;
+    const endIndex = Math.min(startIndex + pageSize, totalProducts);
+
+    usePrefetchNextPage(pageData, listParams, currentPage);
+
+    useEffect(() => {
+        if (pageError) console.error('Error fetching products:', pageError);
+    }, [pageError]);
+
+    // Handlers
+    const handleSortChange = useCallback((value) => {
+        const option = GRID_SORTS.find(sort => sort.value === value);
+        if (option) updateFilters({ sorting: option.sorting });
+    }, [updateFilters]);
+
+    const handlePageChange = useCallback((page) => {
+        setFilter('currentPage', page);
+        window.scrollTo(0, 0);
+    }, [setFilter]);
+
+    const sortValue = getSortValue(sorting);
+    // Product pages keep the filters for the way back
+    const productQuery = serializeFilterParams({ ...filters, currentPage: DEFAULT_FILTERS.currentPage });
+
+    return (
+        <div className="min-h-screen bg-surface-muted p-6">
+            <div className="max-w-7xl mx-auto">
+                {/* Header */}
+                <header className="mb-6">
+                    <h1 className="text-3xl font-bold text-fg">{t('grid.title')}</h1>
+                    <p className="text-sm text-fg-subtle mt-1">{t('grid.subtitle')}</p>
+                </header>
+
+                <ProductFilterBar
+                    listFilters={listFilters}
+                    results={{
+                        isLoading,
+                        isFetching,
+                        start: products.length > 0 ? startIndex + 1 : 0,
+                        end: endIndex,
+                        total: totalProducts
+                    }}
+                    controls={
+                        <div className="md:w-56">
+                            <label htmlFor="grid-sort" className="block text-sm font-medium text-fg-muted mb-1">
+                                {t('grid.sortBy')}
+                            </label>
+                            <select
+                                id="grid-sort"
+                                value={sortValue}
+                                onChange={(e) => handleSortChange(e.target.value)}
+                                className="w-full h-[42px] px-3 py-2 border border-line-strong rounded-lg bg-surface text-fg-muted"
+                            >
+                                {GRID_SORTS.map(option => (
+                                    <option key={option.value} value={option.value}>{t(option.labelKey)}</option>
+                                ))}
+                                {sortValue === CUSTOM_SORT && (
+                                    <option value={CUSTOM_SORT} disabled>{t('grid.sort.custom')}</option>
+                                )}
+                            </select>
+                        </div>
+                    }
+                />
+
+                {/* Error State - retry keeps the current filters */}
+                {pageError && (
+                    <ErrorNotice
+                        title={t(pageData ? 'errors.refreshFailed' : 'errors.loadFailed')}
+                        message={describeApiError(pageError, t)}
+                        onRetry={refetchPage}
+                        isRetrying={isFetching}
+                    />
+                )}
+
+                {/* Grid */}
+                <section aria-label={t('grid.label')} aria-busy={isFetching}>
+                    {isLoading && <LoadingSpinner />}
+                    {!isLoading && !pageError && products.length === 0 && (
+                        <p className="py-12 text-center text-fg-subtle text-lg">{t('table.noResults')}</p>
+                    )}
+                    {products.length > 0 && (
+                        <ul className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-6">
+                            {products.map(product => (
+                                <li key={product.id}>
+                                    <ProductCard
+                                        product={product}
+                                        to={buildPath(ROUTES.PRODUCT, { id: product.id }, productQuery)}
+                                        searchQuery={searchQuery}
+                                        stockThresholds={getStockThresholds(product.category)}
+                                    />
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </section>
+
+                {/* Pagination */}
+                {totalPages > 1 && (
+                    <nav className="mt-6 flex items-center justify-between gap-4 text-sm text-fg-muted" aria-label={t('grid.pagination')}>
+                        <button
+                            onClick={() => handlePageChange(currentPage - 1)}
+                            disabled={currentPage === 1}
+                            className="px-4 py-2 bg-surface border border-line-strong rounded-lg hover:bg-surface-sunken disabled:opacity-50 disabled:cursor-not-allowed"
+                        >
+                            {t('pagination.previous')}
+                        </button>
+                        <span>{t('pagination.page', { page: currentPage, pages: totalPages, count: totalProducts })}</span>
+                        <button
+                            onClick={() => handlePageChange(currentPage + 1)}
+                            disabled={currentPage >= totalPages}
+                            className="px-4 py-2 bg-surface border border-line-strong rounded-lg hover:bg-surface-sunken disabled:opacity-50 disabled:cursor-not-allowed"
+                        >
+                            {t('pagination.next')}
+                        </button>
+                    </nav>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default ProductGridPage;
@@ -0,0 +1,85 @@
+import React from 'react';
+import { useProductHistory } from '../hooks/useProductHistory';
+import { useI18n } from '../hooks/useI18n';
+import { getDiscountedPrice } from '../utils/productDisplay';
+import { getHistoryChanges } from '../utils/productHistory';
+import Sparkline from './Sparkline';
+
+const CHANGE_TIME_FORMAT = { dateStyle: 'medium', timeStyle: 'short' };
+
+const TrendChart = ({ label, values, format, className }) => {
+    const { t } = useI18n();
+    const summary = values.length > 1
+        ? t('history.trend', { from: format(values[0]), to: format(values[values.length - 1]) })
+        : t('history.noTrend');
+
+    return (
+        <div className="flex-1 min-w-40">
+            <p className="text-xs text-fg-subtle">{label}</p>
+            <Sparkline values={values} label={`${label}: ${summary}`} width={200} height={48} className={className} />
+            <p className="text-xs text-fg-muted">{summary}</p>
+        </div>
+    );
+};
+
+// Recorded price and stock history of a product: trend charts and a log of
+// every change, newest first (see hooks/useProductHistory.js)
+const ProductHistory = ({ productId }) => {
+    const { t, formatPrice, formatNumber, formatPercent, formatDate } = useI18n();
+    const { getHistory } = useProductHistory();
+    const points = getHistory(productId);
+    const changes = getHistoryChanges(points);
+    const formatField = {
+        price: formatPrice,
+        discountPercentage: formatPercent,
+        stock: formatNumber
+    };
+
+    return (
+        <section className="mt-6">
+            <h3 className="text-sm font-semibold text-fg-subtle uppercase tracking-wide mb-2">{t('history.title')}</h3>
+            {points.length === 0 ? (
+                <p className="text-sm text-fg-subtle">{t('history.empty')}</p>
+            ) : (
+                <>
+                    <div className="flex flex-wrap gap-4">
+                        <TrendChart
+                            label={t('history.price')}
+                            values={points.map(getDiscountedPrice)}
+                            format={formatPrice}
+                            className="stroke-accent"
+                        />
+                        <TrendChart
+                            label={t('history.stock')}
+                            values={points.map(point => point.stock)}
+                            format={formatNumber}
+                            className="stroke-success"
+                        />
+                    </div>
+                    <p className="mt-2 text-xs text-fg-subtle">
+                        {t('history.trackedSince', { date: formatDate(points[0].at, CHANGE_TIME_FORMAT) })}
+                    </p>
+                    {changes.length === 0 ? (
+                        <p className="mt-3 text-sm text-fg-subtle">{t('history.noChanges')}</p>
+                    ) : (
+                        <ol className="mt-3 max-h-60 overflow-y-auto divide-y divide-line-soft border border-line rounded-lg">
+                            {changes.map(({ at, field, from, to }) => (
+                                <li key={`${at}-${field}`} className="px-3 py-2 flex items-center justify-between gap-4 text-sm">
+                                    <span className="text-fg-muted">
+                                        {t(`history.field.${field}`)}:{' '}
+                                        {t('history.trend', { from: formatField[field](from), to: formatField[field](to) })}
+                                    </span>
+                                    <time dateTime={new Date(at).toISOString()} className="shrink-0 text-xs text-fg-subtle">
+                                        {formatDate(at, CHANGE_TIME_FORMAT)}
+                                    </time>
+                                </li>
+                            ))}
+                        </ol>
+                    )}
+                </>
+            )}
+        </section>
+    );
+};
+
+export default ProductHistory;
@@ -0,0 +1,23 @@
+import React from 'react';
+import { useI18n } from '../hooks/useI18n';
+import { getDiscountedPrice } from '../utils/productDisplay';
+
+// Discounted price in the chosen currency, with the list price struck
+// through when there's a discount
+const ProductPrice = ({ product, className = 'font-semibold text-fg', originalClassName = 'text-xs text-fg-faint' }) => {
+    const { t, formatPrice } = useI18n();
+
+    return (
+        <>
+            <span className={`block ${className}`}>{formatPrice(getDiscountedPrice(product))}</span>
+            {product.discountPercentage > 0 && (
+                <span className={`block ${originalClassName}`}>
+                    <span className="sr-only">{t('table.originalPrice', { price: formatPrice(product.price) })}</span>
+                    <s aria-hidden="true">{formatPrice(product.price)}</s>
+                </span>
+            )}
+        </>
+    );
+};
+
+export default ProductPrice;
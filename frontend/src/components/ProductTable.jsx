@@ -0,0 +1,609 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { SORT_ORDER } from '../constants/products';
+import { getDiscountedPrice, getStatusColorClass, getStockColorClass } from '../utils/productDisplay';
+import { BASE_CURRENCY } from '../utils/currency';
+import { PAGE_SELECTION } from '../hooks/useProductSelection';
+import { useVirtualRows } from '../hooks/useVirtualRows';
+import { HEADER_ROW, useTableNavigation } from '../hooks/useTableNavigation';
+import { useI18n } from '../hooks/useI18n';
+import EditableCell from './EditableCell';
+import HighlightedText from './HighlightedText';
+import ProductPrice from './ProductPrice';
+import Sparkline from './Sparkline';
+
+// Keyboard resize step in pixels
+const RESIZE_STEP = 16;
+
+// Fixed width of the leading checkbox column
+const SELECT_COLUMN_WIDTH = 48;
+
+// "Price trend: $10.00 to $8.00" over the recorded points
+const describeTrend = (labelKey, values, format, t) => (values.length > 1
+    ? t(labelKey, { from: format(values[0]), to: format(values[values.length - 1]) })
+    : t('table.noTrend'));
+
+// Cell content per column id. `ctx` carries the row's handlers, its
+// comparison state, the stock thresholds for the product's category, its
+// price/stock history and whether that changed since the last visit, the
+// parsed search query whose matches are highlighted and `i18n` (see
+// hooks/useI18n.js) for text, prices and numbers.
+const CELL_RENDERERS = {
+    image: (product) => (
+        <img
+            src={product.thumbnail}
+            alt={product.title}
+            className="w-12 h-12 object-cover rounded-lg"
+            loading="lazy"
+        />
+    ),
+    title: (product, { onSave, isPending, searchQuery, i18n }) => (
+        <div className="min-w-0">
+            <EditableCell
+                field="title"
+                label={i18n.t('table.editTitle')}
+                value={product.title}
+                onSave={onSave}
+                disabled={isPending}
+            >
+                <span className="block font-medium text-fg truncate">
+                    <HighlightedText text={product.title} query={searchQuery} field="title" />
+                </span>
+            </EditableCell>
+            <p className="text-xs text-fg-subtle truncate">
+                <HighlightedText text={product.description} query={searchQuery} field="description" />
+            </p>
+        </div>
+    ),
+    category: (product) => (
+        <span className="px-2 py-1 bg-accent-soft text-accent-strong text-xs font-medium rounded-full">
+            {product.category}
+        </span>
+    ),
+    brand: (product) => <span className="text-fg-muted">{product.brand || '-'}</span>,
+    sku: (product) => <span className="text-fg-muted font-mono text-xs">{product.sku || '-'}</span>,
+    // Shows what the customer pays; the list price (what gets edited, in the
+    // base currency) is struck through below when there's a discount
+    price: (product, { onSave, isPending, i18n }) => (
+        <EditableCell
+            field="price"
+            label={i18n.t('table.editPrice', { currency: BASE_CURRENCY })}
+            value={product.price}
+            onSave={onSave}
+            disabled={isPending}
+            inputType="number"
+            step="0.01"
+        >
+            <ProductPrice product={product} />
+        </EditableCell>
+    ),
+    discount: (product, { onSave, isPending, i18n }) => (
+        <EditableCell
+            field="discountPercentage"
+            label={i18n.t('table.editDiscount')}
+            value={product.discountPercentage}
+            onSave={onSave}
+            disabled={isPending}
+            inputType="number"
+            step="0.01"
+        >
+            {product.discountPercentage > 0 ? (
+                <span className="px-2 py-1 bg-danger-soft text-danger-strong text-xs font-medium rounded-full">
+                    -{i18n.formatPercent(product.discountPercentage)}
+                </span>
+            ) : (
+                <span className="text-fg-faint">-</span>
+            )}
+        </EditableCell>
+    ),
+    rating: (product, { i18n }) => (
+        <div className="flex items-center">
+            <span className="text-rating">★</span>
+            <span className="ms-1 text-fg-muted">
+                {i18n.formatNumber(product.rating, { minimumFractionDigits: 1, maximumFractionDigits: 1 })}
+            </span>
+        </div>
+    ),
+    stock: (product, { onSave, isPending, stockThresholds, i18n }) => (
+        <EditableCell
+            field="stock"
+            label={i18n.t('table.editStock')}
+            value={product.stock}
+            onSave={onSave}
+            disabled={isPending}
+            inputType="number"
+            step="1"
+        >
+            <span className={`font-medium ${getStockColorClass(product.stock, stockThresholds)}`}>
+                {i18n.formatNumber(product.stock)}
+            </span>
+        </EditableCell>
+    ),
+    status: (product, { i18n }) => (
+        <span className={`px-2 py-1 text-xs font-medium rounded-full ${getStatusColorClass(product.availabilityStatus)}`}>
+            {i18n.t(`availability.${product.availabilityStatus}`, { defaultValue: product.availabilityStatus })}
+        </span>
+    ),
+    // What the customer paid (after discount) and stock, per recorded point
+    trend: (product, { history, hasChanged, i18n: { t, formatPrice, formatNumber } }) => {
+        const prices = history.map(getDiscountedPrice);
+        const stock = history.map(point => point.stock);
+        return (
+            <div className="flex items-center gap-2">
+                <div className="flex flex-col gap-1">
+                    <Sparkline
+                        values={prices}
+                        label={describeTrend('table.priceTrend', prices, formatPrice, t)}
+                        className="stroke-accent"
+                    />
+                    <Sparkline
+                        values={stock}
+                        label={describeTrend('table.stockTrend', stock, formatNumber, t)}
+                        className="stroke-success"
+                    />
+                </div>
+                {hasChanged && (
+                    <span className="w-2 h-2 shrink-0 rounded-full bg-warning" title={t('table.changedSinceVisit')}>
+                        <span className="sr-only">{t('table.changedSinceVisit')}</span>
+                    </span>
+                )}
+            </div>
+        );
+    },
+    weight: (product) => <span className="text-fg-muted">{product.weight ?? '-'}</span>,
+    tags: (product) => (
+        product.tags?.length ? (
+            <div className="flex flex-wrap gap-1">
+                {product.tags.map((tag) => (
+                    <span key={tag} className="px-2 py-0.5 bg-surface-sunken text-fg-muted text-xs rounded-full">{tag}</span>
+                ))}
+            </div>
+        ) : (
+            <span className="text-fg-faint">-</span>
+        )
+    ),
+    minimumOrderQuantity: (product) => <span className="text-fg-muted">{product.minimumOrderQuantity ?? '-'}</span>,
+    actions: (product, { onDelete, isPending, isCompared, canCompare, onToggleCompare, i18n: { t } }) => (
+        <div className="flex items-center gap-1">
+            {onToggleCompare && (
+                <button
+                    onClick={(e) => {
+                        e.stopPropagation();
+                        onToggleCompare(product);
+                    }}
+                    disabled={isPending || (!isCompared && !canCompare)}
+                    className={`px-2 py-1 text-sm rounded-lg disabled:cursor-not-allowed disabled:opacity-40 ${
+                        isCompared ? 'text-accent-strong bg-accent-soft hover:bg-accent-soft/70' : 'text-accent hover:bg-accent-soft/50'
+                    }`}
+                    aria-pressed={isCompared}
+                    aria-label={t(isCompared ? 'table.uncompareLabel' : 'table.compareLabel', { title: product.title })}
+                    title={!isCompared && !canCompare ? t('table.compareFull') : undefined}
+                >
+                    {isCompared ? t('table.compared') : t('table.compare')}
+                </button>
+            )}
+            <button
+                onClick={(e) => {
+                    e.stopPropagation();
+                    onDelete(product);
+                }}
+                disabled={isPending}
+                className="px-2 py-1 text-sm text-danger rounded-lg hover:bg-danger-soft/50 disabled:cursor-not-allowed"
+                aria-label={t('table.deleteLabel', { title: product.title })}
+            >
+                {t('table.delete')}
+            </button>
+        </div>
+    )
+};
+
+const ARIA_SORT = {
+    [SORT_ORDER.ASC]: 'ascending',
+    [SORT_ORDER.DESC]: 'descending'
+};
+
+// Sub-components
+// Arrow for the column's direction; with several sort keys, its priority too.
+// Screen readers get the primary key from aria-sort on the header, so only
+// the priorities are spelled out for them.
+const SortIcon = ({ column, sorting }) => {
+    const { t } = useI18n();
+    const index = sorting.findIndex(sort => sort.key === column);
+    if (index === -1) {
+        return <span className="text-fg-faint ms-1" aria-hidden="true">↕</span>;
+    }
+    const { order } = sorting[index];
+    return (
+        <span className="ms-1 text-header-accent">
+            <span aria-hidden="true">
+                {order === SORT_ORDER.ASC ? '↑' : '↓'}
+                {sorting.length > 1 && <sup className="ms-0.5 text-[10px] font-bold">{index + 1}</sup>}
+            </span>
+            {sorting.length > 1 && (
+                <span className="sr-only">
+                    {' '}{t('table.sortPriority', { priority: index + 1, order: t(`table.sortOrder.${order}`) })}
+                </span>
+            )}
+        </span>
+    );
+};
+
+// Sortable (click, or Enter/Space when focused; Shift adds a secondary key),
+// draggable (to reorder) and resizable header cell
+const ColumnHeader = ({
+    column,
+    cellProps,
+    sorting,
+    onSort,
+    isDragTarget,
+    onDragStart,
+    onDragOver,
+    onDrop,
+    onDragEnd,
+    onResizeDraft,
+    onResizeCommit
+}) => {
+    const { t, dir } = useI18n();
+    // Set while the edge is being dragged so the header doesn't also sort or move
+    const resizingRef = useRef(false);
+    const sortable = Boolean(column.sortKey);
+    const label = t(`columns.${column.id}`, { defaultValue: column.label });
+    // The resize handle sits on the trailing edge, which is the left one in RTL
+    const growDirection = dir === 'rtl' ? -1 : 1;
+
+    const handleResizeStart = (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        resizingRef.current = true;
+
+        const startX = e.clientX;
+        const widthAt = (event) => column.width + (event.clientX - startX) * growDirection;
+        const handleMove = (event) => onResizeDraft(column.id, widthAt(event));
+        const handleUp = (event) => {
+            window.removeEventListener('pointermove', handleMove);
+            window.removeEventListener('pointerup', handleUp);
+            onResizeCommit(column.id, widthAt(event));
+            // The click that ends the drag must not sort
+            setTimeout(() => {
+                resizingRef.current = false;
+            }, 0);
+        };
+
+        window.addEventListener('pointermove', handleMove);
+        window.addEventListener('pointerup', handleUp);
+    };
+
+    const handleResizeKeyDown = (e) => {
+        if (e.key !== 'ArrowLeft' && e.key !== 'ArrowRight') return;
+        e.preventDefault();
+        const step = (e.key === 'ArrowRight' ? RESIZE_STEP : -RESIZE_STEP) * growDirection;
+        onResizeCommit(column.id, column.width + step);
+    };
+
+    const handleKeyDown = (e) => {
+        if (!sortable || e.target !== e.currentTarget || (e.key !== 'Enter' && e.key !== ' ')) return;
+        e.preventDefault();
+        onSort(column.sortKey, { multi: e.shiftKey });
+    };
+
+    // Only the primary sort key is exposed; ARIA allows one sorted header
+    const primarySort = sorting[0]?.key === column.sortKey ? sorting[0] : null;
+    const ariaSort = sortable ? ARIA_SORT[primarySort?.order] ?? 'none' : undefined;
+
+    return (
+        <th
+            {...cellProps}
+            aria-sort={ariaSort}
+            className={`relative px-4 py-3 text-start text-sm font-semibold select-none ${
+                sortable ? 'cursor-pointer hover:bg-header-hover' : 'cursor-grab'
+            } ${isDragTarget ? 'bg-header-active' : ''}`}
+            draggable
+            onDragStart={(e) => {
+                if (resizingRef.current) {
+                    e.preventDefault();
+                    return;
+                }
+                onDragStart(e, column.id);
+            }}
+            onDragOver={(e) => onDragOver(e, column.id)}
+            onDrop={(e) => onDrop(e, column.id)}
+            onDragEnd={onDragEnd}
+            onClick={sortable ? (e) => {
+                if (!resizingRef.current) onSort(column.sortKey, { multi: e.shiftKey });
+            } : undefined}
+            onKeyDown={handleKeyDown}
+            title={sortable ? t('table.sortHint') : undefined}
+        >
+            <span className="block truncate pe-2">
+                {label}
+                {sortable && <SortIcon column={column.sortKey} sorting={sorting} />}
+            </span>
+            <span
+                role="separator"
+                aria-orientation="vertical"
+                aria-label={t('table.resizeColumn', { column: label })}
+                aria-valuenow={column.width}
+                tabIndex={0}
+                onPointerDown={handleResizeStart}
+                onKeyDown={handleResizeKeyDown}
+                onClick={(e) => e.stopPropagation()}
+                className="absolute top-0 end-0 h-full w-2 cursor-col-resize hover:bg-accent focus:bg-accent outline-none"
+            ></span>
+        </th>
+    );
+};
+
+// Select-all checkbox for the rows on the current page
+const PageSelectCheckbox = ({ state, onChange }) => {
+    const { t } = useI18n();
+    const checkboxRef = useRef(null);
+
+    useEffect(() => {
+        checkboxRef.current.indeterminate = state === PAGE_SELECTION.SOME;
+    }, [state]);
+
+    return (
+        <input
+            ref={checkboxRef}
+            type="checkbox"
+            checked={state === PAGE_SELECTION.ALL}
+            onChange={(e) => onChange(e.target.checked)}
+            aria-label={t('table.selectPage')}
+            className="w-4 h-4"
+        />
+    );
+};
+
+// Stands in for rows outside the rendered window of a virtualized table
+const SpacerRow = ({ height, colSpan }) => (
+    <tr data-spacer aria-hidden="true">
+        <td colSpan={colSpan} style={{ height, padding: 0 }} />
+    </tr>
+);
+
+const ProductRow = ({
+    product,
+    index,
+    ariaRowIndex,
+    getCellProps,
+    columns,
+    isSelected,
+    onToggleSelected,
+    onSelect,
+    onUpdate,
+    onDelete,
+    getStockThresholds,
+    getHistory,
+    hasChangedSinceLastVisit,
+    isCompared,
+    canCompare,
+    onToggleCompare,
+    searchQuery
+}) => {
+    const i18n = useI18n();
+    // Rows still being created on the server can't be opened, edited or selected yet
+    const isPending = Boolean(product.isPending);
+    // Navigation counts the checkbox column, when there is one, as column 0
+    const firstColumn = onToggleSelected ? 1 : 0;
+    const hasChanged = hasChangedSinceLastVisit?.(product.id) ?? false;
+    const stripeClass = index % 2 === 0 ? 'bg-surface' : 'bg-surface-muted';
+    const backgroundClass = isSelected ? 'bg-accent-soft/50' : hasChanged ? 'bg-warning-soft/50' : stripeClass;
+    const rowClass = `transition-colors ${backgroundClass} ${
+        isPending ? 'opacity-50' : 'cursor-pointer hover:bg-accent-soft/50'
+    }`;
+    const ctx = {
+        isPending,
+        onSave: (field, value) => onUpdate(product.id, { [field]: value }),
+        onDelete,
+        stockThresholds: getStockThresholds?.(product.category),
+        history: getHistory?.(product.id) ?? [],
+        hasChanged,
+        isCompared: isCompared?.(product.id) ?? false,
+        canCompare,
+        onToggleCompare,
+        searchQuery,
+        i18n
+    };
+
+    return (
+        <tr
+            className={rowClass}
+            onClick={isPending ? undefined : () => onSelect(product.id)}
+            aria-rowindex={ariaRowIndex}
+            aria-selected={onToggleSelected ? isSelected : undefined}
+        >
+            {onToggleSelected && (
+                <td {...getCellProps(index, 0)} className="px-4 py-3" onClick={(e) => e.stopPropagation()}>
+                    <input
+                        type="checkbox"
+                        checked={isSelected}
+                        disabled={isPending}
+                        onChange={() => onToggleSelected(product)}
+                        aria-label={i18n.t('table.selectRow', { title: product.title })}
+                        className="w-4 h-4"
+                    />
+                </td>
+            )}
+            {columns.map((column, col) => (
+                <td
+                    key={column.id}
+                    {...getCellProps(index, col + firstColumn)}
+                    className="px-4 py-3 overflow-hidden"
+                >
+                    {CELL_RENDERERS[column.id](product, ctx)}
+                </td>
+            ))}
+        </tr>
+    );
+};
+
+// Products table driven by the column model in utils/productColumns.js.
+// Passing `onToggleRow` adds a leading checkbox column for row selection;
+// `virtualized` only renders the rows near the viewport (for long lists);
+// `searchQuery` (parsed) highlights matches in titles and descriptions;
+// `getHistory`/`hasChangedSinceLastVisit` (see hooks/useProductHistory.js)
+// feed the trend column and highlight rows that changed.
+// It's an ARIA grid: one cell at a time is focusable and the arrow keys move
+// between cells (see hooks/useTableNavigation.js); Enter on a row's cell
+// opens that product. `describedBy` points at help text for the keys.
+const ProductTable = ({
+    products,
+    columns,
+    sorting,
+    onSort,
+    onSelect,
+    onUpdate,
+    onDelete,
+    onMoveColumn,
+    onResizeColumn,
+    isRowSelected,
+    onToggleRow,
+    pageSelection = PAGE_SELECTION.NONE,
+    onTogglePage,
+    virtualized = false,
+    getStockThresholds,
+    getHistory,
+    hasChangedSinceLastVisit,
+    isCompared,
+    canCompare = true,
+    onToggleCompare,
+    searchQuery,
+    describedBy
+}) => {
+    const { t, dir } = useI18n();
+    const selectable = Boolean(onToggleRow);
+    const bodyRef = useRef(null);
+    // Virtualized rows carry aria-rowindex (the header is row 1) so screen
+    // readers still know where they are in the full list
+    const { start, end, paddingTop, paddingBottom, scrollToIndex } = useVirtualRows(bodyRef, products.length, { enabled: virtualized });
+    const [draggedId, setDraggedId] = useState(null);
+    const [dragOverId, setDragOverId] = useState(null);
+    // Live width while an edge is dragged; saved to the layout on release
+    const [resizeDraft, setResizeDraft] = useState(null);
+
+    const displayColumns = resizeDraft
+        ? columns.map(column => (column.id === resizeDraft.id
+            ? { ...column, width: Math.max(column.minWidth, resizeDraft.width) }
+            : column))
+        : columns;
+    const columnCount = displayColumns.length + (selectable ? 1 : 0);
+    const firstColumn = selectable ? 1 : 0;
+    const { tableProps, getCellProps } = useTableNavigation({
+        rowCount: products.length,
+        columnCount,
+        dir,
+        onActivateRow: (index) => {
+            const product = products[index];
+            if (!product.isPending) onSelect(product.id);
+        },
+        onMissingRow: virtualized ? scrollToIndex : undefined
+    });
+    const tableWidth = displayColumns.reduce(
+        (total, column) => total + column.width,
+        selectable ? SELECT_COLUMN_WIDTH : 0
+    );
+
+    const handleDragStart = (e, id) => {
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', id);
+        setDraggedId(id);
+    };
+
+    const handleDragOver = (e, id) => {
+        if (!draggedId || draggedId === id) return;
+        e.preventDefault();
+        setDragOverId(id);
+    };
+
+    const handleDrop = (e, id) => {
+        e.preventDefault();
+        if (draggedId && draggedId !== id) onMoveColumn(draggedId, id);
+        setDraggedId(null);
+        setDragOverId(null);
+    };
+
+    const handleDragEnd = () => {
+        setDraggedId(null);
+        setDragOverId(null);
+    };
+
+    const handleResizeDraft = (id, width) => {
+        setResizeDraft({ id, width });
+    };
+
+    const handleResizeCommit = (id, width) => {
+        setResizeDraft(null);
+        onResizeColumn(id, width);
+    };
+
+    return (
+        <table
+            {...tableProps}
+            role="grid"
+            className="table-fixed min-w-full"
+            style={{ width: tableWidth }}
+            aria-label={t('table.label')}
+            aria-describedby={describedBy}
+            aria-rowcount={virtualized ? products.length + 1 : undefined}
+        >
+            <colgroup>
+                {selectable && <col style={{ width: SELECT_COLUMN_WIDTH }} />}
+                {displayColumns.map((column) => (
+                    <col key={column.id} style={{ width: column.width }} />
+                ))}
+            </colgroup>
+            <thead className="bg-header text-header-fg">
+                <tr>
+                    {selectable && (
+                        <th {...getCellProps(HEADER_ROW, 0)} className="px-4 py-3 text-start">
+                            <PageSelectCheckbox state={pageSelection} onChange={onTogglePage} />
+                        </th>
+                    )}
+                    {displayColumns.map((column, col) => (
+                        <ColumnHeader
+                            key={column.id}
+                            column={column}
+                            cellProps={getCellProps(HEADER_ROW, col + firstColumn)}
+                            sorting={sorting}
+                            onSort={onSort}
+                            isDragTarget={dragOverId === column.id}
+                            onDragStart={handleDragStart}
+                            onDragOver={handleDragOver}
+                            onDrop={handleDrop}
+                            onDragEnd={handleDragEnd}
+                            onResizeDraft={handleResizeDraft}
+                            onResizeCommit={handleResizeCommit}
+                        />
+                    ))}
+                </tr>
+            </thead>
+            <tbody className="divide-y divide-line" ref={bodyRef}>
+                {paddingTop > 0 && <SpacerRow height={paddingTop} colSpan={columnCount} />}
+                {products.slice(start, end).map((product, offset) => (
+                    <ProductRow
+                        key={product.id}
+                        product={product}
+                        index={start + offset}
+                        ariaRowIndex={virtualized ? start + offset + 2 : undefined}
+                        getCellProps={getCellProps}
+                        columns={displayColumns}
+                        isSelected={selectable && isRowSelected(product.id)}
+                        onToggleSelected={onToggleRow}
+                        onSelect={onSelect}
+                        onUpdate={onUpdate}
+                        onDelete={onDelete}
+                        getStockThresholds={getStockThresholds}
+                        getHistory={getHistory}
+                        hasChangedSinceLastVisit={hasChangedSinceLastVisit}
+                        isCompared={isCompared}
+                        canCompare={canCompare}
+                        onToggleCompare={onToggleCompare}
+                        searchQuery={searchQuery}
+                    />
+                ))}
+                {paddingBottom > 0 && <SpacerRow height={paddingBottom} colSpan={columnCount} />}
+            </tbody>
+        </table>
+    );
+};
+
+export default ProductTable;
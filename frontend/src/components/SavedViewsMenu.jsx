@@ -0,0 +1,283 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useI18n } from '../hooks/useI18n';
+import {
+    MAX_VIEW_NAME_LENGTH,
+    findViewByName,
+    summarizeView,
+    validateViewName
+} from '../utils/savedViews';
+
+// Sub-components
+const ViewRow = ({ view, views, isActive, isDefault, onLoad, onRename, onDelete, onToggleDefault }) => {
+    const { t } = useI18n();
+    const [draftName, setDraftName] = useState(null);
+    const isRenaming = draftName !== null;
+    const renameError = isRenaming ? validateViewName(draftName, views, view.id, t) : null;
+
+    const handleRenameSubmit = (e) => {
+        e.preventDefault();
+        if (renameError) return;
+        onRename(view.id, draftName);
+        setDraftName(null);
+    };
+
+    const handleRenameKeyDown = (e) => {
+        if (e.key !== 'Escape') return;
+        // Cancel the rename without closing the menu
+        e.stopPropagation();
+        setDraftName(null);
+    };
+
+    const handleDelete = () => {
+        if (window.confirm(t('views.confirmDelete', { name: view.name }))) onDelete(view.id);
+    };
+
+    if (isRenaming) {
+        return (
+            <li>
+                <form onSubmit={handleRenameSubmit} className="flex items-center gap-2">
+                    <input
+                        type="text"
+                        value={draftName}
+                        onChange={(e) => setDraftName(e.target.value)}
+                        onKeyDown={handleRenameKeyDown}
+                        maxLength={MAX_VIEW_NAME_LENGTH}
+                        className="flex-1 min-w-0 px-2 py-1 text-sm border border-line-strong rounded focus:ring-2 focus:ring-accent outline-none"
+                        aria-label={t('views.newName', { name: view.name })}
+                        aria-invalid={Boolean(renameError)}
+                        autoFocus
+                    />
+                    <button
+                        type="submit"
+                        disabled={Boolean(renameError)}
+                        className="px-2 py-1 text-sm text-accent rounded hover:bg-accent-subtle disabled:opacity-50"
+                    >
+                        {t('views.save')}
+                    </button>
+                    <button
+                        type="button"
+                        onClick={() => setDraftName(null)}
+                        className="px-2 py-1 text-sm text-fg-muted rounded hover:bg-surface-sunken"
+                    >
+                        {t('actions.cancel')}
+                    </button>
+                </form>
+                {renameError && <p className="mt-1 text-xs text-danger">{renameError}</p>}
+            </li>
+        );
+    }
+
+    return (
+        <li className={`flex items-start gap-2 rounded-lg px-2 py-1 ${isActive ? 'bg-accent-subtle' : ''}`}>
+            <button
+                onClick={() => onToggleDefault(view.id)}
+                className={`mt-0.5 ${isDefault ? 'text-rating' : 'text-fg-faint hover:text-fg-subtle'}`}
+                aria-pressed={isDefault}
+                aria-label={t(isDefault ? 'views.unsetDefaultLabel' : 'views.setDefaultLabel', { name: view.name })}
+                title={t(isDefault ? 'views.default' : 'views.setDefault')}
+            >
+                ★
+            </button>
+            <button
+                onClick={() => onLoad(view)}
+                className="flex-1 min-w-0 text-start"
+                aria-current={isActive ? 'true' : undefined}
+            >
+                <span className="block text-sm font-medium text-fg truncate">{view.name}</span>
+                <span className="block text-xs text-fg-subtle truncate">{summarizeView(view, t)}</span>
+            </button>
+            <button
+                onClick={() => setDraftName(view.name)}
+                className="px-1 text-xs text-fg-subtle rounded hover:bg-surface-sunken"
+                aria-label={t('views.renameLabel', { name: view.name })}
+            >
+                {t('views.rename')}
+            </button>
+            <button
+                onClick={handleDelete}
+                className="px-1 text-xs text-danger rounded hover:bg-danger-subtle"
+                aria-label={t('views.deleteLabel', { name: view.name })}
+            >
+                {t('views.delete')}
+            </button>
+        </li>
+    );
+};
+
+// Dropdown to save the current filters as a named view and load, rename,
+// delete, import or export saved views
+const SavedViewsMenu = ({
+    views,
+    defaultViewId,
+    activeViewId,
+    onLoad,
+    onSave,
+    onRename,
+    onDelete,
+    onToggleDefault,
+    onImport,
+    onExport
+}) => {
+    const { t } = useI18n();
+    const [isOpen, setIsOpen] = useState(false);
+    const [name, setName] = useState('');
+    const [showNameError, setShowNameError] = useState(false);
+    const [importMessage, setImportMessage] = useState(null);
+    const containerRef = useRef(null);
+
+    useEffect(() => {
+        if (!isOpen) return undefined;
+
+        const handlePointerDown = (e) => {
+            if (!containerRef.current?.contains(e.target)) setIsOpen(false);
+        };
+        const handleKeyDown = (e) => {
+            if (e.key === 'Escape') setIsOpen(false);
+        };
+
+        document.addEventListener('mousedown', handlePointerDown);
+        document.addEventListener('keydown', handleKeyDown);
+        return () => {
+            document.removeEventListener('mousedown', handlePointerDown);
+            document.removeEventListener('keydown', handleKeyDown);
+        };
+    }, [isOpen]);
+
+    // Saving under an existing name updates that view instead of failing
+    const existingView = findViewByName(views, name);
+    const nameError = validateViewName(name, views, existingView?.id, t);
+    const activeView = views.find(view => view.id === activeViewId);
+
+    const handleSave = (e) => {
+        e.preventDefault();
+        if (nameError) {
+            setShowNameError(true);
+            return;
+        }
+        onSave(name);
+        setName('');
+        setShowNameError(false);
+    };
+
+    const handleLoad = (view) => {
+        setIsOpen(false);
+        onLoad(view);
+    };
+
+    const handleImportChange = async (e) => {
+        const file = e.target.files?.[0];
+        // Allow picking the same file again
+        e.target.value = '';
+        if (!file) return;
+
+        try {
+            const count = await onImport(file);
+            setImportMessage({ type: 'success', text: t('views.imported', { count }) });
+        } catch (err) {
+            setImportMessage({
+                type: 'error',
+                text: err.messageKey ? t(err.messageKey) : err.message
+            });
+        }
+    };
+
+    return (
+        <div className="relative" ref={containerRef}>
+            <button
+                onClick={() => setIsOpen(open => !open)}
+                className="max-w-48 truncate px-4 py-2 bg-surface border border-line-strong text-fg-muted rounded-lg hover:bg-surface-sunken transition-colors"
+                aria-haspopup="dialog"
+                aria-expanded={isOpen}
+            >
+                {activeView ? t('views.active', { name: activeView.name }) : t('views.button')} ▾
+            </button>
+
+            {isOpen && (
+                <div
+                    role="dialog"
+                    aria-label={t('views.label')}
+                    className="absolute end-0 z-20 mt-1 w-80 bg-surface border border-line rounded-lg shadow-lg p-3"
+                >
+                    <form onSubmit={handleSave} noValidate>
+                        <label htmlFor="view-name" className="block text-xs font-semibold text-fg-subtle uppercase tracking-wide mb-1">
+                            {t('views.saveCurrent')}
+                        </label>
+                        <div className="flex gap-2">
+                            <input
+                                id="view-name"
+                                type="text"
+                                value={name}
+                                onChange={(e) => setName(e.target.value)}
+                                maxLength={MAX_VIEW_NAME_LENGTH}
+                                placeholder={t('views.namePlaceholder')}
+                                className="flex-1 min-w-0 px-2 py-1 text-sm border border-line-strong rounded focus:ring-2 focus:ring-accent outline-none"
+                                aria-invalid={showNameError && Boolean(nameError)}
+                            />
+                            <button
+                                type="submit"
+                                className="px-3 py-1 text-sm bg-accent text-on-accent rounded-lg hover:bg-accent-hover transition-colors"
+                            >
+                                {t(existingView ? 'views.update' : 'views.save')}
+                            </button>
+                        </div>
+                        {showNameError && nameError && <p className="mt-1 text-xs text-danger">{nameError}</p>}
+                    </form>
+
+                    <div className="mt-3 pt-3 border-t border-line-soft">
+                        {views.length === 0 ? (
+                            <p className="text-sm text-fg-subtle">{t('views.empty')}</p>
+                        ) : (
+                            <ul className="max-h-72 overflow-y-auto space-y-1">
+                                {views.map(view => (
+                                    <ViewRow
+                                        key={view.id}
+                                        view={view}
+                                        views={views}
+                                        isActive={view.id === activeViewId}
+                                        isDefault={view.id === defaultViewId}
+                                        onLoad={handleLoad}
+                                        onRename={onRename}
+                                        onDelete={onDelete}
+                                        onToggleDefault={onToggleDefault}
+                                    />
+                                ))}
+                            </ul>
+                        )}
+                        {defaultViewId && (
+                            <p className="mt-2 text-xs text-fg-subtle">{t('views.defaultHint')}</p>
+                        )}
+                    </div>
+
+                    <div className="mt-3 pt-3 border-t border-line-soft flex items-center gap-2">
+                        <label className="px-3 py-1 text-sm text-fg-muted rounded-lg hover:bg-surface-sunken cursor-pointer">
+                            {t('views.import')}
+                            <input
+                                type="file"
+                                accept=".json,application/json"
+                                onChange={handleImportChange}
+                                className="sr-only"
+                            />
+                        </label>
+                        <button
+                            onClick={onExport}
+                            disabled={views.length === 0}
+                            className="px-3 py-1 text-sm text-fg-muted rounded-lg hover:bg-surface-sunken disabled:opacity-50 disabled:cursor-not-allowed"
+                        >
+                            {t('views.export')}
+                        </button>
+                    </div>
+                    {importMessage && (
+                        <p
+                            className={`mt-2 text-xs ${importMessage.type === 'error' ? 'text-danger' : 'text-success-strong'}`}
+                            role="status"
+                        >
+                            {importMessage.text}
+                        </p>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default SavedViewsMenu;
@@ -0,0 +1,196 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { formatCategory } from '../utils/productDisplay';
+import { SUGGESTION_TYPES, getSearchSuggestions } from '../utils/productSearch';
+import { useI18n } from '../hooks/useI18n';
+
+// Search input with autocomplete (titles, brands, categories and the query
+// syntax from `catalog`) and, while empty, the recent searches. `onChange`
+// fires per keystroke; `onCommit` runs a search right away (Enter, picking
+// a suggestion, leaving the field).
+const SearchBox = ({
+    id,
+    value,
+    onChange,
+    onCommit,
+    catalog,
+    recentSearches,
+    onRemoveRecent,
+    onClearRecent
+}) => {
+    const { t } = useI18n();
+    const [isOpen, setIsOpen] = useState(false);
+    const [activeIndex, setActiveIndex] = useState(-1);
+    const containerRef = useRef(null);
+    const inputRef = useRef(null);
+    const listId = `${id}-suggestions`;
+
+    // Close when clicking outside
+    useEffect(() => {
+        if (!isOpen) return undefined;
+
+        const handlePointerDown = (e) => {
+            if (!containerRef.current?.contains(e.target)) setIsOpen(false);
+        };
+
+        document.addEventListener('mousedown', handlePointerDown);
+        return () => document.removeEventListener('mousedown', handlePointerDown);
+    }, [isOpen]);
+
+    const isEmpty = value.trim() === '';
+    const options = isEmpty
+        ? recentSearches.map(term => ({ id: `recent:${term}`, type: SUGGESTION_TYPES.RECENT, label: term, value: term }))
+        : getSearchSuggestions(value, catalog);
+    const showList = isOpen && (isEmpty || options.length > 0);
+    const activeOption = showList ? options[activeIndex] : undefined;
+
+    const handleInputChange = (e) => {
+        onChange(e.target.value);
+        setActiveIndex(-1);
+        setIsOpen(true);
+    };
+
+    // Field names (e.g. "price:") wait for a value; anything else runs
+    const handleSelect = (option) => {
+        setActiveIndex(-1);
+        if (option.value.endsWith(':')) {
+            onChange(option.value);
+            inputRef.current?.focus();
+            return;
+        }
+        onCommit(option.value);
+        setIsOpen(false);
+    };
+
+    const handleClear = () => {
+        onCommit('');
+        setActiveIndex(-1);
+        inputRef.current?.focus();
+    };
+
+    const handleKeyDown = (e) => {
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            if (!showList) {
+                setIsOpen(true);
+                return;
+            }
+            // Cycles through the options and back to the input (-1)
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            const count = options.length + 1;
+            setActiveIndex(index => ((index + 1 + step + count) % count) - 1);
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            if (activeOption) {
+                handleSelect(activeOption);
+            } else {
+                onCommit(value);
+                setIsOpen(false);
+            }
+        } else if (e.key === 'Escape' && showList) {
+            e.preventDefault();
+            setIsOpen(false);
+            setActiveIndex(-1);
+        } else if (e.key === 'Delete' && e.shiftKey && activeOption?.type === SUGGESTION_TYPES.RECENT) {
+            e.preventDefault();
+            onRemoveRecent(activeOption.value);
+            setActiveIndex(-1);
+        }
+    };
+
+    return (
+        <div className="relative" ref={containerRef}>
+            <input
+                ref={inputRef}
+                id={id}
+                type="text"
+                placeholder={t('search.placeholder')}
+                value={value}
+                onChange={handleInputChange}
+                onFocus={() => setIsOpen(true)}
+                onBlur={() => onCommit(value)}
+                onKeyDown={handleKeyDown}
+                className="w-full ps-4 pe-10 py-2 border border-line-strong rounded-lg focus:ring-2 focus:ring-accent focus:border-transparent outline-none"
+                role="combobox"
+                aria-label={t('search.label')}
+                aria-autocomplete="list"
+                aria-expanded={showList}
+                aria-controls={listId}
+                aria-activedescendant={activeOption ? `${listId}-${activeIndex}` : undefined}
+                dir="auto"
+                autoComplete="off"
+                spellCheck={false}
+            />
+            {!isEmpty && (
+                <button
+                    type="button"
+                    onClick={handleClear}
+                    className="absolute end-2 top-1/2 -translate-y-1/2 px-2 text-fg-faint rounded hover:text-fg-muted"
+                    aria-label={t('search.clear')}
+                >
+                    ✕
+                </button>
+            )}
+
+            {showList && (
+                // Keep focus in the input while picking with the mouse
+                <div
+                    className="absolute z-20 mt-1 w-full bg-surface border border-line rounded-lg shadow-lg py-1"
+                    onMouseDown={(e) => e.preventDefault()}
+                >
+                    <ul id={listId} role="listbox" aria-label={t('search.suggestions')} className="max-h-72 overflow-y-auto">
+                        {options.map((option, index) => (
+                            <li
+                                key={option.id}
+                                id={`${listId}-${index}`}
+                                role="option"
+                                aria-selected={index === activeIndex}
+                                onClick={() => handleSelect(option)}
+                                onMouseEnter={() => setActiveIndex(index)}
+                                className={`flex items-center gap-2 px-3 py-2 text-sm cursor-pointer ${
+                                    index === activeIndex ? 'bg-accent-subtle' : ''
+                                }`}
+                            >
+                                <span className="w-16 shrink-0 text-xs text-fg-faint">
+                                    {t(`search.type.${option.type}`)}
+                                </span>
+                                <span className="flex-1 min-w-0 truncate text-fg">
+                                    {option.type === SUGGESTION_TYPES.CATEGORY ? formatCategory(option.label) : option.label}
+                                </span>
+                                {option.type === SUGGESTION_TYPES.RECENT && (
+                                    <button
+                                        type="button"
+                                        tabIndex={-1}
+                                        onClick={(e) => {
+                                            e.stopPropagation();
+                                            onRemoveRecent(option.value);
+                                        }}
+                                        className="px-1 text-fg-faint rounded hover:text-danger"
+                                        aria-label={t('search.removeRecent', { term: option.label })}
+                                    >
+                                        ✕
+                                    </button>
+                                )}
+                            </li>
+                        ))}
+                    </ul>
+                    {isEmpty && (
+                        <div className="flex items-center justify-between gap-3 px-3 pt-2 mt-1 border-t border-line-soft text-xs text-fg-subtle">
+                            <span>{t('search.help')}</span>
+                            {recentSearches.length > 0 && (
+                                <button
+                                    type="button"
+                                    onClick={onClearRecent}
+                                    className="shrink-0 text-accent hover:underline"
+                                >
+                                    {t('search.clearHistory')}
+                                </button>
+                            )}
+                        </div>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default SearchBox;
@@ -0,0 +1,34 @@
+import React from 'react';
+
+// Inline trend line for a series of numbers, oldest first. Flat when there
+// are fewer than two values. `label` describes the trend for screen readers.
+const Sparkline = ({ values, label, width = 64, height = 20, className = 'stroke-accent' }) => {
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    const range = max - min || 1;
+    // Keep the stroke inside the box
+    const inset = 2;
+    const x = (index) => inset + (index / Math.max(values.length - 1, 1)) * (width - inset * 2);
+    const y = (value) => (max === min
+        ? height / 2
+        : height - inset - ((value - min) / range) * (height - inset * 2));
+
+    const points = values.length > 1
+        ? values.map((value, index) => `${x(index)},${y(value)}`).join(' ')
+        : `${inset},${height / 2} ${width - inset},${height / 2}`;
+
+    return (
+        <svg width={width} height={height} viewBox={`0 0 ${width} ${height}`} role="img" aria-label={label}>
+            <polyline
+                points={points}
+                fill="none"
+                strokeWidth="1.5"
+                strokeLinejoin="round"
+                strokeLinecap="round"
+                className={values.length > 1 ? className : 'stroke-line-strong'}
+            />
+        </svg>
+    );
+};
+
+export default Sparkline;
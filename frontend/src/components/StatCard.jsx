@@ -0,0 +1,11 @@
+import React from 'react';
+
+// One headline figure, e.g. the product count above the table
+const StatCard = ({ label, value, colorClass = 'text-fg' }) => (
+    <div className="bg-surface rounded-lg shadow-md p-4">
+        <p className="text-sm text-fg-muted">{label}</p>
+        <p className={`text-2xl font-bold ${colorClass}`}>{value}</p>
+    </div>
+);
+
+export default StatCard;
@@ -0,0 +1,29 @@
+import React from 'react';
+import { useI18n } from '../hooks/useI18n';
+import { useTheme } from '../hooks/useTheme';
+import { THEME_PREFERENCES } from '../utils/theme';
+
+// Theme picker for the page header: follow the system, or light, dark or
+// high contrast
+const ThemeSelect = () => {
+    const { t } = useI18n();
+    const { preference, setPreference } = useTheme();
+
+    return (
+        <>
+            <label className="sr-only" htmlFor="theme">{t('settings.theme')}</label>
+            <select
+                id="theme"
+                value={preference}
+                onChange={(e) => setPreference(e.target.value)}
+                className="h-[42px] px-2 py-2 border border-line-strong rounded-lg bg-surface text-sm text-fg-muted"
+            >
+                {THEME_PREFERENCES.map(value => (
+                    <option key={value} value={value}>{t(`theme.${value}`)}</option>
+                ))}
+            </select>
+        </>
+    );
+};
+
+export default ThemeSelect;
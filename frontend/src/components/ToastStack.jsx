@@ -0,0 +1,35 @@
+import React from 'react';
+import { useI18n } from '../hooks/useI18n';
+import { TOAST_TYPES } from '../hooks/useToasts';
+
+const TOAST_CLASSES = {
+    [TOAST_TYPES.SUCCESS]: 'bg-success text-on-success',
+    [TOAST_TYPES.ERROR]: 'bg-danger text-on-danger',
+    [TOAST_TYPES.INFO]: 'bg-inverse text-on-inverse'
+};
+
+const ToastStack = ({ toasts, onDismiss }) => {
+    const { t } = useI18n();
+    return (
+        <div className="fixed bottom-4 end-4 z-50 flex flex-col gap-2" aria-live="assertive">
+            {toasts.map((toast) => (
+                <div
+                    key={toast.id}
+                    role={toast.type === TOAST_TYPES.ERROR ? 'alert' : 'status'}
+                    className={`flex items-start gap-3 px-4 py-3 rounded-lg shadow-lg max-w-sm ${TOAST_CLASSES[toast.type]}`}
+                >
+                    <p className="text-sm flex-1">{toast.message}</p>
+                    <button
+                        onClick={() => onDismiss(toast.id)}
+                        className="opacity-80 hover:opacity-100"
+                        aria-label={t('toast.dismiss')}
+                    >
+                        ✕
+                    </button>
+                </div>
+            ))}
+        </div>
+    );
+};
+
+export default ToastStack;
@@ -0,0 +1,68 @@
+export const ITEMS_PER_PAGE = 10;
+
+// Choices for rows per page; ITEMS_PER_PAGE is the default
+export const PAGE_SIZE_OPTIONS = [10, 25, 50, 100];
+
+// Products that can be compared side by side at once
+export const MAX_COMPARE_PRODUCTS = 4;
+
+// Numbered pages, or one list that loads the next page while scrolling
+export const LIST_MODES = {
+    PAGES: 'pages',
+    INFINITE: 'infinite'
+};
+
+export const SORT_OPTIONS = {
+    PRICE: 'price',
+    RATING: 'rating',
+    STOCK: 'stock',
+    TITLE: 'title',
+    DISCOUNT: 'discount',
+    CATEGORY: 'category',
+    BRAND: 'brand',
+    STATUS: 'status'
+};
+
+// Product field each sort option orders by, also sent as the API's `sortBy`.
+// Price is the list price in the base currency, as the API stores it; the
+// price filter and the `price:` search term use it too.
+export const SORT_FIELDS = {
+    [SORT_OPTIONS.PRICE]: 'price',
+    [SORT_OPTIONS.RATING]: 'rating',
+    [SORT_OPTIONS.STOCK]: 'stock',
+    [SORT_OPTIONS.TITLE]: 'title',
+    [SORT_OPTIONS.DISCOUNT]: 'discountPercentage',
+    [SORT_OPTIONS.CATEGORY]: 'category',
+    [SORT_OPTIONS.BRAND]: 'brand',
+    [SORT_OPTIONS.STATUS]: 'availabilityStatus'
+};
+
+// Sort options the API may apply on its own: fields every product is required
+// to have (see REQUIRED_PRODUCT_FIELDS), so there are no missing values it
+// would misplace. The rest go through compareBySorting, which puts missing
+// values last.
+export const SERVER_SORT_OPTIONS = [SORT_OPTIONS.PRICE, SORT_OPTIONS.STOCK, SORT_OPTIONS.TITLE, SORT_OPTIONS.CATEGORY];
+
+// Primary plus up to two tie-breaking sort keys
+export const MAX_SORT_KEYS = 3;
+
+export const SORT_ORDER = {
+    ASC: 'asc',
+    DESC: 'desc'
+};
+
+// Stock bands, also used for the red/yellow/green stock colors
+export const STOCK_LEVELS = {
+    LOW: 'low',
+    MEDIUM: 'medium',
+    HIGH: 'high'
+};
+
+export const STOCK_LEVEL_THRESHOLDS = {
+    MEDIUM: 20, // above this is medium
+    HIGH: 50 // above this is high
+};
+
+export const AVAILABILITY_STATUSES = ['In Stock', 'Low Stock', 'Out of Stock'];
+
+export const MIN_RATING_OPTIONS = [4.5, 4, 3, 2, 1];
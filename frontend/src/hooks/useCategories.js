@@ -0,0 +1,25 @@
+import { useCallback, useEffect } from 'react';
+import productSource from '../api/productSource';
+import { fetchCategories } from '../api/productQueries';
+import { useQuery } from './useQuery';
+
+// Stable fallback while the categories load
+const EMPTY_CATEGORIES = [];
+
+// Category slugs, loaded once and kept. If they fail the views still work,
+// only category filtering is unavailable until a retry succeeds.
+export const useCategories = ({ onSuccess } = {}) => {
+    const fetchCategoryList = useCallback(({ signal }) => fetchCategories(productSource, { signal }), []);
+
+    const { data: categories = EMPTY_CATEGORIES, error, isLoading, isFetching, refetch } = useQuery(
+        ['categories', productSource.name],
+        fetchCategoryList,
+        { staleTime: Infinity, onSuccess }
+    );
+
+    useEffect(() => {
+        if (error) console.error('Error fetching categories:', error);
+    }, [error]);
+
+    return { categories, error, isLoading, isFetching, refetch };
+};
@@ -0,0 +1,72 @@
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import {
+    DEFAULT_COLUMN_LAYOUT,
+    clampColumnWidth,
+    getVisibleColumns,
+    isColumnHideable,
+    moveColumnTo,
+    normalizeColumnLayout
+} from '../utils/productColumns';
+
+const STORAGE_KEY = 'product-dash:column-layout';
+
+const loadLayout = () => {
+    try {
+        const stored = localStorage.getItem(STORAGE_KEY);
+        return stored ? normalizeColumnLayout(JSON.parse(stored)) : DEFAULT_COLUMN_LAYOUT;
+    } catch {
+        // Unreadable or blocked storage - fall back to the defaults
+        return DEFAULT_COLUMN_LAYOUT;
+    }
+};
+
+// Column order, visibility and widths for the products table, saved in
+// localStorage so the layout survives reloads
+export const useColumnLayout = () => {
+    const [layout, setLayout] = useState(loadLayout);
+
+    useEffect(() => {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(layout));
+        } catch (err) {
+            console.error('Error saving column layout:', err);
+        }
+    }, [layout]);
+
+    const columns = useMemo(() => getVisibleColumns(layout), [layout]);
+
+    const toggleColumn = useCallback((id) => {
+        if (!isColumnHideable(id)) return;
+        setLayout((current) => ({
+            ...current,
+            hidden: current.hidden.includes(id)
+                ? current.hidden.filter(hiddenId => hiddenId !== id)
+                : [...current.hidden, id]
+        }));
+    }, []);
+
+    const moveColumn = useCallback((id, targetId) => {
+        setLayout((current) => ({ ...current, order: moveColumnTo(current.order, id, targetId) }));
+    }, []);
+
+    // Moves a column one step left (-1) or right (1) among all columns
+    const shiftColumn = useCallback((id, direction) => {
+        setLayout((current) => {
+            const targetId = current.order[current.order.indexOf(id) + direction];
+            return targetId ? { ...current, order: moveColumnTo(current.order, id, targetId) } : current;
+        });
+    }, []);
+
+    const resizeColumn = useCallback((id, width) => {
+        setLayout((current) => ({
+            ...current,
+            widths: { ...current.widths, [id]: clampColumnWidth(id, width) }
+        }));
+    }, []);
+
+    const resetLayout = useCallback(() => {
+        setLayout(DEFAULT_COLUMN_LAYOUT);
+    }, []);
+
+    return { layout, columns, toggleColumn, moveColumn, shiftColumn, resizeColumn, resetLayout };
+};
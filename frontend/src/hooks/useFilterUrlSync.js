@@ -0,0 +1,43 @@
+import { useCallback, useEffect, useRef } from 'react';
+import { parseFilterParams, serializeFilterParams } from '../utils/filterParams';
+import { navigate } from './useRoute';
+
+// Mirrors filter state into the query string. Each change pushes a history
+// entry so back/forward step through previous filter states; `onRestore`
+// receives the parsed filters when the user navigates.
+export const useFilterUrlSync = (filters, onRestore) => {
+    // The first sync only normalizes the URL the page was opened with
+    const replaceNextRef = useRef(true);
+    const onRestoreRef = useRef(onRestore);
+    const query = serializeFilterParams(filters);
+
+    useEffect(() => {
+        onRestoreRef.current = onRestore;
+    }, [onRestore]);
+
+    useEffect(() => {
+        const replace = replaceNextRef.current;
+        replaceNextRef.current = false;
+
+        if (query === window.location.search) return;
+
+        navigate(`${window.location.pathname}${query}${window.location.hash}`, { replace });
+    }, [query]);
+
+    useEffect(() => {
+        const handlePopState = () => {
+            onRestoreRef.current(parseFilterParams(window.location.search));
+        };
+
+        window.addEventListener('popstate', handlePopState);
+        return () => window.removeEventListener('popstate', handlePopState);
+    }, []);
+
+    // Call before a state correction (e.g. an unknown category) so it
+    // rewrites the current entry instead of adding one
+    const replaceNextEntry = useCallback(() => {
+        replaceNextRef.current = true;
+    }, []);
+
+    return { replaceNextEntry };
+};
@@ -0,0 +1,49 @@
+import { useEffect } from 'react';
+
+const FOCUSABLE = [
+    'a[href]',
+    'button:not([disabled])',
+    'input:not([disabled])',
+    'select:not([disabled])',
+    'textarea:not([disabled])',
+    '[tabindex]:not([tabindex="-1"])'
+].join(', ');
+
+// Keeps Tab and Shift+Tab cycling inside a modal `containerRef` while it's
+// mounted, and hands focus back to whatever had it before once it unmounts.
+// Call it before the effect that moves focus into the dialog, so the element
+// remembered is the one that opened it.
+export const useFocusTrap = (containerRef) => {
+    useEffect(() => {
+        const previouslyFocused = document.activeElement;
+
+        const handleKeyDown = (e) => {
+            const container = containerRef.current;
+            if (e.key !== 'Tab' || !container) return;
+
+            const focusable = [...container.querySelectorAll(FOCUSABLE)];
+            if (focusable.length === 0) {
+                e.preventDefault();
+                return;
+            }
+
+            const first = focusable[0];
+            const last = focusable[focusable.length - 1];
+            const isInside = container.contains(document.activeElement);
+            if (e.shiftKey && (!isInside || document.activeElement === first)) {
+                e.preventDefault();
+                last.focus();
+            } else if (!e.shiftKey && (!isInside || document.activeElement === last)) {
+                e.preventDefault();
+                first.focus();
+            }
+        };
+
+        document.addEventListener('keydown', handleKeyDown);
+        return () => {
+            document.removeEventListener('keydown', handleKeyDown);
+            // The opener may have gone, e.g. a row that was deleted
+            if (previouslyFocused?.isConnected) previouslyFocused.focus();
+        };
+    }, [containerRef]);
+};
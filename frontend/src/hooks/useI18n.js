@@ -0,0 +1,18 @@
+import { createContext, useContext } from 'react';
+import { BASE_CURRENCY, DEFAULT_CURRENCY_RATES } from '../utils/currency';
+import { DEFAULT_LANGUAGE, createLocaleValue } from '../utils/i18n';
+
+// Provided by I18nProvider; outside of it components render in English and
+// the base currency
+export const I18nContext = createContext({
+    ...createLocaleValue({ language: DEFAULT_LANGUAGE, currency: BASE_CURRENCY }),
+    currencies: [BASE_CURRENCY],
+    rates: DEFAULT_CURRENCY_RATES,
+    ratesError: null,
+    setLanguage: () => {},
+    setCurrency: () => {}
+});
+
+// { t, locale, dir, language, currency, formatPrice, formatNumber,
+// formatPercent, formatDate, currencies, setLanguage, setCurrency, ... }
+export const useI18n = () => useContext(I18nContext);
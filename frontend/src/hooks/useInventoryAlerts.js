@@ -0,0 +1,82 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import productSource from '../api/productSource';
+import { fetchAllProducts, invalidateFullSetQueries } from '../api/productQueries';
+import { isAbortError } from '../api/apiErrors';
+import { DEFAULT_ADVANCED_FILTERS } from '../utils/productFilters';
+import { collectStockAlerts, findThresholdCrossings } from '../utils/inventoryAlerts';
+
+const POLL_INTERVAL_MS = 60 * 1000;
+
+// Watches stock across the whole catalog. Polls in the background (the query
+// cache refetches once the last result is stale) and calls `onCrossings`
+// with the alerts that are new or worse than at the previous check.
+export const useInventoryAlerts = ({ getStockThresholds, onCrossings, intervalMs = POLL_INTERVAL_MS }) => {
+    const [catalog, setCatalog] = useState(null);
+    const [error, setError] = useState(null);
+    const [isChecking, setIsChecking] = useState(false);
+    const [lastCheckedAt, setLastCheckedAt] = useState(null);
+    const [checkToken, setCheckToken] = useState(0);
+    const latestRef = useRef({ getStockThresholds, onCrossings });
+    const previousCatalogRef = useRef(null);
+
+    useEffect(() => {
+        latestRef.current = { getStockThresholds, onCrossings };
+    });
+
+    useEffect(() => {
+        const controller = new AbortController();
+
+        const check = async () => {
+            // Nothing new to learn while offline; try again next round
+            if (!navigator.onLine) return;
+
+            try {
+                setIsChecking(true);
+                const products = await fetchAllProducts(productSource, {
+                    search: '',
+                    categories: [],
+                    filters: DEFAULT_ADVANCED_FILTERS,
+                    signal: controller.signal
+                });
+
+                const previous = previousCatalogRef.current;
+                previousCatalogRef.current = products;
+                setCatalog(products);
+                setError(null);
+                setLastCheckedAt(Date.now());
+
+                if (previous) {
+                    const { getStockThresholds: getThresholds, onCrossings: notify } = latestRef.current;
+                    const crossings = findThresholdCrossings(previous, products, getThresholds);
+                    if (crossings.length > 0) notify?.(crossings);
+                }
+            } catch (err) {
+                if (isAbortError(err)) return;
+                setError(err);
+                console.error('Error checking inventory:', err);
+            } finally {
+                if (!controller.signal.aborted) setIsChecking(false);
+            }
+        };
+
+        check();
+        const timer = setInterval(check, intervalMs);
+        return () => {
+            clearInterval(timer);
+            controller.abort();
+        };
+    }, [intervalMs, checkToken]);
+
+    // Checks right away with fresh data and restarts the polling interval
+    const checkNow = useCallback(() => {
+        invalidateFullSetQueries();
+        setCheckToken((token) => token + 1);
+    }, []);
+
+    const alerts = useMemo(
+        () => (catalog ? collectStockAlerts(catalog, getStockThresholds) : []),
+        [catalog, getStockThresholds]
+    );
+
+    return { alerts, error, isChecking, lastCheckedAt, checkNow };
+};
@@ -0,0 +1,59 @@
+import { useCallback, useEffect, useState } from 'react';
+import { DEFAULT_STOCK_THRESHOLDS, normalizeCategoryThresholds } from '../utils/inventoryAlerts';
+
+const STORAGE_KEY = 'product-dash:inventory-alerts';
+
+const DEFAULT_SETTINGS = { thresholds: {}, browserNotifications: false };
+
+const loadSettings = () => {
+    try {
+        const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        if (!stored) return DEFAULT_SETTINGS;
+        return {
+            thresholds: normalizeCategoryThresholds(stored.thresholds),
+            browserNotifications: stored.browserNotifications === true
+        };
+    } catch {
+        return DEFAULT_SETTINGS;
+    }
+};
+
+// Per-category stock thresholds and the browser-notification preference for
+// inventory alerts, saved in localStorage
+export const useInventorySettings = () => {
+    const [settings, setSettings] = useState(loadSettings);
+    const { thresholds, browserNotifications } = settings;
+
+    useEffect(() => {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+        } catch (err) {
+            console.error('Error saving inventory settings:', err);
+        }
+    }, [settings]);
+
+    const getStockThresholds = useCallback(
+        (category) => thresholds[category] ?? DEFAULT_STOCK_THRESHOLDS,
+        [thresholds]
+    );
+
+    // `null` goes back to the catalog-wide defaults
+    const setCategoryThresholds = useCallback((category, value) => {
+        setSettings((current) => {
+            const { [category]: _previous, ...rest } = current.thresholds;
+            return { ...current, thresholds: value ? { ...rest, [category]: value } : rest };
+        });
+    }, []);
+
+    const setBrowserNotifications = useCallback((enabled) => {
+        setSettings((current) => ({ ...current, browserNotifications: enabled }));
+    }, []);
+
+    return {
+        thresholds,
+        browserNotifications,
+        getStockThresholds,
+        setCategoryThresholds,
+        setBrowserNotifications
+    };
+};
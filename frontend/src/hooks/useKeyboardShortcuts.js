@@ -0,0 +1,34 @@
+import { useEffect, useRef } from 'react';
+
+// Elements whose keys belong to the user's typing (checkboxes don't count)
+export const isTextEntry = (element) =>
+    element.isContentEditable ||
+    element.tagName === 'TEXTAREA' ||
+    element.tagName === 'SELECT' ||
+    (element.tagName === 'INPUT' && element.type !== 'checkbox');
+
+// Single-key shortcuts for a page, keyed by `KeyboardEvent.key`, e.g.
+// { '/': focusSearch, n: nextPage }. They're ignored while typing, with
+// Ctrl/Alt/Meta held and while a modal dialog is open, so they never get in
+// the way of the dialog's own keys.
+export const useKeyboardShortcuts = (shortcuts) => {
+    const shortcutsRef = useRef(shortcuts);
+
+    useEffect(() => {
+        shortcutsRef.current = shortcuts;
+    });
+
+    useEffect(() => {
+        const handleKeyDown = (e) => {
+            if (e.defaultPrevented || e.ctrlKey || e.altKey || e.metaKey || isTextEntry(e.target)) return;
+            if (document.querySelector('[aria-modal="true"]')) return;
+            const handler = shortcutsRef.current[e.key];
+            if (!handler) return;
+            e.preventDefault();
+            handler(e);
+        };
+
+        document.addEventListener('keydown', handleKeyDown);
+        return () => document.removeEventListener('keydown', handleKeyDown);
+    }, []);
+};
@@ -0,0 +1,28 @@
+import { useEffect, useState } from 'react';
+import { LIST_MODES } from '../constants/products';
+
+const STORAGE_KEY = 'product-dash:list-mode';
+
+const loadListMode = () => {
+    try {
+        const stored = localStorage.getItem(STORAGE_KEY);
+        return Object.values(LIST_MODES).includes(stored) ? stored : LIST_MODES.PAGES;
+    } catch {
+        return LIST_MODES.PAGES;
+    }
+};
+
+// Paged or infinite-scroll table, remembered across visits
+export const useListMode = () => {
+    const [listMode, setListMode] = useState(loadListMode);
+
+    useEffect(() => {
+        try {
+            localStorage.setItem(STORAGE_KEY, listMode);
+        } catch (err) {
+            console.error('Error saving list mode:', err);
+        }
+    }, [listMode]);
+
+    return [listMode, setListMode];
+};
@@ -0,0 +1,40 @@
+import { useCallback, useEffect, useState } from 'react';
+
+const STORAGE_KEY = 'product-dash:loaded-pages';
+// Coming back to a very long list reloads at most this many pages
+const MAX_RESTORED_PAGES = 20;
+
+const loadStored = () => {
+    try {
+        const stored = JSON.parse(sessionStorage.getItem(STORAGE_KEY));
+        if (typeof stored?.key !== 'string' || !Number.isInteger(stored.count) || stored.count < 1) return null;
+        return { key: stored.key, count: Math.min(stored.count, MAX_RESTORED_PAGES) };
+    } catch {
+        return null;
+    }
+};
+
+// How many pages infinite scrolling has loaded for `listKey` (the filters).
+// Starts over at one page when the key changes, and is kept for the browser
+// session so returning to the list brings back the same rows.
+export const useLoadedPageCount = (listKey) => {
+    const [state, setState] = useState(() => loadStored() ?? { key: listKey, count: 1 });
+    const pageCount = state.key === listKey ? state.count : 1;
+
+    useEffect(() => {
+        try {
+            sessionStorage.setItem(STORAGE_KEY, JSON.stringify({ key: listKey, count: pageCount }));
+        } catch (err) {
+            console.error('Error saving loaded pages:', err);
+        }
+    }, [listKey, pageCount]);
+
+    const loadMorePages = useCallback(() => {
+        setState((current) => ({
+            key: listKey,
+            count: (current.key === listKey ? current.count : 1) + 1
+        }));
+    }, [listKey]);
+
+    return { pageCount, loadMorePages };
+};
@@ -0,0 +1,36 @@
+import { useEffect, useState } from 'react';
+import { BASE_CURRENCY } from '../utils/currency';
+import { detectLanguage, isSupportedLanguage } from '../utils/i18n';
+
+const STORAGE_KEY = 'product-dash:locale';
+
+const loadSettings = () => {
+    const defaults = { language: detectLanguage(), currency: BASE_CURRENCY };
+    try {
+        const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        if (!stored) return defaults;
+        return {
+            language: isSupportedLanguage(stored.language) ? stored.language : defaults.language,
+            // Checked against the rates once they load
+            currency: typeof stored.currency === 'string' ? stored.currency : defaults.currency
+        };
+    } catch {
+        return defaults;
+    }
+};
+
+// Display language and currency, remembered across visits. Without a saved
+// choice the language follows the browser.
+export const useLocaleSettings = () => {
+    const [settings, setSettings] = useState(loadSettings);
+
+    useEffect(() => {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+        } catch (err) {
+            console.error('Error saving locale settings:', err);
+        }
+    }, [settings]);
+
+    return [settings, setSettings];
+};
@@ -0,0 +1,29 @@
+import { useEffect, useSyncExternalStore } from 'react';
+import productSource from '../api/productSource';
+import { invalidateProductQueries } from '../api/productQueries';
+
+// The product source's offline status:
+// { isServingSnapshot, savedAt, pendingCount, isSyncing, syncFailures }
+export const useOfflineState = () =>
+    useSyncExternalStore(productSource.subscribeToOfflineState, productSource.getOfflineState);
+
+// Sends edits queued while offline once the connection is back, and on
+// start-up for any left from an earlier visit. Views showing the snapshot
+// are refetched from the server at the same time.
+export const useOfflineSync = () => {
+    useEffect(() => {
+        const sync = async () => {
+            if (productSource.getOfflineState().isServingSnapshot) invalidateProductQueries();
+            try {
+                const synced = await productSource.syncPendingMutations();
+                if (synced > 0) invalidateProductQueries();
+            } catch (err) {
+                console.error('Error syncing offline changes:', err);
+            }
+        };
+
+        sync();
+        window.addEventListener('online', sync);
+        return () => window.removeEventListener('online', sync);
+    }, []);
+};
@@ -0,0 +1,27 @@
+import { useCallback } from 'react';
+import productSource from '../api/productSource';
+import { fetchAllProducts } from '../api/productQueries';
+import { DEFAULT_ADVANCED_FILTERS } from '../utils/productFilters';
+import { useQuery } from './useQuery';
+
+// Suggestions and overviews don't need up-to-the-minute data
+const CATALOG_STALE_MS = 5 * 60 * 1000;
+
+// Every product in the catalog, e.g. for search suggestions and the category
+// overview. Both still work without it, just with less to show.
+export const useProductCatalog = () => {
+    const fetchCatalog = useCallback(({ signal }) => fetchAllProducts(productSource, {
+        search: '',
+        categories: [],
+        filters: DEFAULT_ADVANCED_FILTERS,
+        signal
+    }), []);
+
+    const { data: products, error, isLoading, isFetching, refetch } = useQuery(
+        ['searchCatalog', productSource.name],
+        fetchCatalog,
+        { staleTime: CATALOG_STALE_MS, revalidateOnFocus: false }
+    );
+
+    return { products, error, isLoading, isFetching, refetch };
+};
@@ -0,0 +1,21 @@
+import { useCallback, useSyncExternalStore } from 'react';
+import { productHistory } from '../api/productSource';
+import { hasChangedSince } from '../utils/productHistory';
+
+const EMPTY_POINTS = [];
+
+// Recorded price/stock history (see api/productHistory.js): `getHistory(id)`
+// returns the product's points, oldest first; `hasChangedSinceLastVisit(id)`
+// whether its price, discount or stock moved since the previous visit.
+export const useProductHistory = () => {
+    const { products, visitStartedAt } = useSyncExternalStore(productHistory.subscribe, productHistory.getState);
+
+    const getHistory = useCallback((id) => products[id] ?? EMPTY_POINTS, [products]);
+
+    const hasChangedSinceLastVisit = useCallback(
+        (id) => hasChangedSince(products[id] ?? EMPTY_POINTS, visitStartedAt),
+        [products, visitStartedAt]
+    );
+
+    return { getHistory, hasChangedSinceLastVisit };
+};
@@ -0,0 +1,152 @@
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import productSource from '../api/productSource';
+import { fetchBrandOptions, prefetchProductPage } from '../api/productQueries';
+import { DEFAULT_FILTERS, parseFilterParams } from '../utils/filterParams';
+import { parseSearchQuery } from '../utils/productSearch';
+import { useCategories } from './useCategories';
+import { useFilterUrlSync } from './useFilterUrlSync';
+
+const SEARCH_DEBOUNCE_MS = 300;
+
+const readUrlFilters = () => parseFilterParams(window.location.search);
+const keepFilters = (filters) => filters;
+
+// Filter state of a product list (the table and the grid), mirrored into the
+// URL so links are shareable and back/forward step through it. Covers the
+// debounced search box, categories (unknown ones from a link are dropped),
+// brand options for the selected categories and paging. `normalize` adjusts
+// filters read from a link or restored, e.g. to drop ones a page doesn't use.
+// `filters.searchTerm` is the debounced search; `searchTerm` what's typed.
+export const useProductListFilters = ({ getInitialFilters = readUrlFilters, normalize = keepFilters } = {}) => {
+    const [filters, setFilters] = useState(() => normalize(getInitialFilters()));
+    const [searchTerm, setSearchTerm] = useState(filters.searchTerm);
+    const [brandOptions, setBrandOptions] = useState([]);
+    const { searchTerm: debouncedSearchTerm, categoryFilters, advancedFilters, sorting, currentPage, pageSize } = filters;
+
+    // Restore filters on back/forward navigation, or load a saved view
+    const applyFilters = useCallback((next) => {
+        setFilters(normalize(next));
+        setSearchTerm(next.searchTerm);
+    }, [normalize]);
+
+    const { replaceNextEntry } = useFilterUrlSync(filters, applyFilters);
+
+    // Sets one filter; `update` may be a function of its current value
+    const setFilter = useCallback((name, update) => {
+        setFilters(current => ({
+            ...current,
+            [name]: typeof update === 'function' ? update(current[name]) : update
+        }));
+    }, []);
+
+    // Any change to what's listed starts over at page 1
+    const updateFilters = useCallback((changes) => {
+        setFilters(current => ({ ...current, ...changes, currentPage: 1 }));
+    }, []);
+
+    // The comparison isn't a filter - it survives clearing filters
+    const clearFilters = useCallback(() => {
+        applyFilters({ ...DEFAULT_FILTERS, compareIds: filters.compareIds });
+    }, [applyFilters, filters.compareIds]);
+
+    // Debounce the search to avoid a query per keystroke
+    useEffect(() => {
+        if (searchTerm === debouncedSearchTerm) return undefined;
+
+        const timer = setTimeout(() => updateFilters({ searchTerm }), SEARCH_DEBOUNCE_MS);
+        return () => clearTimeout(timer);
+    }, [searchTerm, debouncedSearchTerm, updateFilters]);
+
+    // Runs the search without waiting for the debounce
+    const commitSearch = useCallback((value) => {
+        setSearchTerm(value);
+        if (value !== debouncedSearchTerm) updateFilters({ searchTerm: value });
+    }, [debouncedSearchTerm, updateFilters]);
+
+    const searchQuery = useMemo(() => parseSearchQuery(debouncedSearchTerm), [debouncedSearchTerm]);
+
+    // Drop categories from the URL that the source doesn't know
+    const handleCategoriesLoaded = useCallback((categoryList) => {
+        setFilters((current) => {
+            const known = current.categoryFilters.filter(category => categoryList.includes(category));
+            if (known.length === current.categoryFilters.length) return current;
+            replaceNextEntry();
+            return { ...current, categoryFilters: known };
+        });
+    }, [replaceNextEntry]);
+
+    const {
+        categories,
+        error: categoriesError,
+        isFetching: isFetchingCategories,
+        refetch: refetchCategories
+    } = useCategories({ onSuccess: handleCategoriesLoaded });
+
+    // Brand filter options follow the selected categories
+    useEffect(() => {
+        let ignore = false;
+
+        const loadBrands = async () => {
+            try {
+                const brands = await fetchBrandOptions(productSource, categoryFilters);
+                if (!ignore) setBrandOptions(brands);
+            } catch (err) {
+                console.error('Error fetching brands:', err);
+            }
+        };
+
+        loadBrands();
+        return () => {
+            ignore = true;
+        };
+    }, [categoryFilters]);
+
+    // fetchProductPage's options for the whole list, and for the current page
+    const listParams = useMemo(() => ({
+        search: debouncedSearchTerm,
+        categories: categoryFilters,
+        filters: advancedFilters,
+        sorting,
+        pageSize
+    }), [debouncedSearchTerm, categoryFilters, advancedFilters, sorting, pageSize]);
+    const pageParams = useMemo(() => ({ ...listParams, page: currentPage }), [listParams, currentPage]);
+
+    // Out-of-range page from the URL - jump to the last page instead
+    const handlePageLoaded = useCallback(({ total }) => {
+        const lastPage = Math.max(Math.ceil(total / pageSize), 1);
+        if (currentPage > lastPage) {
+            replaceNextEntry();
+            setFilter('currentPage', lastPage);
+        }
+    }, [currentPage, pageSize, replaceNextEntry, setFilter]);
+
+    return {
+        filters,
+        setFilters,
+        setFilter,
+        updateFilters,
+        applyFilters,
+        clearFilters,
+        searchTerm,
+        setSearchTerm,
+        commitSearch,
+        searchQuery,
+        categories,
+        categoriesError,
+        isFetchingCategories,
+        refetchCategories,
+        brandOptions,
+        listParams,
+        pageParams,
+        handlePageLoaded
+    };
+};
+
+// Warms the cache with the page after `lastLoadedPage` so paging forward (or
+// scrolling on) is instant; `data` is the loaded result ({ total })
+export const usePrefetchNextPage = (data, listParams, lastLoadedPage) => {
+    useEffect(() => {
+        if (!data || lastLoadedPage * listParams.pageSize >= data.total) return;
+        prefetchProductPage(productSource, { ...listParams, page: lastLoadedPage + 1 });
+    }, [data, listParams, lastLoadedPage]);
+};
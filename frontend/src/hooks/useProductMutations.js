@@ -0,0 +1,122 @@
+import { useCallback } from 'react';
+import productSource from '../api/productSource';
+import { invalidateProductQueries } from '../api/productQueries';
+import { isNetworkError } from '../api/apiErrors';
+import { MUTATION_TYPES, nextTempId } from '../api/offlineSource';
+import { describeApiError } from '../utils/i18n';
+import { withNewProductDefaults } from '../utils/productValidation';
+import { useI18n } from './useI18n';
+import { TOAST_TYPES } from './useToasts';
+
+const replaceProduct = (list, id, update) =>
+    list.map((product) => (product.id === id ? update(product) : product));
+
+// Keeps a change that couldn't be sent because the connection is down; the
+// offline source replays it once it's back
+const queueOfflineChange = async (mutation, showToast, t) => {
+    await productSource.queueMutation(mutation);
+    invalidateProductQueries();
+    showToast(t('toast.queuedOffline', { title: mutation.title }), { type: TOAST_TYPES.INFO });
+};
+
+// Add/edit/delete with optimistic updates of the visible page. Each change is
+// applied immediately and rolled back with an error toast if the request
+// fails, unless it failed for lack of a connection: then it's queued instead.
+// `queryKey` is the visible page's; the setters take it so a change that
+// settles after the user moved on is finished or undone on the page it was
+// made on.
+export const useProductMutations = ({ queryKey, products, setProducts, setTotalProducts, showToast }) => {
+    const { t } = useI18n();
+
+    const updateProduct = useCallback(async (id, changes) => {
+        const previous = products.find((product) => product.id === id);
+        if (!previous) return;
+
+        // Only roll back the fields this edit touched
+        const rollback = Object.fromEntries(Object.keys(changes).map((field) => [field, previous[field]]));
+        setProducts((list) => replaceProduct(list, id, (product) => ({ ...product, ...changes })), queryKey);
+
+        try {
+            const updated = await productSource.updateProduct(id, changes);
+            setProducts((list) => replaceProduct(list, id, (product) => ({ ...product, ...updated })), queryKey);
+            invalidateProductQueries();
+        } catch (err) {
+            if (isNetworkError(err)) {
+                await queueOfflineChange({ type: MUTATION_TYPES.UPDATE, productId: id, title: previous.title, changes }, showToast, t);
+                return;
+            }
+            setProducts((list) => replaceProduct(list, id, (product) => ({ ...product, ...rollback })), queryKey);
+            showToast(
+                t('toast.updateFailed', { title: previous.title, reason: describeApiError(err, t) }),
+                { type: TOAST_TYPES.ERROR }
+            );
+            console.error('Error updating product:', err);
+        }
+    }, [queryKey, products, setProducts, showToast, t]);
+
+    const addProduct = useCallback(async (fields) => {
+        const tempId = nextTempId();
+        const placeholder = { ...withNewProductDefaults(fields), id: tempId, isPending: true };
+
+        setProducts((list) => [placeholder, ...list], queryKey);
+        setTotalProducts((total) => total + 1, queryKey);
+
+        try {
+            const created = await productSource.addProduct(fields);
+            setProducts(
+                (list) => replaceProduct(list, tempId, () => ({ ...placeholder, ...created, isPending: false })),
+                queryKey
+            );
+            invalidateProductQueries();
+            showToast(t('toast.added', { title: fields.title }), { type: TOAST_TYPES.SUCCESS });
+        } catch (err) {
+            if (isNetworkError(err)) {
+                await queueOfflineChange({
+                    type: MUTATION_TYPES.ADD,
+                    productId: tempId,
+                    title: fields.title,
+                    changes: fields,
+                    product: placeholder
+                }, showToast, t);
+                return;
+            }
+            setProducts((list) => list.filter((product) => product.id !== tempId), queryKey);
+            setTotalProducts((total) => total - 1, queryKey);
+            showToast(
+                t('toast.addFailed', { title: fields.title, reason: describeApiError(err, t) }),
+                { type: TOAST_TYPES.ERROR }
+            );
+            console.error('Error adding product:', err);
+        }
+    }, [queryKey, setProducts, setTotalProducts, showToast, t]);
+
+    const deleteProduct = useCallback(async (id) => {
+        const index = products.findIndex((product) => product.id === id);
+        if (index === -1) return;
+        const removed = products[index];
+
+        setProducts((list) => list.filter((product) => product.id !== id), queryKey);
+        setTotalProducts((total) => total - 1, queryKey);
+
+        try {
+            await productSource.deleteProduct(id);
+            invalidateProductQueries();
+            showToast(t('toast.deletedProduct', { title: removed.title }), { type: TOAST_TYPES.SUCCESS });
+        } catch (err) {
+            if (isNetworkError(err)) {
+                await queueOfflineChange({ type: MUTATION_TYPES.DELETE, productId: id, title: removed.title }, showToast, t);
+                return;
+            }
+            // Put it back where it was
+            setProducts((list) => [...list.slice(0, index), removed, ...list.slice(index)], queryKey);
+            setTotalProducts((total) => total + 1, queryKey);
+            showToast(
+                t('toast.deleteFailed', { title: removed.title, reason: describeApiError(err, t) }),
+                { type: TOAST_TYPES.ERROR }
+            );
+            console.error('Error deleting product:', err);
+        }
+    }, [queryKey, products, setProducts, setTotalProducts, showToast, t]);
+
+    return { updateProduct, addProduct, deleteProduct };
+};
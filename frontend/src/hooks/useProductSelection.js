@@ -0,0 +1,83 @@
+import { useCallback, useMemo, useState } from 'react';
+
+// How much of the visible page is selected (drives the select-all checkbox)
+export const PAGE_SELECTION = {
+    NONE: 'none',
+    SOME: 'some',
+    ALL: 'all'
+};
+
+// Selected products by id. The selection survives paging and filter changes
+// until cleared; products are kept (not just ids) so bulk actions and
+// exports can work on rows that are no longer on screen.
+export const useProductSelection = () => {
+    const [selected, setSelected] = useState(() => new Map());
+
+    const isSelected = useCallback((id) => selected.has(id), [selected]);
+
+    const toggleProduct = useCallback((product) => {
+        setSelected((current) => {
+            const next = new Map(current);
+            if (next.has(product.id)) {
+                next.delete(product.id);
+            } else {
+                next.set(product.id, product);
+            }
+            return next;
+        });
+    }, []);
+
+    // Adds (checked) or removes every given product, e.g. the current page
+    const setProductsSelected = useCallback((products, checked) => {
+        setSelected((current) => {
+            const next = new Map(current);
+            products.forEach((product) => {
+                if (checked) {
+                    next.set(product.id, product);
+                } else {
+                    next.delete(product.id);
+                }
+            });
+            return next;
+        });
+    }, []);
+
+    // Refreshes stored products after edits, or drops them once deleted
+    const updateSelected = useCallback((products, { remove = false } = {}) => {
+        setSelected((current) => {
+            const next = new Map(current);
+            products.forEach((product) => {
+                if (!next.has(product.id)) return;
+                if (remove) {
+                    next.delete(product.id);
+                } else {
+                    next.set(product.id, { ...next.get(product.id), ...product });
+                }
+            });
+            return next;
+        });
+    }, []);
+
+    const clearSelection = useCallback(() => {
+        setSelected(new Map());
+    }, []);
+
+    const selectedProducts = useMemo(() => [...selected.values()], [selected]);
+
+    const getPageSelection = useCallback((products) => {
+        const count = products.filter(product => selected.has(product.id)).length;
+        if (count === 0) return PAGE_SELECTION.NONE;
+        return count === products.length ? PAGE_SELECTION.ALL : PAGE_SELECTION.SOME;
+    }, [selected]);
+
+    return {
+        selectedProducts,
+        selectedCount: selected.size,
+        isSelected,
+        getPageSelection,
+        toggleProduct,
+        setProductsSelected,
+        updateSelected,
+        clearSelection
+    };
+};
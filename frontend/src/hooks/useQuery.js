@@ -0,0 +1,126 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import queryCache, { hashQueryKey } from '../api/queryCache';
+import { isAbortError } from '../api/apiErrors';
+
+// Reads `key` through the shared query cache. Cached data renders right away
+// and is revalidated in the background once stale; with `keepPreviousData`
+// the last result stays on screen while a new key loads. Requests for a key
+// that's no longer shown are aborted.
+export const useQuery = (key, fetcher, {
+    enabled = true,
+    staleTime,
+    keepPreviousData = false,
+    revalidateOnFocus = true,
+    onSuccess
+} = {}) => {
+    const hash = hashQueryKey(key);
+    const [state, setState] = useState({ hash: null, data: undefined, error: null, isFetching: false });
+    const [refreshToken, setRefreshToken] = useState(0);
+    const latestRef = useRef({ key, fetcher, onSuccess });
+
+    // Declared before the fetch effect so it sees this render's values
+    useEffect(() => {
+        latestRef.current = { key, fetcher, onSuccess };
+    });
+
+    useEffect(() => {
+        if (!enabled) return undefined;
+
+        const controller = new AbortController();
+        const { key: queryKey, fetcher: queryFetcher } = latestRef.current;
+
+        const runQuery = async () => {
+            const cached = queryCache.getQueryData(queryKey, { staleTime });
+            if (!cached || cached.isStale) {
+                setState((current) => ({ ...current, isFetching: true }));
+            }
+
+            try {
+                const data = await queryCache.fetchQuery(queryKey, queryFetcher, { signal: controller.signal, staleTime });
+                setState({ hash, data, error: null, isFetching: false });
+                latestRef.current.onSuccess?.(data);
+            } catch (err) {
+                if (controller.signal.aborted && isAbortError(err)) return;
+                setState((current) => {
+                    const data = current.hash === hash ? current.data : cached?.data;
+                    return {
+                        hash,
+                        // With keepPreviousData what was on screen stays there,
+                        // e.g. the rows loaded before a failed "load more"
+                        data: data ?? (keepPreviousData ? current.data : undefined),
+                        error: err,
+                        isFetching: false
+                    };
+                });
+            }
+        };
+
+        runQuery();
+        return () => controller.abort();
+    }, [hash, enabled, staleTime, keepPreviousData, refreshToken]);
+
+    // Stale data is refreshed when the tab regains focus, and anything that
+    // failed or went stale is retried once the connection comes back
+    useEffect(() => {
+        if (!enabled) return undefined;
+
+        const handleFocus = () => {
+            if (!revalidateOnFocus || document.visibilityState === 'hidden') return;
+            const cached = queryCache.getQueryData(latestRef.current.key, { staleTime });
+            if (cached?.isStale) setRefreshToken((token) => token + 1);
+        };
+        const handleOnline = () => {
+            setRefreshToken((token) => token + 1);
+        };
+
+        window.addEventListener('focus', handleFocus);
+        document.addEventListener('visibilitychange', handleFocus);
+        window.addEventListener('online', handleOnline);
+        return () => {
+            window.removeEventListener('focus', handleFocus);
+            document.removeEventListener('visibilitychange', handleFocus);
+            window.removeEventListener('online', handleOnline);
+        };
+    }, [enabled, revalidateOnFocus, staleTime]);
+
+    // Refetches this key regardless of freshness
+    const refetch = useCallback(() => {
+        queryCache.invalidateQueries((queryKey) => hashQueryKey(queryKey) === hash);
+        setRefreshToken((token) => token + 1);
+    }, [hash]);
+
+    // Updates the cached result in place, e.g. for optimistic edits. `target`
+    // defaults to the key shown now; pass the key a change was made under to
+    // finish or undo it there after the user moved on.
+    const setData = useCallback((updater, target = latestRef.current.key) => {
+        const next = queryCache.setQueryData(target, updater);
+        const targetHash = hashQueryKey(target);
+        if (next !== undefined && targetHash === hashQueryKey(latestRef.current.key)) {
+            setState((current) => ({ ...current, hash: targetHash, data: next }));
+        }
+    }, []);
+
+    const cached = queryCache.getQueryData(key, { staleTime });
+    const isCurrent = state.hash === hash;
+
+    let data;
+    if (isCurrent) {
+        data = state.data;
+    } else if (cached) {
+        data = cached.data;
+    } else if (keepPreviousData) {
+        data = state.data;
+    }
+
+    const isFetching = enabled && (isCurrent ? state.isFetching : !cached || cached.isStale);
+
+    return {
+        data,
+        error: isCurrent ? state.error : null,
+        isFetching,
+        // Nothing to show yet, as opposed to refreshing what's on screen
+        isLoading: isFetching && data === undefined,
+        refetch,
+        setData
+    };
+};
@@ -0,0 +1,52 @@
+import { useCallback, useEffect, useState } from 'react';
+
+const STORAGE_KEY = 'product-dash:recent-searches';
+
+const MAX_RECENT_SEARCHES = 8;
+
+const normalizeSearch = (term) => String(term ?? '').trim().replace(/\s+/g, ' ');
+
+const isSameSearch = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+const loadRecentSearches = () => {
+    try {
+        const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        if (!Array.isArray(stored)) return [];
+        return stored.map(normalizeSearch).filter(Boolean).slice(0, MAX_RECENT_SEARCHES);
+    } catch {
+        return [];
+    }
+};
+
+// Searches the user ran, most recent first, remembered across visits
+export const useRecentSearches = () => {
+    const [recentSearches, setRecentSearches] = useState(loadRecentSearches);
+
+    useEffect(() => {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(recentSearches));
+        } catch (err) {
+            console.error('Error saving recent searches:', err);
+        }
+    }, [recentSearches]);
+
+    // Running a search again moves it to the top
+    const addRecentSearch = useCallback((term) => {
+        const search = normalizeSearch(term);
+        if (!search) return;
+        setRecentSearches((current) => {
+            if (current[0] === search) return current;
+            return [search, ...current.filter(item => !isSameSearch(item, search))].slice(0, MAX_RECENT_SEARCHES);
+        });
+    }, []);
+
+    const removeRecentSearch = useCallback((term) => {
+        setRecentSearches((current) => current.filter(item => item !== term));
+    }, []);
+
+    const clearRecentSearches = useCallback(() => {
+        setRecentSearches([]);
+    }, []);
+
+    return { recentSearches, addRecentSearch, removeRecentSearch, clearRecentSearches };
+};
@@ -0,0 +1,40 @@
+import { useMemo, useSyncExternalStore } from 'react';
+import { matchRoute } from '../utils/routes';
+
+// pushState/replaceState don't fire popstate, so navigations made by the
+// app announce themselves with this event
+const LOCATION_CHANGE_EVENT = 'product-dash:locationchange';
+
+const subscribe = (callback) => {
+    window.addEventListener('popstate', callback);
+    window.addEventListener(LOCATION_CHANGE_EVENT, callback);
+    return () => {
+        window.removeEventListener('popstate', callback);
+        window.removeEventListener(LOCATION_CHANGE_EVENT, callback);
+    };
+};
+
+const getLocationSnapshot = () => `${window.location.pathname}${window.location.search}`;
+
+// Changes the URL without reloading. Navigating to the current URL replaces
+// the entry rather than adding a duplicate; a replaced entry keeps its
+// history state.
+export const navigate = (url, { replace = false } = {}) => {
+    const target = new URL(url, window.location.href);
+    if (replace || target.href === window.location.href) {
+        window.history.replaceState(window.history.state, '', url);
+    } else {
+        window.history.pushState(null, '', url);
+    }
+    window.dispatchEvent(new Event(LOCATION_CHANGE_EVENT));
+};
+
+// The current route ({ name, params }) plus the raw pathname and query string
+export const useRoute = () => {
+    const location = useSyncExternalStore(subscribe, getLocationSnapshot);
+
+    return useMemo(() => {
+        const url = new URL(location, window.location.origin);
+        return { ...matchRoute(url.pathname), pathname: url.pathname, search: url.search };
+    }, [location]);
+};
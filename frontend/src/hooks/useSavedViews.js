@@ -0,0 +1,106 @@
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import { downloadBlob } from '../utils/productExport';
+import {
+    createView,
+    findViewByName,
+    mergeViews,
+    normalizeViewName,
+    normalizeViews,
+    parseViewsJson,
+    toViewQuery,
+    viewsToJson
+} from '../utils/savedViews';
+
+const STORAGE_KEY = 'product-dash:saved-views';
+
+const EMPTY_STATE = { views: [], defaultViewId: null };
+
+const loadState = () => {
+    try {
+        const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        if (!stored) return EMPTY_STATE;
+        const views = normalizeViews(stored.views);
+        const defaultViewId = views.some(view => view.id === stored.defaultViewId) ? stored.defaultViewId : null;
+        return { views, defaultViewId };
+    } catch {
+        // Unreadable or blocked storage - start without views
+        return EMPTY_STATE;
+    }
+};
+
+// Saved filter views, kept in localStorage. The default view is applied when
+// the page opens without filters in the URL.
+export const useSavedViews = () => {
+    const [state, setState] = useState(loadState);
+    const { views, defaultViewId } = state;
+
+    useEffect(() => {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+        } catch (err) {
+            console.error('Error saving views:', err);
+        }
+    }, [state]);
+
+    const defaultView = useMemo(
+        () => views.find(view => view.id === defaultViewId) ?? null,
+        [views, defaultViewId]
+    );
+
+    // Saving under an existing name overwrites that view's filters
+    const saveView = useCallback((name, filters) => {
+        setState((current) => {
+            const existing = findViewByName(current.views, name);
+            if (!existing) return { ...current, views: [...current.views, createView(name, filters)] };
+            return {
+                ...current,
+                views: current.views.map(view => (
+                    view.id === existing.id ? { ...view, query: toViewQuery(filters) } : view
+                ))
+            };
+        });
+    }, []);
+
+    const renameView = useCallback((id, name) => {
+        setState((current) => ({
+            ...current,
+            views: current.views.map(view => (view.id === id ? { ...view, name: normalizeViewName(name) } : view))
+        }));
+    }, []);
+
+    const deleteView = useCallback((id) => {
+        setState((current) => ({
+            views: current.views.filter(view => view.id !== id),
+            defaultViewId: current.defaultViewId === id ? null : current.defaultViewId
+        }));
+    }, []);
+
+    // Choosing the current default again clears it
+    const toggleDefaultView = useCallback((id) => {
+        setState((current) => ({ ...current, defaultViewId: current.defaultViewId === id ? null : id }));
+    }, []);
+
+    // Resolves to the number of views read from the file; throws with a
+    // user-facing message when the file can't be used
+    const importViews = useCallback(async (file) => {
+        const imported = parseViewsJson(await file.text());
+        setState((current) => ({ ...current, views: mergeViews(current.views, imported) }));
+        return imported.length;
+    }, []);
+
+    const exportViews = useCallback(() => {
+        const date = new Date().toISOString().slice(0, 10);
+        downloadBlob(new Blob([viewsToJson(views)], { type: 'application/json' }), `product-views-${date}.json`);
+    }, [views]);
+
+    return {
+        views,
+        defaultView,
+        saveView,
+        renameView,
+        deleteView,
+        toggleDefaultView,
+        importViews,
+        exportViews
+    };
+};
@@ -0,0 +1,52 @@
+import { useEffect, useRef } from 'react';
+
+const STORAGE_KEY = 'product-dash:scroll';
+
+const readStored = () => {
+    try {
+        return JSON.parse(sessionStorage.getItem(STORAGE_KEY));
+    } catch {
+        return null;
+    }
+};
+
+// Remembers the window's scroll position for `key` (e.g. the list and its
+// filters) during the browser session and scrolls back to it the first time
+// the content is ready, so coming back to the list lands where the user was
+export const useScrollRestoration = (key, isReady) => {
+    const restoredRef = useRef(false);
+
+    useEffect(() => {
+        let frame = null;
+
+        const handleScroll = () => {
+            // Don't overwrite the saved position before it has been restored
+            if (frame !== null || !restoredRef.current) return;
+            frame = requestAnimationFrame(() => {
+                frame = null;
+                try {
+                    sessionStorage.setItem(STORAGE_KEY, JSON.stringify({ key, y: Math.round(window.scrollY) }));
+                } catch {
+                    // Storage full or blocked - restoring is best effort
+                }
+            });
+        };
+
+        window.addEventListener('scroll', handleScroll, { passive: true });
+        return () => {
+            window.removeEventListener('scroll', handleScroll);
+            if (frame !== null) cancelAnimationFrame(frame);
+        };
+    }, [key]);
+
+    useEffect(() => {
+        if (!isReady || restoredRef.current) return;
+        restoredRef.current = true;
+
+        const stored = readStored();
+        if (stored?.key !== key || !(stored.y > 0)) return;
+
+        // Wait a frame so the rows are laid out
+        requestAnimationFrame(() => window.scrollTo(0, stored.y));
+    }, [key, isReady]);
+};
@@ -0,0 +1,100 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { isTextEntry } from './useKeyboardShortcuts';
+
+// Rows moved by PageUp/PageDown
+const PAGE_STEP = 5;
+
+// Header cells are row -1
+export const HEADER_ROW = -1;
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+// Roving focus over a table's cells: exactly one cell is in the tab order and
+// the arrow keys, Home/End (Ctrl for the first/last row) and PageUp/PageDown
+// move it. Controls inside a cell stay reachable with Tab, and focusing one
+// makes its cell the current one. Enter on a body cell calls
+// `onActivateRow(rowIndex)`. Cells are found by the `data-row`/`data-col`
+// attributes from `getCellProps`; when the target row isn't rendered (a
+// virtualized table), `onMissingRow(rowIndex)` should bring it into view
+// and focus follows once it renders.
+export const useTableNavigation = ({ rowCount, columnCount, dir = 'ltr', onActivateRow, onMissingRow }) => {
+    const tableRef = useRef(null);
+    const [active, setActive] = useState({ row: 0, col: 0 });
+    // Set by keyboard moves only, so re-renders never steal focus
+    const pendingFocusRef = useRef(false);
+
+    // The table may have shrunk (new page, hidden columns) since the last move
+    const row = clamp(active.row, HEADER_ROW, rowCount - 1);
+    const col = clamp(active.col, 0, columnCount - 1);
+
+    useEffect(() => {
+        if (!pendingFocusRef.current) return;
+        const cell = tableRef.current?.querySelector(`[data-row="${row}"][data-col="${col}"]`);
+        if (cell) {
+            pendingFocusRef.current = false;
+            cell.focus();
+            cell.scrollIntoView?.({ block: 'nearest', inline: 'nearest' });
+        } else {
+            onMissingRow?.(row);
+        }
+    });
+
+    const moveTo = useCallback((nextRow, nextCol) => {
+        pendingFocusRef.current = true;
+        setActive({
+            row: clamp(nextRow, HEADER_ROW, rowCount - 1),
+            col: clamp(nextCol, 0, columnCount - 1)
+        });
+    }, [rowCount, columnCount]);
+
+    const handleKeyDown = useCallback((e) => {
+        // Handled further in, e.g. by a column's resize handle
+        if (e.defaultPrevented || isTextEntry(e.target)) return;
+        const cell = e.target.closest('[data-row]');
+        if (!cell || !tableRef.current?.contains(cell)) return;
+
+        const cellRow = Number(cell.dataset.row);
+        const cellCol = Number(cell.dataset.col);
+        const forward = dir === 'rtl' ? -1 : 1;
+        const toEdge = e.ctrlKey || e.metaKey;
+        const moves = {
+            ArrowUp: () => [cellRow - 1, cellCol],
+            ArrowDown: () => [cellRow + 1, cellCol],
+            ArrowLeft: () => [cellRow, cellCol - forward],
+            ArrowRight: () => [cellRow, cellCol + forward],
+            Home: () => [toEdge ? 0 : cellRow, 0],
+            End: () => [toEdge ? rowCount - 1 : cellRow, columnCount - 1],
+            PageUp: () => [Math.max(cellRow - PAGE_STEP, 0), cellCol],
+            PageDown: () => [cellRow + PAGE_STEP, cellCol]
+        };
+
+        if (moves[e.key]) {
+            e.preventDefault();
+            moveTo(...moves[e.key]());
+            return;
+        }
+        if (e.key === 'Enter' && e.target === cell && cellRow !== HEADER_ROW) {
+            e.preventDefault();
+            onActivateRow?.(cellRow);
+        }
+    }, [dir, rowCount, columnCount, moveTo, onActivateRow]);
+
+    // Clicking or tabbing into a cell makes it the current one
+    const handleFocus = useCallback((e) => {
+        const cell = e.target.closest('[data-row]');
+        if (!cell) return;
+        const next = { row: Number(cell.dataset.row), col: Number(cell.dataset.col) };
+        setActive(current => (current.row === next.row && current.col === next.col ? current : next));
+    }, []);
+
+    const getCellProps = (cellRow, cellCol) => ({
+        'data-row': cellRow,
+        'data-col': cellCol,
+        tabIndex: cellRow === row && cellCol === col ? 0 : -1
+    });
+
+    return {
+        tableProps: { ref: tableRef, onKeyDown: handleKeyDown, onFocus: handleFocus },
+        getCellProps
+    };
+};
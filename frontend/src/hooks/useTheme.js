@@ -0,0 +1,50 @@
+import { useEffect, useState } from 'react';
+import {
+    SYSTEM_QUERIES,
+    SYSTEM_THEME,
+    THEME_STORAGE_KEY,
+    getSystemPreferences,
+    isThemePreference,
+    resolveTheme
+} from '../utils/theme';
+
+const loadPreference = () => {
+    try {
+        const stored = JSON.parse(localStorage.getItem(THEME_STORAGE_KEY));
+        return isThemePreference(stored) ? stored : SYSTEM_THEME;
+    } catch {
+        return SYSTEM_THEME;
+    }
+};
+
+// The theme preference, remembered across visits, and the theme it resolves
+// to, applied as <html data-theme>. "system" follows the OS setting live.
+// Use it in one place (the nav bar); it owns the page's theme.
+export const useTheme = () => {
+    const [preference, setPreference] = useState(loadPreference);
+    const [system, setSystem] = useState(getSystemPreferences);
+    const theme = resolveTheme(preference, system);
+
+    useEffect(() => {
+        try {
+            localStorage.setItem(THEME_STORAGE_KEY, JSON.stringify(preference));
+        } catch (err) {
+            console.error('Error saving theme:', err);
+        }
+    }, [preference]);
+
+    useEffect(() => {
+        if (!window.matchMedia) return undefined;
+        const queries = Object.values(SYSTEM_QUERIES).map(query => window.matchMedia(query));
+        const handleChange = () => setSystem(getSystemPreferences());
+
+        queries.forEach(query => query.addEventListener('change', handleChange));
+        return () => queries.forEach(query => query.removeEventListener('change', handleChange));
+    }, []);
+
+    useEffect(() => {
+        document.documentElement.dataset.theme = theme;
+    }, [theme]);
+
+    return { preference, theme, setPreference };
+};
@@ -0,0 +1,36 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+
+const DEFAULT_DURATION_MS = 5000;
+
+export const TOAST_TYPES = {
+    SUCCESS: 'success',
+    ERROR: 'error',
+    INFO: 'info'
+};
+
+// Transient notifications; each toast dismisses itself after `duration` ms
+export const useToasts = () => {
+    const [toasts, setToasts] = useState([]);
+    const nextIdRef = useRef(1);
+    const timersRef = useRef(new Map());
+
+    const dismissToast = useCallback((id) => {
+        clearTimeout(timersRef.current.get(id));
+        timersRef.current.delete(id);
+        setToasts((current) => current.filter((toast) => toast.id !== id));
+    }, []);
+
+    const showToast = useCallback((message, { type = TOAST_TYPES.INFO, duration = DEFAULT_DURATION_MS } = {}) => {
+        const id = nextIdRef.current++;
+        setToasts((current) => [...current, { id, message, type }]);
+        timersRef.current.set(id, setTimeout(() => dismissToast(id), duration));
+        return id;
+    }, [dismissToast]);
+
+    useEffect(() => {
+        const timers = timersRef.current;
+        return () => timers.forEach((timer) => clearTimeout(timer));
+    }, []);
+
+    return { toasts, showToast, dismissToast };
+};
@@ -0,0 +1,77 @@
+import { useCallback, useEffect, useState } from 'react';
+
+const DEFAULT_ROW_HEIGHT = 64;
+const DEFAULT_OVERSCAN = 8;
+
+const windowRange = (rowHeight, offset, overscan) => ({
+    start: Math.max(Math.floor(offset / rowHeight) - overscan, 0),
+    end: Math.ceil((offset + window.innerHeight) / rowHeight) + overscan
+});
+
+// Row virtualization for a table body scrolled with the window: only rows
+// near the viewport are rendered and spacer rows stand in for the rest.
+// `bodyRef` points at the <tbody>; spacer rows are marked `data-spacer`.
+// Row height is the measured average, since wrapped tags make some rows taller.
+// `scrollToIndex(index)` scrolls the window so that row gets rendered.
+export const useVirtualRows = (bodyRef, count, { enabled = true, overscan = DEFAULT_OVERSCAN } = {}) => {
+    const [range, setRange] = useState(() => ({
+        rowHeight: DEFAULT_ROW_HEIGHT,
+        ...windowRange(DEFAULT_ROW_HEIGHT, 0, overscan)
+    }));
+
+    useEffect(() => {
+        if (!enabled) return undefined;
+        let frame = null;
+
+        const measure = () => {
+            frame = null;
+            const body = bodyRef.current;
+            if (!body) return;
+
+            const rows = body.querySelectorAll(':scope > tr:not([data-spacer])');
+            const renderedHeight = [...rows].reduce((total, row) => total + row.offsetHeight, 0);
+
+            setRange((current) => {
+                const rowHeight = rows.length ? renderedHeight / rows.length : current.rowHeight;
+                // How far the top of the body has scrolled above the viewport
+                const offset = Math.max(-body.getBoundingClientRect().top, 0);
+                const next = windowRange(rowHeight, offset, overscan);
+                const unchanged = next.start === current.start && next.end === current.end &&
+                    Math.abs(rowHeight - current.rowHeight) < 0.5;
+                return unchanged ? current : { rowHeight, ...next };
+            });
+        };
+
+        const scheduleMeasure = () => {
+            if (frame === null) frame = requestAnimationFrame(measure);
+        };
+
+        scheduleMeasure();
+        window.addEventListener('scroll', scheduleMeasure, { passive: true });
+        window.addEventListener('resize', scheduleMeasure);
+        return () => {
+            window.removeEventListener('scroll', scheduleMeasure);
+            window.removeEventListener('resize', scheduleMeasure);
+            if (frame !== null) cancelAnimationFrame(frame);
+        };
+    }, [bodyRef, count, enabled, overscan]);
+
+    const scrollToIndex = useCallback((index) => {
+        const body = bodyRef.current;
+        if (!body) return;
+        const rowTop = body.getBoundingClientRect().top + window.scrollY + index * range.rowHeight;
+        window.scrollTo({ top: Math.max(rowTop - window.innerHeight / 2, 0) });
+    }, [bodyRef, range.rowHeight]);
+
+    if (!enabled) return { start: 0, end: count, paddingTop: 0, paddingBottom: 0, scrollToIndex };
+
+    const start = Math.min(range.start, count);
+    const end = Math.min(Math.max(range.end, start), count);
+    return {
+        start,
+        end,
+        paddingTop: start * range.rowHeight,
+        paddingBottom: (count - end) * range.rowHeight,
+        scrollToIndex
+    };
+};
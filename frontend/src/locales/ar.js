@@ -0,0 +1,568 @@
+// Arabic UI strings (right-to-left). Keys missing here fall back to English.
+const ar = {
+    'app.title': 'عرض جدول المنتجات',
+    'app.subtitle': 'ترقيم الصفحات من الخادم • تُجلب البيانات لكل صفحة • انقر على قيمة لتعديلها',
+
+    'settings.language': 'اللغة',
+    'settings.currency': 'العملة',
+    'settings.ratesUnavailable': 'تعذّر تحميل أسعار الصرف، لذا تُعرض الأسعار بعملة {currency}.',
+    'settings.ratesAsOf': 'أسعار الصرف بتاريخ {date}',
+    'settings.theme': 'المظهر',
+
+    'theme.system': 'مظهر النظام',
+    'theme.light': 'فاتح',
+    'theme.dark': 'داكن',
+    'theme.high-contrast': 'تباين عالٍ',
+
+    'actions.import': 'استيراد',
+    'actions.addProduct': 'إضافة منتج',
+    'actions.retry': 'إعادة المحاولة',
+    'actions.retrying': 'جارٍ إعادة المحاولة...',
+    'actions.clearFilters': 'مسح عوامل التصفية',
+    'actions.clearFiltersLabel': 'مسح جميع عوامل التصفية',
+    'actions.showAnalytics': 'عرض التحليلات',
+    'actions.hideAnalytics': 'إخفاء التحليلات',
+    'actions.save': 'حفظ',
+    'actions.cancel': 'إلغاء',
+    'actions.close': 'إغلاق',
+    'actions.back': 'رجوع',
+    'actions.reset': 'إعادة تعيين',
+
+    'alerts.button': 'التنبيهات',
+    'alerts.buttonLabel': {
+        zero: 'تنبيهات المخزون: لا توجد منتجات تحتاج إلى متابعة',
+        one: 'تنبيهات المخزون: منتج واحد يحتاج إلى متابعة',
+        two: 'تنبيهات المخزون: منتجان يحتاجان إلى متابعة',
+        few: 'تنبيهات المخزون: {count} منتجات تحتاج إلى متابعة',
+        other: 'تنبيهات المخزون: {count} منتج يحتاج إلى متابعة'
+    },
+    'alerts.title': 'تنبيهات المخزون',
+    'alerts.close': 'إغلاق تنبيهات المخزون',
+    'alerts.lastChecked': 'آخر فحص {time} · يتم الفحص كل دقيقة',
+    'alerts.checking': 'جارٍ فحص المخزون...',
+    'alerts.checkNow': 'افحص الآن',
+    'alerts.checkingNow': 'جارٍ الفحص...',
+    'alerts.checkFailed': 'تعذّر فحص المخزون. {reason}',
+    'alerts.level': 'مستوى التنبيه',
+    'alerts.level.out': 'نفد من المخزون ({count})',
+    'alerts.level.low': 'مخزون منخفض ({count})',
+    'alerts.empty': 'لا يوجد شيء هنا حاليًا.',
+    'alerts.left': 'المتبقي: {count}',
+    'alerts.lowAt': 'منخفض عند ≤ {count}',
+    'alerts.settings': 'إعدادات التنبيهات',
+    'alerts.browserNotifications': 'إظهار إشعارات المتصفح أيضًا',
+    'alerts.notificationsUnsupported': 'هذا المتصفح لا يدعم الإشعارات.',
+    'alerts.notificationsBlocked': 'الإشعارات محظورة لهذا الموقع. اسمح بها من إعدادات المتصفح.',
+    'alerts.notificationTitle': 'تنبيه المخزون',
+    'alerts.thresholds': 'حدود المخزون حسب الفئة',
+    'alerts.thresholdsHelp': 'المخزون عند الرقم الأول أو أقل منه منخفض، وما فوق الرقم الثاني مرتفع. القيم الافتراضية {medium} و{high}. تتبع ألوان الجدول الحدود نفسها.',
+    'alerts.noCategories': 'الفئات غير متاحة حاليًا.',
+    'alerts.lowThreshold': 'حد المخزون المنخفض لفئة {category}',
+    'alerts.highThreshold': 'حد المخزون المرتفع لفئة {category}',
+    'alerts.thresholdsInvalid': 'يجب أن تكون الحدود أعدادًا صحيحة تساوي 0 أو أكثر.',
+    'alerts.thresholdsOrder': 'يجب أن يكون حد المخزون المنخفض أقل من حد المخزون المرتفع.',
+    'alerts.ranOut': {
+        one: 'نفد منتج واحد من المخزون: {titles}.',
+        two: 'نفد منتجان من المخزون: {titles}.',
+        few: 'نفدت {count} منتجات من المخزون: {titles}.',
+        other: 'نفد {count} منتج من المخزون: {titles}.'
+    },
+    'alerts.fellLow': {
+        one: 'انخفض منتج واحد دون حد المخزون المنخفض: {titles}.',
+        two: 'انخفض منتجان دون حد المخزون المنخفض: {titles}.',
+        few: 'انخفضت {count} منتجات دون حد المخزون المنخفض: {titles}.',
+        other: 'انخفض {count} منتج دون حد المخزون المنخفض: {titles}.'
+    },
+    'alerts.more': '{count} غيرها',
+
+    'filters.label': 'عوامل التصفية',
+    'filters.search': 'بحث',
+    'filters.category': 'الفئة',
+    'filters.allCategories': 'جميع الفئات',
+    'filters.categoriesUnavailable': 'الفئات غير متاحة',
+    'filters.categoriesError': 'تعذّر تحميل الفئات.',
+    'filters.ignoredTerms': 'تم تجاهل {terms}: استخدم رقمًا أو مقارنة مثل price:<100 أو price:10..50.',
+    'filters.priceRange': 'نطاق السعر ({currency})',
+    'filters.min': 'الأدنى',
+    'filters.max': 'الأعلى',
+    'filters.minPrice': 'أدنى سعر',
+    'filters.maxPrice': 'أعلى سعر',
+    'filters.invalidRange': 'أدخل نطاقًا صالحًا (الأدنى ≤ الأعلى).',
+    'filters.minRating': 'أدنى تقييم',
+    'filters.anyRating': 'أي تقييم',
+    'filters.ratingOption': '★ {rating} فأكثر',
+    'filters.stockLevel': 'مستوى المخزون',
+    'filters.anyStock': 'أي مخزون',
+    'filters.brands': 'العلامات التجارية',
+    'filters.allBrands': 'جميع العلامات التجارية',
+    'filters.availability': 'التوفر',
+    'filters.anyStatus': 'أي حالة',
+
+    'stockLevels.low': 'منخفض (≤ {max})',
+    'stockLevels.medium': 'متوسط ({min}-{max})',
+    'stockLevels.high': 'مرتفع (> {min})',
+    'stockLevel.low': 'منخفض',
+    'stockLevel.medium': 'متوسط',
+    'stockLevel.high': 'مرتفع',
+
+    'availability.In Stock': 'متوفر',
+    'availability.Low Stock': 'مخزون منخفض',
+    'availability.Out of Stock': 'نفد من المخزون',
+
+    'summary.pricedBetween': 'السعر {min}-{max}',
+    'summary.pricedFrom': 'السعر من {min}',
+    'summary.pricedUpTo': 'السعر حتى {max}',
+    'summary.ratedAtLeast': 'التقييم {rating} فأكثر',
+    'summary.stock': 'مخزون {levels}',
+    'summary.byBrands': 'من {brands}',
+
+    'multiSelect.any': 'الكل',
+    'multiSelect.noOptions': 'لا توجد خيارات',
+    'multiSelect.clear': 'مسح الاختيار',
+    'multiSelect.selected': 'تم اختيار {count}',
+
+    'search.label': 'البحث في المنتجات',
+    'search.placeholder': 'ابحث عن المنتجات، أو جرّب brand:apple price:<100',
+    'search.suggestions': 'اقتراحات البحث',
+    'search.clear': 'مسح البحث',
+    'search.help': 'صفِّ باستخدام brand: أو category: أو tag: أو price:<100 أو rating:>=4 أو stock:0 أو price:10..50. الأخطاء الإملائية البسيطة مقبولة.',
+    'search.clearHistory': 'مسح السجل',
+    'search.removeRecent': 'إزالة "{term}" من عمليات البحث الأخيرة',
+    'search.type.recent': 'حديث',
+    'search.type.field': 'تصفية',
+    'search.type.brand': 'علامة تجارية',
+    'search.type.category': 'فئة',
+    'search.type.tag': 'وسم',
+    'search.type.title': 'منتج',
+
+    'results.loading': 'جارٍ التحميل...',
+    'results.showing': {
+        zero: 'عرض {start} - {end} من أصل {count} منتج',
+        one: 'عرض {start} - {end} من أصل منتج واحد',
+        two: 'عرض {start} - {end} من أصل منتجين',
+        few: 'عرض {start} - {end} من أصل {count} منتجات',
+        other: 'عرض {start} - {end} من أصل {count} منتج'
+    },
+    'results.forSearch': ' عن "{term}"',
+    'results.inCategories': ' في {categories}',
+    'results.updating': 'جارٍ التحديث...',
+
+    'listMode.label': 'طريقة العرض',
+    'listMode.pages': 'صفحات',
+    'listMode.infinite': 'تمرير متواصل',
+
+    'nav.label': 'الرئيسية',
+    'nav.brand': 'لوحة المنتجات',
+    'nav.table': 'جدول',
+    'nav.grid': 'شبكة',
+    'nav.categories': 'الفئات',
+    'nav.products': 'المنتجات',
+    'nav.breadcrumb': 'مسار التنقل',
+
+    'grid.title': 'عرض المنتجات كشبكة',
+    'grid.subtitle': 'تصفّح المنتجات كبطاقات • تنتقل عوامل التصفية من الجدول',
+    'grid.label': 'شبكة المنتجات',
+    'grid.pagination': 'صفحات الشبكة',
+    'grid.sortBy': 'الترتيب حسب',
+    'grid.sort.featured': 'المميزة',
+    'grid.sort.priceAsc': 'السعر: من الأقل إلى الأعلى',
+    'grid.sort.priceDesc': 'السعر: من الأعلى إلى الأقل',
+    'grid.sort.ratingDesc': 'الأعلى تقييمًا',
+    'grid.sort.discountDesc': 'أكبر خصم',
+    'grid.sort.titleAsc': 'الاسم: أ إلى ي',
+    'grid.sort.custom': 'مخصص (من الجدول)',
+    'grid.inStock': 'المتوفر {count}',
+
+    'categories.title': 'الفئات',
+    'categories.subtitle': 'جميع فئات الكتالوج مع أهم أرقامها',
+    'categories.loading': 'جارٍ تحميل الفئات...',
+    'categories.catalogFailed': 'تعذّر تحميل أرقام الكتالوج.',
+    'categories.products': {
+        zero: 'لا توجد منتجات',
+        one: 'منتج واحد',
+        two: 'منتجان',
+        few: '{count} منتجات',
+        other: '{count} منتج'
+    },
+    'categories.averageRating': 'متوسط {rating}',
+    'categories.totalStock': 'المخزون {count} وحدة',
+
+    'category.summary': {
+        zero: 'لا توجد منتجات',
+        one: 'منتج واحد من {brands} علامة تجارية',
+        two: 'منتجان من {brands} علامة تجارية',
+        few: '{count} منتجات من {brands} علامة تجارية',
+        other: '{count} منتج من {brands} علامة تجارية'
+    },
+    'category.notFound': 'لا توجد فئة باسم "{category}".',
+    'category.openTable': 'فتح في الجدول',
+    'category.openGrid': 'تصفّح كشبكة',
+    'category.loadFailed': 'تعذّر تحميل هذه الفئة.',
+    'category.empty': 'لا توجد منتجات في هذه الفئة بعد.',
+    'category.averagePrice': 'متوسط السعر',
+    'category.averageRating': 'متوسط التقييم',
+    'category.lowStock': 'منتجات منخفضة المخزون',
+    'category.topRated': 'الأعلى تقييمًا',
+    'category.brands': 'العلامات التجارية',
+    'category.analytics': 'تحليلات الفئة',
+
+    'product.loading': 'جارٍ تحميل المنتج...',
+    'product.notFound': 'هذا المنتج غير موجود أو تمت إزالته.',
+    'product.loadFailed': 'تعذّر تحميل هذا المنتج.',
+
+    'notFound.title': 'الصفحة غير موجودة',
+    'notFound.message': 'الصفحة التي تبحث عنها غير موجودة.',
+    'notFound.home': 'الانتقال إلى المنتجات',
+
+    'offline.offline': 'أنت غير متصل.',
+    'offline.unreachable': 'تعذّر الوصول إلى خدمة المنتجات.',
+    'offline.showingCached': 'تُعرض البيانات المخزّنة من {time}.',
+    'offline.noCache': 'تُعرض آخر البيانات المحمّلة، وسيتم تحديثها عند عودة الاتصال.',
+    'offline.pending': {
+        zero: 'لا توجد تغييرات بانتظار الحفظ.',
+        one: 'سيُحفظ تغيير واحد عند عودة الاتصال.',
+        two: 'سيُحفظ تغييران عند عودة الاتصال.',
+        few: 'ستُحفظ {count} تغييرات عند عودة الاتصال.',
+        other: 'سيُحفظ {count} تغيير عند عودة الاتصال.'
+    },
+    'offline.syncing': {
+        zero: 'لا توجد تغييرات للحفظ.',
+        one: 'جارٍ حفظ تغيير واحد تم دون اتصال...',
+        two: 'جارٍ حفظ تغييرين تمّا دون اتصال...',
+        few: 'جارٍ حفظ {count} تغييرات تمت دون اتصال...',
+        other: 'جارٍ حفظ {count} تغيير تم دون اتصال...'
+    },
+    'offline.syncFailed': {
+        zero: 'لم يفشل حفظ أي تغيير.',
+        one: 'تعذّر حفظ تغيير واحد تم دون اتصال: {titles}.',
+        two: 'تعذّر حفظ تغييرين تمّا دون اتصال: {titles}.',
+        few: 'تعذّر حفظ {count} تغييرات تمت دون اتصال: {titles}.',
+        other: 'تعذّر حفظ {count} تغيير تم دون اتصال: {titles}.'
+    },
+    'offline.dismiss': 'إغلاق',
+
+    'errors.refreshFailed': 'تعذّر تحديث المنتجات. تُعرض النتائج السابقة.',
+    'errors.loadFailed': 'تعذّر تحميل المنتجات.',
+    'errors.network': 'تعذّر الوصول إلى خدمة المنتجات. تحقّق من اتصالك.',
+    'errors.timeout': 'استغرقت خدمة المنتجات وقتًا طويلًا للرد.',
+    'errors.notFound': 'العنصر المطلوب غير موجود.',
+    'errors.rateLimited': 'طلبات كثيرة جدًا. يُرجى الانتظار قليلًا.',
+    'errors.rejected': 'تم رفض الطلب (HTTP {status}).',
+    'errors.server': 'حدثت مشكلة في خدمة المنتجات (HTTP {status}).',
+    'errors.unknown': 'حدث خطأ ما.',
+
+    'table.label': 'جدول المنتجات',
+    'table.loading': 'جارٍ تحميل المنتجات...',
+    'table.noResults': 'لم يتم العثور على منتجات تطابق معاييرك.',
+    'table.loadMoreFailed': 'تعذّر تحميل المزيد من المنتجات.',
+    'table.loadingMore': 'جارٍ تحميل المزيد من المنتجات...',
+    'table.loadMore': 'تحميل المزيد',
+    'table.allLoaded': {
+        one: 'تم تحميل المنتج الوحيد',
+        two: 'تم تحميل المنتجين',
+        few: 'تم تحميل جميع المنتجات ({count})',
+        other: 'تم تحميل جميع المنتجات ({count})'
+    },
+    'table.sortHint': 'انقر أو اضغط Enter للترتيب، واضغط Shift معها لإضافته كترتيب ثانوي',
+    'table.sortPriority': '{order}، أولوية الترتيب {priority}',
+    'table.sortOrder.asc': 'تصاعدي',
+    'table.sortOrder.desc': 'تنازلي',
+    'table.shortcuts': 'لوحة المفاتيح: تنقّل بين الخلايا بمفاتيح الأسهم، وافتح المنتج بـ Enter، وانتقل إلى البحث بـ /، وإلى الصفحة التالية والسابقة بـ N وP.',
+    'table.resizeColumn': 'تغيير عرض العمود {column}',
+    'table.selectPage': 'تحديد جميع المنتجات في هذه الصفحة',
+    'table.selectRow': 'تحديد {title}',
+    'table.compare': 'مقارنة',
+    'table.compared': '✓ مقارنة',
+    'table.compareLabel': 'مقارنة {title}',
+    'table.uncompareLabel': 'إزالة {title} من المقارنة',
+    'table.compareFull': 'المقارنة ممتلئة',
+    'table.delete': 'حذف',
+    'table.deleteLabel': 'حذف {title}',
+    'table.originalPrice': 'السعر الأصلي {price}',
+    'table.clickToEdit': 'انقر لتعديل {field}',
+    'table.editTitle': 'العنوان',
+    'table.editPrice': 'السعر ({currency})',
+    'table.editDiscount': 'الخصم',
+    'table.editStock': 'المخزون',
+    'table.priceTrend': 'اتجاه السعر: من {from} إلى {to}',
+    'table.stockTrend': 'اتجاه المخزون: من {from} إلى {to}',
+    'table.noTrend': 'لم تُسجَّل أي تغييرات بعد',
+    'table.changedSinceVisit': 'تغيّر السعر أو المخزون منذ زيارتك الأخيرة',
+
+    'announce.sortedBy': 'مرتّب حسب {keys}.',
+    'announce.sortKey': '{column} {order}',
+    'announce.defaultOrder': 'الترتيب الافتراضي.',
+    'announce.page': 'الصفحة {page} من {pages}.',
+
+    'columns.image': 'الصورة',
+    'columns.title': 'العنوان',
+    'columns.category': 'الفئة',
+    'columns.brand': 'العلامة التجارية',
+    'columns.sku': 'رمز المنتج',
+    'columns.price': 'السعر',
+    'columns.discount': 'الخصم',
+    'columns.rating': 'التقييم',
+    'columns.stock': 'المخزون',
+    'columns.status': 'الحالة',
+    'columns.trend': 'الاتجاه',
+    'columns.weight': 'الوزن',
+    'columns.tags': 'الوسوم',
+    'columns.minimumOrderQuantity': 'أقل كمية للطلب',
+    'columns.actions': 'الإجراءات',
+
+    'history.title': 'سجل السعر والمخزون',
+    'history.empty': 'لا يوجد سجل لهذا المنتج بعد.',
+    'history.price': 'السعر',
+    'history.stock': 'المخزون',
+    'history.trend': '{from} ← {to}',
+    'history.noTrend': 'لا توجد تغييرات بعد',
+    'history.trackedSince': 'يُتابَع منذ {date}',
+    'history.noChanges': 'لم تُسجَّل أي تغييرات في السعر أو الخصم أو المخزون.',
+    'history.field.price': 'السعر',
+    'history.field.discountPercentage': 'الخصم',
+    'history.field.stock': 'المخزون',
+
+    'pagination.loaded': 'تم تحميل {loaded} من أصل {count}',
+    'pagination.page': 'الصفحة {page} من {pages} (إجمالي المنتجات {count})',
+    'pagination.rowsPerPage': 'عدد الصفوف في الصفحة',
+    'pagination.rowsPerBatch': 'عدد الصفوف في كل دفعة',
+    'pagination.previous': 'السابق',
+    'pagination.next': 'التالي',
+
+    'stats.label': 'الإحصاءات',
+    'stats.loaded': 'المنتجات المحمّلة',
+    'stats.currentPage': 'منتجات الصفحة الحالية',
+    'stats.total': 'إجمالي المنتجات',
+    'stats.pages': 'إجمالي الصفحات',
+
+    'analytics.title': 'تحليلات الكتالوج',
+    'analytics.label': 'تحليلات الكتالوج',
+    'analytics.loadFailed': 'تعذّر تحميل التحليلات.',
+    'analytics.loading': 'جارٍ حساب أرقام الكتالوج...',
+    'analytics.empty': 'لا توجد منتجات لتحليلها مع عوامل التصفية هذه.',
+    'analytics.inventoryValue': 'قيمة المخزون',
+    'analytics.priceDistribution': 'توزيع الأسعار (المنتجات: {count})',
+    'analytics.histogramLabel': 'مدرج تكراري لتوزيع الأسعار',
+    'analytics.priceBin': '{min}-{max}',
+    'analytics.binCount': '{range}: المنتجات {count}',
+    'analytics.discountVsRating': 'الخصم مقابل التقييم',
+    'analytics.scatterLabel': 'مخطط انتشار للخصم مقابل التقييم',
+    'analytics.point': '{title}: خصم {discount}، ★ {rating}',
+    'analytics.ratingByCategory': 'متوسط التقييم حسب الفئة',
+    'analytics.stockByCategory': 'متوسط المخزون حسب الفئة',
+    'analytics.valueByCategory': 'قيمة المخزون حسب الفئة (السعر × المخزون)',
+    'analytics.byStockLevel': 'المنتجات حسب مستوى المخزون',
+
+    'toast.exportFailed': 'فشل التصدير. يُرجى المحاولة مرة أخرى.',
+    'toast.selectAllFailed': 'تعذّر تحديد جميع النتائج. {reason}',
+    'toast.deleted': 'تم حذف المنتجات: {count}.',
+    'toast.updated': 'تم تحديث المنتجات: {count}.',
+    'toast.partiallyDeleted': 'تم حذف {done} من أصل {count} منتج. فشل {failed}.',
+    'toast.partiallyUpdated': 'تم تحديث {done} من أصل {count} منتج. فشل {failed}.',
+    'toast.viewSaved': 'تم حفظ العرض "{name}".',
+    'toast.added': 'تمت إضافة "{title}".',
+    'toast.deletedProduct': 'تم حذف "{title}".',
+    'toast.updateFailed': 'تعذّر تحديث "{title}". {reason} تم التراجع عن التغييرات.',
+    'toast.addFailed': 'تعذّرت إضافة "{title}". {reason}',
+    'toast.deleteFailed': 'تعذّر حذف "{title}". {reason} تمت استعادته.',
+    'toast.queuedOffline': 'أنت غير متصل. سيُحفظ تغييرك على "{title}" عند عودة الاتصال.',
+    'toast.dismiss': 'إغلاق الإشعار',
+
+    'views.button': 'طرق العرض',
+    'views.active': 'العرض: {name}',
+    'views.label': 'طرق العرض المحفوظة',
+    'views.saveCurrent': 'حفظ عوامل التصفية الحالية',
+    'views.namePlaceholder': 'مثال: بقالة منخفضة المخزون',
+    'views.save': 'حفظ',
+    'views.update': 'تحديث',
+    'views.empty': 'لا توجد طرق عرض محفوظة بعد.',
+    'views.defaultHint': '★ يُفتح افتراضيًا عندما لا يتضمن الرابط عوامل تصفية.',
+    'views.default': 'طريقة العرض الافتراضية',
+    'views.setDefault': 'تعيين كافتراضي',
+    'views.setDefaultLabel': 'الفتح افتراضيًا باستخدام {name}',
+    'views.unsetDefaultLabel': 'إيقاف الفتح باستخدام {name}',
+    'views.rename': 'إعادة تسمية',
+    'views.renameLabel': 'إعادة تسمية {name}',
+    'views.newName': 'اسم جديد لـ {name}',
+    'views.delete': 'حذف',
+    'views.deleteLabel': 'حذف {name}',
+    'views.confirmDelete': 'هل تريد حذف طريقة العرض "{name}"؟',
+    'views.import': 'استيراد JSON',
+    'views.export': 'تصدير JSON',
+    'views.imported': 'طرق العرض المستوردة: {count}.',
+    'views.invalidJson': 'الملف ليس بتنسيق JSON صالح.',
+    'views.noViews': 'لا يحتوي الملف على طرق عرض محفوظة.',
+    'views.nameRequired': 'أدخل اسمًا لطريقة العرض.',
+    'views.nameTooLong': 'لا يمكن أن يتجاوز الاسم {max} حرفًا.',
+    'views.nameTaken': 'توجد طريقة عرض باسم "{name}" بالفعل.',
+    'views.allProducts': 'جميع المنتجات',
+    'views.perPage': '{count} لكل صفحة',
+
+    'columnChooser.button': 'الأعمدة ({count}) ▾',
+    'columnChooser.label': 'أعمدة الجدول',
+    'columnChooser.help': 'حدّد عمودًا لإظهاره. اسحب العناوين أو استخدم الأسهم لإعادة الترتيب، واسحب حافة العنوان لتغيير العرض.',
+    'columnChooser.alwaysShown': '(يظهر دائمًا)',
+    'columnChooser.moveUp': 'نقل {column} لأعلى',
+    'columnChooser.moveDown': 'نقل {column} لأسفل',
+    'columnChooser.reset': 'استعادة التخطيط الافتراضي',
+
+    'export.button': 'تصدير ▾',
+    'export.exporting': 'جارٍ التصدير...',
+    'export.rows': 'الصفوف',
+    'export.currentPage': 'الصفحة الحالية ({count})',
+    'export.allResults': 'كل النتائج المطابقة ({count})',
+    'export.download': 'تنزيل {format}',
+
+    'bulk.label': 'إجراءات جماعية',
+    'bulk.selected': 'المحدد: {count}',
+    'bulk.selecting': 'جارٍ التحديد...',
+    'bulk.selectAllMatching': 'تحديد كل النتائج المطابقة ({count})',
+    'bulk.clear': 'مسح التحديد',
+    'bulk.action.discount': 'الخصم',
+    'bulk.action.stock': 'تعديل المخزون',
+    'bulk.action.category': 'تغيير الفئة',
+    'bulk.action.export': 'تصدير المحدد',
+    'bulk.action.delete': 'حذف',
+    'bulk.title.discount': 'تغيير الخصم',
+    'bulk.title.stock': 'تعديل المخزون',
+    'bulk.title.category': 'تغيير الفئة',
+    'bulk.title.delete': 'حذف المنتجات',
+    'bulk.title.export': 'تصدير المحدد',
+    'bulk.newDiscount': 'الخصم الجديد (%)',
+    'bulk.stockMode': 'نوع التعديل',
+    'bulk.stockMode.add': 'إضافة وحدات أو إزالتها',
+    'bulk.stockMode.set': 'تعيين كمية محددة',
+    'bulk.newStock': 'المخزون الجديد',
+    'bulk.stockAmount': 'الوحدات المراد إضافتها (قيمة سالبة للإزالة)',
+    'bulk.stockAmountInvalid': 'أدخل عددًا صحيحًا للإضافة (أو عددًا سالبًا للإزالة)',
+    'bulk.newCategory': 'الفئة الجديدة',
+    'bulk.chooseCategory': 'اختر فئة',
+    'bulk.categoryRequired': 'اختر فئة',
+    'bulk.format': 'التنسيق',
+    'bulk.confirm.discount': 'هل تريد تعيين الخصم إلى {discount}% على المنتجات المحددة ({count})؟',
+    'bulk.confirm.setStock': 'هل تريد تعيين المخزون إلى {stock} للمنتجات المحددة ({count})؟',
+    'bulk.confirm.addStock': 'هل تريد إضافة {units} وحدة إلى مخزون المنتجات المحددة ({count})؟',
+    'bulk.confirm.removeStock': 'هل تريد إزالة {units} وحدة من مخزون المنتجات المحددة ({count})؟',
+    'bulk.confirm.category': 'هل تريد نقل المنتجات المحددة ({count}) إلى {category}؟',
+    'bulk.confirm.delete': 'هل تريد حذف المنتجات المحددة ({count})؟ لا يمكن التراجع عن ذلك.',
+    'bulk.confirm.export': 'هل تريد تنزيل المنتجات المحددة ({count}) بتنسيق {format}؟',
+    'bulk.more': '…و{count} غيرها',
+    'bulk.change': '{from} ← {to}',
+    'bulk.review': 'مراجعة',
+    'bulk.confirm': 'تأكيد',
+    'bulk.delete': 'حذف',
+    'bulk.processing': 'جارٍ معالجة {done} من أصل {count} منتج...',
+    'bulk.succeeded': 'نجح: {count}',
+    'bulk.failed': 'فشل: {count}',
+    'bulk.succeededList': 'الناجحة',
+    'bulk.failedList': 'الفاشلة',
+
+    'import.title': 'استيراد المنتجات',
+    'import.file': 'ملف CSV أو JSON',
+    'import.fileHelp': 'الصفوف التي تحتوي على معرّف تحدّث ذلك المنتج، والصفوف التي لا تحتوي عليه تُضاف.',
+    'import.mapColumns': 'ربط أعمدة {file}',
+    'import.fieldFor': 'الحقل للعمود {column}',
+    'import.ignore': 'تجاهل',
+    'import.field.id': 'المعرّف (يحدّث المنتج الموجود)',
+    'import.field.title': 'العنوان',
+    'import.field.description': 'الوصف',
+    'import.field.category': 'الفئة',
+    'import.field.brand': 'العلامة التجارية',
+    'import.field.sku': 'رمز المنتج',
+    'import.field.price': 'السعر',
+    'import.field.discountPercentage': 'الخصم (%)',
+    'import.field.stock': 'المخزون',
+    'import.field.tags': 'الوسوم',
+    'import.ready': 'جاهز: {count}',
+    'import.invalid': 'بها أخطاء (تم تخطيها): {count}',
+    'import.errorsOnly': 'إظهار الصفوف التي بها أخطاء فقط',
+    'import.row': 'الصف',
+    'import.action': 'الإجراء',
+    'import.problems': 'المشكلات',
+    'import.add': 'إضافة',
+    'import.update': 'تحديث #{id}',
+    'import.ok': 'سليم',
+    'import.progress': 'جارٍ استيراد {done} من أصل {count} منتج...',
+    'import.imported': 'تم استيراد: {count}',
+    'import.skipped': 'تم تخطي {count} بسبب أخطاء التحقق',
+    'import.rowError': 'الصف {row}: {message}',
+    'import.submit': {
+        zero: 'لا توجد منتجات للاستيراد',
+        one: 'استيراد منتج واحد',
+        two: 'استيراد منتجين',
+        few: 'استيراد {count} منتجات',
+        other: 'استيراد {count} منتج'
+    },
+    'import.error.unterminatedQuote': 'يحتوي ملف CSV على قيمة بين علامتي اقتباس غير مغلقة.',
+    'import.error.emptyCsv': 'ملف CSV فارغ.',
+    'import.error.invalidJson': 'تعذّر تحليل ملف JSON.',
+    'import.error.notProducts': 'يجب أن يكون الملف مصفوفة JSON من كائنات المنتجات.',
+    'import.error.noRows': 'لا يحتوي الملف على صفوف منتجات.',
+    'import.error.tooManyRows': 'يقتصر الاستيراد على {max} صف لكل ملف.',
+    'import.error.id': 'يجب أن يكون المعرّف عددًا صحيحًا موجبًا',
+    'import.error.nothingToUpdate': 'لا يوجد ما يمكن تحديثه',
+    'import.error.unknownCategory': 'فئة غير معروفة "{category}"',
+
+    'addProduct.title': 'إضافة منتج',
+    'addProduct.description': 'الوصف',
+    'addProduct.chooseCategory': 'اختر فئة',
+    'addProduct.discount': 'الخصم %',
+
+    'validation.titleRequired': 'العنوان مطلوب',
+    'validation.categoryRequired': 'الفئة مطلوبة',
+    'validation.required': 'الحقل "{field}" مطلوب',
+    'validation.price': 'يجب أن يكون السعر رقمًا غير سالب',
+    'validation.discount': 'يجب أن يكون الخصم بين 0 و100',
+    'validation.stock': 'يجب أن يكون المخزون عددًا صحيحًا غير سالب',
+
+    'compare.title': 'مقارنة المنتجات',
+    'compare.close': 'إغلاق المقارنة',
+    'compare.differencesOnly': 'إظهار الاختلافات فقط',
+    'compare.loadFailed': 'تعذّر تحميل المنتجات للمقارنة. {reason}',
+    'compare.productGone': 'المنتج #{id} لم يعد موجودًا.',
+    'compare.productFailed': 'تعذّر تحميل المنتج #{id}. {reason}',
+    'compare.remove': 'إزالة',
+    'compare.caption': 'مقارنة المنتجات. الصفوف المميزة مختلفة، و★ تشير إلى أفضل قيمة.',
+    'compare.differs': '(مختلف)',
+    'compare.best': 'الأفضل',
+    'compare.noDifferences': 'لا تختلف هذه المنتجات في أي حقل من حقول المقارنة.',
+    'compare.pickTwo': 'اختر منتجين على الأقل من الجدول لمقارنتهما.',
+    'compare.none': 'لا يوجد',
+    'compare.field.price': 'السعر',
+    'compare.field.discountedPrice': 'السعر بعد الخصم',
+    'compare.field.discount': 'الخصم',
+    'compare.field.rating': 'التقييم',
+    'compare.field.stock': 'المخزون',
+    'compare.field.availability': 'التوفر',
+    'compare.field.brand': 'العلامة التجارية',
+    'compare.field.category': 'الفئة',
+    'compare.field.dimensions': 'الأبعاد (العرض × الارتفاع × العمق)',
+    'compare.field.weight': 'الوزن',
+    'compare.field.warranty': 'الضمان',
+    'compare.field.shipping': 'الشحن',
+    'compare.field.returns': 'الإرجاع',
+    'compare.field.minimumOrder': 'الحد الأدنى للطلب',
+
+    'compareTray.label': 'منتجات للمقارنة',
+    'compareTray.count': 'المقارنة ({count}/{max})',
+    'compareTray.product': 'المنتج #{id}',
+    'compareTray.clear': 'مسح',
+    'compareTray.open': 'مقارنة جنبًا إلى جنب',
+    'compareTray.pickTwo': 'اختر منتجين على الأقل',
+
+    'drawer.title': 'تفاصيل المنتج',
+    'drawer.openPage': 'فتح الصفحة الكاملة',
+    'drawer.close': 'إغلاق تفاصيل المنتج',
+
+    'details.details': 'التفاصيل',
+    'details.policies': 'السياسات',
+    'details.barcode': 'الرمز الشريطي',
+    'details.reviews': 'المراجعات ({count})',
+    'details.noReviews': 'لا توجد مراجعات بعد.',
+    'details.stars': '{rating} من 5 نجوم',
+    'details.showImage': 'عرض الصورة {index} من {count}',
+
+    'confirm.delete': 'هل تريد حذف "{title}"؟ لا يمكن التراجع عن ذلك.'
+};
+
+export default ar;
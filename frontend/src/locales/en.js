@@ -0,0 +1,594 @@
+// English UI strings. Values may use {placeholders}; plural messages are
+// objects keyed by Intl.PluralRules category (the `count` value picks one,
+// `other` is the fallback).
+const en = {
+    'app.title': 'Products Table View',
+    'app.subtitle': 'Server-side pagination • Data fetched per page • Click a value to edit it',
+
+    'settings.language': 'Language',
+    'settings.currency': 'Currency',
+    'settings.ratesUnavailable': "Exchange rates couldn't be loaded; prices are shown in {currency}.",
+    'settings.ratesAsOf': 'Exchange rates as of {date}',
+    'settings.theme': 'Theme',
+
+    'theme.system': 'System theme',
+    'theme.light': 'Light',
+    'theme.dark': 'Dark',
+    'theme.high-contrast': 'High contrast',
+
+    'actions.import': 'Import',
+    'actions.addProduct': 'Add Product',
+    'actions.retry': 'Retry',
+    'actions.retrying': 'Retrying...',
+    'actions.clearFilters': 'Clear Filters',
+    'actions.clearFiltersLabel': 'Clear all filters',
+    'actions.showAnalytics': 'Show analytics',
+    'actions.hideAnalytics': 'Hide analytics',
+    'actions.save': 'Save',
+    'actions.cancel': 'Cancel',
+    'actions.close': 'Close',
+    'actions.back': 'Back',
+    'actions.reset': 'Reset',
+
+    'alerts.button': 'Alerts',
+    'alerts.buttonLabel': {
+        one: 'Inventory alerts: {count} product needs attention',
+        other: 'Inventory alerts: {count} products need attention'
+    },
+    'alerts.title': 'Inventory alerts',
+    'alerts.close': 'Close inventory alerts',
+    'alerts.lastChecked': 'Last checked {time} · checks every minute',
+    'alerts.checking': 'Checking stock...',
+    'alerts.checkNow': 'Check now',
+    'alerts.checkingNow': 'Checking...',
+    'alerts.checkFailed': "Couldn't check stock. {reason}",
+    'alerts.level': 'Alert level',
+    'alerts.level.out': 'Out of stock ({count})',
+    'alerts.level.low': 'Low stock ({count})',
+    'alerts.empty': 'Nothing here right now.',
+    'alerts.left': '{count} left',
+    'alerts.lowAt': 'low at ≤ {count}',
+    'alerts.settings': 'Alert settings',
+    'alerts.browserNotifications': 'Also show browser notifications',
+    'alerts.notificationsUnsupported': "This browser doesn't support notifications.",
+    'alerts.notificationsBlocked': 'Notifications are blocked for this site. Allow them in your browser settings.',
+    'alerts.notificationTitle': 'Inventory alert',
+    'alerts.thresholds': 'Stock thresholds by category',
+    'alerts.thresholdsHelp': 'Stock at or below the first number is low; above the second is high. Defaults are {medium} and {high}. Table colors follow the same thresholds.',
+    'alerts.noCategories': "Categories aren't available right now.",
+    'alerts.lowThreshold': '{category} low-stock threshold',
+    'alerts.highThreshold': '{category} high-stock threshold',
+    'alerts.thresholdsInvalid': 'Thresholds must be whole numbers of 0 or more.',
+    'alerts.thresholdsOrder': 'The low-stock threshold must be below the high-stock threshold.',
+    'alerts.ranOut': {
+        one: '{count} product ran out of stock: {titles}.',
+        other: '{count} products ran out of stock: {titles}.'
+    },
+    'alerts.fellLow': {
+        one: '{count} product fell below the low-stock threshold: {titles}.',
+        other: '{count} products fell below the low-stock threshold: {titles}.'
+    },
+    'alerts.more': '{count} more',
+
+    'filters.label': 'Filters',
+    'filters.search': 'Search',
+    'filters.category': 'Category',
+    'filters.allCategories': 'All Categories',
+    'filters.categoriesUnavailable': 'Categories unavailable',
+    'filters.categoriesError': "Couldn't load categories.",
+    'filters.ignoredTerms': 'Ignored {terms}: use a number or comparison such as price:<100 or price:10..50.',
+    'filters.priceRange': 'Price range ({currency})',
+    'filters.min': 'Min',
+    'filters.max': 'Max',
+    'filters.minPrice': 'Minimum price',
+    'filters.maxPrice': 'Maximum price',
+    'filters.invalidRange': 'Enter a valid range (min ≤ max).',
+    'filters.minRating': 'Minimum rating',
+    'filters.anyRating': 'Any rating',
+    'filters.ratingOption': '★ {rating}+',
+    'filters.stockLevel': 'Stock level',
+    'filters.anyStock': 'Any stock',
+    'filters.brands': 'Brands',
+    'filters.allBrands': 'All brands',
+    'filters.availability': 'Availability',
+    'filters.anyStatus': 'Any status',
+
+    'stockLevels.low': 'Low (≤ {max})',
+    'stockLevels.medium': 'Medium ({min}-{max})',
+    'stockLevels.high': 'High (> {min})',
+    'stockLevel.low': 'low',
+    'stockLevel.medium': 'medium',
+    'stockLevel.high': 'high',
+
+    'availability.In Stock': 'In Stock',
+    'availability.Low Stock': 'Low Stock',
+    'availability.Out of Stock': 'Out of Stock',
+
+    'summary.pricedBetween': 'priced {min}-{max}',
+    'summary.pricedFrom': 'priced from {min}',
+    'summary.pricedUpTo': 'priced up to {max}',
+    'summary.ratedAtLeast': 'rated {rating}+',
+    'summary.stock': '{levels} stock',
+    'summary.byBrands': 'by {brands}',
+
+    'multiSelect.any': 'Any',
+    'multiSelect.noOptions': 'No options',
+    'multiSelect.clear': 'Clear selection',
+    'multiSelect.selected': '{count} selected',
+
+    'search.label': 'Search products',
+    'search.placeholder': 'Search products, or try brand:apple price:<100',
+    'search.suggestions': 'Search suggestions',
+    'search.clear': 'Clear search',
+    'search.help': 'Filter with brand:, category:, tag:, price:<100, rating:>=4, stock:0 or price:10..50. Small typos are OK.',
+    'search.clearHistory': 'Clear history',
+    'search.removeRecent': 'Remove "{term}" from recent searches',
+    'search.type.recent': 'Recent',
+    'search.type.field': 'Filter',
+    'search.type.brand': 'Brand',
+    'search.type.category': 'Category',
+    'search.type.tag': 'Tag',
+    'search.type.title': 'Product',
+
+    'results.loading': 'Loading...',
+    'results.showing': {
+        one: 'Showing {start} - {end} of {count} product',
+        other: 'Showing {start} - {end} of {count} products'
+    },
+    'results.forSearch': ' for "{term}"',
+    'results.inCategories': ' in {categories}',
+    'results.updating': 'Updating...',
+
+    'listMode.label': 'Display mode',
+    'listMode.pages': 'Pages',
+    'listMode.infinite': 'Infinite scroll',
+
+    'nav.label': 'Main',
+    'nav.brand': 'Product Dashboard',
+    'nav.table': 'Table',
+    'nav.grid': 'Grid',
+    'nav.categories': 'Categories',
+    'nav.products': 'Products',
+    'nav.breadcrumb': 'Breadcrumb',
+
+    'grid.title': 'Products Grid View',
+    'grid.subtitle': 'Browse products as cards • Filters carry over from the table',
+    'grid.label': 'Products grid',
+    'grid.pagination': 'Grid pages',
+    'grid.sortBy': 'Sort by',
+    'grid.sort.featured': 'Featured',
+    'grid.sort.priceAsc': 'Price: low to high',
+    'grid.sort.priceDesc': 'Price: high to low',
+    'grid.sort.ratingDesc': 'Top rated',
+    'grid.sort.discountDesc': 'Biggest discount',
+    'grid.sort.titleAsc': 'Name: A to Z',
+    'grid.sort.custom': 'Custom (set in the table)',
+    'grid.inStock': '{count} in stock',
+
+    'categories.title': 'Categories',
+    'categories.subtitle': 'Every category in the catalog with its key figures',
+    'categories.loading': 'Loading categories...',
+    'categories.catalogFailed': "Couldn't load the catalog figures.",
+    'categories.products': {
+        one: '{count} product',
+        other: '{count} products'
+    },
+    'categories.averageRating': '{rating} average',
+    'categories.totalStock': {
+        one: '{count} unit in stock',
+        other: '{count} units in stock'
+    },
+
+    'category.summary': {
+        one: '{count} product from {brands} brands',
+        other: '{count} products from {brands} brands'
+    },
+    'category.notFound': 'There is no "{category}" category.',
+    'category.openTable': 'Open in table',
+    'category.openGrid': 'Browse as grid',
+    'category.loadFailed': "Couldn't load this category.",
+    'category.empty': 'No products in this category yet.',
+    'category.averagePrice': 'Average price',
+    'category.averageRating': 'Average rating',
+    'category.lowStock': 'Low stock products',
+    'category.topRated': 'Top rated',
+    'category.brands': 'Brands',
+    'category.analytics': 'Category analytics',
+
+    'product.loading': 'Loading product...',
+    'product.notFound': "This product doesn't exist or was removed.",
+    'product.loadFailed': "Couldn't load this product.",
+
+    'notFound.title': 'Page not found',
+    'notFound.message': "The page you're looking for doesn't exist.",
+    'notFound.home': 'Go to products',
+
+    'offline.offline': "You're offline.",
+    'offline.unreachable': "Can't reach the product service.",
+    'offline.showingCached': 'Showing cached data from {time}.',
+    'offline.noCache': 'Showing the last loaded data; it will refresh when the connection returns.',
+    'offline.pending': {
+        one: '{count} change will be saved when the connection returns.',
+        other: '{count} changes will be saved when the connection returns.'
+    },
+    'offline.syncing': {
+        one: 'Saving {count} offline change...',
+        other: 'Saving {count} offline changes...'
+    },
+    'offline.syncFailed': {
+        one: "{count} offline change couldn't be saved: {titles}.",
+        other: "{count} offline changes couldn't be saved: {titles}."
+    },
+    'offline.dismiss': 'Dismiss',
+
+    'errors.refreshFailed': "Couldn't refresh products. Showing earlier results.",
+    'errors.loadFailed': "Couldn't load products.",
+    'errors.network': "Can't reach the product service. Check your connection.",
+    'errors.timeout': 'The product service took too long to respond.',
+    'errors.notFound': "The requested item doesn't exist.",
+    'errors.rateLimited': 'Too many requests. Please wait a moment.',
+    'errors.rejected': 'The request was rejected (HTTP {status}).',
+    'errors.server': 'The product service had a problem (HTTP {status}).',
+    'errors.unknown': 'Something went wrong.',
+
+    'table.label': 'Products table',
+    'table.loading': 'Loading products...',
+    'table.noResults': 'No products found matching your criteria.',
+    'table.loadMoreFailed': "Couldn't load more products.",
+    'table.loadingMore': 'Loading more products...',
+    'table.loadMore': 'Load more',
+    'table.allLoaded': {
+        one: 'All {count} product loaded',
+        other: 'All {count} products loaded'
+    },
+    'table.sortHint': 'Click or press Enter to sort; hold Shift to add a secondary sort',
+    'table.sortPriority': '{order}, sort priority {priority}',
+    'table.sortOrder.asc': 'ascending',
+    'table.sortOrder.desc': 'descending',
+    'table.shortcuts': 'Keyboard: arrow keys move between cells, Enter opens a product, / jumps to search, N and P go to the next and previous page.',
+    'table.resizeColumn': 'Resize {column} column',
+    'table.selectPage': 'Select all products on this page',
+    'table.selectRow': 'Select {title}',
+    'table.compare': 'Compare',
+    'table.compared': '✓ Compare',
+    'table.compareLabel': 'Compare {title}',
+    'table.uncompareLabel': 'Remove {title} from comparison',
+    'table.compareFull': 'Comparison is full',
+    'table.delete': 'Delete',
+    'table.deleteLabel': 'Delete {title}',
+    'table.originalPrice': 'Original price {price}',
+    'table.clickToEdit': 'Click to edit {field}',
+    'table.editTitle': 'Title',
+    'table.editPrice': 'Price ({currency})',
+    'table.editDiscount': 'Discount',
+    'table.editStock': 'Stock',
+    'table.priceTrend': 'Price trend: {from} to {to}',
+    'table.stockTrend': 'Stock trend: {from} to {to}',
+    'table.noTrend': 'No changes recorded yet',
+    'table.changedSinceVisit': 'Price or stock changed since your last visit',
+
+    'announce.sortedBy': 'Sorted by {keys}.',
+    'announce.sortKey': '{column} {order}',
+    'announce.defaultOrder': 'Default order.',
+    'announce.page': 'Page {page} of {pages}.',
+
+    'columns.image': 'Image',
+    'columns.title': 'Title',
+    'columns.category': 'Category',
+    'columns.brand': 'Brand',
+    'columns.sku': 'SKU',
+    'columns.price': 'Price',
+    'columns.discount': 'Discount',
+    'columns.rating': 'Rating',
+    'columns.stock': 'Stock',
+    'columns.status': 'Status',
+    'columns.trend': 'Trend',
+    'columns.weight': 'Weight',
+    'columns.tags': 'Tags',
+    'columns.minimumOrderQuantity': 'Min. Order',
+    'columns.actions': 'Actions',
+
+    'history.title': 'Price & stock history',
+    'history.empty': 'No history recorded for this product yet.',
+    'history.price': 'Price',
+    'history.stock': 'Stock',
+    'history.trend': '{from} → {to}',
+    'history.noTrend': 'No changes yet',
+    'history.trackedSince': 'Tracked since {date}',
+    'history.noChanges': 'No price, discount or stock changes recorded.',
+    'history.field.price': 'Price',
+    'history.field.discountPercentage': 'Discount',
+    'history.field.stock': 'Stock',
+
+    'pagination.loaded': {
+        one: '{loaded} of {count} product loaded',
+        other: '{loaded} of {count} products loaded'
+    },
+    'pagination.page': {
+        one: 'Page {page} of {pages} ({count} total product)',
+        other: 'Page {page} of {pages} ({count} total products)'
+    },
+    'pagination.rowsPerPage': 'Rows per page',
+    'pagination.rowsPerBatch': 'Rows per batch',
+    'pagination.previous': 'Previous',
+    'pagination.next': 'Next',
+
+    'stats.label': 'Statistics',
+    'stats.loaded': 'Loaded Products',
+    'stats.currentPage': 'Current Page Products',
+    'stats.total': 'Total Products',
+    'stats.pages': 'Total Pages',
+
+    'analytics.title': 'Catalog Analytics',
+    'analytics.label': 'Catalog analytics',
+    'analytics.loadFailed': 'Failed to load analytics.',
+    'analytics.loading': 'Crunching catalog numbers...',
+    'analytics.empty': 'No products to analyze for these filters.',
+    'analytics.inventoryValue': 'Inventory value',
+    'analytics.priceDistribution': {
+        one: 'Price distribution ({count} product)',
+        other: 'Price distribution ({count} products)'
+    },
+    'analytics.histogramLabel': 'Price distribution histogram',
+    'analytics.priceBin': '{min}-{max}',
+    'analytics.binCount': {
+        one: '{range}: {count} product',
+        other: '{range}: {count} products'
+    },
+    'analytics.discountVsRating': 'Discount vs rating',
+    'analytics.scatterLabel': 'Discount versus rating scatter plot',
+    'analytics.point': '{title}: {discount} off, ★ {rating}',
+    'analytics.ratingByCategory': 'Average rating by category',
+    'analytics.stockByCategory': 'Average stock by category',
+    'analytics.valueByCategory': 'Inventory value by category (price × stock)',
+    'analytics.byStockLevel': 'Products by stock level',
+
+    'toast.exportFailed': 'Export failed. Please try again.',
+    'toast.selectAllFailed': "Couldn't select all results. {reason}",
+    'toast.deleted': {
+        one: 'Deleted {count} product.',
+        other: 'Deleted {count} products.'
+    },
+    'toast.updated': {
+        one: 'Updated {count} product.',
+        other: 'Updated {count} products.'
+    },
+    'toast.partiallyDeleted': 'Deleted {done} of {count} products. {failed} failed.',
+    'toast.partiallyUpdated': 'Updated {done} of {count} products. {failed} failed.',
+    'toast.viewSaved': 'Saved view "{name}".',
+    'toast.added': 'Added "{title}".',
+    'toast.deletedProduct': 'Deleted "{title}".',
+    'toast.updateFailed': 'Couldn\'t update "{title}". {reason} Changes were reverted.',
+    'toast.addFailed': 'Couldn\'t add "{title}". {reason}',
+    'toast.deleteFailed': 'Couldn\'t delete "{title}". {reason} It was restored.',
+    'toast.queuedOffline': 'You\'re offline. Your change to "{title}" will be saved when the connection returns.',
+    'toast.dismiss': 'Dismiss notification',
+
+    'views.button': 'Views',
+    'views.active': 'View: {name}',
+    'views.label': 'Saved views',
+    'views.saveCurrent': 'Save current filters',
+    'views.namePlaceholder': 'e.g. Low-stock groceries',
+    'views.save': 'Save',
+    'views.update': 'Update',
+    'views.empty': 'No saved views yet.',
+    'views.defaultHint': '★ opens by default when a link has no filters.',
+    'views.default': 'Default view',
+    'views.setDefault': 'Set as default',
+    'views.setDefaultLabel': 'Open with {name} by default',
+    'views.unsetDefaultLabel': 'Stop opening with {name}',
+    'views.rename': 'Rename',
+    'views.renameLabel': 'Rename {name}',
+    'views.newName': 'New name for {name}',
+    'views.delete': 'Delete',
+    'views.deleteLabel': 'Delete {name}',
+    'views.confirmDelete': 'Delete the view "{name}"?',
+    'views.import': 'Import JSON',
+    'views.export': 'Export JSON',
+    'views.imported': {
+        one: 'Imported {count} view.',
+        other: 'Imported {count} views.'
+    },
+    'views.invalidJson': "The file isn't valid JSON.",
+    'views.noViews': 'The file has no saved views.',
+    'views.nameRequired': 'Enter a name for the view.',
+    'views.nameTooLong': 'Names can be at most {max} characters.',
+    'views.nameTaken': 'A view named "{name}" already exists.',
+    'views.allProducts': 'All products',
+    'views.perPage': '{count} per page',
+
+    'columnChooser.button': 'Columns ({count}) ▾',
+    'columnChooser.label': 'Table columns',
+    'columnChooser.help': "Tick to show a column. Drag headers or use the arrows to reorder; drag a header's edge to resize.",
+    'columnChooser.alwaysShown': '(always shown)',
+    'columnChooser.moveUp': 'Move {column} up',
+    'columnChooser.moveDown': 'Move {column} down',
+    'columnChooser.reset': 'Reset to default layout',
+
+    'export.button': 'Export ▾',
+    'export.exporting': 'Exporting...',
+    'export.rows': 'Rows',
+    'export.currentPage': 'Current page ({count})',
+    'export.allResults': 'All matching results ({count})',
+    'export.download': 'Download {format}',
+
+    'bulk.label': 'Bulk actions',
+    'bulk.selected': '{count} selected',
+    'bulk.selecting': 'Selecting...',
+    'bulk.selectAllMatching': {
+        one: 'Select {count} matching result',
+        other: 'Select all {count} matching results'
+    },
+    'bulk.clear': 'Clear selection',
+    'bulk.action.discount': 'Discount',
+    'bulk.action.stock': 'Adjust stock',
+    'bulk.action.category': 'Change category',
+    'bulk.action.export': 'Export selected',
+    'bulk.action.delete': 'Delete',
+    'bulk.title.discount': 'Change discount',
+    'bulk.title.stock': 'Adjust stock',
+    'bulk.title.category': 'Change category',
+    'bulk.title.delete': 'Delete products',
+    'bulk.title.export': 'Export selected',
+    'bulk.newDiscount': 'New discount (%)',
+    'bulk.stockMode': 'Adjustment',
+    'bulk.stockMode.add': 'Add or remove units',
+    'bulk.stockMode.set': 'Set to an exact amount',
+    'bulk.newStock': 'New stock',
+    'bulk.stockAmount': 'Units to add (negative to remove)',
+    'bulk.stockAmountInvalid': 'Enter a whole number to add (or a negative one to remove)',
+    'bulk.newCategory': 'New category',
+    'bulk.chooseCategory': 'Choose a category',
+    'bulk.categoryRequired': 'Choose a category',
+    'bulk.format': 'Format',
+    'bulk.confirm.discount': {
+        one: 'Set the discount to {discount}% on {count} product?',
+        other: 'Set the discount to {discount}% on {count} products?'
+    },
+    'bulk.confirm.setStock': {
+        one: 'Set stock to {stock} on {count} product?',
+        other: 'Set stock to {stock} on {count} products?'
+    },
+    'bulk.confirm.addStock': {
+        one: 'Add {units} units of stock on {count} product?',
+        other: 'Add {units} units of stock on {count} products?'
+    },
+    'bulk.confirm.removeStock': {
+        one: 'Remove {units} units of stock on {count} product?',
+        other: 'Remove {units} units of stock on {count} products?'
+    },
+    'bulk.confirm.category': {
+        one: 'Move {count} product to {category}?',
+        other: 'Move {count} products to {category}?'
+    },
+    'bulk.confirm.delete': {
+        one: "Delete {count} product? This can't be undone.",
+        other: "Delete {count} products? This can't be undone."
+    },
+    'bulk.confirm.export': {
+        one: 'Download {count} product as {format}?',
+        other: 'Download {count} products as {format}?'
+    },
+    'bulk.more': '…and {count} more',
+    'bulk.change': '{from} → {to}',
+    'bulk.review': 'Review',
+    'bulk.confirm': 'Confirm',
+    'bulk.delete': 'Delete',
+    'bulk.processing': {
+        one: 'Processing {done} of {count} product...',
+        other: 'Processing {done} of {count} products...'
+    },
+    'bulk.succeeded': '{count} succeeded',
+    'bulk.failed': '{count} failed',
+    'bulk.succeededList': 'Succeeded',
+    'bulk.failedList': 'Failed',
+
+    'import.title': 'Import Products',
+    'import.file': 'CSV or JSON file',
+    'import.fileHelp': 'Rows with an ID update that product; rows without one are added.',
+    'import.mapColumns': 'Map columns from {file}',
+    'import.fieldFor': 'Field for column {column}',
+    'import.ignore': 'Ignore',
+    'import.field.id': 'ID (updates existing)',
+    'import.field.title': 'Title',
+    'import.field.description': 'Description',
+    'import.field.category': 'Category',
+    'import.field.brand': 'Brand',
+    'import.field.sku': 'SKU',
+    'import.field.price': 'Price',
+    'import.field.discountPercentage': 'Discount (%)',
+    'import.field.stock': 'Stock',
+    'import.field.tags': 'Tags',
+    'import.ready': '{count} ready',
+    'import.invalid': '{count} with errors (skipped)',
+    'import.errorsOnly': 'Show only rows with errors',
+    'import.row': 'Row',
+    'import.action': 'Action',
+    'import.problems': 'Problems',
+    'import.add': 'Add',
+    'import.update': 'Update #{id}',
+    'import.ok': 'OK',
+    'import.progress': {
+        one: 'Importing {done} of {count} product...',
+        other: 'Importing {done} of {count} products...'
+    },
+    'import.imported': '{count} imported',
+    'import.skipped': '{count} skipped for validation errors',
+    'import.rowError': 'Row {row}: {message}',
+    'import.submit': {
+        one: 'Import {count} product',
+        other: 'Import {count} products'
+    },
+    'import.error.unterminatedQuote': 'The CSV file has an unterminated quoted value.',
+    'import.error.emptyCsv': 'The CSV file is empty.',
+    'import.error.invalidJson': 'The JSON file could not be parsed.',
+    'import.error.notProducts': 'Expected a JSON array of product objects.',
+    'import.error.noRows': 'The file has no product rows.',
+    'import.error.tooManyRows': 'Imports are limited to {max} rows per file.',
+    'import.error.id': 'ID must be a positive whole number',
+    'import.error.nothingToUpdate': 'Nothing to update',
+    'import.error.unknownCategory': 'Unknown category "{category}"',
+
+    'addProduct.title': 'Add Product',
+    'addProduct.description': 'Description',
+    'addProduct.chooseCategory': 'Select a category',
+    'addProduct.discount': 'Discount %',
+
+    'validation.titleRequired': 'Title is required',
+    'validation.categoryRequired': 'Category is required',
+    'validation.required': '{field} is required',
+    'validation.price': 'Price must be a non-negative number',
+    'validation.discount': 'Discount must be between 0 and 100',
+    'validation.stock': 'Stock must be a non-negative whole number',
+
+    'compare.title': 'Compare products',
+    'compare.close': 'Close comparison',
+    'compare.differencesOnly': 'Only show differences',
+    'compare.loadFailed': "Couldn't load the products to compare. {reason}",
+    'compare.productGone': 'Product #{id} no longer exists.',
+    'compare.productFailed': "Couldn't load product #{id}. {reason}",
+    'compare.remove': 'Remove',
+    'compare.caption': 'Product comparison. Highlighted rows differ; ★ marks the best value.',
+    'compare.differs': '(differs)',
+    'compare.best': 'best',
+    'compare.noDifferences': "These products don't differ in any compared field.",
+    'compare.pickTwo': 'Pick at least two products from the table to compare them.',
+    'compare.none': 'None',
+    'compare.field.price': 'Price',
+    'compare.field.discountedPrice': 'Price after discount',
+    'compare.field.discount': 'Discount',
+    'compare.field.rating': 'Rating',
+    'compare.field.stock': 'Stock',
+    'compare.field.availability': 'Availability',
+    'compare.field.brand': 'Brand',
+    'compare.field.category': 'Category',
+    'compare.field.dimensions': 'Dimensions (W × H × D)',
+    'compare.field.weight': 'Weight',
+    'compare.field.warranty': 'Warranty',
+    'compare.field.shipping': 'Shipping',
+    'compare.field.returns': 'Returns',
+    'compare.field.minimumOrder': 'Minimum order',
+
+    'compareTray.label': 'Products to compare',
+    'compareTray.count': 'Compare ({count}/{max})',
+    'compareTray.product': 'Product #{id}',
+    'compareTray.clear': 'Clear',
+    'compareTray.open': 'Compare side by side',
+    'compareTray.pickTwo': 'Pick at least two products',
+
+    'drawer.title': 'Product details',
+    'drawer.openPage': 'Open full page',
+    'drawer.close': 'Close product details',
+
+    'details.details': 'Details',
+    'details.policies': 'Policies',
+    'details.barcode': 'Barcode',
+    'details.reviews': 'Reviews ({count})',
+    'details.noReviews': 'No reviews yet.',
+    'details.stars': '{rating} out of 5 stars',
+    'details.showImage': 'Show image {index} of {count}',
+
+    'confirm.delete': 'Delete "{title}"? This can\'t be undone.'
+};
+
+export default en;
@@ -0,0 +1,33 @@
+// Product prices are stored in the base currency and converted for display
+export const BASE_CURRENCY = 'USD';
+
+// Used until the rates file has loaded, or when it can't be
+export const DEFAULT_CURRENCY_RATES = { updatedAt: null, rates: { [BASE_CURRENCY]: 1 } };
+
+const CURRENCY_CODE_PATTERN = /^[A-Z]{3}$/;
+
+// Validates a rates file ({ base, updatedAt, rates: { CODE: rate } }) and
+// re-expresses the rates against BASE_CURRENCY, so the file may use any base
+// as long as it lists BASE_CURRENCY
+export const normalizeCurrencyRates = (data) => {
+    if (!data || typeof data !== 'object' || !data.rates || typeof data.rates !== 'object') {
+        throw new Error('Currency rates file must have a "rates" object.');
+    }
+
+    const base = String(data.base ?? BASE_CURRENCY).toUpperCase();
+    const baseRate = base === BASE_CURRENCY ? 1 : Number(data.rates[BASE_CURRENCY]);
+    if (!(baseRate > 0)) {
+        throw new Error(`Currency rates file must include a rate for ${BASE_CURRENCY}.`);
+    }
+
+    const rates = { [BASE_CURRENCY]: 1 };
+    Object.entries(data.rates).forEach(([code, rate]) => {
+        if (CURRENCY_CODE_PATTERN.test(code) && Number(rate) > 0 && code !== BASE_CURRENCY) {
+            rates[code] = Number(rate) / baseRate;
+        }
+    });
+
+    return { updatedAt: typeof data.updatedAt === 'string' ? data.updatedAt : null, rates };
+};
+
+export const convertFromBase = (amount, rate) => amount * rate;
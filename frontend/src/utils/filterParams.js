@@ -0,0 +1,170 @@
+import {
+    AVAILABILITY_STATUSES,
+    ITEMS_PER_PAGE,
+    MAX_COMPARE_PRODUCTS,
+    MAX_SORT_KEYS,
+    PAGE_SIZE_OPTIONS,
+    SORT_OPTIONS,
+    SORT_ORDER,
+    STOCK_LEVELS
+} from '../constants/products';
+import { DEFAULT_ADVANCED_FILTERS } from './productFilters';
+
+// Query parameter names used for shareable links. List filters repeat the
+// parameter (?category=beauty&category=fragrances); multi-column sorts pair
+// each `sort` with the `order` at the same position.
+const PARAM_KEYS = {
+    SEARCH: 'q',
+    CATEGORY: 'category',
+    SORT_BY: 'sort',
+    SORT_ORDER: 'order',
+    PAGE: 'page',
+    PAGE_SIZE: 'pageSize',
+    PRODUCT: 'product',
+    COMPARE: 'compare',
+    MIN_PRICE: 'minPrice',
+    MAX_PRICE: 'maxPrice',
+    MIN_RATING: 'minRating',
+    STOCK: 'stock',
+    BRAND: 'brand',
+    STATUS: 'status'
+};
+
+export const DEFAULT_FILTERS = {
+    searchTerm: '',
+    categoryFilters: [],
+    sorting: [],
+    currentPage: 1,
+    pageSize: ITEMS_PER_PAGE,
+    selectedProductId: '',
+    compareIds: [],
+    advancedFilters: DEFAULT_ADVANCED_FILTERS
+};
+
+const parsePage = (value) => {
+    const page = Number(value);
+    return Number.isInteger(page) && page > 0 ? page : DEFAULT_FILTERS.currentPage;
+};
+
+const parsePageSize = (value) => {
+    const size = Number(value);
+    return PAGE_SIZE_OPTIONS.includes(size) ? size : DEFAULT_FILTERS.pageSize;
+};
+
+// Non-negative number within `max`, or null when missing/invalid
+const parseBound = (value, max = Infinity) => {
+    if (value === null || value.trim() === '') return null;
+    const number = Number(value);
+    return Number.isFinite(number) && number >= 0 && number <= max ? number : null;
+};
+
+const oneOf = (value, allowed, fallback) =>
+    Object.values(allowed).includes(value) ? value : fallback;
+
+// Distinct, non-empty values; restricted to `allowed` when given
+const parseList = (params, key, allowed) => {
+    const values = params.getAll(key).map(value => value.trim()).filter(Boolean);
+    return [...new Set(allowed ? values.filter(value => allowed.includes(value)) : values)];
+};
+
+// [{ key, order }] from paired sort/order params; unknown and repeated
+// columns are dropped, a missing order means ascending
+const parseSorting = (params) => {
+    const orders = params.getAll(PARAM_KEYS.SORT_ORDER);
+    const sorting = [];
+    params.getAll(PARAM_KEYS.SORT_BY).forEach((key, index) => {
+        if (!Object.values(SORT_OPTIONS).includes(key) || sorting.some(sort => sort.key === key)) return;
+        sorting.push({ key, order: oneOf(orders[index], SORT_ORDER, SORT_ORDER.ASC) });
+    });
+    return sorting.slice(0, MAX_SORT_KEYS);
+};
+
+const parseAdvancedFilters = (params) => {
+    let minPrice = parseBound(params.get(PARAM_KEYS.MIN_PRICE));
+    let maxPrice = parseBound(params.get(PARAM_KEYS.MAX_PRICE));
+    // A reversed range is almost certainly a typo - swap rather than match nothing
+    if (minPrice !== null && maxPrice !== null && minPrice > maxPrice) {
+        [minPrice, maxPrice] = [maxPrice, minPrice];
+    }
+
+    return {
+        minPrice,
+        maxPrice,
+        minRating: parseBound(params.get(PARAM_KEYS.MIN_RATING), 5),
+        stockLevels: parseList(params, PARAM_KEYS.STOCK, Object.values(STOCK_LEVELS)),
+        brands: parseList(params, PARAM_KEYS.BRAND),
+        availability: parseList(params, PARAM_KEYS.STATUS, AVAILABILITY_STATUSES)
+    };
+};
+
+// Reads filter state from a query string. Anything missing or invalid falls
+// back to its default; categories are validated later against the fetched list.
+export const parseFilterParams = (search) => {
+    const params = new URLSearchParams(search);
+
+    return {
+        searchTerm: (params.get(PARAM_KEYS.SEARCH) || '').trim(),
+        categoryFilters: parseList(params, PARAM_KEYS.CATEGORY),
+        sorting: parseSorting(params),
+        currentPage: parsePage(params.get(PARAM_KEYS.PAGE)),
+        pageSize: parsePageSize(params.get(PARAM_KEYS.PAGE_SIZE)),
+        // Product open in the detail drawer
+        selectedProductId: (params.get(PARAM_KEYS.PRODUCT) || '').trim(),
+        // Products pinned for side-by-side comparison
+        compareIds: parseList(params, PARAM_KEYS.COMPARE).slice(0, MAX_COMPARE_PRODUCTS),
+        advancedFilters: parseAdvancedFilters(params)
+    };
+};
+
+const appendAll = (params, key, values) => {
+    values.forEach(value => params.append(key, value));
+};
+
+// Builds a query string ("" or "?...") holding only non-default values
+export const serializeFilterParams = ({
+    searchTerm,
+    categoryFilters,
+    sorting,
+    currentPage,
+    pageSize = DEFAULT_FILTERS.pageSize,
+    selectedProductId,
+    compareIds = [],
+    advancedFilters
+}) => {
+    const params = new URLSearchParams();
+
+    if (searchTerm) params.set(PARAM_KEYS.SEARCH, searchTerm);
+    appendAll(params, PARAM_KEYS.CATEGORY, categoryFilters);
+    sorting.forEach(({ key, order }) => {
+        params.append(PARAM_KEYS.SORT_BY, key);
+        params.append(PARAM_KEYS.SORT_ORDER, order);
+    });
+
+    const { minPrice, maxPrice, minRating, stockLevels, brands, availability } = advancedFilters;
+    if (minPrice !== null) params.set(PARAM_KEYS.MIN_PRICE, String(minPrice));
+    if (maxPrice !== null) params.set(PARAM_KEYS.MAX_PRICE, String(maxPrice));
+    if (minRating !== null) params.set(PARAM_KEYS.MIN_RATING, String(minRating));
+    appendAll(params, PARAM_KEYS.STOCK, stockLevels);
+    appendAll(params, PARAM_KEYS.BRAND, brands);
+    appendAll(params, PARAM_KEYS.STATUS, availability);
+
+    if (currentPage > 1) params.set(PARAM_KEYS.PAGE, String(currentPage));
+    if (pageSize !== DEFAULT_FILTERS.pageSize) params.set(PARAM_KEYS.PAGE_SIZE, String(pageSize));
+    if (selectedProductId) params.set(PARAM_KEYS.PRODUCT, String(selectedProductId));
+    appendAll(params, PARAM_KEYS.COMPARE, compareIds);
+
+    const query = params.toString();
+    return query ? `?${query}` : '';
+};
+
+// Query string for the filters that follow the user between views (table,
+// grid, category and product pages): search, categories, sorting, advanced
+// filters, page size and pinned comparisons. The page and the open detail
+// drawer belong to the view they were set in. `overrides` replace parsed
+// values, e.g. { categoryFilters: ['beauty'] }.
+export const getSharedFilterQuery = (search, overrides = {}) => serializeFilterParams({
+    ...parseFilterParams(search),
+    currentPage: DEFAULT_FILTERS.currentPage,
+    selectedProductId: DEFAULT_FILTERS.selectedProductId,
+    ...overrides
+});
@@ -0,0 +1,98 @@
+import en from '../locales/en';
+import ar from '../locales/ar';
+import { getErrorKind } from '../api/apiErrors';
+import { BASE_CURRENCY, DEFAULT_CURRENCY_RATES, convertFromBase } from './currency';
+
+// Bundled languages; `locale` drives number, currency, date and plural
+// formatting, `dir` the page direction
+export const LANGUAGES = {
+    en: { label: 'English', locale: 'en-US', dir: 'ltr', messages: en },
+    ar: { label: 'العربية', locale: 'ar', dir: 'rtl', messages: ar }
+};
+
+export const DEFAULT_LANGUAGE = 'en';
+
+export const isSupportedLanguage = (language) => Object.hasOwn(LANGUAGES, language);
+
+// First of the browser's preferred languages we have strings for
+export const detectLanguage = (preferred = globalThis.navigator?.languages ?? []) => {
+    const match = preferred
+        .map(tag => String(tag).split('-')[0].toLowerCase())
+        .find(isSupportedLanguage);
+    return match ?? DEFAULT_LANGUAGE;
+};
+
+// Intl formatters are costly to create; reuse them per locale and options
+const formatterCache = new Map();
+
+const getFormatter = (Formatter, locale, options = {}) => {
+    const key = `${Formatter.name}|${locale}|${JSON.stringify(options)}`;
+    if (!formatterCache.has(key)) formatterCache.set(key, new Formatter(locale, options));
+    return formatterCache.get(key);
+};
+
+const interpolate = (template, values, locale) =>
+    template.replace(/\{(\w+)\}/g, (placeholder, name) => {
+        const value = values[name];
+        if (value === undefined || value === null) return placeholder;
+        return typeof value === 'number' ? getFormatter(Intl.NumberFormat, locale).format(value) : String(value);
+    });
+
+// t(key, values) for the language. Missing keys fall back to English, then
+// to `values.defaultValue` or the key itself. Plural messages pick their
+// form from `values.count`.
+export const createTranslator = (language) => {
+    const { locale, messages } = LANGUAGES[language] ?? LANGUAGES[DEFAULT_LANGUAGE];
+    const fallback = LANGUAGES[DEFAULT_LANGUAGE].messages;
+
+    const t = (key, values = {}) => {
+        const message = messages[key] ?? fallback[key];
+        if (message === undefined) return values.defaultValue ?? key;
+        const template = typeof message === 'string'
+            ? message
+            : message[getFormatter(Intl.PluralRules, locale).select(values.count ?? 0)] ?? message.other;
+        return interpolate(template, values, locale);
+    };
+    t.locale = locale;
+    t.formatList = (items, type = 'conjunction') => getFormatter(Intl.ListFormat, locale, { type }).format(items);
+    return t;
+};
+
+// User-facing message for a failed request (see api/apiErrors.js)
+export const describeApiError = (err, t) => t(`errors.${getErrorKind(err)}`, { status: err?.status });
+
+// Amounts in the base currency, e.g. filter bounds that aren't converted
+export const formatBaseAmount = (amount, locale) =>
+    getFormatter(Intl.NumberFormat, locale, {
+        style: 'currency',
+        currency: BASE_CURRENCY,
+        minimumFractionDigits: 0,
+        maximumFractionDigits: 2
+    }).format(amount);
+
+// Everything the UI needs to render text and numbers for a language and
+// currency. A currency missing from `rates` falls back to BASE_CURRENCY.
+export const createLocaleValue = ({ language, currency, rates = DEFAULT_CURRENCY_RATES }) => {
+    const { locale, dir } = LANGUAGES[language] ?? LANGUAGES[DEFAULT_LANGUAGE];
+    const activeCurrency = rates.rates[currency] ? currency : BASE_CURRENCY;
+    const rate = rates.rates[activeCurrency];
+
+    return {
+        language: isSupportedLanguage(language) ? language : DEFAULT_LANGUAGE,
+        locale,
+        dir,
+        t: createTranslator(language),
+        currency: activeCurrency,
+        // `amount` is in the base currency; `options` are extra
+        // Intl.NumberFormat options, e.g. { notation: 'compact' }
+        formatPrice: (amount, options) =>
+            getFormatter(Intl.NumberFormat, locale, { ...options, style: 'currency', currency: activeCurrency })
+                .format(convertFromBase(amount, rate)),
+        formatNumber: (value, options) => getFormatter(Intl.NumberFormat, locale, options).format(value),
+        // `value` is a percentage, e.g. 12.5 for 12.5%
+        formatPercent: value =>
+            getFormatter(Intl.NumberFormat, locale, { style: 'percent', maximumFractionDigits: 0 }).format(value / 100),
+        formatDate: (value, options = { year: 'numeric', month: 'short', day: 'numeric' }) =>
+            getFormatter(Intl.DateTimeFormat, locale, options).format(new Date(value))
+    };
+};
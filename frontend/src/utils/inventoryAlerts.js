@@ -0,0 +1,93 @@
+import { STOCK_LEVELS, STOCK_LEVEL_THRESHOLDS } from '../constants/products';
+import { DEFAULT_LANGUAGE, createTranslator } from './i18n';
+import { getStockLevel } from './productFilters';
+
+const translateEnglish = createTranslator(DEFAULT_LANGUAGE);
+
+// Low-stock monitoring. Each category can override the catalog-wide stock
+// bands; a product is "low" once it falls into the low band and "out" at 0.
+
+export const DEFAULT_STOCK_THRESHOLDS = {
+    medium: STOCK_LEVEL_THRESHOLDS.MEDIUM,
+    high: STOCK_LEVEL_THRESHOLDS.HIGH
+};
+
+export const ALERT_LEVELS = {
+    OUT_OF_STOCK: 'out',
+    LOW_STOCK: 'low'
+};
+
+// Worse levels rank higher
+const ALERT_SEVERITY = {
+    [ALERT_LEVELS.LOW_STOCK]: 1,
+    [ALERT_LEVELS.OUT_OF_STOCK]: 2
+};
+
+const isStockCount = (value) => Number.isInteger(value) && value >= 0;
+
+// Error message for a { medium, high } pair, or null
+export const validateStockThresholds = ({ medium, high }, t = translateEnglish) => {
+    if (!isStockCount(medium) || !isStockCount(high)) return t('alerts.thresholdsInvalid');
+    if (medium >= high) return t('alerts.thresholdsOrder');
+    return null;
+};
+
+// { category: { medium, high } } read from storage, dropping invalid entries
+export const normalizeCategoryThresholds = (value) => {
+    if (!value || typeof value !== 'object') return {};
+
+    return Object.fromEntries(
+        Object.entries(value)
+            .map(([category, thresholds]) => [category, { medium: thresholds?.medium, high: thresholds?.high }])
+            .filter(([, thresholds]) => !validateStockThresholds(thresholds))
+    );
+};
+
+export const getAlertLevel = (product, thresholds = DEFAULT_STOCK_THRESHOLDS) => {
+    if (product.stock <= 0) return ALERT_LEVELS.OUT_OF_STOCK;
+    return getStockLevel(product.stock, thresholds) === STOCK_LEVELS.LOW ? ALERT_LEVELS.LOW_STOCK : null;
+};
+
+// [{ product, level, thresholds }] for every product needing attention, out
+// of stock first, then by remaining stock
+export const collectStockAlerts = (products, getThresholds) =>
+    products
+        .map((product) => {
+            const thresholds = getThresholds(product.category);
+            return { product, level: getAlertLevel(product, thresholds), thresholds };
+        })
+        .filter(alert => alert.level !== null)
+        .sort((a, b) =>
+            ALERT_SEVERITY[b.level] - ALERT_SEVERITY[a.level] ||
+            a.product.stock - b.product.stock ||
+            a.product.title.localeCompare(b.product.title));
+
+// Alerts that are new or got worse since `previousProducts` was checked, both
+// judged by the current thresholds so editing a threshold isn't a "crossing"
+export const findThresholdCrossings = (previousProducts, products, getThresholds) => {
+    const previousLevels = new Map(
+        previousProducts.map(product => [product.id, getAlertLevel(product, getThresholds(product.category))])
+    );
+
+    return collectStockAlerts(products, getThresholds).filter((alert) => {
+        if (!previousLevels.has(alert.product.id)) return false;
+        const previousLevel = previousLevels.get(alert.product.id);
+        return !previousLevel || ALERT_SEVERITY[alert.level] > ALERT_SEVERITY[previousLevel];
+    });
+};
+
+// One-line notification text, e.g. "2 products ran out of stock: Apple and Kiwi."
+export const describeCrossings = (crossings, t = translateEnglish) => {
+    const out = crossings.filter(alert => alert.level === ALERT_LEVELS.OUT_OF_STOCK);
+    const low = crossings.filter(alert => alert.level === ALERT_LEVELS.LOW_STOCK);
+    const listTitles = (alerts) => {
+        const titles = alerts.slice(0, 3).map(alert => alert.product.title);
+        if (alerts.length > 3) titles.push(t('alerts.more', { count: alerts.length - 3 }));
+        return t.formatList(titles);
+    };
+
+    const parts = [];
+    if (out.length) parts.push(t('alerts.ranOut', { count: out.length, titles: listTitles(out) }));
+    if (low.length) parts.push(t('alerts.fellLow', { count: low.length, titles: listTitles(low) }));
+    return parts.join(' ');
+};
@@ -0,0 +1,103 @@
+import { STOCK_LEVELS } from '../constants/products';
+import { getStockLevel } from './productFilters';
+
+const TARGET_BIN_COUNT = 8;
+
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+// Missing values (e.g. a product without a rating) are left out
+const average = (values) => {
+    const numbers = values.filter(Number.isFinite);
+    return numbers.length ? sum(numbers) / numbers.length : 0;
+};
+
+// Rounds a raw step up to 1, 2 or 5 times a power of ten
+const niceStep = (rawStep) => {
+    if (rawStep <= 0) return 1;
+    const magnitude = 10 ** Math.floor(Math.log10(rawStep));
+    const residual = rawStep / magnitude;
+    if (residual <= 1) return magnitude;
+    if (residual <= 2) return 2 * magnitude;
+    if (residual <= 5) return 5 * magnitude;
+    return 10 * magnitude;
+};
+
+// Equal-width price bins with round edges: [{ min, max, count }]
+export const buildPriceHistogram = (prices, binCount = TARGET_BIN_COUNT) => {
+    if (prices.length === 0) return [];
+
+    const maxPrice = Math.max(...prices);
+    const step = niceStep(maxPrice / binCount);
+    const bins = Array.from({ length: Math.max(Math.ceil(maxPrice / step), 1) }, (_, index) => ({
+        min: index * step,
+        max: (index + 1) * step,
+        count: 0
+    }));
+
+    prices.forEach((price) => {
+        // The top edge belongs to the last bin
+        const index = Math.min(Math.floor(price / step), bins.length - 1);
+        bins[index].count++;
+    });
+
+    return bins;
+};
+
+const summarizeCategory = (category, products) => ({
+    category,
+    count: products.length,
+    averageRating: average(products.map(p => p.rating)),
+    averageStock: average(products.map(p => p.stock)),
+    totalStock: sum(products.map(p => p.stock)),
+    inventoryValue: sum(products.map(p => p.price * p.stock))
+});
+
+// Catalog-level figures for the analytics section, computed over the full
+// filtered result set
+export const computeAnalytics = (products) => {
+    const byCategory = new Map();
+    products.forEach((product) => {
+        if (!byCategory.has(product.category)) byCategory.set(product.category, []);
+        byCategory.get(product.category).push(product);
+    });
+
+    const stockLevelCounts = {
+        [STOCK_LEVELS.LOW]: 0,
+        [STOCK_LEVELS.MEDIUM]: 0,
+        [STOCK_LEVELS.HIGH]: 0
+    };
+    products.forEach((product) => {
+        stockLevelCounts[getStockLevel(product.stock)]++;
+    });
+
+    return {
+        count: products.length,
+        inventoryValue: sum(products.map(p => p.price * p.stock)),
+        averagePrice: average(products.map(p => p.price)),
+        averageRating: average(products.map(p => p.rating)),
+        outOfStockCount: products.filter(p => p.stock === 0).length,
+        lowStockCount: stockLevelCounts[STOCK_LEVELS.LOW],
+        stockLevelCounts,
+        priceHistogram: buildPriceHistogram(products.map(p => p.price)),
+        categories: [...byCategory.entries()]
+            .map(([category, items]) => summarizeCategory(category, items))
+            .sort((a, b) => b.count - a.count || a.category.localeCompare(b.category)),
+        discountVsRating: products.map(p => ({
+            id: p.id,
+            title: p.title,
+            discount: p.discountPercentage ?? 0,
+            rating: p.rating
+        }))
+    };
+};
+
+// Product count per brand, most common first: [{ brand, count }]
+export const countByBrand = (products) => {
+    const counts = new Map();
+    products.forEach((product) => {
+        if (product.brand) counts.set(product.brand, (counts.get(product.brand) ?? 0) + 1);
+    });
+    return [...counts.entries()]
+        .map(([brand, count]) => ({ brand, count }))
+        .sort((a, b) => b.count - a.count || a.brand.localeCompare(b.brand));
+};
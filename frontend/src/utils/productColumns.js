@@ -0,0 +1,80 @@
+import { SORT_OPTIONS } from '../constants/products';
+
+// Column model for the products table. The header and every row render from
+// these definitions; cell content lives with the table component.
+//   sortKey   SORT_OPTIONS value when the column is sortable
+//   hideable  false keeps the column out of the chooser
+export const PRODUCT_COLUMNS = [
+    { id: 'image', label: 'Image', width: 88, minWidth: 64 },
+    { id: 'title', label: 'Title', sortKey: SORT_OPTIONS.TITLE, width: 280, minWidth: 140, hideable: false },
+    { id: 'category', label: 'Category', sortKey: SORT_OPTIONS.CATEGORY, width: 150, minWidth: 100 },
+    { id: 'brand', label: 'Brand', sortKey: SORT_OPTIONS.BRAND, width: 140, minWidth: 80 },
+    { id: 'sku', label: 'SKU', width: 140, minWidth: 80, defaultHidden: true },
+    { id: 'price', label: 'Price', sortKey: SORT_OPTIONS.PRICE, width: 110, minWidth: 80 },
+    { id: 'discount', label: 'Discount', sortKey: SORT_OPTIONS.DISCOUNT, width: 120, minWidth: 90 },
+    { id: 'rating', label: 'Rating', sortKey: SORT_OPTIONS.RATING, width: 100, minWidth: 80 },
+    { id: 'stock', label: 'Stock', sortKey: SORT_OPTIONS.STOCK, width: 100, minWidth: 80 },
+    { id: 'status', label: 'Status', sortKey: SORT_OPTIONS.STATUS, width: 140, minWidth: 100 },
+    { id: 'trend', label: 'Trend', width: 110, minWidth: 90 },
+    { id: 'weight', label: 'Weight', width: 100, minWidth: 70, defaultHidden: true },
+    { id: 'tags', label: 'Tags', width: 200, minWidth: 100, defaultHidden: true },
+    { id: 'minimumOrderQuantity', label: 'Min. Order', width: 110, minWidth: 80, defaultHidden: true },
+    { id: 'actions', label: 'Actions', width: 180, minWidth: 160, hideable: false }
+];
+
+const COLUMNS_BY_ID = Object.fromEntries(PRODUCT_COLUMNS.map(column => [column.id, column]));
+
+export const getColumn = (id) => COLUMNS_BY_ID[id];
+
+export const isColumnHideable = (id) => COLUMNS_BY_ID[id]?.hideable !== false;
+
+// { order: [ids], hidden: [ids], widths: { id: px } }
+export const DEFAULT_COLUMN_LAYOUT = {
+    order: PRODUCT_COLUMNS.map(column => column.id),
+    hidden: PRODUCT_COLUMNS.filter(column => column.defaultHidden).map(column => column.id),
+    widths: {}
+};
+
+export const clampColumnWidth = (id, width) =>
+    Math.max(COLUMNS_BY_ID[id].minWidth, Math.round(width));
+
+// Repairs a stored layout: unknown columns are dropped, columns added since
+// it was saved are appended, and widths are clamped
+export const normalizeColumnLayout = (layout) => {
+    if (!layout || typeof layout !== 'object') return DEFAULT_COLUMN_LAYOUT;
+
+    const saved = Array.isArray(layout.order) ? layout.order.filter(id => COLUMNS_BY_ID[id]) : [];
+    const order = [...new Set(saved)];
+    DEFAULT_COLUMN_LAYOUT.order.forEach((id) => {
+        if (!order.includes(id)) order.push(id);
+    });
+
+    const hidden = Array.isArray(layout.hidden)
+        ? layout.hidden.filter(id => COLUMNS_BY_ID[id] && isColumnHideable(id))
+        : DEFAULT_COLUMN_LAYOUT.hidden;
+
+    const widths = {};
+    Object.entries(layout.widths ?? {}).forEach(([id, width]) => {
+        if (COLUMNS_BY_ID[id] && Number.isFinite(width)) widths[id] = clampColumnWidth(id, width);
+    });
+
+    return { order, hidden: [...new Set(hidden)], widths };
+};
+
+// Visible columns in display order, each with its effective width
+export const getVisibleColumns = (layout) =>
+    layout.order
+        .filter(id => !layout.hidden.includes(id))
+        .map(id => ({ ...COLUMNS_BY_ID[id], width: layout.widths[id] ?? COLUMNS_BY_ID[id].width }));
+
+// Moves `id` to where `targetId` is, shifting the columns in between
+export const moveColumnTo = (order, id, targetId) => {
+    const from = order.indexOf(id);
+    const to = order.indexOf(targetId);
+    if (from === -1 || to === -1 || from === to) return order;
+
+    const next = [...order];
+    next.splice(from, 1);
+    next.splice(to, 0, id);
+    return next;
+};
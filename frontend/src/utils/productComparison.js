@@ -0,0 +1,87 @@
+import { BASE_CURRENCY } from './currency';
+import { DEFAULT_LANGUAGE, createLocaleValue } from './i18n';
+import { formatCategory, getDiscountedPrice } from './productDisplay';
+
+// Rows of the side-by-side comparison. `value` is what gets compared (null
+// when missing); `format(value, i18n)` renders it; `better` marks numeric
+// rows where the highest or lowest value is the best deal.
+
+const englishLocale = createLocaleValue({ language: DEFAULT_LANGUAGE, currency: BASE_CURRENCY });
+
+const formatMoney = (value, { formatPrice }) => formatPrice(value);
+
+const ONE_DECIMAL = { minimumFractionDigits: 1, maximumFractionDigits: 1 };
+
+const formatDimensions = (dimensions) =>
+    dimensions ? `${dimensions.width} × ${dimensions.height} × ${dimensions.depth}` : null;
+
+export const COMPARISON_FIELDS = [
+    { id: 'price', label: 'Price', value: p => p.price, format: formatMoney, better: 'lowest' },
+    {
+        id: 'discountedPrice',
+        label: 'Price after discount',
+        value: p => Math.round(getDiscountedPrice(p) * 100) / 100,
+        format: formatMoney,
+        better: 'lowest'
+    },
+    {
+        id: 'discount',
+        label: 'Discount',
+        value: p => Math.round(p.discountPercentage ?? 0),
+        format: (value, { t, formatPercent }) => (value > 0 ? `-${formatPercent(value)}` : t('compare.none')),
+        better: 'highest'
+    },
+    {
+        id: 'rating',
+        label: 'Rating',
+        value: p => p.rating,
+        format: (value, { formatNumber }) => `★ ${formatNumber(value, ONE_DECIMAL)}`,
+        better: 'highest'
+    },
+    {
+        id: 'stock',
+        label: 'Stock',
+        value: p => p.stock,
+        format: (value, { formatNumber }) => formatNumber(value),
+        better: 'highest'
+    },
+    {
+        id: 'availability',
+        label: 'Availability',
+        value: p => p.availabilityStatus ?? null,
+        format: (value, { t }) => t(`availability.${value}`, { defaultValue: value })
+    },
+    { id: 'brand', label: 'Brand', value: p => p.brand || null },
+    { id: 'category', label: 'Category', value: p => p.category, format: formatCategory },
+    { id: 'dimensions', label: 'Dimensions (W × H × D)', value: p => formatDimensions(p.dimensions) },
+    { id: 'weight', label: 'Weight', value: p => p.weight ?? null },
+    { id: 'warranty', label: 'Warranty', value: p => p.warrantyInformation || null },
+    { id: 'shipping', label: 'Shipping', value: p => p.shippingInformation || null },
+    { id: 'returns', label: 'Returns', value: p => p.returnPolicy || null },
+    { id: 'minimumOrder', label: 'Minimum order', value: p => p.minimumOrderQuantity ?? null }
+];
+
+// [{ field, label, differs, cells: [{ text, isBest }] }] for the given
+// products, worded and formatted with `i18n` (see createLocaleValue). Best
+// values are only marked when the products actually differ.
+export const buildComparisonRows = (products, i18n = englishLocale) =>
+    COMPARISON_FIELDS.map((field) => {
+        const values = products.map(product => field.value(product));
+        const differs = new Set(values.map(value => value ?? null)).size > 1;
+
+        const numbers = values.filter(value => typeof value === 'number');
+        let best = null;
+        if (field.better && differs && numbers.length > 1) {
+            best = field.better === 'lowest' ? Math.min(...numbers) : Math.max(...numbers);
+        }
+
+        return {
+            field,
+            label: i18n.t(`compare.field.${field.id}`, { defaultValue: field.label }),
+            differs,
+            cells: values.map(value => ({
+                text: value === null ? '—' : (field.format ? field.format(value, i18n) : String(value)),
+                isBest: best !== null && value === best
+            }))
+        };
+    });
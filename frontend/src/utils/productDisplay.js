@@ -0,0 +1,28 @@
+import { STOCK_LEVELS } from '../constants/products';
+import { getStockLevel } from './productFilters';
+
+// Display helpers shared by the table and the detail views
+
+export const capitalizeFirst = (str) => str.charAt(0).toUpperCase() + str.slice(1);
+
+// "mens-shirts" -> "Mens shirts"
+export const formatCategory = (category) => capitalizeFirst(category.replace(/-/g, ' '));
+
+// Price after the product's discount
+export const getDiscountedPrice = (product) =>
+    product.price * (1 - (product.discountPercentage ?? 0) / 100);
+
+const STOCK_COLOR_CLASSES = {
+    [STOCK_LEVELS.HIGH]: 'text-success',
+    [STOCK_LEVELS.MEDIUM]: 'text-warning',
+    [STOCK_LEVELS.LOW]: 'text-danger'
+};
+
+// `thresholds` are the product category's stock thresholds, if customized
+export const getStockColorClass = (stock, thresholds) => STOCK_COLOR_CLASSES[getStockLevel(stock, thresholds)];
+
+export const getStatusColorClass = (status) => {
+    return status === 'In Stock'
+        ? 'bg-success-soft text-success-strong'
+        : 'bg-warning-soft text-warning-strong';
+};
@@ -0,0 +1,148 @@
+// Exports the table to CSV, JSON and XLSX with the same columns and
+// formatting as ProductRow
+
+export const EXPORT_FORMATS = {
+    CSV: 'csv',
+    JSON: 'json',
+    XLSX: 'xlsx'
+};
+
+export const EXPORT_FORMAT_LABELS = {
+    [EXPORT_FORMATS.CSV]: 'CSV',
+    [EXPORT_FORMATS.JSON]: 'JSON',
+    [EXPORT_FORMATS.XLSX]: 'Excel (XLSX)'
+};
+
+// Which rows to export: the visible page or every matching result
+export const EXPORT_SCOPES = {
+    PAGE: 'page',
+    ALL: 'all'
+};
+
+const MIME_TYPES = {
+    [EXPORT_FORMATS.CSV]: 'text/csv;charset=utf-8',
+    [EXPORT_FORMATS.JSON]: 'application/json'
+};
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+// Rounded number, or null (an empty cell) when the product has none
+const rounded = (value, digits) => (isNumber(value) ? Number(value.toFixed(digits)) : null);
+
+// `value` is the typed value (JSON/XLSX), `text` its display form (CSV)
+const EXPORT_COLUMNS = [
+    { key: 'id', header: 'ID', value: p => p.id, type: Number },
+    { key: 'title', header: 'Title', value: p => p.title, width: 40 },
+    { key: 'description', header: 'Description', value: p => p.description ?? '', width: 60 },
+    { key: 'category', header: 'Category', value: p => p.category, width: 18 },
+    { key: 'brand', header: 'Brand', value: p => p.brand ?? '', width: 18 },
+    {
+        key: 'price',
+        header: 'Price',
+        value: p => rounded(p.price, 2),
+        text: value => value.toFixed(2),
+        type: Number,
+        format: '0.00'
+    },
+    {
+        key: 'discount',
+        header: 'Discount (%)',
+        value: p => Math.round(p.discountPercentage ?? 0),
+        type: Number
+    },
+    {
+        key: 'rating',
+        header: 'Rating',
+        value: p => rounded(p.rating, 1),
+        text: value => value.toFixed(1),
+        type: Number,
+        format: '0.0'
+    },
+    { key: 'stock', header: 'Stock', value: p => p.stock ?? null, type: Number },
+    { key: 'status', header: 'Status', value: p => p.availabilityStatus ?? '', width: 14 }
+];
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const escapeCsvCell = (value) => {
+    let text = String(value);
+    if (FORMULA_PREFIX.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = (products) => {
+    const header = EXPORT_COLUMNS.map(column => escapeCsvCell(column.header));
+    const rows = products.map(product =>
+        EXPORT_COLUMNS.map((column) => {
+            const value = column.value(product);
+            if (value === null) return '';
+            return column.type === Number
+                ? (column.text ? column.text(value) : String(value))
+                : escapeCsvCell(value);
+        })
+    );
+
+    // CRLF per RFC 4180
+    return [header, ...rows].map(cells => cells.join(',')).join('\r\n');
+};
+
+export const toJson = (products) =>
+    JSON.stringify(
+        products.map(product =>
+            Object.fromEntries(EXPORT_COLUMNS.map(column => [column.key, column.value(product)]))
+        ),
+        null,
+        2
+    );
+
+const toXlsxBlob = async (products) => {
+    // Only loaded when someone actually exports to Excel
+    const { default: writeExcelFile } = await import('write-excel-file/browser');
+
+    const header = EXPORT_COLUMNS.map(column => ({ value: column.header, fontWeight: 'bold' }));
+    const rows = products.map(product =>
+        EXPORT_COLUMNS.map(column => ({
+            value: column.value(product),
+            type: column.type ?? String,
+            format: column.format
+        }))
+    );
+
+    return writeExcelFile([header, ...rows], {
+        columns: EXPORT_COLUMNS.map(column => ({ width: column.width ?? 12 })),
+        stickyRowsCount: 1
+    }).toBlob();
+};
+
+export const downloadBlob = (blob, fileName) => {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+};
+
+// Builds the file in the given format and hands it to the browser as a download
+export const exportProducts = async (products, format, baseName = 'products') => {
+    const date = new Date().toISOString().slice(0, 10);
+    const fileName = `${baseName}-${date}.${format}`;
+
+    switch (format) {
+        case EXPORT_FORMATS.CSV:
+            // BOM so Excel opens UTF-8 correctly
+            downloadBlob(new Blob(['\uFEFF', toCsv(products)], { type: MIME_TYPES[format] }), fileName);
+            break;
+        case EXPORT_FORMATS.JSON:
+            downloadBlob(new Blob([toJson(products)], { type: MIME_TYPES[format] }), fileName);
+            break;
+        case EXPORT_FORMATS.XLSX:
+            downloadBlob(await toXlsxBlob(products), fileName);
+            break;
+        default:
+            throw new Error(`Unsupported export format "${format}"`);
+    }
+};
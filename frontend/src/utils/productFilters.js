@@ -0,0 +1,87 @@
+import { STOCK_LEVELS, STOCK_LEVEL_THRESHOLDS } from '../constants/products';
+import { DEFAULT_LANGUAGE, createTranslator, formatBaseAmount } from './i18n';
+
+const translateEnglish = createTranslator(DEFAULT_LANGUAGE);
+
+// Filters the API can't apply; they run client-side over the full result set
+export const DEFAULT_ADVANCED_FILTERS = {
+    minPrice: null,
+    maxPrice: null,
+    minRating: null,
+    stockLevels: [],
+    brands: [],
+    availability: []
+};
+
+// Level name with its catalog-wide band, e.g. "Low (≤ 20)"; `t` translates
+export const getStockLevelLabel = (level, t = translateEnglish) => {
+    switch (level) {
+        case STOCK_LEVELS.LOW:
+            return t('stockLevels.low', { max: STOCK_LEVEL_THRESHOLDS.MEDIUM });
+        case STOCK_LEVELS.MEDIUM:
+            return t('stockLevels.medium', { min: STOCK_LEVEL_THRESHOLDS.MEDIUM + 1, max: STOCK_LEVEL_THRESHOLDS.HIGH });
+        default:
+            return t('stockLevels.high', { min: STOCK_LEVEL_THRESHOLDS.HIGH });
+    }
+};
+
+// `thresholds` overrides the catalog-wide bands, e.g. with a category's own
+export const getStockLevel = (stock, {
+    medium = STOCK_LEVEL_THRESHOLDS.MEDIUM,
+    high = STOCK_LEVEL_THRESHOLDS.HIGH
+} = {}) => {
+    if (stock > high) return STOCK_LEVELS.HIGH;
+    if (stock > medium) return STOCK_LEVELS.MEDIUM;
+    return STOCK_LEVELS.LOW;
+};
+
+export const hasAdvancedFilters = (filters) =>
+    filters.minPrice !== null ||
+    filters.maxPrice !== null ||
+    filters.minRating !== null ||
+    filters.stockLevels.length > 0 ||
+    filters.brands.length > 0 ||
+    filters.availability.length > 0;
+
+const matchesAdvancedFilters = (product, filters) => {
+    if (filters.minPrice !== null && product.price < filters.minPrice) return false;
+    if (filters.maxPrice !== null && product.price > filters.maxPrice) return false;
+    if (filters.minRating !== null && product.rating < filters.minRating) return false;
+    if (filters.stockLevels.length && !filters.stockLevels.includes(getStockLevel(product.stock))) return false;
+    if (filters.brands.length && !filters.brands.includes(product.brand)) return false;
+    if (filters.availability.length && !filters.availability.includes(product.availabilityStatus)) return false;
+    return true;
+};
+
+export const applyAdvancedFilters = (products, filters) =>
+    hasAdvancedFilters(filters)
+        ? products.filter(product => matchesAdvancedFilters(product, filters))
+        : products;
+
+// Short human-readable fragments for the results summary line, in the
+// language of `t`. Price bounds are in the base currency.
+export const describeAdvancedFilters = (filters, t = translateEnglish) => {
+    const parts = [];
+    const formatPrice = (value) => formatBaseAmount(value, t.locale);
+
+    if (filters.minPrice !== null && filters.maxPrice !== null) {
+        parts.push(t('summary.pricedBetween', { min: formatPrice(filters.minPrice), max: formatPrice(filters.maxPrice) }));
+    } else if (filters.minPrice !== null) {
+        parts.push(t('summary.pricedFrom', { min: formatPrice(filters.minPrice) }));
+    } else if (filters.maxPrice !== null) {
+        parts.push(t('summary.pricedUpTo', { max: formatPrice(filters.maxPrice) }));
+    }
+    if (filters.minRating !== null) parts.push(t('summary.ratedAtLeast', { rating: filters.minRating }));
+    if (filters.stockLevels.length) {
+        parts.push(t('summary.stock', { levels: filters.stockLevels.map(level => t(`stockLevel.${level}`)).join('/') }));
+    }
+    if (filters.brands.length) parts.push(t('summary.byBrands', { brands: t.formatList(filters.brands, 'disjunction') }));
+    if (filters.availability.length) {
+        parts.push(t.formatList(
+            filters.availability.map(status => t(`availability.${status}`, { defaultValue: status })),
+            'disjunction'
+        ));
+    }
+
+    return parts;
+};
@@ -0,0 +1,68 @@
+// Price and stock history per product. Each product keeps a list of points
+// { at, price, discountPercentage, stock }, oldest first; a point is only
+// added when one of those values changed since the previous one.
+
+export const HISTORY_FIELDS = ['price', 'discountPercentage', 'stock'];
+
+// Points kept per product; older ones are dropped first
+export const MAX_HISTORY_POINTS = 30;
+
+const isFiniteNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+const toPoint = (product, at) => ({
+    at,
+    ...Object.fromEntries(HISTORY_FIELDS.map(field => [field, product[field]]))
+});
+
+const samePoint = (a, b) => HISTORY_FIELDS.every(field => a[field] === b[field]);
+
+// `points` with the product's current values appended, or `points` itself
+// when nothing changed (or the product lacks the values)
+export const addHistoryPoint = (points, product, at) => {
+    if (!HISTORY_FIELDS.every(field => isFiniteNumber(product[field]))) return points;
+    const point = toPoint(product, at);
+    const last = points[points.length - 1];
+    if (last && samePoint(last, point)) return points;
+    return [...points, point].slice(-MAX_HISTORY_POINTS);
+};
+
+// [{ at, field, from, to }], newest first, one entry per changed field
+export const getHistoryChanges = (points) => {
+    const changes = [];
+    for (let index = points.length - 1; index > 0; index -= 1) {
+        const point = points[index];
+        const previous = points[index - 1];
+        HISTORY_FIELDS.forEach(field => {
+            if (point[field] !== previous[field]) {
+                changes.push({ at: point.at, field, from: previous[field], to: point[field] });
+            }
+        });
+    }
+    return changes;
+};
+
+// Whether the latest values differ from the last ones seen before `since`.
+// Products first seen after `since` don't count as changed.
+export const hasChangedSince = (points, since) => {
+    const latest = points[points.length - 1];
+    if (!latest || latest.at < since) return false;
+    const baseline = points.findLast(point => point.at < since);
+    return Boolean(baseline) && !samePoint(baseline, latest);
+};
+
+// { productId: points } read from storage, dropping malformed entries
+export const normalizeHistory = (value) => {
+    if (!value || typeof value !== 'object') return {};
+
+    return Object.fromEntries(
+        Object.entries(value)
+            .filter(([, points]) => Array.isArray(points))
+            .map(([id, points]) => [
+                id,
+                points
+                    .filter(point => isFiniteNumber(point?.at) && HISTORY_FIELDS.every(field => isFiniteNumber(point[field])))
+                    .slice(-MAX_HISTORY_POINTS)
+            ])
+            .filter(([, points]) => points.length > 0)
+    );
+};
@@ -0,0 +1,196 @@
+import { DEFAULT_LANGUAGE, createTranslator } from './i18n';
+import { validateProduct } from './productValidation';
+
+// Parsing, column mapping and validation for bulk CSV/JSON imports
+
+const translateEnglish = createTranslator(DEFAULT_LANGUAGE);
+
+// Errors for unusable files carry the locale key and values of their message
+const fileError = (messageKey, messageValues) =>
+    Object.assign(new Error(translateEnglish(messageKey, messageValues)), { messageKey, messageValues });
+
+export const IMPORT_FIELDS = [
+    { key: 'id', label: 'ID (updates existing)' },
+    { key: 'title', label: 'Title' },
+    { key: 'description', label: 'Description' },
+    { key: 'category', label: 'Category' },
+    { key: 'brand', label: 'Brand' },
+    { key: 'sku', label: 'SKU' },
+    { key: 'price', label: 'Price' },
+    { key: 'discountPercentage', label: 'Discount (%)' },
+    { key: 'stock', label: 'Stock' },
+    { key: 'tags', label: 'Tags' }
+];
+
+// Normalized header names recognized for each field
+const FIELD_ALIASES = {
+    id: ['id', 'productid'],
+    title: ['title', 'name', 'productname'],
+    description: ['description', 'desc'],
+    category: ['category', 'categoryslug'],
+    brand: ['brand', 'manufacturer'],
+    sku: ['sku'],
+    price: ['price', 'unitprice'],
+    discountPercentage: ['discount', 'discountpercentage', 'discountpercent'],
+    stock: ['stock', 'quantity', 'qty', 'inventory'],
+    tags: ['tags']
+};
+
+const NUMBER_FIELDS = ['price', 'discountPercentage', 'stock'];
+
+export const MAX_IMPORT_ROWS = 5000;
+
+// Minimal RFC 4180 parser: quoted fields, doubled quotes, CRLF/LF newlines
+export const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    if (inQuotes) throw fileError('import.error.unterminatedQuote');
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    // Ignore blank lines
+    return rows.filter(cells => cells.some(value => value.trim() !== ''));
+};
+
+const recordsFromCsv = (text) => {
+    const [header, ...rows] = parseCsv(text);
+    if (!header) throw fileError('import.error.emptyCsv');
+
+    const columns = header.map(name => name.trim());
+    const records = rows.map(cells =>
+        Object.fromEntries(columns.map((column, index) => [column, cells[index] ?? '']))
+    );
+    // Header is line 1
+    return { columns, records, firstRowNumber: 2 };
+};
+
+const recordsFromJson = (text) => {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch {
+        throw fileError('import.error.invalidJson');
+    }
+
+    // Accept a plain array or the API's { products: [...] } shape
+    const records = Array.isArray(data) ? data : data?.products;
+    if (!Array.isArray(records) || records.some(record => typeof record !== 'object' || record === null)) {
+        throw fileError('import.error.notProducts');
+    }
+
+    const columns = [...new Set(records.flatMap(record => Object.keys(record)))];
+    return { columns, records, firstRowNumber: 1 };
+};
+
+// Reads a .csv or .json File into { columns, records, firstRowNumber }
+export const readImportFile = async (file) => {
+    const text = (await file.text()).replace(/^\uFEFF/, '');
+    const isJson = file.name.toLowerCase().endsWith('.json') || file.type === 'application/json';
+    const result = isJson ? recordsFromJson(text) : recordsFromCsv(text);
+
+    if (result.records.length === 0) throw fileError('import.error.noRows');
+    if (result.records.length > MAX_IMPORT_ROWS) {
+        throw fileError('import.error.tooManyRows', { max: MAX_IMPORT_ROWS });
+    }
+    return result;
+};
+
+const normalizeHeader = (header) => header.toLowerCase().replace(/[^a-z]/g, '');
+
+// { column: fieldKey | '' } - each field is claimed by the first matching column
+export const guessColumnMapping = (columns) => {
+    const used = new Set();
+    return Object.fromEntries(columns.map((column) => {
+        const normalized = normalizeHeader(column);
+        const field = Object.keys(FIELD_ALIASES).find(key =>
+            !used.has(key) && FIELD_ALIASES[key].includes(normalized)
+        );
+        if (field) used.add(field);
+        return [column, field ?? ''];
+    }));
+};
+
+// Undoes the formula guard added by CSV exports ("'=..." -> "=...")
+const cleanText = (value) => String(value).trim().replace(/^'(?=[=+\-@])/, '');
+
+const convertValue = (field, raw) => {
+    if (raw === null || raw === undefined) return undefined;
+    if (typeof raw === 'number') return raw;
+    if (Array.isArray(raw)) return field === 'tags' ? raw.map(String) : undefined;
+
+    const text = cleanText(raw);
+    if (text === '') return undefined;
+
+    if (field === 'id') return Number(text);
+    if (NUMBER_FIELDS.includes(field)) return Number(text.replace(/[$%,\s]/g, ''));
+    if (field === 'tags') return text.split(/[;,]/).map(tag => tag.trim()).filter(Boolean);
+    return text;
+};
+
+// Applies the column mapping and validates each record. Rows with an id
+// update that product (only mapped fields are checked), rows without one are
+// new products and need every required field. Errors are worded with `t`.
+export const buildImportRows = (records, mapping, { categories = [], firstRowNumber = 2, t = translateEnglish } = {}) =>
+    records.map((record, index) => {
+        const product = {};
+        Object.entries(mapping).forEach(([column, field]) => {
+            if (!field) return;
+            const value = convertValue(field, record[column]);
+            if (value !== undefined) product[field] = value;
+        });
+
+        const { id, ...fields } = product;
+        const isUpdate = id !== undefined;
+        const errors = Object.values(validateProduct(fields, { partial: isUpdate, t }));
+
+        if (isUpdate && !(Number.isInteger(id) && id > 0)) {
+            errors.unshift(t('import.error.id'));
+        }
+        if (isUpdate && Object.keys(fields).length === 0) {
+            errors.push(t('import.error.nothingToUpdate'));
+        }
+        if (fields.category && categories.length > 0 && !categories.includes(fields.category)) {
+            errors.push(t('import.error.unknownCategory', { category: fields.category }));
+        }
+
+        return {
+            rowNumber: firstRowNumber + index,
+            id,
+            isUpdate,
+            product: fields,
+            errors
+        };
+    });
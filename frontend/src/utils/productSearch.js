@@ -0,0 +1,374 @@
+import { formatCategory } from './productDisplay';
+
+// Search query syntax: free words and "quoted phrases", plus `field:value`
+// terms. Text fields match part of the value (brand:apple,
+// category:"home decoration"); numeric fields take a comparison
+// (price:<100, rating:>=4, stock:0) or a range (price:10..50). Every word,
+// phrase and term must match. Words tolerate small typos.
+
+export const SEARCH_FIELDS = {
+    brand: { type: 'text', values: p => [p.brand] },
+    category: { type: 'text', values: p => [p.category, formatCategory(p.category)] },
+    tag: { type: 'text', values: p => p.tags ?? [] },
+    title: { type: 'text', values: p => [p.title] },
+    status: { type: 'text', values: p => [p.availabilityStatus] },
+    price: { type: 'number', value: p => p.price },
+    rating: { type: 'number', value: p => p.rating },
+    stock: { type: 'number', value: p => p.stock },
+    discount: { type: 'number', value: p => p.discountPercentage ?? 0 }
+};
+
+const FIELD_ALIASES = { cat: 'category', tags: 'tag', availability: 'status' };
+
+// Example per field, shown by the autocomplete
+export const SEARCH_FIELD_EXAMPLES = {
+    brand: 'brand:apple',
+    category: 'category:beauty',
+    tag: 'tag:fruits',
+    title: 'title:"red lipstick"',
+    status: 'status:"low stock"',
+    price: 'price:<100',
+    rating: 'rating:>=4',
+    stock: 'stock:0',
+    discount: 'discount:>10'
+};
+
+// field:value (value optionally quoted), "phrase", or a bare word. Unclosed
+// quotes run to the end so half-typed queries still parse.
+const TOKEN_PATTERN = /([a-z]+):(?:"([^"]*)"?|(\S*))|"([^"]*)"?|(\S+)/gi;
+
+const NUMBER = '(\\d+(?:\\.\\d+)?)';
+const COMPARISON_PATTERN = new RegExp(`^(<=|>=|<|>|=)?\\$?${NUMBER}$`);
+const RANGE_PATTERN = new RegExp(`^\\$?${NUMBER}\\.\\.\\$?${NUMBER}$`);
+
+const COMBINING_MARKS = /[\u0300-\u036f]/g;
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+// Lowercase without accents, one UTF-16 unit per unit so offsets into the
+// folded text line up with the original (for highlighting)
+const foldChar = (char) => {
+    const folded = char.normalize('NFD').replace(COMBINING_MARKS, '').toLowerCase();
+    return folded.length === char.length ? folded : char;
+};
+
+export const foldText = (text) => Array.from(String(text ?? ''), foldChar).join('');
+
+const toWords = (text) => [...foldText(text).matchAll(WORD_PATTERN)].map(match => match[0]);
+
+const resolveField = (name) => {
+    const field = name.toLowerCase();
+    return SEARCH_FIELDS[field] ? field : (FIELD_ALIASES[field] ?? null);
+};
+
+const parseNumericTerm = (field, value) => {
+    const range = value.match(RANGE_PATTERN);
+    if (range) {
+        const [min, max] = [Number(range[1]), Number(range[2])].sort((a, b) => a - b);
+        return { field, op: '..', min, max };
+    }
+    const comparison = value.match(COMPARISON_PATTERN);
+    return comparison ? { field, op: comparison[1] ?? '=', value: Number(comparison[2]) } : null;
+};
+
+// { words, phrases, terms, invalid }. Terms with an empty value are still
+// being typed and are skipped; `invalid` lists terms that can't be applied
+// (e.g. price:cheap) so the UI can say they were ignored.
+export const parseSearchQuery = (input) => {
+    const query = { words: [], phrases: [], terms: [], invalid: [] };
+
+    for (const match of String(input ?? '').matchAll(TOKEN_PATTERN)) {
+        const [token, name, quotedValue, plainValue, phrase, word] = match;
+
+        if (name) {
+            const field = resolveField(name);
+            // Unknown prefixes (e.g. "size:xl") are ordinary text
+            if (!field) {
+                query.words.push(...toWords(token));
+                continue;
+            }
+            const value = (quotedValue ?? plainValue ?? '').trim();
+            if (!value) continue;
+
+            if (SEARCH_FIELDS[field].type === 'number') {
+                const term = parseNumericTerm(field, value);
+                if (term) query.terms.push(term);
+                else query.invalid.push(token);
+            } else {
+                query.terms.push({ field, op: 'has', value: foldText(value) });
+            }
+        } else if (phrase !== undefined) {
+            const folded = foldText(phrase).trim();
+            if (folded) query.phrases.push(folded);
+        } else {
+            query.words.push(...toWords(word));
+        }
+    }
+
+    return query;
+};
+
+export const isEmptySearchQuery = (query) =>
+    query.words.length === 0 && query.phrases.length === 0 && query.terms.length === 0;
+
+// Typos allowed for a word of this length - none for short words, where a
+// single edit already turns it into a different word
+const maxTypos = (length) => {
+    if (length < 4) return 0;
+    return length < 8 ? 1 : 2;
+};
+
+// Edit distance counting adjacent swaps as one edit; gives up (returns
+// limit + 1) as soon as it can't stay within `limit`
+const editDistance = (a, b, limit) => {
+    if (Math.abs(a.length - b.length) > limit) return limit + 1;
+
+    let beforePrevious = null;
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const row = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            let value = Math.min(previous[j] + 1, row[j - 1] + 1, previous[j - 1] + cost);
+            if (beforePrevious && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                value = Math.min(value, beforePrevious[j - 2] + 1);
+            }
+            row.push(value);
+            rowMin = Math.min(rowMin, value);
+        }
+        if (rowMin > limit) return limit + 1;
+        beforePrevious = previous;
+        previous = row;
+    }
+    return previous[b.length];
+};
+
+const MATCH_SCORES = { exact: 4, prefix: 3, substring: 2, fuzzy: 1 };
+
+// How a (folded) query word matches a (folded) word of the text, or null.
+// Fuzzy matches compare against the whole word and against its start, so
+// "samsng" finds "samsung" and "smarthpone" finds "smartphones".
+const matchWord = (queryWord, word) => {
+    if (word === queryWord) return 'exact';
+    if (word.startsWith(queryWord)) return 'prefix';
+    if (queryWord.length >= 3 && word.includes(queryWord)) return 'substring';
+
+    const limit = maxTypos(queryWord.length);
+    if (limit === 0) return null;
+    if (editDistance(queryWord, word, limit) <= limit) return 'fuzzy';
+    if (word.length > queryWord.length && editDistance(queryWord, word.slice(0, queryWord.length), limit) <= limit) {
+        return 'fuzzy';
+    }
+    return null;
+};
+
+const bestWordMatch = (queryWord, words) => {
+    let best = null;
+    for (const word of words) {
+        const kind = matchWord(queryWord, word);
+        if (kind && (!best || MATCH_SCORES[kind] > MATCH_SCORES[best])) best = kind;
+        if (best === 'exact') break;
+    }
+    return best;
+};
+
+// Free text is looked up in these fields; matches in the title count most
+const TEXT_FIELDS = [
+    { weight: 3, text: p => p.title },
+    { weight: 2, text: p => p.brand },
+    { weight: 2, text: p => `${p.category} ${formatCategory(p.category)}` },
+    { weight: 1.5, text: p => (p.tags ?? []).join(' ') },
+    { weight: 1, text: p => p.description }
+];
+
+const matchesTerm = (product, term) => {
+    const field = SEARCH_FIELDS[term.field];
+    if (field.type === 'text') {
+        return field.values(product).some(value => value && foldText(value).includes(term.value));
+    }
+
+    const value = field.value(product);
+    if (typeof value !== 'number') return false;
+    switch (term.op) {
+        case '<': return value < term.value;
+        case '<=': return value <= term.value;
+        case '>': return value > term.value;
+        case '>=': return value >= term.value;
+        case '..': return value >= term.min && value <= term.max;
+        default: return value === term.value;
+    }
+};
+
+// Relevance of the product for the query's free text, or null if some word
+// or phrase isn't found
+const scoreProduct = (product, query) => {
+    const fields = TEXT_FIELDS.map(({ weight, text }) => {
+        const folded = foldText(text(product));
+        return { weight, folded, words: folded.match(WORD_PATTERN) ?? [] };
+    });
+
+    let score = 0;
+    for (const phrase of query.phrases) {
+        const weights = fields.filter(field => field.folded.includes(phrase)).map(field => field.weight);
+        if (weights.length === 0) return null;
+        score += MATCH_SCORES.exact * Math.max(...weights);
+    }
+    for (const queryWord of query.words) {
+        let best = 0;
+        for (const field of fields) {
+            const kind = bestWordMatch(queryWord, field.words);
+            if (kind) best = Math.max(best, MATCH_SCORES[kind] * field.weight);
+        }
+        if (best === 0) return null;
+        score += best;
+    }
+    return score;
+};
+
+// Products matching a parsed query. With free text they're ordered by
+// relevance (ties keep the incoming order); otherwise the order is kept.
+export const applySearch = (products, query) => {
+    if (isEmptySearchQuery(query)) return products;
+
+    const scored = [];
+    products.forEach((product) => {
+        if (!query.terms.every(term => matchesTerm(product, term))) return;
+        const score = scoreProduct(product, query);
+        if (score !== null) scored.push({ product, score });
+    });
+
+    if (query.words.length || query.phrases.length) scored.sort((a, b) => b.score - a.score);
+    return scored.map(entry => entry.product);
+};
+
+const findAll = (haystack, needle) => {
+    const ranges = [];
+    let index = haystack.indexOf(needle);
+    while (needle && index !== -1) {
+        ranges.push([index, index + needle.length]);
+        index = haystack.indexOf(needle, index + needle.length);
+    }
+    return ranges;
+};
+
+// [start, end) ranges of `text` to highlight for the query, merged and in
+// order. `field` ('title' or 'description') adds that field's terms.
+export const getHighlightRanges = (text, query, field) => {
+    if (!text || !query) return [];
+    const folded = foldText(text);
+    const ranges = query.phrases.flatMap(phrase => findAll(folded, phrase));
+
+    query.terms
+        .filter(term => term.field === field && term.op === 'has')
+        .forEach(term => ranges.push(...findAll(folded, term.value)));
+
+    if (query.words.length) {
+        for (const match of folded.matchAll(WORD_PATTERN)) {
+            const [word] = match;
+            for (const queryWord of query.words) {
+                const kind = matchWord(queryWord, word);
+                if (!kind) continue;
+                const offset = kind === 'substring' ? word.indexOf(queryWord) : 0;
+                const length = kind === 'prefix' || kind === 'substring' ? queryWord.length : word.length;
+                ranges.push([match.index + offset, match.index + offset + length]);
+            }
+        }
+    }
+
+    ranges.sort((a, b) => a[0] - b[0]);
+    return ranges.reduce((merged, range) => {
+        const last = merged[merged.length - 1];
+        if (last && range[0] <= last[1]) last[1] = Math.max(last[1], range[1]);
+        else merged.push([...range]);
+        return merged;
+    }, []);
+};
+
+export const SUGGESTION_TYPES = {
+    RECENT: 'recent',
+    FIELD: 'field',
+    BRAND: 'brand',
+    CATEGORY: 'category',
+    TAG: 'tag',
+    TITLE: 'title'
+};
+
+const MAX_SUGGESTIONS = 8;
+
+// Per-type caps so one kind doesn't crowd out the rest
+const SUGGESTION_LIMITS = {
+    [SUGGESTION_TYPES.FIELD]: 2,
+    [SUGGESTION_TYPES.BRAND]: 3,
+    [SUGGESTION_TYPES.CATEGORY]: 2,
+    [SUGGESTION_TYPES.TITLE]: 4
+};
+
+const quoteValue = (value) => (/\s/.test(value) ? `"${value}"` : value);
+
+// How well a candidate (e.g. a brand) fits what's typed so far; 0 = not at all
+const suggestionScore = (candidate, partial) => {
+    const folded = foldText(candidate);
+    if (folded.startsWith(partial)) return 4;
+    const kind = bestWordMatch(partial, folded.match(WORD_PATTERN) ?? []);
+    if (kind) return MATCH_SCORES[kind] - 1;
+    return folded.includes(partial) ? 1 : 0;
+};
+
+const rankCandidates = (candidates, partial, limit) =>
+    candidates
+        .map(candidate => ({ candidate, score: suggestionScore(candidate, partial) }))
+        .filter(entry => entry.score > 0)
+        .sort((a, b) => b.score - a.score || a.candidate.localeCompare(b.candidate))
+        .slice(0, limit)
+        .map(entry => entry.candidate);
+
+const uniqueValues = (values) => [...new Set(values.filter(Boolean))];
+
+// Autocomplete for the token being typed at the end of `input`, drawn from
+// `catalog` (all products). Each suggestion's `value` is the whole new
+// input; values ending in ':' expect the user to keep typing.
+export const getSearchSuggestions = (input, catalog) => {
+    const tokens = [...input.matchAll(TOKEN_PATTERN)];
+    const current = tokens[tokens.length - 1];
+    if (!current || current.index + current[0].length !== input.length) return [];
+
+    const before = input.slice(0, current.index);
+    const [token, name, quotedValue, plainValue] = current;
+    const products = catalog ?? [];
+    const suggestions = [];
+    const add = (type, label, replacement) => {
+        suggestions.push({ id: `${type}:${label}`, type, label, value: before + replacement });
+    };
+
+    const field = name ? resolveField(name) : null;
+    if (field) {
+        const partial = foldText(quotedValue ?? plainValue ?? '').trim();
+        const values = {
+            brand: () => uniqueValues(products.map(p => p.brand)),
+            category: () => uniqueValues(products.map(p => p.category)),
+            tag: () => uniqueValues(products.flatMap(p => p.tags ?? []))
+        }[field]?.() ?? [];
+        const matches = partial ? rankCandidates(values, partial, MAX_SUGGESTIONS) : values.sort().slice(0, MAX_SUGGESTIONS);
+        matches.forEach(value => add(field, value, `${field}:${quoteValue(value)} `));
+        return suggestions;
+    }
+
+    const partial = foldText(token.replace(/^"/, '')).trim();
+    if (!partial) return [];
+
+    if (!token.startsWith('"') && partial.length >= 2) {
+        Object.keys(SEARCH_FIELDS)
+            .filter(key => key.startsWith(partial))
+            .slice(0, SUGGESTION_LIMITS[SUGGESTION_TYPES.FIELD])
+            .forEach(key => add(SUGGESTION_TYPES.FIELD, SEARCH_FIELD_EXAMPLES[key], `${key}:`));
+    }
+
+    rankCandidates(uniqueValues(products.map(p => p.brand)), partial, SUGGESTION_LIMITS[SUGGESTION_TYPES.BRAND])
+        .forEach(brand => add(SUGGESTION_TYPES.BRAND, brand, `brand:${quoteValue(brand)} `));
+    rankCandidates(uniqueValues(products.map(p => p.category)), partial, SUGGESTION_LIMITS[SUGGESTION_TYPES.CATEGORY])
+        .forEach(category => add(SUGGESTION_TYPES.CATEGORY, category, `category:${category} `));
+    rankCandidates(uniqueValues(products.map(p => p.title)), partial, SUGGESTION_LIMITS[SUGGESTION_TYPES.TITLE])
+        .forEach(title => add(SUGGESTION_TYPES.TITLE, title, `"${title}" `));
+
+    return suggestions.slice(0, MAX_SUGGESTIONS);
+};
@@ -0,0 +1,67 @@
+import { DEFAULT_LANGUAGE, createTranslator } from './i18n';
+
+// Field rules shared by inline editing and the add-product form. Messages are
+// built with `t` (English by default).
+
+const translateEnglish = createTranslator(DEFAULT_LANGUAGE);
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+const isText = (value) => typeof value === 'string' && Boolean(value.trim());
+
+// Each rule returns the locale key of its error, or null
+const FIELD_RULES = {
+    title: (value) => (isText(value) ? null : 'validation.titleRequired'),
+    category: (value) => (isText(value) ? null : 'validation.categoryRequired'),
+    price: (value) => (isNumber(value) && value >= 0 ? null : 'validation.price'),
+    discountPercentage: (value) =>
+        isNumber(value) && value >= 0 && value <= 100 ? null : 'validation.discount',
+    stock: (value) => (Number.isInteger(value) && value >= 0 ? null : 'validation.stock')
+};
+
+export const REQUIRED_PRODUCT_FIELDS = ['title', 'category', 'price', 'stock'];
+
+// A new product as the catalog stores it: what the add form and imports
+// don't ask for gets the same defaults the table shows for a pending row
+export const withNewProductDefaults = (fields) => ({
+    availabilityStatus: fields.stock > 0 ? 'In Stock' : 'Out of Stock',
+    rating: 0,
+    thumbnail: '',
+    ...fields
+});
+
+// Returns an error message for one field, or null when the value is valid
+// (fields without a rule are always valid)
+export const validateProductField = (field, value, t = translateEnglish) => {
+    const error = FIELD_RULES[field]?.(value);
+    return error ? t(error) : null;
+};
+
+// Validates every given field; with `partial` false, required fields must be
+// present too. Returns a { field: message } map, empty when valid.
+export const validateProduct = (fields, { partial = false, t = translateEnglish } = {}) => {
+    const errors = {};
+    const names = partial
+        ? Object.keys(fields)
+        : [...new Set([...REQUIRED_PRODUCT_FIELDS, ...Object.keys(fields)])];
+
+    names.forEach((field) => {
+        if (!partial && fields[field] === undefined && REQUIRED_PRODUCT_FIELDS.includes(field)) {
+            errors[field] = t('validation.required', { field: t(`columns.${field}`) });
+            return;
+        }
+        const error = validateProductField(field, fields[field], t);
+        if (error) errors[field] = error;
+    });
+
+    return errors;
+};
+
+// Converts raw input text to the type stored on the product
+export const parseProductFieldInput = (field, input) => {
+    if (['price', 'discountPercentage', 'stock'].includes(field)) {
+        const trimmed = String(input).trim();
+        return trimmed === '' ? NaN : Number(trimmed);
+    }
+    return String(input).trim();
+};
@@ -0,0 +1,66 @@
+// Client-side routes. Paths are relative to the app's base URL; `:name`
+// segments become route params.
+export const ROUTES = {
+    TABLE: 'table',
+    GRID: 'grid',
+    CATEGORIES: 'categories',
+    CATEGORY: 'category',
+    PRODUCT: 'product',
+    NOT_FOUND: 'notFound'
+};
+
+const ROUTE_PATHS = {
+    [ROUTES.TABLE]: '/',
+    [ROUTES.GRID]: '/grid',
+    [ROUTES.CATEGORIES]: '/categories',
+    [ROUTES.CATEGORY]: '/categories/:category',
+    [ROUTES.PRODUCT]: '/products/:id'
+};
+
+// "/" or e.g. "/dashboard" when the app is served from a sub-path
+const BASE_PATH = import.meta.env.BASE_URL.replace(/\/$/, '');
+
+const toSegments = (path) => path.split('/').filter(Boolean);
+
+const matchSegments = (pattern, segments) => {
+    const patternSegments = toSegments(pattern);
+    if (patternSegments.length !== segments.length) return null;
+
+    const params = {};
+    for (let i = 0; i < segments.length; i++) {
+        const expected = patternSegments[i];
+        if (expected.startsWith(':')) {
+            params[expected.slice(1)] = segments[i];
+        } else if (expected !== segments[i]) {
+            return null;
+        }
+    }
+    return params;
+};
+
+// { name, params } for a pathname; anything unknown (including paths outside
+// the base URL or with malformed escapes) is NOT_FOUND
+export const matchRoute = (pathname) => {
+    if (BASE_PATH && pathname !== BASE_PATH && !pathname.startsWith(`${BASE_PATH}/`)) {
+        return { name: ROUTES.NOT_FOUND, params: {} };
+    }
+
+    let segments;
+    try {
+        segments = toSegments(pathname.slice(BASE_PATH.length)).map(decodeURIComponent);
+    } catch {
+        return { name: ROUTES.NOT_FOUND, params: {} };
+    }
+
+    for (const [name, pattern] of Object.entries(ROUTE_PATHS)) {
+        const params = matchSegments(pattern, segments);
+        if (params) return { name, params };
+    }
+    return { name: ROUTES.NOT_FOUND, params: {} };
+};
+
+// URL for a route; `search` is a query string ("" or "?...") to append
+export const buildPath = (name, params = {}, search = '') => {
+    const path = ROUTE_PATHS[name].replace(/:(\w+)/g, (_, key) => encodeURIComponent(params[key]));
+    return `${BASE_PATH}${path}${search}`;
+};
@@ -0,0 +1,122 @@
+import { SORT_ORDER } from '../constants/products';
+import { DEFAULT_FILTERS, parseFilterParams, serializeFilterParams } from './filterParams';
+import { DEFAULT_LANGUAGE, createTranslator } from './i18n';
+import { describeAdvancedFilters } from './productFilters';
+import { formatCategory } from './productDisplay';
+
+// Named filter presets. A view stores its search, categories, advanced
+// filters, sorting and page size as a query string in the same format as
+// shareable links, so loading or importing one goes through the URL parser's
+// validation and old views keep working as filters evolve.
+
+export const MAX_VIEW_NAME_LENGTH = 60;
+const VIEWS_FILE_VERSION = 1;
+
+const translateEnglish = createTranslator(DEFAULT_LANGUAGE);
+
+const createViewId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+export const normalizeViewName = (name) => String(name ?? '').trim().replace(/\s+/g, ' ');
+
+const sameName = (a, b) => a.localeCompare(b, undefined, { sensitivity: 'accent' }) === 0;
+
+// Query string for the parts of the filter state a view keeps; the page, the
+// open product and the comparison are left out
+export const toViewQuery = (filters) =>
+    serializeFilterParams({ ...filters, currentPage: 1, selectedProductId: '', compareIds: [] });
+
+export const getViewFilters = (view) => parseFilterParams(view.query);
+
+// Short description of what a view shows, e.g. "\"phone\" · Beauty · price ↓"
+export const summarizeView = (view, t = translateEnglish) => {
+    const { searchTerm, categoryFilters, advancedFilters, sorting, pageSize } = getViewFilters(view);
+    const parts = [];
+
+    if (searchTerm) parts.push(`"${searchTerm}"`);
+    if (categoryFilters.length) parts.push(t.formatList(categoryFilters.map(formatCategory)));
+    parts.push(...describeAdvancedFilters(advancedFilters, t));
+    if (sorting.length) {
+        parts.push(t.formatList(sorting.map(({ key, order }) =>
+            `${t(`columns.${key}`, { defaultValue: key })} ${order === SORT_ORDER.DESC ? '↓' : '↑'}`
+        )));
+    }
+    if (pageSize !== DEFAULT_FILTERS.pageSize) parts.push(t('views.perPage', { count: pageSize }));
+
+    return parts.length ? parts.join(' · ') : t('views.allProducts');
+};
+
+export const findViewByName = (views, name) =>
+    views.find(view => sameName(view.name, normalizeViewName(name)));
+
+// Error message for a view name, or null. `ignoreId` skips the view being renamed.
+export const validateViewName = (name, views, ignoreId = null, t = translateEnglish) => {
+    const normalized = normalizeViewName(name);
+    if (!normalized) return t('views.nameRequired');
+    if (normalized.length > MAX_VIEW_NAME_LENGTH) {
+        return t('views.nameTooLong', { max: MAX_VIEW_NAME_LENGTH });
+    }
+    const existing = findViewByName(views, normalized);
+    if (existing && existing.id !== ignoreId) return t('views.nameTaken', { name: existing.name });
+    return null;
+};
+
+export const createView = (name, filters) => ({
+    id: createViewId(),
+    name: normalizeViewName(name),
+    query: toViewQuery(filters)
+});
+
+// Drops malformed entries, re-validates queries and fixes duplicate ids/names
+// in views read from storage or an imported file
+export const normalizeViews = (value) => {
+    if (!Array.isArray(value)) return [];
+
+    return value.reduce((views, entry) => {
+        const name = normalizeViewName(entry?.name).slice(0, MAX_VIEW_NAME_LENGTH);
+        if (!name || typeof entry.query !== 'string' || findViewByName(views, name)) return views;
+
+        const id = typeof entry.id === 'string' && !views.some(view => view.id === entry.id)
+            ? entry.id
+            : createViewId();
+        views.push({ id, name, query: toViewQuery(parseFilterParams(entry.query)) });
+        return views;
+    }, []);
+};
+
+// Imported views replace same-named ones and are appended otherwise
+export const mergeViews = (current, imported) => {
+    const merged = [...current];
+    imported.forEach((view) => {
+        const index = merged.findIndex(existing => sameName(existing.name, view.name));
+        if (index === -1) {
+            merged.push(view);
+        } else {
+            merged[index] = { ...merged[index], query: view.query };
+        }
+    });
+    return merged;
+};
+
+export const viewsToJson = (views) =>
+    JSON.stringify(
+        { version: VIEWS_FILE_VERSION, views: views.map(({ name, query }) => ({ name, query })) },
+        null,
+        2
+    );
+
+// The error's `messageKey` is the locale key for its message
+const importError = (messageKey) => Object.assign(new Error(translateEnglish(messageKey)), { messageKey });
+
+// Accepts a file written by viewsToJson or a bare array of views
+export const parseViewsJson = (text) => {
+    let data;
+    try {
+        data = JSON.parse(text.replace(/^\uFEFF/, ''));
+    } catch {
+        throw importError('views.invalidJson');
+    }
+
+    const views = normalizeViews(Array.isArray(data) ? data : data?.views);
+    if (views.length === 0) throw importError('views.noViews');
+    return views;
+};
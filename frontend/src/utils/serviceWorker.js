@@ -0,0 +1,11 @@
+// Registers public/sw.js, which caches the app shell for offline use. Only
+// in production builds: in development it would serve stale modules.
+export const registerServiceWorker = () => {
+    if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return;
+
+    window.addEventListener('load', () => {
+        navigator.serviceWorker
+            .register(`${import.meta.env.BASE_URL}sw.js`)
+            .catch(err => console.error('Error registering service worker:', err));
+    });
+};
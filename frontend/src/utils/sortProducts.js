@@ -0,0 +1,65 @@
+import { MAX_SORT_KEYS, SORT_FIELDS, SORT_ORDER } from '../constants/products';
+
+// Sorting is a list of { key, order } in priority order; [] keeps the
+// source's default order
+
+const isMissing = (value) => value === undefined || value === null || value === '';
+
+const compareValues = (a, b) => {
+    if (typeof a === 'string' || typeof b === 'string') {
+        return String(a).localeCompare(String(b), undefined, { sensitivity: 'base', numeric: true });
+    }
+    return a - b;
+};
+
+// Compares two values of one field in the given order. Missing values go last
+// in either direction; two missing values tie.
+export const compareFieldValues = (a, b, order) => {
+    if (isMissing(a) || isMissing(b)) {
+        if (isMissing(a) === isMissing(b)) return 0;
+        return isMissing(a) ? 1 : -1;
+    }
+
+    const comparison = compareValues(a, b);
+    return order === SORT_ORDER.DESC ? -comparison : comparison;
+};
+
+// Comparator over every sort key in turn (see compareFieldValues). Remaining
+// ties fall back to id so the order is deterministic and pages never overlap.
+export const compareBySorting = (sorting) => (a, b) => {
+    for (const { key, order } of sorting) {
+        const field = SORT_FIELDS[key];
+        const comparison = compareFieldValues(a[field], b[field], order);
+        if (comparison !== 0) return comparison;
+    }
+    return a.id - b.id;
+};
+
+// Returns a sorted copy, or the list as-is when there's nothing to sort by
+export const sortProducts = (products, sorting) => {
+    if (sorting.length === 0) return products;
+    return [...products].sort(compareBySorting(sorting));
+};
+
+// Next sorting after clicking a sortable header. A plain click sorts by that
+// column alone (asc -> desc -> off); with `multi` (shift-click) the column is
+// added as the lowest-priority key, or cycled in place if already present.
+export const toggleSortKey = (sorting, key, { multi = false } = {}) => {
+    const current = sorting.find(sort => sort.key === key);
+    const nextOrder = !current
+        ? SORT_ORDER.ASC
+        : current.order === SORT_ORDER.ASC ? SORT_ORDER.DESC : null;
+
+    if (!multi) {
+        const isOnlyKey = sorting.length === 1 && current;
+        if (!isOnlyKey) return [{ key, order: SORT_ORDER.ASC }];
+        return nextOrder ? [{ key, order: nextOrder }] : [];
+    }
+
+    if (!current) {
+        return sorting.length < MAX_SORT_KEYS ? [...sorting, { key, order: SORT_ORDER.ASC }] : sorting;
+    }
+    return nextOrder
+        ? sorting.map(sort => (sort.key === key ? { key, order: nextOrder } : sort))
+        : sorting.filter(sort => sort.key !== key);
+};
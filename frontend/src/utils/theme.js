@@ -0,0 +1,35 @@
+// Color themes (see src/theme.css for their tokens). The preference is a
+// theme or SYSTEM_THEME, which follows the OS: high contrast when more
+// contrast is requested, otherwise dark or light.
+
+export const THEMES = {
+    LIGHT: 'light',
+    DARK: 'dark',
+    HIGH_CONTRAST: 'high-contrast'
+};
+
+export const SYSTEM_THEME = 'system';
+
+export const THEME_PREFERENCES = [SYSTEM_THEME, ...Object.values(THEMES)];
+
+// index.html reads this key too, to apply the theme before the first paint
+export const THEME_STORAGE_KEY = 'product-dash:theme';
+
+export const SYSTEM_QUERIES = {
+    dark: '(prefers-color-scheme: dark)',
+    moreContrast: '(prefers-contrast: more)'
+};
+
+export const isThemePreference = (value) => THEME_PREFERENCES.includes(value);
+
+// { prefersDark, prefersMoreContrast } from the browser's media queries
+export const getSystemPreferences = (matchMedia = globalThis.matchMedia) => ({
+    prefersDark: Boolean(matchMedia?.(SYSTEM_QUERIES.dark).matches),
+    prefersMoreContrast: Boolean(matchMedia?.(SYSTEM_QUERIES.moreContrast).matches)
+});
+
+export const resolveTheme = (preference, { prefersDark, prefersMoreContrast }) => {
+    if (preference !== SYSTEM_THEME && isThemePreference(preference)) return preference;
+    if (prefersMoreContrast) return THEMES.HIGH_CONTRAST;
+    return prefersDark ? THEMES.DARK : THEMES.LIGHT;
+};